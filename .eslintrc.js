@@ -46,4 +46,12 @@ module.exports = {
   globals: {
     __DEV__: true,
   },
+  overrides: [
+    {
+      files: ["**/__tests__/**/*.js"],
+      env: {
+        jest: true,
+      },
+    },
+  ],
 };
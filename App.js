@@ -7,11 +7,17 @@ import { ActivityIndicator, StatusBar, StyleSheet, Text, View } from 'react-nati
 import 'react-native-get-random-values';
 import { Button, MD3LightTheme, Provider as PaperProvider } from 'react-native-paper';
 import { COLORS, THEME } from './src/constants';
+import HistoryButtons from './src/components/common/HistoryButtons';
+import UndoSnackbar from './src/components/common/UndoSnackbar';
 import { rootStore } from './src/stores/RootStore';
 
 // スクリーンのインポート
+import ComparisonScreen from './src/screens/comparison/ComparisonScreen';
 import DetailScreen from './src/screens/detail/DetailScreen';
 import HomeScreen from './src/screens/home/HomeScreen';
+import MonteCarloScreen from './src/screens/simulation/MonteCarloScreen';
+import SensitivityScreen from './src/screens/simulation/SensitivityScreen';
+import DataTransferScreen from './src/screens/transfer/DataTransferScreen';
 import YearlyListScreen from './src/screens/yearly/YearlyListScreen';
 
 const Stack = createNativeStackNavigator();
@@ -95,6 +101,7 @@ const App = observer(() => {
             headerTitleStyle: {
               fontSize: THEME.typography.h4,
             },
+            headerRight: () => <HistoryButtons />,
           }}>
           <Stack.Screen
             name="Home"
@@ -117,8 +124,37 @@ const App = observer(() => {
               title: '収支イベント資産管理',
             }}
           />
+          <Stack.Screen
+            name="MonteCarlo"
+            component={MonteCarloScreen}
+            options={{
+              title: 'モンテカルロシミュレーション',
+            }}
+          />
+          <Stack.Screen
+            name="Sensitivity"
+            component={SensitivityScreen}
+            options={{
+              title: '感度分析',
+            }}
+          />
+          <Stack.Screen
+            name="Comparison"
+            component={ComparisonScreen}
+            options={{
+              title: 'プランの比較',
+            }}
+          />
+          <Stack.Screen
+            name="DataTransfer"
+            component={DataTransferScreen}
+            options={{
+              title: 'データの共有',
+            }}
+          />
         </Stack.Navigator>
       </NavigationContainer>
+      <UndoSnackbar />
     </PaperProvider>
   );
 });
@@ -0,0 +1,43 @@
+import { observer } from "mobx-react-lite";
+import React from "react";
+import { StyleSheet, View } from "react-native";
+import { IconButton } from "react-native-paper";
+import { COLORS } from "../../constants";
+import { rootStore } from "../../stores/RootStore";
+
+/**
+ * 元に戻す/やり直しボタン
+ * ナビゲーションヘッダーの右側に表示する
+ */
+const HistoryButtons = observer(() => {
+  const { historyStore } = rootStore;
+
+  return (
+    <View style={styles.container}>
+      <IconButton
+        icon="undo"
+        size={20}
+        iconColor={COLORS.common.white}
+        disabled={!historyStore.canUndo}
+        onPress={() => historyStore.undo()}
+        accessibilityLabel="元に戻す"
+      />
+      <IconButton
+        icon="redo"
+        size={20}
+        iconColor={COLORS.common.white}
+        disabled={!historyStore.canRedo}
+        onPress={() => historyStore.redo()}
+        accessibilityLabel="やり直す"
+      />
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+  },
+});
+
+export default HistoryButtons;
@@ -0,0 +1,29 @@
+import { observer } from "mobx-react-lite";
+import React from "react";
+import { Snackbar } from "react-native-paper";
+import { APP_CONFIG } from "../../constants";
+import { rootStore } from "../../stores/RootStore";
+
+/**
+ * 元に戻す操作の案内スナックバー
+ * 削除などの操作後に historyStore.notify で表示する
+ */
+const UndoSnackbar = observer(() => {
+  const { historyStore } = rootStore;
+
+  return (
+    <Snackbar
+      visible={!!historyStore.message}
+      onDismiss={() => historyStore.dismiss()}
+      duration={APP_CONFIG.notificationDuration.normal}
+      action={{
+        label: "元に戻す",
+        onPress: () => historyStore.undo(),
+      }}
+    >
+      {historyStore.message}
+    </Snackbar>
+  );
+});
+
+export default UndoSnackbar;
@@ -191,6 +191,45 @@ export const ENUMS = {
     YEARLY: "yearly",
   },
 
+  // 口座の種類
+  accountType: {
+    TAXABLE: "taxable",
+    NISA_TSUMITATE: "nisaTsumitate",
+    NISA_GROWTH: "nisaGrowth",
+    IDECO: "ideco",
+  },
+
+  // 資産の積立・取り崩しの種類
+  assetCashFlowType: {
+    CONTRIBUTION: "contribution",
+    WITHDRAWAL: "withdrawal",
+  },
+
+  // 資産の積立・取り崩し額の決め方
+  assetCashFlowMethod: {
+    FIXED: "fixed",
+    PERCENTAGE: "percentage",
+    DEFICIT: "deficit",
+  },
+
+  // ローンの返済方法
+  loanRepaymentMethod: {
+    EQUAL_PAYMENT: "equalPayment",
+    EQUAL_PRINCIPAL: "equalPrincipal",
+  },
+
+  // ローンの金利タイプ
+  loanRateType: {
+    FIXED: "fixed",
+    VARIABLE: "variable",
+  },
+
+  // 繰上返済の方法
+  prepaymentMethod: {
+    SHORTEN_TERM: "shortenTerm",
+    REDUCE_PAYMENT: "reducePayment",
+  },
+
   // 複利計算頻度
   compoundingFrequency: {
     DAILY: "daily",
@@ -198,6 +237,28 @@ export const ENUMS = {
     YEARLY: "yearly",
   },
 
+  // 老後の取り崩し戦略
+  decumulationStrategy: {
+    NONE: "none",
+    DEFICIT: "deficit",
+    FIXED_AMOUNT: "fixedAmount",
+    FIXED_PERCENTAGE: "fixedPercentage",
+    GUARDRAILS: "guardrails",
+  },
+
+  // 取り崩す資産の順番
+  liquidationOrder: {
+    TAX_TREATMENT: "taxTreatment",
+    CATEGORY: "category",
+  },
+
+  // 目標の優先度
+  goalPriority: {
+    HIGH: "high",
+    MEDIUM: "medium",
+    LOW: "low",
+  },
+
   // 関係性
   relationship: {
     SELF: "本人",
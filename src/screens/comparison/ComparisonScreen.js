@@ -0,0 +1,275 @@
+import { observer } from 'mobx-react-lite';
+import React, { useEffect, useState } from 'react';
+import { Dimensions, ScrollView, StyleSheet, View } from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import { Card, Chip, DataTable, SegmentedButtons, Text, Title } from 'react-native-paper';
+import { COLORS, THEME } from '../../constants';
+import {
+  alignProjections,
+  buildComparisonSeries,
+  COMPARISON_METRICS,
+  findDivergentYears,
+  MAX_COMPARED_PLANS,
+  MIN_COMPARED_PLANS,
+} from '../../services/calculators/comparison';
+import { VALUE_MODES } from '../../services/calculators/inflation';
+import { buildProjection } from '../../services/calculators/projection';
+import { rootStore } from '../../stores/RootStore';
+import { formatCurrency } from '../../utils/format';
+
+// プランごとの線の色（選択順）
+const PLAN_COLORS = [
+  opacity => `rgba(33, 150, 243, ${opacity})`,
+  opacity => `rgba(244, 67, 54, ${opacity})`,
+  opacity => `rgba(76, 175, 80, ${opacity})`,
+  opacity => `rgba(255, 152, 0, ${opacity})`,
+];
+
+/**
+ * シナリオ比較画面
+ * 選択した2〜4件のライフプランの収支・累計残高・資産合計の推移を重ねて表示する
+ */
+const ComparisonScreen = observer(({ route }) => {
+  const lifePlans = rootStore.lifePlanStore.sortedLifePlans;
+
+  // 比較するライフプランのID（選択順）
+  const [selectedIds, setSelectedIds] = useState(
+    () => route.params?.lifePlanIds ?? lifePlans.slice(0, MIN_COMPARED_PLANS).map(lp => lp.id),
+  );
+  const [metric, setMetric] = useState(COMPARISON_METRICS[0].key);
+  const [valueMode, setValueMode] = useState(VALUE_MODES.NOMINAL);
+
+  useEffect(() => {
+    console.log('ComparisonScreen: 画面がマウントされました');
+    return () => console.log('ComparisonScreen: 画面がアンマウントされました');
+  }, []);
+
+  /**
+   * ライフプランの選択の切り替え
+   */
+  const toggleLifePlan = id => {
+    if (selectedIds.includes(id)) {
+      setSelectedIds(selectedIds.filter(selectedId => selectedId !== id));
+    } else if (selectedIds.length < MAX_COMPARED_PLANS) {
+      setSelectedIds([...selectedIds, id]);
+    }
+  };
+
+  // 削除済みのプランは比較から除く
+  const selectedPlans = selectedIds
+    .map(id => rootStore.lifePlanStore.lifePlans.get(id))
+    .filter(Boolean);
+  const comparison = alignProjections(
+    selectedPlans.map(lifePlan => ({
+      lifePlan,
+      rows: buildProjection({
+        lifePlan,
+        assets: rootStore.assetStore.getLifePlanAssets(lifePlan.id),
+        liabilities: rootStore.liabilityStore.getLifePlanLiabilities(lifePlan.id),
+        incomeCategories: rootStore.categoryStore.sortedIncomeCategories,
+        expenseCategories: rootStore.categoryStore.sortedExpenseCategories,
+        valueMode,
+      }).rows,
+    })),
+  );
+  const canCompare = selectedPlans.length >= MIN_COMPARED_PLANS && comparison.years.length > 0;
+  const metricLabel = COMPARISON_METRICS.find(m => m.key === metric).label;
+  const divergentYears = canCompare ? findDivergentYears(comparison, metric) : [];
+
+  const chartData = canCompare && {
+    labels: comparison.years.map((year, index) => (index % 5 === 0 ? String(year) : '')),
+    datasets: buildComparisonSeries(comparison, metric).map((series, i) => ({
+      data: series.values.map(value => value / 10000),
+      color: PLAN_COLORS[i],
+      strokeWidth: 2,
+    })),
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      {/* 比較するプランの選択 */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>比較するプラン</Title>
+          <View style={styles.chipContainer}>
+            {lifePlans.map(lifePlan => {
+              const selectedIndex = selectedIds.indexOf(lifePlan.id);
+              return (
+                <Chip
+                  key={lifePlan.id}
+                  selected={selectedIndex !== -1}
+                  disabled={selectedIndex === -1 && selectedIds.length >= MAX_COMPARED_PLANS}
+                  onPress={() => toggleLifePlan(lifePlan.id)}
+                  style={[
+                    styles.chip,
+                    selectedIndex !== -1 && { borderColor: PLAN_COLORS[selectedIndex](1) },
+                  ]}
+                  mode="outlined">
+                  {lifePlan.name}
+                </Chip>
+              );
+            })}
+          </View>
+          <Text style={styles.noteText}>
+            {MIN_COMPARED_PLANS}〜{MAX_COMPARED_PLANS}件のプランを選択してください
+          </Text>
+        </Card.Content>
+      </Card>
+
+      <SegmentedButtons
+        value={metric}
+        onValueChange={setMetric}
+        buttons={COMPARISON_METRICS.map(m => ({ value: m.key, label: m.label }))}
+        style={styles.modeSwitch}
+      />
+      <SegmentedButtons
+        value={valueMode}
+        onValueChange={setValueMode}
+        buttons={[
+          { value: VALUE_MODES.NOMINAL, label: '名目額' },
+          { value: VALUE_MODES.REAL, label: '実質額（現在価値）' },
+        ]}
+        style={styles.modeSwitch}
+      />
+
+      {!canCompare ? (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.emptyText}>
+              {selectedPlans.length < MIN_COMPARED_PLANS
+                ? '比較するプランを選択してください'
+                : '選択したプランに共通する年がありません'}
+            </Text>
+          </Card.Content>
+        </Card>
+      ) : (
+        <>
+          {/* 指標の推移 */}
+          <Card style={styles.card}>
+            <Card.Content>
+              <Title>{metricLabel}の推移（万円）</Title>
+              <LineChart
+                data={chartData}
+                width={Dimensions.get('window').width - THEME.spacing.lg * 2}
+                height={260}
+                withDots={false}
+                chartConfig={{
+                  backgroundColor: COLORS.common.white,
+                  backgroundGradientFrom: COLORS.common.white,
+                  backgroundGradientTo: COLORS.common.white,
+                  decimalPlaces: 0,
+                  color: (opacity = 1) => `rgba(0, 0, 0, ${opacity})`,
+                }}
+                style={styles.chart}
+              />
+              <View style={styles.legendContainer}>
+                {comparison.plans.map((plan, i) => (
+                  <View key={plan.id} style={styles.legendItem}>
+                    <View style={[styles.legendColor, { backgroundColor: PLAN_COLORS[i](1) }]} />
+                    <Text>{plan.name}</Text>
+                  </View>
+                ))}
+              </View>
+              <Text style={styles.noteText}>
+                {comparison.years[0]}年〜{comparison.years[comparison.years.length - 1]}
+                年（選択したすべてのプランに含まれる期間）を表示しています
+              </Text>
+            </Card.Content>
+          </Card>
+
+          {/* 差が大きい年 */}
+          <Card style={styles.card}>
+            <Card.Content>
+              <Title>{metricLabel}の差が大きい年</Title>
+              {divergentYears.length === 0 ? (
+                <Text style={styles.emptyText}>プラン間の差はありません</Text>
+              ) : (
+                <DataTable>
+                  <DataTable.Header>
+                    <DataTable.Title>年</DataTable.Title>
+                    {comparison.plans.map(plan => (
+                      <DataTable.Title key={plan.id} numeric>
+                        {plan.name}
+                      </DataTable.Title>
+                    ))}
+                    <DataTable.Title numeric>差</DataTable.Title>
+                  </DataTable.Header>
+                  {divergentYears.map(entry => (
+                    <DataTable.Row key={entry.year}>
+                      <DataTable.Cell>{entry.year}年</DataTable.Cell>
+                      {entry.values.map((value, i) => (
+                        <DataTable.Cell key={comparison.plans[i].id} numeric>
+                          <Text style={value < 0 ? styles.negativeText : null}>
+                            {formatCurrency(value)}
+                          </Text>
+                        </DataTable.Cell>
+                      ))}
+                      <DataTable.Cell numeric>{formatCurrency(entry.spread)}</DataTable.Cell>
+                    </DataTable.Row>
+                  ))}
+                </DataTable>
+              )}
+            </Card.Content>
+          </Card>
+        </>
+      )}
+    </ScrollView>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.common.white,
+  },
+  card: {
+    margin: THEME.spacing.md,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: THEME.spacing.sm,
+  },
+  chip: {
+    marginRight: THEME.spacing.sm,
+    marginBottom: THEME.spacing.sm,
+  },
+  modeSwitch: {
+    marginHorizontal: THEME.spacing.md,
+    marginBottom: THEME.spacing.sm,
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+  },
+  chart: {
+    marginVertical: THEME.spacing.md,
+  },
+  legendContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: THEME.spacing.md,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: THEME.spacing.sm,
+  },
+  legendColor: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    marginRight: THEME.spacing.xs,
+  },
+  negativeText: {
+    color: COLORS.accent.error,
+  },
+  noteText: {
+    marginTop: THEME.spacing.sm,
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+  },
+});
+
+export default ComparisonScreen;
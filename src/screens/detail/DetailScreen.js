@@ -11,6 +11,8 @@ import AssetTab from './tabs/AssetTab';
 import EventTab from './tabs/EventTab';
 import ExpenseTab from './tabs/ExpenseTab';
 import IncomeTab from './tabs/IncomeTab';
+import LiabilityTab from './tabs/LiabilityTab';
+import VarianceTab from './tabs/VarianceTab';
 
 /**
  * 収支イベント資産管理画面
@@ -43,7 +45,9 @@ const DetailScreen = observer(({ route, navigation }) => {
     { key: 'expense', title: '支出' },
     { key: 'income', title: '収入' },
     { key: 'asset', title: '資産' },
+    { key: 'liability', title: '負債' },
     { key: 'event', title: 'イベント' },
+    { key: 'variance', title: '予実' },
   ]);
 
   // ライフプランと年別データの取得
@@ -69,8 +73,12 @@ const DetailScreen = observer(({ route, navigation }) => {
         return <IncomeTab lifePlanId={lifePlanId} yearData={yearData} />;
       case 'asset':
         return <AssetTab lifePlanId={lifePlanId} yearData={yearData} />;
+      case 'liability':
+        return <LiabilityTab lifePlanId={lifePlanId} yearData={yearData} />;
       case 'event':
         return <EventTab lifePlanId={lifePlanId} yearData={yearData} />;
+      case 'variance':
+        return <VarianceTab lifePlanId={lifePlanId} yearData={yearData} />;
       default:
         return null;
     }
@@ -1,4 +1,5 @@
 import { observer } from 'mobx-react-lite';
+import { nanoid } from 'nanoid';
 import React, { useEffect, useState } from 'react';
 import { ScrollView, StyleSheet, View } from 'react-native';
 import { Button, List, Modal, Portal, Text } from 'react-native-paper';
@@ -6,13 +7,21 @@ import DatePickerInput from '../../../components/forms/DatePickerInput';
 import NumberInput from '../../../components/forms/NumberInput';
 import TextInput from '../../../components/forms/TextInput';
 import { COLORS, ENUMS, THEME } from '../../../constants';
+import {
+  ASSET_CASH_FLOW_METHOD_LABELS,
+  ASSET_CASH_FLOW_TYPE_LABELS,
+  checkNisaLimits,
+} from '../../../services/calculators/assetCashFlow';
+import { ACCOUNT_TYPE_LABELS, isNisaAccount } from '../../../services/calculators/investmentTax';
+import { DEFAULT_VOLATILITY } from '../../../services/calculators/monteCarlo';
 import { rootStore } from '../../../stores/RootStore';
 import { logModalShow } from '../../../utils/logger';
 
 /**
  * 資産作成・編集モーダル
+ * endYear はプランの最終年（NISA の投資枠の確認で積立額を集計する最終年）
  */
-const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year }) => {
+const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year, endYear }) => {
   // 基本情報の状態
   const [name, setName] = useState('');
   const [initialAmount, setInitialAmount] = useState(0);
@@ -20,11 +29,19 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
   const [startDate, setStartDate] = useState(null);
   const [maturityDate, setMaturityDate] = useState(null);
 
+  // 口座の種類の状態
+  const [accountType, setAccountType] = useState(ENUMS.accountType.TAXABLE);
+  const [monthlyContribution, setMonthlyContribution] = useState(0);
+
+  // 積立・取り崩しの状態
+  const [cashFlowSchedule, setCashFlowSchedule] = useState([]);
+
   // キャピタルゲイン設定の状態
   const [annualRate, setAnnualRate] = useState(0.05); // デフォルト5%
   const [compoundingFrequency, setCompoundingFrequency] = useState(
     ENUMS.compoundingFrequency.MONTHLY,
   );
+  const [volatility, setVolatility] = useState(DEFAULT_VOLATILITY);
 
   // インカムゲイン設定の状態
   const [dividendYield, setDividendYield] = useState(0.02); // デフォルト2%
@@ -49,22 +66,25 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
       setCategory(initialValues.category);
       setStartDate(initialValues.startDate);
       setMaturityDate(initialValues.maturityDate);
+      setAccountType(initialValues.accountType || ENUMS.accountType.TAXABLE);
+      setMonthlyContribution(initialValues.monthlyContribution || 0);
+      setCashFlowSchedule(initialValues.cashFlowSchedule || []);
 
       if (initialValues.returns) {
         const { capitalGain, incomeGain } = initialValues.returns;
         setAnnualRate(capitalGain.annualRate);
         setCompoundingFrequency(capitalGain.compoundingFrequency);
+        setVolatility(capitalGain.volatility ?? DEFAULT_VOLATILITY);
         setDividendYield(incomeGain?.dividendYield || 0.02);
         setPaymentFrequency(incomeGain?.paymentFrequency || 'quarterly');
         setReinvestDividends(incomeGain?.reinvestDividends || true);
       }
 
+      // 予測値を実績として保存しないよう、記録済みの実績値のみを表示する
       const yearPerformance = initialValues.yearlyPerformance?.find(p => p.year === year);
-      if (yearPerformance) {
-        setActualEndValue(yearPerformance.actualEndValue || yearPerformance.endValue);
-        setActualCapitalGains(yearPerformance.actualCapitalGains || yearPerformance.capitalGains);
-        setActualDividends(yearPerformance.actualDividends || yearPerformance.dividends);
-      }
+      setActualEndValue(yearPerformance?.actualEndValue || 0);
+      setActualCapitalGains(yearPerformance?.actualCapitalGains || 0);
+      setActualDividends(yearPerformance?.actualDividends || []);
     }
   }, [initialValues, year]);
 
@@ -88,10 +108,31 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
       setError('投資開始日を選択してください');
       return false;
     }
+    if (accountType === ENUMS.accountType.IDECO && monthlyContribution < 0) {
+      setError('掛金は0以上で入力してください');
+      return false;
+    }
     if (maturityDate && new Date(maturityDate) <= new Date(startDate)) {
       setError('満期日は開始日より後の日付を選択してください');
       return false;
     }
+    for (const schedule of cashFlowSchedule) {
+      if (schedule.method === ENUMS.assetCashFlowMethod.FIXED && !(schedule.amount > 0)) {
+        setError('積立・取り崩しの金額を入力してください');
+        return false;
+      }
+      if (
+        schedule.method === ENUMS.assetCashFlowMethod.PERCENTAGE &&
+        !(schedule.rate > 0 && schedule.rate <= 1)
+      ) {
+        setError('積立・取り崩しの割合は0%より大きく100%以下で入力してください');
+        return false;
+      }
+      if (schedule.startYear && schedule.endYear && schedule.endYear < schedule.startYear) {
+        setError('積立・取り崩しの終了年は開始年以降を入力してください');
+        return false;
+      }
+    }
     return true;
   };
 
@@ -106,10 +147,14 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
         category,
         startDate,
         maturityDate,
+        accountType,
+        monthlyContribution: accountType === ENUMS.accountType.IDECO ? monthlyContribution : 0,
+        cashFlowSchedule,
         returns: {
           capitalGain: {
             annualRate,
             compoundingFrequency,
+            volatility,
           },
           incomeGain: {
             dividendYield,
@@ -119,16 +164,15 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
         },
       };
 
-      // 実績値がある場合は年次パフォーマンスに追加
+      // 実績値がある場合は対象年の実績として渡す
       if (actualEndValue || actualCapitalGains || actualDividends.length > 0) {
-        data.yearlyPerformance = [
-          {
-            year,
-            actualEndValue,
-            actualCapitalGains,
-            actualDividends,
-          },
-        ];
+        data.actualPerformance = {
+          year,
+          endValue: actualEndValue,
+          capitalGains: actualCapitalGains,
+          dividends: actualDividends,
+          totalDividends: actualDividends.reduce((sum, d) => sum + (d.amount || 0), 0),
+        };
       }
 
       onSubmit(data);
@@ -145,8 +189,12 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
     setCategory('');
     setStartDate(null);
     setMaturityDate(null);
+    setAccountType(ENUMS.accountType.TAXABLE);
+    setMonthlyContribution(0);
+    setCashFlowSchedule([]);
     setAnnualRate(0.05);
     setCompoundingFrequency(ENUMS.compoundingFrequency.MONTHLY);
+    setVolatility(DEFAULT_VOLATILITY);
     setDividendYield(0.02);
     setPaymentFrequency('quarterly');
     setReinvestDividends(true);
@@ -156,6 +204,68 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
     setError(null);
   };
 
+  /**
+   * 積立・取り崩しの追加
+   */
+  const addCashFlowSchedule = () => {
+    setCashFlowSchedule([
+      ...cashFlowSchedule,
+      {
+        id: nanoid(),
+        type: ENUMS.assetCashFlowType.CONTRIBUTION,
+        method: ENUMS.assetCashFlowMethod.FIXED,
+        amount: 0,
+        rate: 0.04,
+        frequency: ENUMS.frequency.MONTHLY,
+        startYear: year,
+        endYear: null,
+      },
+    ]);
+  };
+
+  /**
+   * 積立・取り崩しの更新
+   * 不足額の補填は取り崩しでのみ選択できる
+   */
+  const updateCashFlowSchedule = (id, data) => {
+    setCashFlowSchedule(
+      cashFlowSchedule.map(schedule => {
+        if (schedule.id !== id) {
+          return schedule;
+        }
+        const updated = { ...schedule, ...data };
+        if (
+          updated.type === ENUMS.assetCashFlowType.CONTRIBUTION &&
+          updated.method === ENUMS.assetCashFlowMethod.DEFICIT
+        ) {
+          updated.method = ENUMS.assetCashFlowMethod.FIXED;
+        }
+        return updated;
+      }),
+    );
+  };
+
+  /**
+   * NISA の投資枠の超過警告
+   * 保存は妨げず、入力中の資産単体で確認する（プラン全体の確認は資産タブで行う）
+   */
+  const nisaWarnings = isNisaAccount(accountType)
+    ? checkNisaLimits(
+        [
+          {
+            id: initialValues?.id,
+            initialAmount,
+            startDate,
+            maturityDate,
+            accountType,
+            cashFlowSchedule,
+          },
+        ],
+        endYear ?? year,
+        year,
+      )
+    : [];
+
   return (
     <Portal>
       <Modal
@@ -202,13 +312,153 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
               style={styles.input}
             />
             <DatePickerInput
-              label="満期日（任意）"
+              label={accountType === ENUMS.accountType.IDECO ? '受取開始日' : '満期日（任意）'}
               value={maturityDate}
               onChange={setMaturityDate}
               style={styles.input}
             />
           </List.Section>
 
+          {/* 口座の種類 */}
+          <List.Section title="口座の種類">
+            <List.Accordion
+              title="口座"
+              description={ACCOUNT_TYPE_LABELS[accountType]}
+              style={styles.input}>
+              {Object.values(ENUMS.accountType).map(value => (
+                <List.Item
+                  key={value}
+                  title={ACCOUNT_TYPE_LABELS[value]}
+                  onPress={() => setAccountType(value)}
+                />
+              ))}
+            </List.Accordion>
+            {accountType === ENUMS.accountType.IDECO && (
+              <NumberInput
+                label="掛金（月額）"
+                defaultValue={monthlyContribution}
+                onChangeValue={setMonthlyContribution}
+                format="currency"
+                style={styles.input}
+              />
+            )}
+            {nisaWarnings.map(warning => (
+              <Text key={warning} style={styles.warningText}>
+                {warning}
+              </Text>
+            ))}
+          </List.Section>
+
+          {/* 積立・取り崩し */}
+          <List.Section title="積立・取り崩し">
+            {cashFlowSchedule.map(schedule => (
+              <View key={schedule.id} style={styles.scheduleCard}>
+                <List.Accordion
+                  title="種類"
+                  description={ASSET_CASH_FLOW_TYPE_LABELS[schedule.type]}
+                  style={styles.input}>
+                  {Object.values(ENUMS.assetCashFlowType).map(value => (
+                    <List.Item
+                      key={value}
+                      title={ASSET_CASH_FLOW_TYPE_LABELS[value]}
+                      onPress={() => updateCashFlowSchedule(schedule.id, { type: value })}
+                    />
+                  ))}
+                </List.Accordion>
+                <List.Accordion
+                  title="金額の決め方"
+                  description={ASSET_CASH_FLOW_METHOD_LABELS[schedule.method]}
+                  style={styles.input}>
+                  {Object.values(ENUMS.assetCashFlowMethod)
+                    .filter(
+                      value =>
+                        schedule.type === ENUMS.assetCashFlowType.WITHDRAWAL ||
+                        value !== ENUMS.assetCashFlowMethod.DEFICIT,
+                    )
+                    .map(value => (
+                      <List.Item
+                        key={value}
+                        title={ASSET_CASH_FLOW_METHOD_LABELS[value]}
+                        onPress={() =>
+                          updateCashFlowSchedule(schedule.id, {
+                            method: value,
+                          })
+                        }
+                      />
+                    ))}
+                </List.Accordion>
+                {schedule.method === ENUMS.assetCashFlowMethod.FIXED && (
+                  <NumberInput
+                    label="金額（1回あたり）"
+                    defaultValue={schedule.amount}
+                    onChangeValue={amount => updateCashFlowSchedule(schedule.id, { amount })}
+                    format="currency"
+                    style={styles.input}
+                  />
+                )}
+                {schedule.method === ENUMS.assetCashFlowMethod.PERCENTAGE && (
+                  <NumberInput
+                    label="期首評価額に対する割合（年率）"
+                    defaultValue={schedule.rate}
+                    onChangeValue={rate => updateCashFlowSchedule(schedule.id, { rate })}
+                    step={0.001}
+                    format="percent"
+                    style={styles.input}
+                  />
+                )}
+                {schedule.method !== ENUMS.assetCashFlowMethod.DEFICIT && (
+                  <List.Accordion
+                    title="頻度"
+                    description={
+                      schedule.frequency === ENUMS.frequency.YEARLY ? '毎年（1月）' : '毎月'
+                    }
+                    style={styles.input}>
+                    <List.Item
+                      title="毎月"
+                      onPress={() =>
+                        updateCashFlowSchedule(schedule.id, {
+                          frequency: ENUMS.frequency.MONTHLY,
+                        })
+                      }
+                    />
+                    <List.Item
+                      title="毎年（1月）"
+                      onPress={() =>
+                        updateCashFlowSchedule(schedule.id, {
+                          frequency: ENUMS.frequency.YEARLY,
+                        })
+                      }
+                    />
+                  </List.Accordion>
+                )}
+                <View style={styles.scheduleYears}>
+                  <NumberInput
+                    label="開始年"
+                    defaultValue={schedule.startYear}
+                    onChangeValue={startYear => updateCashFlowSchedule(schedule.id, { startYear })}
+                    style={styles.scheduleYear}
+                  />
+                  <NumberInput
+                    label="終了年（任意）"
+                    defaultValue={schedule.endYear}
+                    onChangeValue={endYear => updateCashFlowSchedule(schedule.id, { endYear })}
+                    style={styles.scheduleYear}
+                  />
+                  <Button
+                    icon="delete"
+                    mode="text"
+                    onPress={() =>
+                      setCashFlowSchedule(cashFlowSchedule.filter(s => s.id !== schedule.id))
+                    }
+                  />
+                </View>
+              </View>
+            ))}
+            <Button mode="outlined" onPress={addCashFlowSchedule} style={styles.input}>
+              積立・取り崩しを追加
+            </Button>
+          </List.Section>
+
           {/* キャピタルゲイン設定 */}
           <List.Section title="キャピタルゲイン設定">
             <NumberInput
@@ -236,6 +486,14 @@ const AssetModal = observer(({ visible, onDismiss, onSubmit, initialValues, year
                 onPress={() => setCompoundingFrequency(ENUMS.compoundingFrequency.DAILY)}
               />
             </List.Accordion>
+            <NumberInput
+              label="価格変動率（年率・シミュレーション用）"
+              defaultValue={volatility}
+              onChangeValue={setVolatility}
+              step={0.01}
+              format="percent"
+              style={styles.input}
+            />
           </List.Section>
 
           {/* インカムゲイン設定 */}
@@ -374,6 +632,21 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginRight: THEME.spacing.sm,
   },
+  scheduleCard: {
+    borderWidth: 1,
+    borderColor: COLORS.grey[200],
+    borderRadius: THEME.borderRadius.md,
+    padding: THEME.spacing.sm,
+    marginBottom: THEME.spacing.md,
+  },
+  scheduleYears: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  scheduleYear: {
+    flex: 1,
+    marginRight: THEME.spacing.sm,
+  },
   addDividendButton: {
     marginBottom: THEME.spacing.md,
   },
@@ -397,6 +670,11 @@ const styles = StyleSheet.create({
     marginBottom: THEME.spacing.sm,
     marginLeft: THEME.spacing.sm,
   },
+  warningText: {
+    color: COLORS.accent.warning,
+    fontSize: THEME.typography.caption,
+    marginBottom: THEME.spacing.sm,
+  },
   footer: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
@@ -11,203 +11,226 @@ import { logModalShow } from '../../../utils/logger';
 /**
  * イベント作成・編集モーダル
  */
-const EventModal = observer(({ visible, onDismiss, onSubmit, initialValues, yearData }) => {
-  // フォームの状態管理
-  const [name, setName] = useState('');
-  const [date, setDate] = useState(null);
-  const [description, setDescription] = useState('');
-  const [selectedIncomes, setSelectedIncomes] = useState([]);
-  const [selectedExpenses, setSelectedExpenses] = useState([]);
-  const [selectedAssets, setSelectedAssets] = useState([]);
-  const [error, setError] = useState(null);
-
-  // 初期値のセット
-  useEffect(() => {
-    if (initialValues) {
-      setName(initialValues.name);
-      setDate(initialValues.date);
-      setDescription(initialValues.description || '');
-      setSelectedIncomes(initialValues.impactDetails?.incomes || []);
-      setSelectedExpenses(initialValues.impactDetails?.expenses || []);
-      setSelectedAssets(initialValues.impactDetails?.assets || []);
-    }
-  }, [initialValues]);
-
-  /**
-   * フォームの検証
-   */
-  const validateForm = () => {
-    if (!name.trim()) {
-      setError('イベント名を入力してください');
-      return false;
-    }
-    if (!date) {
-      setError('発生日を選択してください');
-      return false;
-    }
-    return true;
-  };
-
-  /**
-   * 送信処理
-   */
-  const handleSubmit = () => {
-    if (validateForm()) {
-      onSubmit({
-        name: name.trim(),
-        date,
-        description: description.trim(),
-        impactDetails: {
-          incomes: selectedIncomes,
-          expenses: selectedExpenses,
-          assets: selectedAssets,
-        },
-      });
-      resetForm();
-    }
-  };
-
-  /**
-   * フォームのリセット
-   */
-  const resetForm = () => {
-    setName('');
-    setDate(null);
-    setDescription('');
-    setSelectedIncomes([]);
-    setSelectedExpenses([]);
-    setSelectedAssets([]);
-    setError(null);
-  };
-
-  /**
-   * アイテムの選択状態を切り替え
-   */
-  const toggleSelection = (id, type) => {
-    switch (type) {
-      case 'income':
-        if (selectedIncomes.includes(id)) {
-          setSelectedIncomes(selectedIncomes.filter(i => i !== id));
-        } else {
-          setSelectedIncomes([...selectedIncomes, id]);
-        }
-        break;
-      case 'expense':
-        if (selectedExpenses.includes(id)) {
-          setSelectedExpenses(selectedExpenses.filter(e => e !== id));
-        } else {
-          setSelectedExpenses([...selectedExpenses, id]);
-        }
-        break;
-      case 'asset':
-        if (selectedAssets.includes(id)) {
-          setSelectedAssets(selectedAssets.filter(a => a !== id));
-        } else {
-          setSelectedAssets([...selectedAssets, id]);
-        }
-        break;
-    }
-  };
-
-  return (
-    <Portal>
-      <Modal
-        visible={visible}
-        onDismiss={onDismiss}
-        onShow={() => logModalShow('イベントモーダル')}
-        contentContainerStyle={styles.modalContainer}>
-        <View style={styles.header}>
-          <Text style={styles.title}>{initialValues ? 'イベントの編集' : 'イベントの追加'}</Text>
-        </View>
-
-        <ScrollView style={styles.content}>
-          {/* 基本情報フォーム */}
-          <TextInput
-            label="イベント名"
-            defaultValue={name}
-            onChangeText={setName}
-            style={styles.input}
-          />
-          <DatePickerInput label="発生日" value={date} onChange={setDate} style={styles.input} />
-          <TextInput
-            label="説明"
-            defaultValue={description}
-            onChangeText={setDescription}
-            multiline
-            numberOfLines={3}
-            style={styles.input}
-          />
-
-          {/* 関連する収支・資産の選択 */}
-          {yearData.incomes.length > 0 && (
-            <List.Section title="関連する収入">
-              {yearData.incomes.map(income => (
-                <List.Item
-                  key={income.id}
-                  title={income.name}
-                  description={formatCurrency(income.amount)}
-                  left={props => (
-                    <Checkbox
-                      status={selectedIncomes.includes(income.id) ? 'checked' : 'unchecked'}
-                      onPress={() => toggleSelection(income.id, 'income')}
-                    />
-                  )}
-                />
-              ))}
-            </List.Section>
-          )}
-
-          {yearData.expenses.length > 0 && (
-            <List.Section title="関連する支出">
-              {yearData.expenses.map(expense => (
-                <List.Item
-                  key={expense.id}
-                  title={expense.name}
-                  description={formatCurrency(expense.amount)}
-                  left={props => (
-                    <Checkbox
-                      status={selectedExpenses.includes(expense.id) ? 'checked' : 'unchecked'}
-                      onPress={() => toggleSelection(expense.id, 'expense')}
-                    />
-                  )}
-                />
-              ))}
-            </List.Section>
-          )}
-
-          {yearData.assets.length > 0 && (
-            <List.Section title="関連する資産">
-              {yearData.assets.map(asset => (
-                <List.Item
-                  key={asset.id}
-                  title={asset.name}
-                  description={formatCurrency(asset.initialAmount)}
-                  left={props => (
-                    <Checkbox
-                      status={selectedAssets.includes(asset.id) ? 'checked' : 'unchecked'}
-                      onPress={() => toggleSelection(asset.id, 'asset')}
-                    />
-                  )}
-                />
-              ))}
-            </List.Section>
-          )}
-
-          {error && <Text style={styles.errorText}>{error}</Text>}
-        </ScrollView>
-
-        <View style={styles.footer}>
-          <Button mode="outlined" onPress={onDismiss} style={styles.footerButton}>
-            キャンセル
-          </Button>
-          <Button mode="contained" onPress={handleSubmit} style={styles.footerButton}>
-            {initialValues ? '更新' : '追加'}
-          </Button>
-        </View>
-      </Modal>
-    </Portal>
-  );
-});
+const EventModal = observer(
+  ({ visible, onDismiss, onSubmit, initialValues, yearData, members = [], assets = [] }) => {
+    // フォームの状態管理
+    const [name, setName] = useState('');
+    const [date, setDate] = useState(null);
+    const [description, setDescription] = useState('');
+    const [selectedIncomes, setSelectedIncomes] = useState([]);
+    const [selectedExpenses, setSelectedExpenses] = useState([]);
+    const [selectedAssets, setSelectedAssets] = useState([]);
+    const [memberId, setMemberId] = useState(null);
+    const [error, setError] = useState(null);
+
+    // 初期値のセット
+    useEffect(() => {
+      if (initialValues) {
+        setName(initialValues.name);
+        setDate(initialValues.date);
+        setDescription(initialValues.description || '');
+        setSelectedIncomes(initialValues.impactDetails?.incomes || []);
+        setSelectedExpenses(initialValues.impactDetails?.expenses || []);
+        setSelectedAssets(initialValues.impactDetails?.assets || []);
+        setMemberId(initialValues.memberId || null);
+      }
+    }, [initialValues]);
+
+    /**
+     * フォームの検証
+     */
+    const validateForm = () => {
+      if (!name.trim()) {
+        setError('イベント名を入力してください');
+        return false;
+      }
+      if (!date) {
+        setError('発生日を選択してください');
+        return false;
+      }
+      return true;
+    };
+
+    /**
+     * 送信処理
+     */
+    const handleSubmit = () => {
+      if (validateForm()) {
+        onSubmit({
+          name: name.trim(),
+          date,
+          description: description.trim(),
+          memberId,
+          impactDetails: {
+            incomes: selectedIncomes,
+            expenses: selectedExpenses,
+            assets: selectedAssets,
+          },
+        });
+        resetForm();
+      }
+    };
+
+    /**
+     * フォームのリセット
+     */
+    const resetForm = () => {
+      setName('');
+      setDate(null);
+      setDescription('');
+      setSelectedIncomes([]);
+      setSelectedExpenses([]);
+      setSelectedAssets([]);
+      setMemberId(null);
+      setError(null);
+    };
+
+    /**
+     * アイテムの選択状態を切り替え
+     */
+    const toggleSelection = (id, type) => {
+      switch (type) {
+        case 'income':
+          if (selectedIncomes.includes(id)) {
+            setSelectedIncomes(selectedIncomes.filter(i => i !== id));
+          } else {
+            setSelectedIncomes([...selectedIncomes, id]);
+          }
+          break;
+        case 'expense':
+          if (selectedExpenses.includes(id)) {
+            setSelectedExpenses(selectedExpenses.filter(e => e !== id));
+          } else {
+            setSelectedExpenses([...selectedExpenses, id]);
+          }
+          break;
+        case 'asset':
+          if (selectedAssets.includes(id)) {
+            setSelectedAssets(selectedAssets.filter(a => a !== id));
+          } else {
+            setSelectedAssets([...selectedAssets, id]);
+          }
+          break;
+      }
+    };
+
+    return (
+      <Portal>
+        <Modal
+          visible={visible}
+          onDismiss={onDismiss}
+          onShow={() => logModalShow('イベントモーダル')}
+          contentContainerStyle={styles.modalContainer}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{initialValues ? 'イベントの編集' : 'イベントの追加'}</Text>
+          </View>
+
+          <ScrollView style={styles.content}>
+            {/* 基本情報フォーム */}
+            <TextInput
+              label="イベント名"
+              defaultValue={name}
+              onChangeText={setName}
+              style={styles.input}
+            />
+            <DatePickerInput label="発生日" value={date} onChange={setDate} style={styles.input} />
+            <TextInput
+              label="説明"
+              defaultValue={description}
+              onChangeText={setDescription}
+              multiline
+              numberOfLines={3}
+              style={styles.input}
+            />
+
+            {/* 対象メンバーの選択 */}
+            {members.length > 0 && (
+              <List.Accordion
+                title="対象メンバー"
+                description={members.find(m => m.id === memberId)?.name || '指定なし'}
+                style={styles.input}>
+                <List.Item title="指定なし" onPress={() => setMemberId(null)} />
+                {members.map(member => (
+                  <List.Item
+                    key={member.id}
+                    title={`${member.name}（${member.relationship}）`}
+                    onPress={() => setMemberId(member.id)}
+                  />
+                ))}
+              </List.Accordion>
+            )}
+
+            {/* 関連する収支・資産の選択 */}
+            {yearData.incomes.length > 0 && (
+              <List.Section title="関連する収入">
+                {yearData.incomes.map(income => (
+                  <List.Item
+                    key={income.id}
+                    title={income.name}
+                    description={formatCurrency(income.amount)}
+                    left={props => (
+                      <Checkbox
+                        status={selectedIncomes.includes(income.id) ? 'checked' : 'unchecked'}
+                        onPress={() => toggleSelection(income.id, 'income')}
+                      />
+                    )}
+                  />
+                ))}
+              </List.Section>
+            )}
+
+            {yearData.expenses.length > 0 && (
+              <List.Section title="関連する支出">
+                {yearData.expenses.map(expense => (
+                  <List.Item
+                    key={expense.id}
+                    title={expense.name}
+                    description={formatCurrency(expense.amount)}
+                    left={props => (
+                      <Checkbox
+                        status={selectedExpenses.includes(expense.id) ? 'checked' : 'unchecked'}
+                        onPress={() => toggleSelection(expense.id, 'expense')}
+                      />
+                    )}
+                  />
+                ))}
+              </List.Section>
+            )}
+
+            {assets.length > 0 && (
+              <List.Section title="関連する資産">
+                {assets.map(asset => (
+                  <List.Item
+                    key={asset.id}
+                    title={asset.name}
+                    description={formatCurrency(asset.initialAmount)}
+                    left={props => (
+                      <Checkbox
+                        status={selectedAssets.includes(asset.id) ? 'checked' : 'unchecked'}
+                        onPress={() => toggleSelection(asset.id, 'asset')}
+                      />
+                    )}
+                  />
+                ))}
+              </List.Section>
+            )}
+
+            {error && <Text style={styles.errorText}>{error}</Text>}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <Button mode="outlined" onPress={onDismiss} style={styles.footerButton}>
+              キャンセル
+            </Button>
+            <Button mode="contained" onPress={handleSubmit} style={styles.footerButton}>
+              {initialValues ? '更新' : '追加'}
+            </Button>
+          </View>
+        </Modal>
+      </Portal>
+    );
+  },
+);
 
 const styles = StyleSheet.create({
   modalContainer: {
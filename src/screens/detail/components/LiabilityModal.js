@@ -0,0 +1,268 @@
+import { observer } from 'mobx-react-lite';
+import React, { useEffect, useState } from 'react';
+import { ScrollView, StyleSheet, View } from 'react-native';
+import { Button, DataTable, List, Modal, Portal, Text } from 'react-native-paper';
+import DatePickerInput from '../../../components/forms/DatePickerInput';
+import NumberInput from '../../../components/forms/NumberInput';
+import TextInput from '../../../components/forms/TextInput';
+import { COLORS, ENUMS, THEME } from '../../../constants';
+import { buildLiabilitySchedule } from '../../../services/calculators/liability';
+import { LOAN_REPAYMENT_METHOD_LABELS } from '../../../services/calculators/loan';
+import { rootStore } from '../../../stores/RootStore';
+import { formatCurrency } from '../../../utils/format';
+import { logModalShow } from '../../../utils/logger';
+import { validateLiability } from '../../../utils/validate';
+
+/**
+ * 負債作成・編集モーダル
+ */
+const LiabilityModal = observer(({ visible, onDismiss, onSubmit, initialValues }) => {
+  // フォームの状態管理
+  const [name, setName] = useState('');
+  const [category, setCategory] = useState('');
+  const [principal, setPrincipal] = useState(0);
+  const [startDate, setStartDate] = useState(null);
+  const [termYears, setTermYears] = useState(5);
+  const [repaymentMethod, setRepaymentMethod] = useState(ENUMS.loanRepaymentMethod.EQUAL_PAYMENT);
+  const [annualRate, setAnnualRate] = useState(0.02);
+  const [error, setError] = useState(null);
+
+  // カテゴリのデータ
+  const categories = rootStore.categoryStore.sortedLiabilityCategories;
+
+  // 初期値のセット
+  useEffect(() => {
+    if (initialValues) {
+      setName(initialValues.name);
+      setCategory(initialValues.category);
+      setPrincipal(initialValues.principal);
+      setStartDate(initialValues.startDate);
+      setTermYears(initialValues.termYears);
+      setRepaymentMethod(initialValues.repaymentMethod || ENUMS.loanRepaymentMethod.EQUAL_PAYMENT);
+      setAnnualRate(initialValues.annualRate);
+    }
+  }, [initialValues]);
+
+  /**
+   * 入力中の内容から負債データを作成
+   */
+  const buildLiability = () => ({
+    name: name.trim(),
+    category,
+    principal,
+    startDate,
+    termYears,
+    repaymentMethod,
+    annualRate,
+  });
+
+  /**
+   * 送信処理
+   */
+  const handleSubmit = () => {
+    const data = buildLiability();
+    try {
+      validateLiability(data);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+    onSubmit(data);
+    resetForm();
+  };
+
+  /**
+   * フォームのリセット
+   */
+  const resetForm = () => {
+    setName('');
+    setCategory('');
+    setPrincipal(0);
+    setStartDate(null);
+    setTermYears(5);
+    setRepaymentMethod(ENUMS.loanRepaymentMethod.EQUAL_PAYMENT);
+    setAnnualRate(0.02);
+    setError(null);
+  };
+
+  /**
+   * モーダルを閉じる
+   */
+  const handleDismiss = () => {
+    resetForm();
+    onDismiss();
+  };
+
+  // 入力中の内容の返済予定
+  const schedule = buildLiabilitySchedule(buildLiability());
+  const totalInterest = schedule.reduce((sum, entry) => sum + entry.interest, 0);
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={handleDismiss}
+        onShow={() => logModalShow('負債モーダル')}
+        contentContainerStyle={styles.modalContainer}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{initialValues ? '負債の編集' : '負債の追加'}</Text>
+        </View>
+
+        <ScrollView style={styles.content}>
+          <TextInput label="名称" value={name} onChangeText={setName} style={styles.input} />
+          <List.Accordion title="カテゴリ" description={category} style={styles.input}>
+            {categories.map(cat => (
+              <List.Item
+                key={cat.id}
+                title={cat.name}
+                onPress={() => setCategory(cat.name)}
+                left={() => <View style={[styles.categoryColor, { backgroundColor: cat.color }]} />}
+              />
+            ))}
+          </List.Accordion>
+          <NumberInput
+            label="借入額"
+            value={principal}
+            onChangeValue={setPrincipal}
+            step={100000}
+            format="currency"
+            style={styles.input}
+          />
+          <DatePickerInput
+            label="借入日"
+            value={startDate}
+            onChange={setStartDate}
+            style={styles.input}
+          />
+          <Text style={styles.noteText}>
+            返済中の借入は、借入日を今日、借入額を現在の残高、返済期間を残りの期間として入力できます
+          </Text>
+          <NumberInput
+            label="返済期間（年）"
+            value={termYears}
+            onChangeValue={setTermYears}
+            min={1}
+            max={50}
+            style={styles.input}
+          />
+          <List.Accordion
+            title="返済方法"
+            description={LOAN_REPAYMENT_METHOD_LABELS[repaymentMethod]}
+            style={styles.input}>
+            {Object.values(ENUMS.loanRepaymentMethod).map(value => (
+              <List.Item
+                key={value}
+                title={LOAN_REPAYMENT_METHOD_LABELS[value]}
+                onPress={() => setRepaymentMethod(value)}
+              />
+            ))}
+          </List.Accordion>
+          <NumberInput
+            label="金利（年利）"
+            value={annualRate}
+            onChangeValue={setAnnualRate}
+            min={0}
+            max={1}
+            step={0.001}
+            format="percent"
+            style={styles.input}
+          />
+
+          {/* 返済予定表 */}
+          {schedule.length > 0 && (
+            <List.Accordion
+              title="返済予定表"
+              description={`総返済額 ${formatCurrency(principal + totalInterest)}（うち利息 ${formatCurrency(
+                totalInterest,
+              )}）`}
+              style={styles.input}>
+              <DataTable>
+                <DataTable.Header>
+                  <DataTable.Title>年</DataTable.Title>
+                  <DataTable.Title numeric>返済額</DataTable.Title>
+                  <DataTable.Title numeric>うち利息</DataTable.Title>
+                  <DataTable.Title numeric>年末残高</DataTable.Title>
+                </DataTable.Header>
+                {schedule.map(entry => (
+                  <DataTable.Row key={entry.year}>
+                    <DataTable.Cell>{entry.year}年</DataTable.Cell>
+                    <DataTable.Cell numeric>{formatCurrency(entry.payment)}</DataTable.Cell>
+                    <DataTable.Cell numeric>{formatCurrency(entry.interest)}</DataTable.Cell>
+                    <DataTable.Cell numeric>{formatCurrency(entry.endBalance)}</DataTable.Cell>
+                  </DataTable.Row>
+                ))}
+              </DataTable>
+            </List.Accordion>
+          )}
+
+          {error && <Text style={styles.errorText}>{error}</Text>}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Button mode="outlined" onPress={handleDismiss} style={styles.footerButton}>
+            キャンセル
+          </Button>
+          <Button mode="contained" onPress={handleSubmit} style={styles.footerButton}>
+            {initialValues ? '更新' : '追加'}
+          </Button>
+        </View>
+      </Modal>
+    </Portal>
+  );
+});
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    backgroundColor: COLORS.common.white,
+    margin: THEME.spacing.lg,
+    borderRadius: THEME.borderRadius.md,
+    maxHeight: '90%',
+  },
+  header: {
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  title: {
+    fontSize: THEME.typography.h3,
+    fontWeight: 'bold',
+  },
+  content: {
+    padding: THEME.spacing.md,
+  },
+  input: {
+    marginBottom: THEME.spacing.md,
+  },
+  categoryColor: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    marginRight: THEME.spacing.sm,
+  },
+  noteText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+    marginTop: -THEME.spacing.sm,
+    marginBottom: THEME.spacing.md,
+  },
+  errorText: {
+    color: COLORS.accent.error,
+    fontSize: THEME.typography.caption,
+    marginTop: THEME.spacing.xs,
+    marginBottom: THEME.spacing.sm,
+    marginLeft: THEME.spacing.sm,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: THEME.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  footerButton: {
+    marginLeft: THEME.spacing.sm,
+    minWidth: 100,
+  },
+});
+
+export default LiabilityModal;
@@ -1,5 +1,4 @@
 import { observer } from 'mobx-react-lite';
-import { nanoid } from 'nanoid';
 import React, { useMemo, useState } from 'react';
 import { Dimensions, ScrollView, StyleSheet, View } from 'react-native';
 import { LineChart, PieChart } from 'react-native-chart-kit';
@@ -16,6 +15,9 @@ import {
 } from 'react-native-paper';
 import ConfirmDialog from '../../../components/common/ConfirmDialog';
 import { COLORS, THEME } from '../../../constants';
+import { checkNisaLimits } from '../../../services/calculators/assetCashFlow';
+import { findYearPerformance } from '../../../services/calculators/assetPerformance';
+import { ACCOUNT_TYPE_LABELS, getAccountType } from '../../../services/calculators/investmentTax';
 import { rootStore } from '../../../stores/RootStore';
 import { formatCurrency, formatPercentage } from '../../../utils/format';
 import AssetModal from '../components/AssetModal';
@@ -31,14 +33,31 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
   const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
   const [editingAsset, setEditingAsset] = useState(null);
 
+  const lifePlan = rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+  const planEndYear = lifePlan.startYear + lifePlan.lifespan - 1;
+
+  // 資産はプランごとの台帳から、この年に保有しているものを表示する
+  const assets = rootStore.assetStore.getYearAssets(lifePlanId, yearData.year);
+
+  // 積立・取り崩し（収支の不足額の補填・取り崩し戦略を含む）を反映した各資産の予測値
+  const assetPerformances = rootStore.assetStore.getProjectedPerformances(lifePlanId);
+
   /**
-   * カテゴリ別の資産集計データを計算
+   * カテゴリ別の資産集計データを計算（この年の評価額）
    */
   const categoryData = useMemo(() => {
     const data = new Map();
-    yearData.assets.forEach(asset => {
+    assets.forEach(asset => {
+      const performance = findYearPerformance(
+        asset,
+        yearData.year,
+        assetPerformances.get(asset.id),
+      );
+      const value = performance
+        ? performance.actualEndValue || performance.endValue
+        : asset.initialAmount;
       const amount = data.get(asset.category) || 0;
-      data.set(asset.category, amount + asset.initialAmount);
+      data.set(asset.category, amount + value);
     });
 
     const categories = rootStore.categoryStore.sortedAssetCategories;
@@ -52,7 +71,7 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
         legendFontSize: 12,
       };
     });
-  }, [yearData.assets]);
+  }, [assets, assetPerformances, yearData.year]);
 
   /**
    * 総資産額とパフォーマンスを計算
@@ -60,33 +79,62 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
   const assetSummary = useMemo(() => {
     let totalInitialAmount = 0;
     let totalCurrentAmount = 0;
+    let totalAfterTaxAmount = 0;
     let totalCapitalGain = 0;
     let totalDividend = 0;
+    let totalTax = 0;
+    let totalContribution = 0;
+    let totalWithdrawal = 0;
 
-    yearData.assets.forEach(asset => {
+    assets.forEach(asset => {
       totalInitialAmount += asset.initialAmount;
 
-      const performance = asset.yearlyPerformance.find(p => p.year === yearData.year);
+      const performance = findYearPerformance(
+        asset,
+        yearData.year,
+        assetPerformances.get(asset.id),
+      );
 
       if (performance) {
         totalCurrentAmount += performance.actualEndValue || performance.endValue;
+        totalAfterTaxAmount += performance.afterTaxEndValue;
         totalCapitalGain += performance.actualCapitalGains || performance.capitalGains;
         totalDividend += performance.actualTotalDividends || performance.totalDividends;
+        totalTax += performance.dividendTax + performance.capitalGainsTax;
+        totalContribution += performance.contribution;
+        totalWithdrawal += performance.withdrawal;
       }
     });
 
     const totalReturn = totalCapitalGain + totalDividend;
+    const afterTaxReturn = totalReturn - totalTax;
     const returnRate = totalInitialAmount > 0 ? totalReturn / totalInitialAmount : 0;
+    const afterTaxReturnRate = totalInitialAmount > 0 ? afterTaxReturn / totalInitialAmount : 0;
 
     return {
       initialAmount: totalInitialAmount,
       currentAmount: totalCurrentAmount,
+      afterTaxAmount: totalAfterTaxAmount,
       capitalGain: totalCapitalGain,
       dividend: totalDividend,
+      tax: totalTax,
+      contribution: totalContribution,
+      withdrawal: totalWithdrawal,
       totalReturn,
       returnRate,
+      afterTaxReturn,
+      afterTaxReturnRate,
     };
-  }, [yearData.assets, yearData.year]);
+  }, [assets, assetPerformances, yearData.year]);
+
+  /**
+   * プラン全体の NISA 投資枠の超過警告
+   */
+  const nisaWarnings = checkNisaLimits(
+    rootStore.assetStore.getLifePlanAssets(lifePlanId),
+    planEndYear,
+    yearData.year,
+  );
 
   /**
    * パフォーマンスグラフのデータを作成
@@ -96,12 +144,16 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
     const expectedData = new Array(12).fill(0);
     const actualData = new Array(12).fill(0);
 
-    yearData.assets.forEach(asset => {
-      const performance = asset.yearlyPerformance.find(p => p.year === yearData.year);
+    assets.forEach(asset => {
+      const performance = findYearPerformance(
+        asset,
+        yearData.year,
+        assetPerformances.get(asset.id),
+      );
 
       if (performance) {
-        const monthlyGain = performance.capitalGains / 12;
-        const monthlyDividend = performance.totalDividends / 12;
+        const monthlyGain = performance.afterTaxCapitalGains / 12;
+        const monthlyDividend = performance.afterTaxDividends / 12;
 
         months.forEach((_, index) => {
           expectedData[index] += monthlyGain + monthlyDividend;
@@ -129,29 +181,33 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
         },
       ],
     };
-  }, [yearData.assets, yearData.year]);
+  }, [assets, assetPerformances, yearData.year]);
 
   /**
    * 資産の作成
    */
-  const handleCreate = data => {
-    rootStore.lifePlanStore.updateYearlyFinance(lifePlanId, yearData.id, {
-      assets: [...yearData.assets, { id: nanoid(), ...data }],
-    });
+  const handleCreate = ({ actualPerformance, ...data }) => {
+    const id = rootStore.assetStore.createAsset({ ...data, lifePlanId });
+    if (actualPerformance) {
+      rootStore.assetStore.updateActualPerformance(id, yearData.year, actualPerformance);
+    }
     setModalVisible(false);
   };
 
   /**
    * 資産の更新
+   * 評価額に影響する項目を変更した場合、全ての年の予測値が再計算される
    */
-  const handleUpdate = data => {
+  const handleUpdate = ({ actualPerformance, ...data }) => {
     if (editingAsset) {
-      const updatedAssets = yearData.assets.map(asset =>
-        asset.id === editingAsset.id ? { ...asset, ...data } : asset,
-      );
-      rootStore.lifePlanStore.updateYearlyFinance(lifePlanId, yearData.id, {
-        assets: updatedAssets,
-      });
+      rootStore.assetStore.updateAsset(editingAsset.id, data);
+      if (actualPerformance) {
+        rootStore.assetStore.updateActualPerformance(
+          editingAsset.id,
+          yearData.year,
+          actualPerformance,
+        );
+      }
       setModalVisible(false);
       setEditingAsset(null);
     }
@@ -159,13 +215,12 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
 
   /**
    * 資産の削除
+   * 資産はプラン全体で共通のため、全ての年から削除される
    */
   const handleDelete = () => {
     if (editingAsset) {
-      const updatedAssets = yearData.assets.filter(asset => asset.id !== editingAsset.id);
-      rootStore.lifePlanStore.updateYearlyFinance(lifePlanId, yearData.id, {
-        assets: updatedAssets,
-      });
+      rootStore.assetStore.deleteAsset(editingAsset.id);
+      rootStore.historyStore.notify(`${editingAsset.name}を削除しました`);
       setDeleteDialogVisible(false);
       setEditingAsset(null);
     }
@@ -192,6 +247,18 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
                 </Text>
               </View>
             </View>
+            <View style={styles.summaryRow}>
+              <View style={styles.summaryItem}>
+                <Paragraph>税引後評価額</Paragraph>
+                <Text style={styles.summaryValue}>
+                  {formatCurrency(assetSummary.afterTaxAmount)}
+                </Text>
+              </View>
+              <View style={styles.summaryItem}>
+                <Paragraph>税金</Paragraph>
+                <Text style={styles.summaryValue}>{formatCurrency(assetSummary.tax)}</Text>
+              </View>
+            </View>
             <View style={styles.summaryRow}>
               <View style={styles.summaryItem}>
                 <Paragraph>キャピタルゲイン</Paragraph>
@@ -202,13 +269,35 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
                 <Text style={styles.summaryValue}>{formatCurrency(assetSummary.dividend)}</Text>
               </View>
             </View>
+            <View style={styles.summaryRow}>
+              <View style={styles.summaryItem}>
+                <Paragraph>積立額</Paragraph>
+                <Text style={styles.summaryValue}>{formatCurrency(assetSummary.contribution)}</Text>
+              </View>
+              <View style={styles.summaryItem}>
+                <Paragraph>取り崩し額</Paragraph>
+                <Text style={styles.summaryValue}>{formatCurrency(assetSummary.withdrawal)}</Text>
+              </View>
+            </View>
             <View style={styles.totalReturn}>
               <Paragraph>総リターン</Paragraph>
               <Text style={styles.totalReturnValue}>
                 {formatCurrency(assetSummary.totalReturn)}{' '}
                 <Text style={styles.returnRate}>({formatPercentage(assetSummary.returnRate)})</Text>
               </Text>
+              <Paragraph>税引後 総リターン</Paragraph>
+              <Text style={styles.totalReturnValue}>
+                {formatCurrency(assetSummary.afterTaxReturn)}{' '}
+                <Text style={styles.returnRate}>
+                  ({formatPercentage(assetSummary.afterTaxReturnRate)})
+                </Text>
+              </Text>
             </View>
+            {nisaWarnings.map(warning => (
+              <Text key={warning} style={styles.warningText}>
+                {warning}
+              </Text>
+            ))}
           </Card.Content>
         </Card>
 
@@ -236,7 +325,7 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
         )}
 
         {/* パフォーマンスグラフ */}
-        {yearData.assets.length > 0 && (
+        {assets.length > 0 && (
           <Card style={styles.performanceCard}>
             <Card.Content>
               <Title>パフォーマンス推移</Title>
@@ -276,13 +365,19 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
           <DataTable.Header>
             <DataTable.Title>項目</DataTable.Title>
             <DataTable.Title>カテゴリ</DataTable.Title>
+            <DataTable.Title>口座</DataTable.Title>
             <DataTable.Title numeric>投資額</DataTable.Title>
             <DataTable.Title numeric>評価額</DataTable.Title>
+            <DataTable.Title numeric>税引後評価額</DataTable.Title>
             <DataTable.Title numeric>アクション</DataTable.Title>
           </DataTable.Header>
 
-          {yearData.assets.map(asset => {
-            const performance = asset.yearlyPerformance.find(p => p.year === yearData.year);
+          {assets.map(asset => {
+            const performance = findYearPerformance(
+              asset,
+              yearData.year,
+              assetPerformances.get(asset.id),
+            );
             const currentValue = performance
               ? performance.actualEndValue || performance.endValue
               : asset.initialAmount;
@@ -291,8 +386,12 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
               <DataTable.Row key={asset.id}>
                 <DataTable.Cell>{asset.name}</DataTable.Cell>
                 <DataTable.Cell>{asset.category}</DataTable.Cell>
+                <DataTable.Cell>{ACCOUNT_TYPE_LABELS[getAccountType(asset)]}</DataTable.Cell>
                 <DataTable.Cell numeric>{formatCurrency(asset.initialAmount)}</DataTable.Cell>
                 <DataTable.Cell numeric>{formatCurrency(currentValue)}</DataTable.Cell>
+                <DataTable.Cell numeric>
+                  {formatCurrency(performance ? performance.afterTaxEndValue : asset.initialAmount)}
+                </DataTable.Cell>
                 <DataTable.Cell numeric>
                   <View style={styles.actions}>
                     <IconButton
@@ -337,6 +436,7 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
           onSubmit={editingAsset ? handleUpdate : handleCreate}
           initialValues={editingAsset}
           year={yearData.year}
+          endYear={planEndYear}
         />
 
         <ConfirmDialog
@@ -347,7 +447,7 @@ const AssetTab = observer(({ lifePlanId, yearData }) => {
           }}
           onConfirm={handleDelete}
           title="資産の削除"
-          message={`${editingAsset?.name}を削除してもよろしいですか？`}
+          message={`${editingAsset?.name}を削除してもよろしいですか？全ての年から削除されます。`}
           confirmLabel="削除"
           confirmColor={COLORS.accent.error}
         />
@@ -394,6 +494,11 @@ const styles = StyleSheet.create({
     fontSize: THEME.typography.body1,
     color: COLORS.grey[600],
   },
+  warningText: {
+    marginTop: THEME.spacing.sm,
+    color: COLORS.accent.warning,
+    fontSize: THEME.typography.caption,
+  },
   chartContainer: {
     padding: THEME.spacing.md,
   },
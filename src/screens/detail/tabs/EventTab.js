@@ -5,6 +5,7 @@ import { ScrollView, StyleSheet, View } from 'react-native';
 import { Card, Chip, FAB, IconButton, Portal, Text, Title, useTheme } from 'react-native-paper';
 import ConfirmDialog from '../../../components/common/ConfirmDialog';
 import { COLORS, THEME } from '../../../constants';
+import { findMember, getMemberAge } from '../../../services/calculators/members';
 import { rootStore } from '../../../stores/RootStore';
 import format from '../../../utils/format';
 import EventModal from '../components/EventModal';
@@ -14,6 +15,8 @@ import EventModal from '../components/EventModal';
  */
 const EventTab = observer(({ lifePlanId, yearData }) => {
   const theme = useTheme();
+  const lifePlan = rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+  const assets = rootStore.assetStore.getYearAssets(lifePlanId, yearData.year);
 
   // モーダルの表示状態
   const [isModalVisible, setModalVisible] = useState(false);
@@ -62,6 +65,7 @@ const EventTab = observer(({ lifePlanId, yearData }) => {
       rootStore.lifePlanStore.updateYearlyFinance(lifePlanId, yearData.id, {
         events: updatedEvents,
       });
+      rootStore.historyStore.notify(`${editingEvent.name}を削除しました`);
       setDeleteDialogVisible(false);
       setEditingEvent(null);
     }
@@ -86,7 +90,7 @@ const EventTab = observer(({ lifePlanId, yearData }) => {
       );
     }
     if (impactDetails.assets) {
-      items.assets = yearData.assets.filter(asset => impactDetails.assets.includes(asset.id));
+      items.assets = assets.filter(asset => impactDetails.assets.includes(asset.id));
     }
 
     return items;
@@ -98,6 +102,8 @@ const EventTab = observer(({ lifePlanId, yearData }) => {
         {sortedEvents.length > 0 ? (
           sortedEvents.map(event => {
             const linkedItems = getLinkedItems(event.impactDetails || {});
+            const member = findMember(lifePlan, event.memberId);
+            const memberAge = getMemberAge(member, yearData.year);
 
             return (
               <Card key={event.id} style={styles.eventCard}>
@@ -106,6 +112,12 @@ const EventTab = observer(({ lifePlanId, yearData }) => {
                     <View style={styles.eventTitleContainer}>
                       <Title>{event.name}</Title>
                       <Text style={styles.eventDate}>{format.formatDate(event.date)}</Text>
+                      {member && (
+                        <Text style={styles.eventDate}>
+                          {member.name}
+                          {memberAge !== null && `（${memberAge}歳）`}
+                        </Text>
+                      )}
                     </View>
                     <View style={styles.actions}>
                       <IconButton
@@ -206,6 +218,8 @@ const EventTab = observer(({ lifePlanId, yearData }) => {
           onSubmit={editingEvent ? handleUpdate : handleCreate}
           initialValues={editingEvent}
           yearData={yearData}
+          members={lifePlan.members || []}
+          assets={assets}
         />
 
         <ConfirmDialog
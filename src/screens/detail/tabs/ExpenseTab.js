@@ -1,11 +1,14 @@
 import { observer } from 'mobx-react-lite';
 import { nanoid } from 'nanoid';
-import React, { useMemo, useState } from 'react';
+import React, { useState } from 'react';
 import { Dimensions, ScrollView, StyleSheet, View } from 'react-native';
 import { PieChart } from 'react-native-chart-kit';
 import { DataTable, FAB, IconButton, Portal, Text, useTheme } from 'react-native-paper';
 import ConfirmDialog from '../../../components/common/ConfirmDialog';
 import { COLORS, THEME } from '../../../constants';
+import { sumAnnualAmounts, summarizeByCategory } from '../../../services/calculators/cashFlow';
+import { expandLiabilityItems } from '../../../services/calculators/liability';
+import { resolveYearItems } from '../../../services/calculators/yearItems';
 import { rootStore } from '../../../stores/RootStore';
 import { formatCurrency } from '../../../utils/format';
 import ExpenseModal from '../components/ExpenseModal';
@@ -21,18 +24,22 @@ const ExpenseTab = observer(({ lifePlanId, yearData }) => {
   const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
   const [editingExpense, setEditingExpense] = useState(null);
 
+  // 繰り返し項目・負債の返済を含めたこの年の支出
+  const lifePlan = rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+  const expenses = [
+    ...resolveYearItems(lifePlan, yearData).expenses,
+    ...expandLiabilityItems(
+      rootStore.liabilityStore.getLifePlanLiabilities(lifePlanId),
+      yearData.year,
+    ),
+  ];
+
   /**
    * カテゴリ別の支出集計データを計算
    */
-  const categoryData = useMemo(() => {
-    const data = new Map();
-    yearData.expenses.forEach(expense => {
-      const amount = data.get(expense.category) || 0;
-      data.set(expense.category, amount + expense.amount);
-    });
-
-    const categories = rootStore.categoryStore.sortedExpenseCategories;
-    return Array.from(data.entries()).map(([category, amount]) => {
+  const categories = rootStore.categoryStore.sortedExpenseCategories;
+  const categoryData = Array.from(summarizeByCategory(expenses).entries()).map(
+    ([category, amount]) => {
       const categoryInfo = categories.find(c => c.name === category);
       return {
         name: category,
@@ -41,15 +48,26 @@ const ExpenseTab = observer(({ lifePlanId, yearData }) => {
         legendFontColor: COLORS.grey[900],
         legendFontSize: 12,
       };
-    });
-  }, [yearData.expenses]);
+    },
+  );
 
   /**
    * 総支出額を計算
    */
-  const totalExpense = useMemo(() => {
-    return yearData.expenses.reduce((sum, expense) => sum + expense.amount, 0);
-  }, [yearData.expenses]);
+  const totalExpense = sumAnnualAmounts(expenses);
+
+  /**
+   * 支出項目の表示名
+   */
+  const describeExpense = expense => {
+    if (expense.loanId) {
+      return `${expense.name}（ローン）`;
+    }
+    if (expense.liabilityId) {
+      return `${expense.name}（負債）`;
+    }
+    return expense.recurringItemId ? `${expense.name}（繰り返し）` : expense.name;
+  };
 
   /**
    * 支出の作成
@@ -65,7 +83,17 @@ const ExpenseTab = observer(({ lifePlanId, yearData }) => {
    * 支出の更新
    */
   const handleUpdate = data => {
-    if (editingExpense) {
+    if (editingExpense?.recurringItemId) {
+      // 繰り返し項目はこの年だけ上書きする
+      rootStore.lifePlanStore.setRecurringOverride(
+        lifePlanId,
+        yearData.id,
+        editingExpense.recurringItemId,
+        data,
+      );
+      setModalVisible(false);
+      setEditingExpense(null);
+    } else if (editingExpense) {
       const updatedExpenses = yearData.expenses.map(expense =>
         expense.id === editingExpense.id ? { ...expense, ...data } : expense,
       );
@@ -81,11 +109,23 @@ const ExpenseTab = observer(({ lifePlanId, yearData }) => {
    * 支出の削除
    */
   const handleDelete = () => {
-    if (editingExpense) {
+    if (editingExpense?.recurringItemId) {
+      // 繰り返し項目はこの年だけ除外する
+      rootStore.lifePlanStore.setRecurringOverride(
+        lifePlanId,
+        yearData.id,
+        editingExpense.recurringItemId,
+        { excluded: true },
+      );
+      rootStore.historyStore.notify(`${editingExpense.name}を${yearData.year}年から削除しました`);
+      setDeleteDialogVisible(false);
+      setEditingExpense(null);
+    } else if (editingExpense) {
       const updatedExpenses = yearData.expenses.filter(expense => expense.id !== editingExpense.id);
       rootStore.lifePlanStore.updateYearlyFinance(lifePlanId, yearData.id, {
         expenses: updatedExpenses,
       });
+      rootStore.historyStore.notify(`${editingExpense.name}を削除しました`);
       setDeleteDialogVisible(false);
       setEditingExpense(null);
     }
@@ -127,31 +167,47 @@ const ExpenseTab = observer(({ lifePlanId, yearData }) => {
             <DataTable.Title numeric>アクション</DataTable.Title>
           </DataTable.Header>
 
-          {yearData.expenses.map(expense => (
+          {expenses.map(expense => (
             <DataTable.Row key={expense.id}>
-              <DataTable.Cell>{expense.name}</DataTable.Cell>
+              <DataTable.Cell>{describeExpense(expense)}</DataTable.Cell>
               <DataTable.Cell>{expense.category}</DataTable.Cell>
               <DataTable.Cell numeric>{formatCurrency(expense.amount)}</DataTable.Cell>
               <DataTable.Cell numeric>{expense.frequency}</DataTable.Cell>
               <DataTable.Cell numeric>
-                <View style={styles.actions}>
-                  <IconButton
-                    icon="pencil"
-                    size={20}
-                    onPress={() => {
-                      setEditingExpense(expense);
-                      setModalVisible(true);
-                    }}
-                  />
-                  <IconButton
-                    icon="delete"
-                    size={20}
-                    onPress={() => {
-                      setEditingExpense(expense);
-                      setDeleteDialogVisible(true);
-                    }}
-                  />
-                </View>
+                {/* ローン・負債の返済は返済予定から計算するため、ここでは編集しない */}
+                {!expense.loanId && !expense.liabilityId && (
+                  <View style={styles.actions}>
+                    {expense.isOverridden && (
+                      <IconButton
+                        icon="restore"
+                        size={20}
+                        onPress={() =>
+                          rootStore.lifePlanStore.clearRecurringOverride(
+                            lifePlanId,
+                            yearData.id,
+                            expense.recurringItemId,
+                          )
+                        }
+                      />
+                    )}
+                    <IconButton
+                      icon="pencil"
+                      size={20}
+                      onPress={() => {
+                        setEditingExpense(expense);
+                        setModalVisible(true);
+                      }}
+                    />
+                    <IconButton
+                      icon="delete"
+                      size={20}
+                      onPress={() => {
+                        setEditingExpense(expense);
+                        setDeleteDialogVisible(true);
+                      }}
+                    />
+                  </View>
+                )}
               </DataTable.Cell>
             </DataTable.Row>
           ))}
@@ -185,7 +241,11 @@ const ExpenseTab = observer(({ lifePlanId, yearData }) => {
           }}
           onConfirm={handleDelete}
           title="支出の削除"
-          message={`${editingExpense?.name}を削除してもよろしいですか？`}
+          message={
+            editingExpense?.recurringItemId
+              ? `${editingExpense?.name}を${yearData.year}年のみ削除してもよろしいですか？`
+              : `${editingExpense?.name}を削除してもよろしいですか？`
+          }
           confirmLabel="削除"
           confirmColor={COLORS.accent.error}
         />
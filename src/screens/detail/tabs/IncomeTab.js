@@ -1,11 +1,16 @@
 import { observer } from 'mobx-react-lite';
 import { nanoid } from 'nanoid';
-import React, { useMemo, useState } from 'react';
+import React, { useState } from 'react';
 import { Dimensions, ScrollView, StyleSheet, View } from 'react-native';
 import { PieChart } from 'react-native-chart-kit';
 import { DataTable, FAB, IconButton, Portal, Text, useTheme } from 'react-native-paper';
 import ConfirmDialog from '../../../components/common/ConfirmDialog';
 import { COLORS, THEME } from '../../../constants';
+import { sumAnnualAmounts, summarizeByCategory } from '../../../services/calculators/cashFlow';
+import { buildCategoryRateMap } from '../../../services/calculators/inflation';
+import { calculateYearPayroll, PAYROLL_DEDUCTIONS } from '../../../services/calculators/payroll';
+import { resolveNominalYearItems } from '../../../services/calculators/projection';
+import { resolveYearItems } from '../../../services/calculators/yearItems';
 import { rootStore } from '../../../stores/RootStore';
 import { formatCurrency } from '../../../utils/format';
 import IncomeModal from '../components/IncomeModal';
@@ -21,18 +26,16 @@ const IncomeTab = observer(({ lifePlanId, yearData }) => {
   const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
   const [editingIncome, setEditingIncome] = useState(null);
 
+  // 繰り返し項目を含めたこの年の収入
+  const lifePlan = rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+  const incomes = resolveYearItems(lifePlan, yearData).incomes;
+
   /**
    * カテゴリ別の収入集計データを計算
    */
-  const categoryData = useMemo(() => {
-    const data = new Map();
-    yearData.incomes.forEach(income => {
-      const amount = data.get(income.category) || 0;
-      data.set(income.category, amount + income.amount);
-    });
-
-    const categories = rootStore.categoryStore.sortedIncomeCategories;
-    return Array.from(data.entries()).map(([category, amount]) => {
+  const categories = rootStore.categoryStore.sortedIncomeCategories;
+  const categoryData = Array.from(summarizeByCategory(incomes).entries()).map(
+    ([category, amount]) => {
       const categoryInfo = categories.find(c => c.name === category);
       return {
         name: category,
@@ -41,15 +44,34 @@ const IncomeTab = observer(({ lifePlanId, yearData }) => {
         legendFontColor: COLORS.grey[900],
         legendFontSize: 12,
       };
-    });
-  }, [yearData.incomes]);
+    },
+  );
 
   /**
    * 総収入額を計算
    */
-  const totalIncome = useMemo(() => {
-    return yearData.incomes.reduce((sum, income) => sum + income.amount, 0);
-  }, [yearData.incomes]);
+  const totalIncome = sumAnnualAmounts(incomes);
+
+  /**
+   * 給与明細を計算
+   * 収支予測と同じく、インフレを反映した名目額の給与から計算する
+   */
+  const nominalIncomes = resolveNominalYearItems(lifePlan, yearData, {
+    incomeRates: buildCategoryRateMap(categories),
+  }).incomes;
+  const payroll = calculateYearPayroll(lifePlan, yearData.year, nominalIncomes);
+  const payslipColumns =
+    payroll.earners.length > 1 ? [...payroll.earners, payroll] : payroll.earners;
+
+  /**
+   * 収入項目の表示名
+   */
+  const describeIncome = income => {
+    if (income.pensionMemberId) {
+      return `${income.name}（年金）`;
+    }
+    return income.recurringItemId ? `${income.name}（繰り返し）` : income.name;
+  };
 
   /**
    * 収入の作成
@@ -74,7 +96,17 @@ const IncomeTab = observer(({ lifePlanId, yearData }) => {
    * 収入の更新
    */
   const handleUpdate = data => {
-    if (editingIncome) {
+    if (editingIncome?.recurringItemId) {
+      // 繰り返し項目はこの年だけ上書きする
+      rootStore.lifePlanStore.setRecurringOverride(
+        lifePlanId,
+        yearData.id,
+        editingIncome.recurringItemId,
+        data,
+      );
+      setModalVisible(false);
+      setEditingIncome(null);
+    } else if (editingIncome) {
       const updatedIncomes = yearData.incomes.map(income =>
         income.id === editingIncome.id ? { ...income, ...data } : income,
       );
@@ -90,11 +122,23 @@ const IncomeTab = observer(({ lifePlanId, yearData }) => {
    * 収入の削除
    */
   const handleDelete = () => {
-    if (editingIncome) {
+    if (editingIncome?.recurringItemId) {
+      // 繰り返し項目はこの年だけ除外する
+      rootStore.lifePlanStore.setRecurringOverride(
+        lifePlanId,
+        yearData.id,
+        editingIncome.recurringItemId,
+        { excluded: true },
+      );
+      rootStore.historyStore.notify(`${editingIncome.name}を${yearData.year}年から削除しました`);
+      setDeleteDialogVisible(false);
+      setEditingIncome(null);
+    } else if (editingIncome) {
       const updatedIncomes = yearData.incomes.filter(income => income.id !== editingIncome.id);
       rootStore.lifePlanStore.updateYearlyFinance(lifePlanId, yearData.id, {
         incomes: updatedIncomes,
       });
+      rootStore.historyStore.notify(`${editingIncome.name}を削除しました`);
       setDeleteDialogVisible(false);
       setEditingIncome(null);
     }
@@ -126,6 +170,61 @@ const IncomeTab = observer(({ lifePlanId, yearData }) => {
           </View>
         )}
 
+        {/* 給与明細 */}
+        {payroll.earners.length > 0 && (
+          <View style={styles.payslip}>
+            <Text style={styles.sectionTitle}>給与明細（{yearData.year}年）</Text>
+            <DataTable>
+              <DataTable.Header>
+                <DataTable.Title>項目</DataTable.Title>
+                {payslipColumns.map((column, index) => (
+                  <DataTable.Title key={column.memberId ?? 'total'} numeric>
+                    {index < payroll.earners.length ? column.name : '合計'}
+                  </DataTable.Title>
+                ))}
+              </DataTable.Header>
+
+              <DataTable.Row>
+                <DataTable.Cell>総支給額</DataTable.Cell>
+                {payslipColumns.map(column => (
+                  <DataTable.Cell key={column.memberId ?? 'total'} numeric>
+                    {formatCurrency(column.gross)}
+                  </DataTable.Cell>
+                ))}
+              </DataTable.Row>
+              {PAYROLL_DEDUCTIONS.map(({ key, label }) => (
+                <DataTable.Row key={key}>
+                  <DataTable.Cell>{label}</DataTable.Cell>
+                  {payslipColumns.map(column => (
+                    <DataTable.Cell key={column.memberId ?? 'total'} numeric>
+                      {formatCurrency(column[key])}
+                    </DataTable.Cell>
+                  ))}
+                </DataTable.Row>
+              ))}
+              <DataTable.Row>
+                <DataTable.Cell>控除合計</DataTable.Cell>
+                {payslipColumns.map(column => (
+                  <DataTable.Cell key={column.memberId ?? 'total'} numeric>
+                    {formatCurrency(column.totalDeductions)}
+                  </DataTable.Cell>
+                ))}
+              </DataTable.Row>
+              <DataTable.Row>
+                <DataTable.Cell textStyle={styles.netText}>差引支給額</DataTable.Cell>
+                {payslipColumns.map(column => (
+                  <DataTable.Cell
+                    key={column.memberId ?? 'total'}
+                    numeric
+                    textStyle={styles.netText}>
+                    {formatCurrency(column.net)}
+                  </DataTable.Cell>
+                ))}
+              </DataTable.Row>
+            </DataTable>
+          </View>
+        )}
+
         {/* 収入一覧 */}
         <DataTable>
           <DataTable.Header>
@@ -136,31 +235,47 @@ const IncomeTab = observer(({ lifePlanId, yearData }) => {
             <DataTable.Title numeric>アクション</DataTable.Title>
           </DataTable.Header>
 
-          {yearData.incomes.map(income => (
+          {incomes.map(income => (
             <DataTable.Row key={income.id}>
-              <DataTable.Cell>{income.name}</DataTable.Cell>
+              <DataTable.Cell>{describeIncome(income)}</DataTable.Cell>
               <DataTable.Cell>{income.category}</DataTable.Cell>
               <DataTable.Cell numeric>{formatCurrency(income.amount)}</DataTable.Cell>
               <DataTable.Cell numeric>{income.frequency}</DataTable.Cell>
               <DataTable.Cell numeric>
-                <View style={styles.actions}>
-                  <IconButton
-                    icon="pencil"
-                    size={20}
-                    onPress={() => {
-                      setEditingIncome(income);
-                      setModalVisible(true);
-                    }}
-                  />
-                  <IconButton
-                    icon="delete"
-                    size={20}
-                    onPress={() => {
-                      setEditingIncome(income);
-                      setDeleteDialogVisible(true);
-                    }}
-                  />
-                </View>
+                {/* 年金収入は世帯メンバーの年金設定から計算するため、ここでは編集しない */}
+                {!income.pensionMemberId && (
+                  <View style={styles.actions}>
+                    {income.isOverridden && (
+                      <IconButton
+                        icon="restore"
+                        size={20}
+                        onPress={() =>
+                          rootStore.lifePlanStore.clearRecurringOverride(
+                            lifePlanId,
+                            yearData.id,
+                            income.recurringItemId,
+                          )
+                        }
+                      />
+                    )}
+                    <IconButton
+                      icon="pencil"
+                      size={20}
+                      onPress={() => {
+                        setEditingIncome(income);
+                        setModalVisible(true);
+                      }}
+                    />
+                    <IconButton
+                      icon="delete"
+                      size={20}
+                      onPress={() => {
+                        setEditingIncome(income);
+                        setDeleteDialogVisible(true);
+                      }}
+                    />
+                  </View>
+                )}
               </DataTable.Cell>
             </DataTable.Row>
           ))}
@@ -194,7 +309,11 @@ const IncomeTab = observer(({ lifePlanId, yearData }) => {
           }}
           onConfirm={handleDelete}
           title="収入の削除"
-          message={`${editingIncome?.name}を削除してもよろしいですか？`}
+          message={
+            editingIncome?.recurringItemId
+              ? `${editingIncome?.name}を${yearData.year}年のみ削除してもよろしいですか？`
+              : `${editingIncome?.name}を削除してもよろしいですか？`
+          }
           confirmLabel="削除"
           confirmColor={COLORS.accent.error}
         />
@@ -229,6 +348,18 @@ const styles = StyleSheet.create({
     fontSize: THEME.typography.body1,
     color: COLORS.grey[600],
   },
+  payslip: {
+    paddingHorizontal: THEME.spacing.md,
+    paddingBottom: THEME.spacing.md,
+  },
+  sectionTitle: {
+    fontSize: THEME.typography.h5,
+    fontWeight: 'bold',
+    marginBottom: THEME.spacing.sm,
+  },
+  netText: {
+    fontWeight: 'bold',
+  },
   actions: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
@@ -0,0 +1,372 @@
+import { observer } from 'mobx-react-lite';
+import React, { useMemo, useState } from 'react';
+import { Dimensions, ScrollView, StyleSheet, View } from 'react-native';
+import { LineChart, PieChart } from 'react-native-chart-kit';
+import {
+  Card,
+  DataTable,
+  FAB,
+  IconButton,
+  Paragraph,
+  Portal,
+  Text,
+  Title,
+  useTheme,
+} from 'react-native-paper';
+import ConfirmDialog from '../../../components/common/ConfirmDialog';
+import { COLORS, THEME } from '../../../constants';
+import {
+  buildLiabilitySchedule,
+  calculateLiabilityBalance,
+} from '../../../services/calculators/liability';
+import { rootStore } from '../../../stores/RootStore';
+import { formatCurrency, formatPercentage } from '../../../utils/format';
+import LiabilityModal from '../components/LiabilityModal';
+
+// 残高推移グラフで年を表示する間隔
+const CHART_LABEL_INTERVAL = 5;
+
+/**
+ * 負債タブ
+ */
+const LiabilityTab = observer(({ lifePlanId, yearData }) => {
+  const theme = useTheme();
+
+  // モーダルの表示状態
+  const [isModalVisible, setModalVisible] = useState(false);
+  const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
+  const [editingLiability, setEditingLiability] = useState(null);
+
+  // 負債はプランごとの台帳から、この年に返済中のものを表示する
+  const lifePlan = rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+  const planLiabilities = rootStore.liabilityStore.getLifePlanLiabilities(lifePlanId);
+  const liabilities = rootStore.liabilityStore.getYearLiabilities(lifePlanId, yearData.year);
+
+  /**
+   * 負債ごとのこの年の返済予定
+   */
+  const yearEntries = useMemo(
+    () =>
+      new Map(
+        liabilities.map(liability => [
+          liability.id,
+          buildLiabilitySchedule(liability).find(entry => entry.year === yearData.year),
+        ]),
+      ),
+    [liabilities, yearData.year],
+  );
+
+  /**
+   * 負債の合計（この年）
+   */
+  const liabilitySummary = useMemo(() => {
+    let principal = 0;
+    let endBalance = 0;
+    let payment = 0;
+    let interest = 0;
+
+    liabilities.forEach(liability => {
+      const entry = yearEntries.get(liability.id);
+      principal += liability.principal;
+      endBalance += entry?.endBalance || 0;
+      payment += entry?.payment || 0;
+      interest += entry?.interest || 0;
+    });
+
+    return { principal, endBalance, payment, interest };
+  }, [liabilities, yearEntries]);
+
+  /**
+   * カテゴリ別の年末残高
+   */
+  const categoryData = useMemo(() => {
+    const data = new Map();
+    liabilities.forEach(liability => {
+      const balance = yearEntries.get(liability.id)?.endBalance || 0;
+      data.set(liability.category, (data.get(liability.category) || 0) + balance);
+    });
+
+    const categories = rootStore.categoryStore.sortedLiabilityCategories;
+    return Array.from(data.entries())
+      .filter(([, amount]) => amount > 0)
+      .map(([category, amount]) => {
+        const categoryInfo = categories.find(c => c.name === category);
+        return {
+          name: category,
+          amount,
+          color: categoryInfo?.color || COLORS.grey[500],
+          legendFontColor: COLORS.grey[900],
+          legendFontSize: 12,
+        };
+      });
+  }, [liabilities, yearEntries]);
+
+  /**
+   * プラン全期間の年末残高の推移
+   */
+  const balanceData = useMemo(() => {
+    const years = [...(lifePlan?.yearlyFinances || [])].map(yf => yf.year).sort((a, b) => a - b);
+    return {
+      labels: years.map((year, i) => (i % CHART_LABEL_INTERVAL === 0 ? String(year) : '')),
+      datasets: [
+        {
+          data: years.map(year => calculateLiabilityBalance(planLiabilities, year)),
+          color: (opacity = 1) => `rgba(244, 67, 54, ${opacity})`,
+          strokeWidth: 2,
+        },
+      ],
+    };
+  }, [lifePlan, planLiabilities]);
+
+  /**
+   * 負債の作成
+   */
+  const handleCreate = data => {
+    rootStore.liabilityStore.createLiability({ ...data, lifePlanId });
+    setModalVisible(false);
+  };
+
+  /**
+   * 負債の更新
+   */
+  const handleUpdate = data => {
+    if (editingLiability) {
+      rootStore.liabilityStore.updateLiability(editingLiability.id, data);
+      setModalVisible(false);
+      setEditingLiability(null);
+    }
+  };
+
+  /**
+   * 負債の削除
+   * 負債はプラン全体で共通のため、全ての年から削除される
+   */
+  const handleDelete = () => {
+    if (editingLiability) {
+      rootStore.liabilityStore.deleteLiability(editingLiability.id);
+      rootStore.historyStore.notify(`${editingLiability.name}を削除しました`);
+      setDeleteDialogVisible(false);
+      setEditingLiability(null);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.content}>
+        {/* サマリーカード */}
+        <Card style={styles.summaryCard}>
+          <Card.Content>
+            <Title>負債サマリー</Title>
+            <View style={styles.summaryRow}>
+              <View style={styles.summaryItem}>
+                <Paragraph>借入額</Paragraph>
+                <Text style={styles.summaryValue}>
+                  {formatCurrency(liabilitySummary.principal)}
+                </Text>
+              </View>
+              <View style={styles.summaryItem}>
+                <Paragraph>年末残高</Paragraph>
+                <Text style={styles.summaryValue}>
+                  {formatCurrency(liabilitySummary.endBalance)}
+                </Text>
+              </View>
+            </View>
+            <View style={styles.summaryRow}>
+              <View style={styles.summaryItem}>
+                <Paragraph>年間返済額</Paragraph>
+                <Text style={styles.summaryValue}>{formatCurrency(liabilitySummary.payment)}</Text>
+              </View>
+              <View style={styles.summaryItem}>
+                <Paragraph>うち利息</Paragraph>
+                <Text style={styles.summaryValue}>{formatCurrency(liabilitySummary.interest)}</Text>
+              </View>
+            </View>
+          </Card.Content>
+        </Card>
+
+        {/* カテゴリ別円グラフ */}
+        {categoryData.length > 0 ? (
+          <View style={styles.chartContainer}>
+            <Title>負債の内訳</Title>
+            <PieChart
+              data={categoryData}
+              width={Dimensions.get('window').width - THEME.spacing.lg * 2}
+              height={220}
+              chartConfig={{
+                color: (opacity = 1) => `rgba(0, 0, 0, ${opacity})`,
+              }}
+              accessor="amount"
+              backgroundColor="transparent"
+              paddingLeft="15"
+              absolute
+            />
+          </View>
+        ) : (
+          <View style={styles.emptyChart}>
+            <Text style={styles.emptyText}>負債データがありません</Text>
+          </View>
+        )}
+
+        {/* 残高推移グラフ */}
+        {planLiabilities.length > 0 && balanceData.labels.length > 0 && (
+          <Card style={styles.balanceCard}>
+            <Card.Content>
+              <Title>残高推移</Title>
+              <LineChart
+                data={balanceData}
+                width={Dimensions.get('window').width - THEME.spacing.lg * 2}
+                height={220}
+                chartConfig={{
+                  backgroundColor: COLORS.common.white,
+                  backgroundGradientFrom: COLORS.common.white,
+                  backgroundGradientTo: COLORS.common.white,
+                  decimalPlaces: 0,
+                  color: (opacity = 1) => `rgba(0, 0, 0, ${opacity})`,
+                  style: {
+                    borderRadius: 16,
+                  },
+                }}
+                style={styles.balanceChart}
+              />
+            </Card.Content>
+          </Card>
+        )}
+
+        {/* 負債一覧 */}
+        <DataTable>
+          <DataTable.Header>
+            <DataTable.Title>項目</DataTable.Title>
+            <DataTable.Title>カテゴリ</DataTable.Title>
+            <DataTable.Title numeric>借入額</DataTable.Title>
+            <DataTable.Title numeric>金利</DataTable.Title>
+            <DataTable.Title numeric>返済額</DataTable.Title>
+            <DataTable.Title numeric>年末残高</DataTable.Title>
+            <DataTable.Title numeric>アクション</DataTable.Title>
+          </DataTable.Header>
+
+          {liabilities.map(liability => {
+            const entry = yearEntries.get(liability.id);
+            return (
+              <DataTable.Row key={liability.id}>
+                <DataTable.Cell>{liability.name}</DataTable.Cell>
+                <DataTable.Cell>{liability.category}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(liability.principal)}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatPercentage(liability.annualRate, 2)}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(entry?.payment || 0)}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(entry?.endBalance || 0)}</DataTable.Cell>
+                <DataTable.Cell numeric>
+                  <View style={styles.actions}>
+                    <IconButton
+                      icon="pencil"
+                      size={20}
+                      onPress={() => {
+                        setEditingLiability(liability);
+                        setModalVisible(true);
+                      }}
+                    />
+                    <IconButton
+                      icon="delete"
+                      size={20}
+                      onPress={() => {
+                        setEditingLiability(liability);
+                        setDeleteDialogVisible(true);
+                      }}
+                    />
+                  </View>
+                </DataTable.Cell>
+              </DataTable.Row>
+            );
+          })}
+        </DataTable>
+      </ScrollView>
+
+      {/* FABボタン */}
+      <FAB
+        icon="plus-circle"
+        style={[styles.fab, { backgroundColor: theme.colors.primary }]}
+        onPress={() => setModalVisible(true)}
+      />
+
+      {/* モーダル */}
+      <Portal>
+        <LiabilityModal
+          visible={isModalVisible}
+          onDismiss={() => {
+            setModalVisible(false);
+            setEditingLiability(null);
+          }}
+          onSubmit={editingLiability ? handleUpdate : handleCreate}
+          initialValues={editingLiability}
+        />
+
+        <ConfirmDialog
+          visible={isDeleteDialogVisible}
+          onDismiss={() => {
+            setDeleteDialogVisible(false);
+            setEditingLiability(null);
+          }}
+          onConfirm={handleDelete}
+          title="負債の削除"
+          message={`${editingLiability?.name}を削除してもよろしいですか？全ての年から削除されます。`}
+          confirmLabel="削除"
+          confirmColor={COLORS.accent.error}
+        />
+      </Portal>
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.common.white,
+  },
+  content: {
+    flex: 1,
+  },
+  summaryCard: {
+    margin: THEME.spacing.md,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginVertical: THEME.spacing.xs,
+  },
+  summaryItem: {
+    flex: 1,
+  },
+  summaryValue: {
+    fontSize: THEME.typography.h5,
+    fontWeight: 'bold',
+  },
+  chartContainer: {
+    padding: THEME.spacing.md,
+  },
+  balanceCard: {
+    margin: THEME.spacing.md,
+  },
+  balanceChart: {
+    marginVertical: THEME.spacing.md,
+  },
+  emptyChart: {
+    height: 220,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  fab: {
+    position: 'absolute',
+    margin: THEME.spacing.md,
+    right: 0,
+    bottom: 0,
+  },
+});
+
+export default LiabilityTab;
@@ -0,0 +1,385 @@
+import { observer } from 'mobx-react-lite';
+import React, { useState } from 'react';
+import { ScrollView, StyleSheet, View } from 'react-native';
+import { Button, Card, DataTable, Dialog, IconButton, Portal, Text } from 'react-native-paper';
+import NumberInput from '../../../components/forms/NumberInput';
+import { COLORS, THEME } from '../../../constants';
+import { calculateAnnualAmount } from '../../../services/calculators/cashFlow';
+import { buildCategoryRateMap } from '../../../services/calculators/inflation';
+import { isBaselineYear, resolveNominalYearItems } from '../../../services/calculators/projection';
+import {
+  buildAssetVariance,
+  buildVarianceHistory,
+  buildYearVariance,
+  isDivergent,
+  shouldRebaseline,
+  VARIANCE_THRESHOLD,
+} from '../../../services/calculators/variance';
+import { rootStore } from '../../../stores/RootStore';
+import { formatCurrency, formatPercentage } from '../../../utils/format';
+
+/**
+ * 予実タブ
+ * 収支項目の実績額を入力し、計画との差異を年別・カテゴリ別に表示する
+ */
+const VarianceTab = observer(({ lifePlanId, yearData }) => {
+  // 実績額を編集中の項目
+  const [editingItem, setEditingItem] = useState(null);
+  const [actualAmount, setActualAmount] = useState(null);
+
+  const lifePlan = rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+  const incomeCategories = rootStore.categoryStore.sortedIncomeCategories;
+  const expenseCategories = rootStore.categoryStore.sortedExpenseCategories;
+  const rates = {
+    incomeRates: buildCategoryRateMap(incomeCategories),
+    expenseRates: buildCategoryRateMap(expenseCategories),
+  };
+
+  // 計画額（インフレを反映した名目額）の収支項目
+  const { incomes, expenses } = resolveNominalYearItems(lifePlan, yearData, rates);
+  const yearVariance = buildYearVariance(lifePlan, yearData, rates);
+  const assetVariances = buildAssetVariance(
+    {
+      lifePlan,
+      assets: rootStore.assetStore.getLifePlanAssets(lifePlanId),
+      incomeCategories,
+      expenseCategories,
+    },
+    yearData.year,
+  );
+  const history = buildVarianceHistory({ lifePlan, incomeCategories, expenseCategories });
+  const isBaselined = isBaselineYear(lifePlan, yearData.year);
+
+  /**
+   * 差額の文字色
+   * 収入は計画を下回った場合、支出は計画を上回った場合を悪化として表示する
+   */
+  const differenceStyle = (variance, isExpense) => {
+    if (!isDivergent(variance)) {
+      return undefined;
+    }
+    const worse = isExpense ? variance.difference > 0 : variance.difference < 0;
+    return worse ? styles.worseText : styles.betterText;
+  };
+
+  /**
+   * 差異率の表示
+   */
+  const formatRate = variance => (variance.rate === null ? '-' : formatPercentage(variance.rate));
+
+  /**
+   * 実績額の編集開始
+   */
+  const handleEdit = item => {
+    setEditingItem(item);
+    setActualAmount(item.actualAmount ?? calculateAnnualAmount(item));
+  };
+
+  /**
+   * 実績額の保存
+   */
+  const handleSave = () => {
+    rootStore.lifePlanStore.setActualAmount(
+      lifePlanId,
+      yearData.id,
+      editingItem.id,
+      actualAmount ?? 0,
+    );
+    setEditingItem(null);
+  };
+
+  /**
+   * 実績額の削除
+   */
+  const handleClear = () => {
+    rootStore.lifePlanStore.setActualAmount(lifePlanId, yearData.id, editingItem.id, null);
+    rootStore.historyStore.notify(`${editingItem.name}の実績額を削除しました`);
+    setEditingItem(null);
+  };
+
+  /**
+   * カテゴリ別の予実テーブル
+   */
+  const renderCategoryTable = (title, summary, isExpense) => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      <DataTable>
+        <DataTable.Header>
+          <DataTable.Title>カテゴリ</DataTable.Title>
+          <DataTable.Title numeric>計画</DataTable.Title>
+          <DataTable.Title numeric>実績</DataTable.Title>
+          <DataTable.Title numeric>差額</DataTable.Title>
+          <DataTable.Title numeric>差異率</DataTable.Title>
+        </DataTable.Header>
+        {summary.categories.map(variance => (
+          <DataTable.Row key={variance.category}>
+            <DataTable.Cell>{variance.category}</DataTable.Cell>
+            <DataTable.Cell numeric>{formatCurrency(variance.plan)}</DataTable.Cell>
+            <DataTable.Cell numeric>{formatCurrency(variance.actual)}</DataTable.Cell>
+            <DataTable.Cell numeric textStyle={differenceStyle(variance, isExpense)}>
+              {formatCurrency(variance.difference)}
+            </DataTable.Cell>
+            <DataTable.Cell numeric textStyle={differenceStyle(variance, isExpense)}>
+              {formatRate(variance)}
+            </DataTable.Cell>
+          </DataTable.Row>
+        ))}
+        <DataTable.Row>
+          <DataTable.Cell textStyle={styles.totalText}>合計</DataTable.Cell>
+          <DataTable.Cell numeric textStyle={styles.totalText}>
+            {formatCurrency(summary.total.plan)}
+          </DataTable.Cell>
+          <DataTable.Cell numeric textStyle={styles.totalText}>
+            {formatCurrency(summary.total.actual)}
+          </DataTable.Cell>
+          <DataTable.Cell numeric textStyle={differenceStyle(summary.total, isExpense)}>
+            {formatCurrency(summary.total.difference)}
+          </DataTable.Cell>
+          <DataTable.Cell numeric textStyle={differenceStyle(summary.total, isExpense)}>
+            {formatRate(summary.total)}
+          </DataTable.Cell>
+        </DataTable.Row>
+      </DataTable>
+    </View>
+  );
+
+  /**
+   * 実績額を入力する項目の一覧
+   */
+  const renderItemTable = (title, items) => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      <DataTable>
+        <DataTable.Header>
+          <DataTable.Title>項目</DataTable.Title>
+          <DataTable.Title numeric>計画</DataTable.Title>
+          <DataTable.Title numeric>実績</DataTable.Title>
+          <DataTable.Title numeric>アクション</DataTable.Title>
+        </DataTable.Header>
+        {items.map(item => (
+          <DataTable.Row key={item.id}>
+            <DataTable.Cell>{item.name}</DataTable.Cell>
+            <DataTable.Cell numeric>{formatCurrency(calculateAnnualAmount(item))}</DataTable.Cell>
+            <DataTable.Cell numeric>
+              {item.actualAmount === undefined ? '未入力' : formatCurrency(item.actualAmount)}
+            </DataTable.Cell>
+            <DataTable.Cell numeric>
+              <IconButton icon="pencil" size={20} onPress={() => handleEdit(item)} />
+            </DataTable.Cell>
+          </DataTable.Row>
+        ))}
+      </DataTable>
+    </View>
+  );
+
+  const suggestRebaseline = shouldRebaseline(yearVariance, assetVariances);
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.content}>
+        {/* 実績を基準にした再計算 */}
+        {isBaselined ? (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text style={styles.noteText}>
+                {lifePlan.baselineYear}
+                年までは実績額で収支を計算し、翌年以降を実績から予測しています
+              </Text>
+            </Card.Content>
+            <Card.Actions>
+              <Button onPress={() => rootStore.lifePlanStore.setBaselineYear(lifePlanId, null)}>
+                解除
+              </Button>
+            </Card.Actions>
+          </Card>
+        ) : (
+          suggestRebaseline && (
+            <Card style={styles.card}>
+              <Card.Content>
+                <Text style={styles.warningText}>
+                  実績が計画から{formatPercentage(VARIANCE_THRESHOLD, 0)}以上外れています
+                </Text>
+                <Text style={styles.noteText}>
+                  この年までの実績を基準にすると、翌年以降の収支と資産を実績から予測し直します
+                </Text>
+              </Card.Content>
+              <Card.Actions>
+                <Button
+                  mode="contained"
+                  onPress={() =>
+                    rootStore.lifePlanStore.setBaselineYear(lifePlanId, yearData.year)
+                  }>
+                  この年の実績を基準に将来を再計算
+                </Button>
+              </Card.Actions>
+            </Card>
+          )
+        )}
+
+        {/* カテゴリ別の予実 */}
+        {yearVariance.hasActuals ? (
+          <>
+            {yearVariance.incomes.items.length > 0 &&
+              renderCategoryTable('収入の予実', yearVariance.incomes, false)}
+            {yearVariance.expenses.items.length > 0 &&
+              renderCategoryTable('支出の予実', yearVariance.expenses, true)}
+          </>
+        ) : (
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>実績額が入力されていません</Text>
+          </View>
+        )}
+
+        {/* 資産の予実 */}
+        {assetVariances.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>資産の予実（期末評価額）</Text>
+            <DataTable>
+              <DataTable.Header>
+                <DataTable.Title>資産</DataTable.Title>
+                <DataTable.Title numeric>計画</DataTable.Title>
+                <DataTable.Title numeric>実績</DataTable.Title>
+                <DataTable.Title numeric>差額</DataTable.Title>
+                <DataTable.Title numeric>差異率</DataTable.Title>
+              </DataTable.Header>
+              {assetVariances.map(variance => (
+                <DataTable.Row key={variance.id}>
+                  <DataTable.Cell>{variance.name}</DataTable.Cell>
+                  <DataTable.Cell numeric>{formatCurrency(variance.plan)}</DataTable.Cell>
+                  <DataTable.Cell numeric>{formatCurrency(variance.actual)}</DataTable.Cell>
+                  <DataTable.Cell numeric textStyle={differenceStyle(variance, false)}>
+                    {formatCurrency(variance.difference)}
+                  </DataTable.Cell>
+                  <DataTable.Cell numeric textStyle={differenceStyle(variance, false)}>
+                    {formatRate(variance)}
+                  </DataTable.Cell>
+                </DataTable.Row>
+              ))}
+            </DataTable>
+          </View>
+        )}
+
+        {/* 実績額の入力 */}
+        {incomes.length > 0 && renderItemTable('収入の実績', incomes)}
+        {expenses.length > 0 && renderItemTable('支出の実績', expenses)}
+
+        {/* 年別の予実 */}
+        {history.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>年別の予実</Text>
+            <DataTable>
+              <DataTable.Header>
+                <DataTable.Title>年</DataTable.Title>
+                <DataTable.Title numeric>収入の差額</DataTable.Title>
+                <DataTable.Title numeric>支出の差額</DataTable.Title>
+                <DataTable.Title numeric>収支への影響</DataTable.Title>
+              </DataTable.Header>
+              {history.map(variance => (
+                <DataTable.Row key={variance.yearId}>
+                  <DataTable.Cell>{variance.year}年</DataTable.Cell>
+                  <DataTable.Cell
+                    numeric
+                    textStyle={differenceStyle(variance.incomes.total, false)}>
+                    {formatCurrency(variance.incomes.total.difference)}
+                  </DataTable.Cell>
+                  <DataTable.Cell
+                    numeric
+                    textStyle={differenceStyle(variance.expenses.total, true)}>
+                    {formatCurrency(variance.expenses.total.difference)}
+                  </DataTable.Cell>
+                  <DataTable.Cell numeric>
+                    {formatCurrency(
+                      variance.incomes.total.difference - variance.expenses.total.difference,
+                    )}
+                  </DataTable.Cell>
+                </DataTable.Row>
+              ))}
+            </DataTable>
+          </View>
+        )}
+      </ScrollView>
+
+      {/* 実績額の入力ダイアログ */}
+      <Portal>
+        <Dialog visible={editingItem !== null} onDismiss={() => setEditingItem(null)}>
+          <Dialog.Title>{editingItem?.name}の実績額</Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.noteText}>
+              計画額: {editingItem && formatCurrency(calculateAnnualAmount(editingItem))}（年額）
+            </Text>
+            <NumberInput
+              label="実績額（年額）"
+              value={actualAmount}
+              onChangeValue={setActualAmount}
+              min={0}
+              step={10000}
+              format="currency"
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            {editingItem?.actualAmount !== undefined && (
+              <Button textColor={COLORS.accent.error} onPress={handleClear}>
+                削除
+              </Button>
+            )}
+            <Button onPress={() => setEditingItem(null)}>キャンセル</Button>
+            <Button mode="contained" onPress={handleSave}>
+              保存
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.common.white,
+  },
+  content: {
+    flex: 1,
+  },
+  card: {
+    margin: THEME.spacing.md,
+  },
+  section: {
+    padding: THEME.spacing.md,
+  },
+  sectionTitle: {
+    fontSize: THEME.typography.h5,
+    fontWeight: 'bold',
+    marginBottom: THEME.spacing.sm,
+  },
+  emptyContainer: {
+    padding: THEME.spacing.lg,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+  },
+  noteText: {
+    fontSize: THEME.typography.body2,
+    color: COLORS.grey[700],
+    marginBottom: THEME.spacing.sm,
+  },
+  warningText: {
+    fontSize: THEME.typography.body2,
+    fontWeight: 'bold',
+    color: COLORS.accent.error,
+    marginBottom: THEME.spacing.xs,
+  },
+  totalText: {
+    fontWeight: 'bold',
+  },
+  worseText: {
+    color: COLORS.accent.error,
+  },
+  betterText: {
+    color: COLORS.accent.success,
+  },
+});
+
+export default VarianceTab;
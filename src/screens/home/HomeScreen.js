@@ -4,6 +4,7 @@ import { ScrollView, StyleSheet, View } from 'react-native';
 import { Button, DataTable, FAB, IconButton, Portal, Text, useTheme } from 'react-native-paper';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
 import { COLORS, THEME } from '../../constants';
+import { MIN_COMPARED_PLANS } from '../../services/calculators/comparison';
 import { rootStore } from '../../stores/RootStore';
 import { formatDate } from '../../utils/format';
 import LifePlanModal from './components/LifePlanModal';
@@ -50,6 +51,7 @@ const HomeScreen = observer(({ navigation }) => {
   const handleDelete = () => {
     if (selectedLifePlan) {
       rootStore.lifePlanStore.deleteLifePlan(selectedLifePlan.id);
+      rootStore.historyStore.notify(`${selectedLifePlan.name}を削除しました`);
       setDeleteDialogVisible(false);
       setSelectedLifePlan(null);
     }
@@ -72,6 +74,24 @@ const HomeScreen = observer(({ navigation }) => {
 
   return (
     <View style={styles.container}>
+      {/* データ共有・比較ボタン */}
+      <View style={styles.buttonContainer}>
+        <Button
+          mode="outlined"
+          icon="swap-horizontal"
+          onPress={() => navigation.navigate('DataTransfer')}>
+          データのエクスポート/インポート
+        </Button>
+        <Button
+          mode="outlined"
+          icon="compare"
+          disabled={lifePlans.length < MIN_COMPARED_PLANS}
+          onPress={() => navigation.navigate('Comparison')}
+          style={styles.compareButton}>
+          プランを比較
+        </Button>
+      </View>
+
       <ScrollView style={styles.content}>
         <DataTable>
           <DataTable.Header>
@@ -107,6 +127,11 @@ const HomeScreen = observer(({ navigation }) => {
                     }}
                   />
                   <IconButton icon="content-copy" size={20} onPress={() => handleCopy(lifePlan)} />
+                  <IconButton
+                    icon="share-variant"
+                    size={20}
+                    onPress={() => navigation.navigate('DataTransfer', { lifePlanId: lifePlan.id })}
+                  />
                   <IconButton
                     icon="delete"
                     size={20}
@@ -187,6 +212,15 @@ const styles = StyleSheet.create({
   content: {
     flex: 1,
   },
+  buttonContainer: {
+    flexDirection: 'row',
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  compareButton: {
+    marginLeft: THEME.spacing.sm,
+  },
   row: {
     minHeight: 60,
   },
@@ -1,6 +1,13 @@
 import React, { useEffect, useState } from "react";
 import { ScrollView, StyleSheet, View } from "react-native";
-import { Button, Modal, Portal, Text, TextInput } from "react-native-paper";
+import {
+  Button,
+  Modal,
+  Portal,
+  Switch,
+  Text,
+  TextInput,
+} from "react-native-paper";
 import NumberInput from "../../../components/forms/NumberInput";
 import { COLORS, THEME, VALIDATION } from "../../../constants";
 import { validateLifePlan } from "../../../utils/validate";
@@ -22,6 +29,8 @@ const LifePlanModal = ({
     startYear: new Date().getFullYear(),
     lifespan: 80,
     inflationRate: 0.02,
+    inflateIncomes: false,
+    retirementYear: null,
     members: [],
   });
 
@@ -76,6 +85,8 @@ const LifePlanModal = ({
       startYear: new Date().getFullYear(),
       lifespan: 80,
       inflationRate: 0.02,
+      inflateIncomes: false,
+      retirementYear: null,
       members: [],
     });
     setErrors({});
@@ -179,6 +190,33 @@ const LifePlanModal = ({
             error={errors.inflationRate}
             style={styles.input}
           />
+
+          {/* 収入へのインフレ適用 */}
+          <View style={styles.switchRow}>
+            <Text>収入にもインフレ率を適用</Text>
+            <Switch
+              value={!!formData.inflateIncomes}
+              onValueChange={(value) =>
+                setFormData({ ...formData, inflateIncomes: value })
+              }
+            />
+          </View>
+
+          {/* 退職年 */}
+          <NumberInput
+            label="退職年（任意）"
+            defaultValue={formData.retirementYear}
+            onChangeValue={(value) => {
+              setFormData({ ...formData, retirementYear: value });
+              if (errors.retirementYear) {
+                setErrors({ ...errors, retirementYear: null });
+              }
+            }}
+            min={VALIDATION.range.year.min}
+            max={VALIDATION.range.year.max}
+            error={errors.retirementYear}
+            style={styles.input}
+          />
         </ScrollView>
 
         <View style={styles.footer}>
@@ -224,6 +262,12 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: THEME.spacing.sm,
   },
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: THEME.spacing.sm,
+  },
   errorText: {
     color: COLORS.accent.error,
     fontSize: THEME.typography.caption,
@@ -0,0 +1,384 @@
+import { observer } from 'mobx-react-lite';
+import React, { useEffect, useRef, useState } from 'react';
+import { Dimensions, ScrollView, StyleSheet, View } from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import { Button, Card, DataTable, List, ProgressBar, Text, Title } from 'react-native-paper';
+import NumberInput from '../../components/forms/NumberInput';
+import { COLORS, THEME } from '../../constants';
+import {
+  correlationKey,
+  getAssetVolatility,
+  getCorrelation,
+  getSimulationSettings,
+  PERCENTILES,
+} from '../../services/calculators/monteCarlo';
+import {
+  getCachedSimulation,
+  startPortfolioSimulation,
+} from '../../services/calculators/simulationRunner';
+import { rootStore } from '../../stores/RootStore';
+import { formatCurrency, formatPercentage } from '../../utils/format';
+
+// パーセンタイルごとの線の色（外側ほど薄くする）
+const BAND_COLORS = {
+  5: opacity => `rgba(33, 150, 243, ${opacity * 0.35})`,
+  25: opacity => `rgba(33, 150, 243, ${opacity * 0.65})`,
+  50: opacity => `rgba(33, 150, 243, ${opacity})`,
+  75: opacity => `rgba(33, 150, 243, ${opacity * 0.65})`,
+  95: opacity => `rgba(33, 150, 243, ${opacity * 0.35})`,
+};
+
+// 試行回数の上限
+const MAX_ITERATIONS = 10000;
+
+/**
+ * モンテカルロシミュレーション画面
+ * 資産の運用成績のばらつきを考慮した資産合計の推移と、資金が尽きる確率を表示する
+ */
+const MonteCarloScreen = observer(({ route }) => {
+  const { lifePlanId } = route.params;
+  const lifePlan = rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  // 実行中の進捗（0〜1、実行中でない場合はnull）
+  const [progress, setProgress] = useState(null);
+  // 実行中のシミュレーション
+  const runningRef = useRef(null);
+
+  useEffect(() => {
+    console.log(`MonteCarloScreen: 画面がマウントされました (LifePlanId: ${lifePlanId})`);
+    return () => {
+      runningRef.current?.cancel();
+      console.log(`MonteCarloScreen: 画面がアンマウントされました (LifePlanId: ${lifePlanId})`);
+    };
+  }, [lifePlanId]);
+
+  if (!lifePlan) {
+    return (
+      <View style={styles.centerContainer}>
+        <Text>ライフプランが見つかりません</Text>
+      </View>
+    );
+  }
+
+  const settings = getSimulationSettings(lifePlan);
+  const assets = rootStore.assetStore.getLifePlanAssets(lifePlanId);
+  const assetPairs = assets.flatMap((asset, i) => assets.slice(i + 1).map(other => [asset, other]));
+  const simulationParams = {
+    lifePlan,
+    assets,
+    liabilities: rootStore.liabilityStore.getLifePlanLiabilities(lifePlanId),
+    incomeCategories: rootStore.categoryStore.sortedIncomeCategories,
+    expenseCategories: rootStore.categoryStore.sortedExpenseCategories,
+    settings: { ...settings, iterations: Math.floor(settings.iterations) },
+  };
+
+  // 同じ入力で実行済みの場合はキャッシュした結果を表示する
+  const displayedResult =
+    result ?? (progress === null ? getCachedSimulation(simulationParams) : null);
+
+  /**
+   * 実行中のシミュレーションのキャンセル
+   */
+  const handleCancel = () => {
+    runningRef.current?.cancel();
+    runningRef.current = null;
+    setProgress(null);
+  };
+
+  /**
+   * 設定の更新
+   * 設定を変更した場合は実行中のシミュレーションと前回の結果を破棄する
+   */
+  const updateSettings = data => {
+    handleCancel();
+    rootStore.lifePlanStore.updateSimulationSettings(lifePlanId, data);
+    setResult(null);
+  };
+
+  /**
+   * 資産の組み合わせの相関係数の更新
+   */
+  const updateCorrelation = (assetA, assetB, value) => {
+    updateSettings({
+      correlations: {
+        ...settings.correlations,
+        [correlationKey(assetA.id, assetB.id)]: value,
+      },
+    });
+  };
+
+  /**
+   * シミュレーションの実行
+   */
+  const handleRun = async () => {
+    if (!(settings.iterations >= 1 && settings.iterations <= MAX_ITERATIONS)) {
+      setError(`試行回数は1〜${MAX_ITERATIONS}回で入力してください`);
+      return;
+    }
+
+    handleCancel();
+    const running = startPortfolioSimulation(simulationParams, { onProgress: setProgress });
+    runningRef.current = running;
+    setResult(null);
+    setError(null);
+    setProgress(0);
+
+    try {
+      const simulationResult = await running.promise;
+      // キャンセルした場合や、新しいシミュレーションを開始した場合は結果を使わない
+      if (runningRef.current === running && simulationResult) {
+        setResult(simulationResult);
+      }
+    } catch (e) {
+      console.error('シミュレーションの実行に失敗しました:', e);
+      if (runningRef.current === running) {
+        setError(e.message);
+      }
+    } finally {
+      if (runningRef.current === running) {
+        runningRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  // 横軸のラベルは5年ごとに表示する
+  const chartData = displayedResult && {
+    labels: displayedResult.years.map((year, index) => (index % 5 === 0 ? String(year) : '')),
+    datasets: PERCENTILES.map(p => ({
+      data: displayedResult.percentiles[p].map(value => value / 10000),
+      color: BAND_COLORS[p],
+      strokeWidth: p === 50 ? 3 : 1,
+    })),
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      {/* シミュレーション設定 */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>シミュレーション設定</Title>
+          <NumberInput
+            label="試行回数"
+            value={settings.iterations}
+            onChangeValue={value => updateSettings({ iterations: value })}
+            min={1}
+            max={MAX_ITERATIONS}
+            step={100}
+            style={styles.input}
+          />
+          <NumberInput
+            label="乱数シード（同じ値なら同じ結果になります）"
+            value={settings.seed}
+            onChangeValue={value => updateSettings({ seed: value })}
+            style={styles.input}
+          />
+          <NumberInput
+            label="相関係数（既定値）"
+            value={settings.defaultCorrelation}
+            onChangeValue={value => updateSettings({ defaultCorrelation: value })}
+            min={-1}
+            max={1}
+            step={0.1}
+            style={styles.input}
+          />
+        </Card.Content>
+      </Card>
+
+      {/* 資産ごとの設定 */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>資産</Title>
+          {assets.length === 0 ? (
+            <Text style={styles.emptyText}>資産データがありません</Text>
+          ) : (
+            assets.map(asset => (
+              <List.Item
+                key={asset.id}
+                title={asset.name}
+                description={`期待収益率 ${formatPercentage(
+                  asset.returns?.capitalGain?.annualRate || 0,
+                )}・価格変動率 ${formatPercentage(getAssetVolatility(asset))}`}
+              />
+            ))
+          )}
+          {assetPairs.length > 0 && (
+            <List.Accordion title="資産間の相関係数">
+              {assetPairs.map(([assetA, assetB]) => (
+                <NumberInput
+                  key={correlationKey(assetA.id, assetB.id)}
+                  label={`${assetA.name} × ${assetB.name}`}
+                  value={getCorrelation(settings, assetA.id, assetB.id)}
+                  onChangeValue={value => updateCorrelation(assetA, assetB, value)}
+                  min={-1}
+                  max={1}
+                  step={0.1}
+                  style={styles.input}
+                />
+              ))}
+            </List.Accordion>
+          )}
+        </Card.Content>
+      </Card>
+
+      {progress === null ? (
+        <Button mode="contained" onPress={handleRun} style={styles.runButton}>
+          シミュレーションを実行
+        </Button>
+      ) : (
+        <View style={styles.progressContainer}>
+          <Text>実行中... {formatPercentage(progress, 0)}</Text>
+          <ProgressBar progress={progress} style={styles.progressBar} />
+          <Button mode="outlined" onPress={handleCancel}>
+            キャンセル
+          </Button>
+        </View>
+      )}
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      {/* シミュレーション結果 */}
+      {displayedResult && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>資産合計の推移（万円）</Title>
+            <Text
+              style={
+                displayedResult.depletionProbability > 0 ? styles.depletionText : styles.summaryText
+              }>
+              プラン期間中に資金が尽きる確率:{' '}
+              {formatPercentage(displayedResult.depletionProbability)}
+              {displayedResult.medianDepletionYear &&
+                `（中央値 ${displayedResult.medianDepletionYear}年）`}
+            </Text>
+            <LineChart
+              data={chartData}
+              width={Dimensions.get('window').width - THEME.spacing.lg * 2}
+              height={260}
+              withDots={false}
+              chartConfig={{
+                backgroundColor: COLORS.common.white,
+                backgroundGradientFrom: COLORS.common.white,
+                backgroundGradientTo: COLORS.common.white,
+                decimalPlaces: 0,
+                color: (opacity = 1) => `rgba(0, 0, 0, ${opacity})`,
+              }}
+              style={styles.chart}
+            />
+            <View style={styles.legendContainer}>
+              {PERCENTILES.map(p => (
+                <View key={p} style={styles.legendItem}>
+                  <View style={[styles.legendColor, { backgroundColor: BAND_COLORS[p](1) }]} />
+                  <Text>{p}%</Text>
+                </View>
+              ))}
+            </View>
+
+            <DataTable>
+              <DataTable.Header>
+                <DataTable.Title>年</DataTable.Title>
+                {PERCENTILES.map(p => (
+                  <DataTable.Title key={p} numeric>
+                    {p}%
+                  </DataTable.Title>
+                ))}
+              </DataTable.Header>
+              {displayedResult.years.map((year, index) => (
+                <DataTable.Row key={year}>
+                  <DataTable.Cell>{year}年</DataTable.Cell>
+                  {PERCENTILES.map(p => (
+                    <DataTable.Cell
+                      key={p}
+                      numeric
+                      textStyle={
+                        displayedResult.percentiles[p][index] < 0 ? styles.negativeText : undefined
+                      }>
+                      {formatCurrency(displayedResult.percentiles[p][index])}
+                    </DataTable.Cell>
+                  ))}
+                </DataTable.Row>
+              ))}
+            </DataTable>
+            <Text style={styles.noteText}>
+              試行回数 {displayedResult.iterations}回・シード {displayedResult.seed}
+            </Text>
+          </Card.Content>
+        </Card>
+      )}
+    </ScrollView>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.common.white,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  card: {
+    margin: THEME.spacing.md,
+  },
+  input: {
+    marginBottom: THEME.spacing.sm,
+  },
+  runButton: {
+    marginHorizontal: THEME.spacing.md,
+  },
+  progressContainer: {
+    marginHorizontal: THEME.spacing.md,
+  },
+  progressBar: {
+    marginVertical: THEME.spacing.sm,
+  },
+  errorText: {
+    margin: THEME.spacing.md,
+    color: COLORS.accent.error,
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+  },
+  summaryText: {
+    fontSize: THEME.typography.body2,
+    color: COLORS.grey[700],
+  },
+  depletionText: {
+    fontSize: THEME.typography.body2,
+    fontWeight: 'bold',
+    color: COLORS.accent.error,
+  },
+  chart: {
+    marginVertical: THEME.spacing.md,
+  },
+  legendContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: THEME.spacing.md,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: THEME.spacing.sm,
+  },
+  legendColor: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    marginRight: THEME.spacing.xs,
+  },
+  negativeText: {
+    color: COLORS.accent.error,
+  },
+  noteText: {
+    marginTop: THEME.spacing.sm,
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+  },
+});
+
+export default MonteCarloScreen;
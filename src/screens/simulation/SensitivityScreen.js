@@ -0,0 +1,297 @@
+import { observer } from 'mobx-react-lite';
+import React, { useEffect, useMemo, useState } from 'react';
+import { ScrollView, StyleSheet, View } from 'react-native';
+import { Card, DataTable, SegmentedButtons, Text, Title } from 'react-native-paper';
+import NumberInput from '../../components/forms/NumberInput';
+import { COLORS, THEME } from '../../constants';
+import { VALUE_MODES } from '../../services/calculators/inflation';
+import {
+  DEFAULT_LIFESPAN_DELTA,
+  DEFAULT_RATE_DELTA,
+  runSensitivityAnalysis,
+} from '../../services/calculators/sensitivity';
+import { rootStore } from '../../stores/RootStore';
+import { formatCurrency, formatPercentage } from '../../utils/format';
+
+// 前提を下げた場合・上げた場合の棒の色
+const LOW_COLOR = COLORS.secondary.main;
+const HIGH_COLOR = COLORS.primary.main;
+
+// 変動幅の入力が止まってから分析をやり直すまでの時間（ミリ秒）
+const INPUT_DEBOUNCE_MS = 500;
+
+/**
+ * 変動幅の表示
+ */
+const formatDelta = result =>
+  result.format === 'percent' ? `±${formatPercentage(result.delta)}` : `±${result.delta}年`;
+
+/**
+ * 感度分析画面
+ * 前提条件を1つずつ上下に動かした場合の最終年の純資産への影響をトルネードチャートで表示する
+ */
+const SensitivityScreen = observer(({ route }) => {
+  const { lifePlanId } = route.params;
+  const lifePlan = rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+
+  const [rateDelta, setRateDelta] = useState(DEFAULT_RATE_DELTA);
+  const [lifespanDelta, setLifespanDelta] = useState(DEFAULT_LIFESPAN_DELTA);
+  const [valueMode, setValueMode] = useState(VALUE_MODES.NOMINAL);
+  // 分析に使う変動幅（入力中は前回の値のまま）
+  const [analysisDeltas, setAnalysisDeltas] = useState({
+    rateDelta: DEFAULT_RATE_DELTA,
+    lifespanDelta: DEFAULT_LIFESPAN_DELTA,
+  });
+
+  useEffect(() => {
+    console.log(`SensitivityScreen: 画面がマウントされました (LifePlanId: ${lifePlanId})`);
+    return () =>
+      console.log(`SensitivityScreen: 画面がアンマウントされました (LifePlanId: ${lifePlanId})`);
+  }, [lifePlanId]);
+
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setAnalysisDeltas({ rateDelta: rateDelta || 0, lifespanDelta: lifespanDelta || 0 }),
+      INPUT_DEBOUNCE_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [rateDelta, lifespanDelta]);
+
+  // 分析の入力のスナップショット（ストアの内容が変わった時だけ分析をやり直す）
+  const inputsKey = JSON.stringify({
+    lifePlan,
+    assets: rootStore.assetStore.getLifePlanAssets(lifePlanId),
+    liabilities: rootStore.liabilityStore.getLifePlanLiabilities(lifePlanId),
+    incomeCategories: rootStore.categoryStore.sortedIncomeCategories,
+    expenseCategories: rootStore.categoryStore.sortedExpenseCategories,
+  });
+
+  // 年別収支一覧と同じ予測を、前提条件を動かしてやり直す
+  const analysis = useMemo(() => {
+    const inputs = JSON.parse(inputsKey);
+    if (!inputs.lifePlan) {
+      return null;
+    }
+    return runSensitivityAnalysis({ ...inputs, valueMode }, analysisDeltas);
+  }, [inputsKey, valueMode, analysisDeltas]);
+
+  if (!analysis) {
+    return (
+      <View style={styles.centerContainer}>
+        <Text>ライフプランが見つかりません</Text>
+      </View>
+    );
+  }
+
+  const { baseValue, results } = analysis;
+  const maxImpact = Math.max(
+    1,
+    ...results.flatMap(result => [Math.abs(result.lowImpact), Math.abs(result.highImpact)]),
+  );
+
+  /**
+   * 基準からの影響を表す棒
+   * マイナスの影響は中央から左、プラスの影響は中央から右に伸ばす
+   */
+  const renderBar = (impact, color) => {
+    const width = `${(Math.abs(impact) / maxImpact) * 50}%`;
+    return (
+      <View style={styles.barTrack}>
+        <View
+          style={[
+            styles.bar,
+            { width, backgroundColor: color },
+            impact < 0 ? { right: '50%' } : { left: '50%' },
+          ]}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      {/* 変動幅の設定 */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>変動幅</Title>
+          <NumberInput
+            label="利率（インフレ率・期待収益率・配当利回り・昇給率）"
+            value={rateDelta}
+            onChangeValue={setRateDelta}
+            min={0}
+            max={0.1}
+            step={0.005}
+            format="percent"
+            style={styles.input}
+          />
+          <NumberInput
+            label="想定寿命（年）"
+            value={lifespanDelta}
+            onChangeValue={setLifespanDelta}
+            min={0}
+            max={30}
+            style={styles.input}
+          />
+        </Card.Content>
+      </Card>
+
+      <SegmentedButtons
+        value={valueMode}
+        onValueChange={setValueMode}
+        buttons={[
+          { value: VALUE_MODES.NOMINAL, label: '名目額' },
+          { value: VALUE_MODES.REAL, label: '実質額（現在価値）' },
+        ]}
+        style={styles.modeSwitch}
+      />
+
+      {/* トルネードチャート */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>最終年の純資産への影響</Title>
+          <Text style={styles.summaryText}>基準: {formatCurrency(baseValue)}</Text>
+          {results.map(result => (
+            <View key={result.key} style={styles.tornadoRow}>
+              <Text style={styles.tornadoLabel} numberOfLines={2}>
+                {result.label}
+              </Text>
+              <View style={styles.tornadoBars}>
+                {renderBar(result.lowImpact, LOW_COLOR)}
+                {renderBar(result.highImpact, HIGH_COLOR)}
+                <View style={styles.centerLine} />
+              </View>
+            </View>
+          ))}
+          <View style={styles.legendContainer}>
+            <View style={styles.legendItem}>
+              <View style={[styles.legendColor, { backgroundColor: LOW_COLOR }]} />
+              <Text>下げた場合</Text>
+            </View>
+            <View style={styles.legendItem}>
+              <View style={[styles.legendColor, { backgroundColor: HIGH_COLOR }]} />
+              <Text>上げた場合</Text>
+            </View>
+          </View>
+          <Text style={styles.noteText}>
+            影響の大きい順に表示しています。中央の線が基準の純資産です
+          </Text>
+        </Card.Content>
+      </Card>
+
+      {/* 影響の一覧 */}
+      <Card style={styles.card}>
+        <Card.Content>
+          <DataTable>
+            <DataTable.Header>
+              <DataTable.Title>前提条件</DataTable.Title>
+              <DataTable.Title numeric>変動幅</DataTable.Title>
+              <DataTable.Title numeric>下げた場合</DataTable.Title>
+              <DataTable.Title numeric>上げた場合</DataTable.Title>
+              <DataTable.Title numeric>影響幅</DataTable.Title>
+            </DataTable.Header>
+            {results.map(result => (
+              <DataTable.Row key={result.key}>
+                <DataTable.Cell>{result.label}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatDelta(result)}</DataTable.Cell>
+                <DataTable.Cell
+                  numeric
+                  textStyle={result.lowImpact < 0 ? styles.negativeText : undefined}>
+                  {formatCurrency(result.lowImpact)}
+                </DataTable.Cell>
+                <DataTable.Cell
+                  numeric
+                  textStyle={result.highImpact < 0 ? styles.negativeText : undefined}>
+                  {formatCurrency(result.highImpact)}
+                </DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(result.range)}</DataTable.Cell>
+              </DataTable.Row>
+            ))}
+          </DataTable>
+          <Text style={styles.noteText}>金額は基準の最終年の純資産との差です</Text>
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.common.white,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  card: {
+    margin: THEME.spacing.md,
+  },
+  input: {
+    marginBottom: THEME.spacing.sm,
+  },
+  modeSwitch: {
+    marginHorizontal: THEME.spacing.md,
+  },
+  summaryText: {
+    fontSize: THEME.typography.body2,
+    color: COLORS.grey[700],
+    marginBottom: THEME.spacing.sm,
+  },
+  tornadoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: THEME.spacing.xs,
+  },
+  tornadoLabel: {
+    width: 120,
+    fontSize: THEME.typography.caption,
+    marginRight: THEME.spacing.sm,
+  },
+  tornadoBars: {
+    flex: 1,
+  },
+  barTrack: {
+    height: 10,
+    marginVertical: 1,
+  },
+  bar: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+  },
+  centerLine: {
+    position: 'absolute',
+    left: '50%',
+    top: 0,
+    bottom: 0,
+    width: 1,
+    backgroundColor: COLORS.grey[600],
+  },
+  legendContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: THEME.spacing.md,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: THEME.spacing.sm,
+  },
+  legendColor: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    marginRight: THEME.spacing.xs,
+  },
+  negativeText: {
+    color: COLORS.accent.error,
+  },
+  noteText: {
+    marginTop: THEME.spacing.sm,
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+  },
+});
+
+export default SensitivityScreen;
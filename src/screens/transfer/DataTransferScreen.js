@@ -0,0 +1,311 @@
+import { observer } from 'mobx-react-lite';
+import React, { useEffect, useState } from 'react';
+import { ScrollView, StyleSheet, View } from 'react-native';
+import { Button, List, SegmentedButtons, Text, TextInput, Title } from 'react-native-paper';
+import ConfirmDialog from '../../components/common/ConfirmDialog';
+import { COLORS, THEME } from '../../constants';
+import { IMPORT_MODES, prepareImport } from '../../services/importers/mergeImport';
+import { decodeShareCode } from '../../services/importers/shareCode';
+import { rootStore } from '../../stores/RootStore';
+
+const IMPORT_MODE_DESCRIPTIONS = {
+  [IMPORT_MODES.REPLACE]: '含まれている種類のデータを、共有コードの内容にすべて置き換えます',
+  [IMPORT_MODES.MERGE]: '同じIDのデータは上書きし、それ以外は追加します',
+  [IMPORT_MODES.COPY]: '共有コードのデータを新しいデータとして追加します',
+};
+
+/**
+ * データ共有画面
+ * 共有コードによるエクスポート/インポートを行う
+ */
+const DataTransferScreen = observer(({ route }) => {
+  const initialLifePlanId = route.params?.lifePlanId ?? null;
+
+  useEffect(() => {
+    console.log('DataTransferScreen: 画面がマウントされました');
+    return () => console.log('DataTransferScreen: 画面がアンマウントされました');
+  }, []);
+
+  // エクスポートの状態
+  const [exportLifePlanId, setExportLifePlanId] = useState(initialLifePlanId);
+  const [exportCode, setExportCode] = useState('');
+  const [exportError, setExportError] = useState(null);
+
+  // インポートの状態
+  const [importCode, setImportCode] = useState('');
+  const [importJson, setImportJson] = useState(null);
+  const [importMode, setImportMode] = useState(IMPORT_MODES.REPLACE);
+  const [importPreview, setImportPreview] = useState([]);
+  const [rejectedRecords, setRejectedRecords] = useState([]);
+  const [importError, setImportError] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const [isImportDialogVisible, setImportDialogVisible] = useState(false);
+
+  const lifePlans = rootStore.lifePlanStore.sortedLifePlans;
+  const exportLifePlan = exportLifePlanId
+    ? rootStore.lifePlanStore.lifePlans.get(exportLifePlanId)
+    : null;
+
+  /**
+   * 共有コードの作成
+   */
+  const handleExport = async () => {
+    try {
+      const code = exportLifePlanId
+        ? await rootStore.exportLifePlanShareCode(exportLifePlanId)
+        : await rootStore.exportShareCode();
+      setExportCode(code);
+      setExportError(null);
+    } catch (error) {
+      setExportCode('');
+      setExportError(error.message);
+    }
+  };
+
+  /**
+   * 共有コードの内容確認
+   */
+  const handlePreview = async (mode = importMode) => {
+    setImportMessage(null);
+    try {
+      const jsonString = decodeShareCode(importCode);
+      const currentData = JSON.parse(await rootStore.exportData());
+      const { preview, rejected } = prepareImport(jsonString, currentData, mode);
+      setImportJson(jsonString);
+      setImportPreview(preview);
+      setRejectedRecords(rejected);
+      setImportError(null);
+    } catch (error) {
+      resetImportPreview();
+      setImportError(error.message);
+    }
+  };
+
+  /**
+   * 内容確認の結果をクリア
+   */
+  const resetImportPreview = () => {
+    setImportJson(null);
+    setImportPreview([]);
+    setRejectedRecords([]);
+  };
+
+  /**
+   * インポート方法の変更
+   */
+  const handleChangeMode = mode => {
+    setImportMode(mode);
+    if (importJson) {
+      handlePreview(mode);
+    }
+  };
+
+  /**
+   * インポートの実行
+   */
+  const handleImport = async () => {
+    setImportDialogVisible(false);
+    try {
+      const { rejected } = await rootStore.importData(importJson, { mode: importMode });
+      setImportCode('');
+      resetImportPreview();
+      setImportMessage(
+        rejected.length > 0
+          ? `インポートが完了しました（${rejected.length}件のデータは取り込まれませんでした）`
+          : 'インポートが完了しました',
+      );
+    } catch (error) {
+      setImportError('インポートに失敗しました');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.content}>
+        {/* エクスポート */}
+        <View style={styles.section}>
+          <Title>エクスポート</Title>
+          <List.Accordion
+            title="対象"
+            description={exportLifePlan ? exportLifePlan.name : 'すべてのデータ'}
+            style={styles.input}>
+            <List.Item
+              title="すべてのデータ"
+              onPress={() => {
+                setExportLifePlanId(null);
+                setExportCode('');
+              }}
+            />
+            {lifePlans.map(lifePlan => (
+              <List.Item
+                key={lifePlan.id}
+                title={lifePlan.name}
+                onPress={() => {
+                  setExportLifePlanId(lifePlan.id);
+                  setExportCode('');
+                }}
+              />
+            ))}
+          </List.Accordion>
+          <Button mode="contained" onPress={handleExport} style={styles.button}>
+            共有コードを作成
+          </Button>
+          {exportError && <Text style={styles.errorText}>{exportError}</Text>}
+          {exportCode !== '' && (
+            <>
+              <TextInput
+                label={`共有コード（${exportCode.length.toLocaleString('ja-JP')}文字）`}
+                value={exportCode}
+                multiline
+                editable={false}
+                selectTextOnFocus
+                style={styles.codeInput}
+              />
+              <Text style={styles.noteText}>
+                コードをコピーして、移行先の端末のインポート欄に貼り付けてください
+              </Text>
+            </>
+          )}
+        </View>
+
+        {/* インポート */}
+        <View style={styles.section}>
+          <Title>インポート</Title>
+          <TextInput
+            label="共有コード"
+            value={importCode}
+            onChangeText={text => {
+              setImportCode(text);
+              resetImportPreview();
+            }}
+            multiline
+            style={styles.codeInput}
+          />
+          <SegmentedButtons
+            value={importMode}
+            onValueChange={handleChangeMode}
+            buttons={[
+              { value: IMPORT_MODES.REPLACE, label: 'すべて置き換え' },
+              { value: IMPORT_MODES.MERGE, label: 'IDで統合' },
+              { value: IMPORT_MODES.COPY, label: 'コピーを追加' },
+            ]}
+            style={styles.modeSwitch}
+          />
+          <Text style={styles.noteText}>{IMPORT_MODE_DESCRIPTIONS[importMode]}</Text>
+          <Button
+            mode="outlined"
+            onPress={() => handlePreview()}
+            disabled={!importCode.trim()}
+            style={styles.button}>
+            内容を確認
+          </Button>
+          {importError && <Text style={styles.errorText}>{importError}</Text>}
+          {importMessage && <Text style={styles.successText}>{importMessage}</Text>}
+
+          {/* インポート前後の件数のプレビュー */}
+          {importJson && (
+            <View style={styles.preview}>
+              {importPreview.map(section => (
+                <List.Item
+                  key={section.key}
+                  title={`${section.label}: ${section.currentCount}件 → ${section.resultCount}件`}
+                  description={section.names.join('、') || undefined}
+                />
+              ))}
+
+              {/* 取り込めないデータ */}
+              {rejectedRecords.length > 0 && (
+                <View style={styles.rejected}>
+                  <Text style={styles.errorText}>
+                    以下の{rejectedRecords.length}件のデータは形式が正しくないため取り込まれません
+                  </Text>
+                  {rejectedRecords.map((record, index) => (
+                    <Text key={index} style={styles.rejectedText}>
+                      {record.section}「{record.name}」: {record.reason}
+                    </Text>
+                  ))}
+                </View>
+              )}
+              <Button
+                mode="contained"
+                onPress={() => setImportDialogVisible(true)}
+                disabled={importPreview.length === 0}
+                style={styles.button}>
+                インポート
+              </Button>
+            </View>
+          )}
+        </View>
+      </ScrollView>
+
+      {/* インポート確認ダイアログ */}
+      <ConfirmDialog
+        visible={isImportDialogVisible}
+        onDismiss={() => setImportDialogVisible(false)}
+        onConfirm={handleImport}
+        title="データのインポート"
+        message={`${importPreview.map(section => section.label).join('・')}をインポートします。${
+          importMode === IMPORT_MODES.REPLACE ? '現在のデータは置き換えられ、' : ''
+        }この操作は取り消せません。よろしいですか？`}
+        confirmLabel="インポート"
+        confirmColor={COLORS.accent.error}
+      />
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.common.white,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  input: {
+    marginBottom: THEME.spacing.md,
+  },
+  codeInput: {
+    maxHeight: 160,
+    marginTop: THEME.spacing.sm,
+  },
+  button: {
+    marginTop: THEME.spacing.sm,
+  },
+  modeSwitch: {
+    marginTop: THEME.spacing.sm,
+  },
+  preview: {
+    marginTop: THEME.spacing.md,
+  },
+  rejected: {
+    marginTop: THEME.spacing.sm,
+  },
+  rejectedText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[700],
+    marginTop: THEME.spacing.xs,
+  },
+  noteText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+    marginTop: THEME.spacing.sm,
+  },
+  errorText: {
+    color: COLORS.accent.error,
+    fontSize: THEME.typography.caption,
+    marginTop: THEME.spacing.sm,
+  },
+  successText: {
+    color: COLORS.accent.success,
+    fontSize: THEME.typography.caption,
+    marginTop: THEME.spacing.sm,
+  },
+});
+
+export default DataTransferScreen;
@@ -1,14 +1,34 @@
 import { observer } from 'mobx-react-lite';
 import React, { useEffect, useState } from 'react';
 import { ScrollView, StyleSheet, View } from 'react-native';
-import { Button, DataTable, IconButton, Portal, Text, useTheme } from 'react-native-paper';
+import {
+  Button,
+  Chip,
+  DataTable,
+  IconButton,
+  Portal,
+  SegmentedButtons,
+  Text,
+  useTheme,
+} from 'react-native-paper';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
 import { COLORS, THEME } from '../../constants';
+import { VALUE_MODES } from '../../services/calculators/inflation';
+import { calculateGoalFunding } from '../../services/calculators/goal';
+import { getMemberAges } from '../../services/calculators/members';
+import { buildProjection } from '../../services/calculators/projection';
+import { applyScenario } from '../../services/calculators/scenario';
 import { rootStore } from '../../stores/RootStore';
-import { formatCurrency } from '../../utils/format';
+import { formatCurrency, formatPercentage } from '../../utils/format';
 import CategoryModal from './components/CategoryModal';
+import DecumulationModal from './components/DecumulationModal';
 import ExpenseGroupModal from './components/ExpenseGroupModal';
+import GoalModal from './components/GoalModal';
 import IncomeGroupModal from './components/IncomeGroupModal';
+import LoanModal from './components/LoanModal';
+import MemberModal from './components/MemberModal';
+import RecurringItemModal from './components/RecurringItemModal';
+import ScenarioModal from './components/ScenarioModal';
 import YearCopyModal from './components/YearCopyModal';
 
 /**
@@ -31,17 +51,30 @@ const YearlyListScreen = observer(({ route, navigation }) => {
   const [isCategoryModalVisible, setCategoryModalVisible] = useState(false);
   const [categoryType, setCategoryType] = useState(null);
   const [isYearCopyModalVisible, setYearCopyModalVisible] = useState(false);
+  const [isRecurringModalVisible, setRecurringModalVisible] = useState(false);
+  const [isMemberModalVisible, setMemberModalVisible] = useState(false);
+  const [isLoanModalVisible, setLoanModalVisible] = useState(false);
+  const [isScenarioModalVisible, setScenarioModalVisible] = useState(false);
+  const [isGoalModalVisible, setGoalModalVisible] = useState(false);
+  const [isDecumulationModalVisible, setDecumulationModalVisible] = useState(false);
 
   // 選択状態
   const [selectedYear, setSelectedYear] = useState(null);
   const [isClearDialogVisible, setClearDialogVisible] = useState(false);
 
+  // 表示モード（名目額 / 実質額）
+  const [valueMode, setValueMode] = useState(VALUE_MODES.NOMINAL);
+
+  // 予測に重ねるシナリオ（null の場合はプランのまま）
+  const [scenarioId, setScenarioId] = useState(null);
+
   /**
    * 年別データのクリア
    */
   const handleClearYear = () => {
     if (selectedYear) {
       rootStore.lifePlanStore.clearYearlyFinance(lifePlanId, selectedYear.id);
+      rootStore.historyStore.notify(`${selectedYear.year}年のデータをクリアしました`);
       setClearDialogVisible(false);
       setSelectedYear(null);
     }
@@ -69,6 +102,14 @@ const YearlyListScreen = observer(({ route, navigation }) => {
     });
   };
 
+  /**
+   * シナリオから作成したプランを開く
+   */
+  const handlePromoteScenario = newLifePlanId => {
+    setScenarioModalVisible(false);
+    navigation.push('YearlyList', { lifePlanId: newLifePlanId });
+  };
+
   /**
    * カテゴリ管理モーダルを開く
    */
@@ -85,6 +126,37 @@ const YearlyListScreen = observer(({ route, navigation }) => {
     );
   }
 
+  // 累計残高を含む収支予測（選択中のシナリオの条件を重ねる）
+  const scenario = (lifePlan.scenarios || []).find(s => s.id === scenarioId) || null;
+  const projectionInputs = {
+    ...applyScenario(
+      {
+        lifePlan,
+        assets: rootStore.assetStore.getLifePlanAssets(lifePlanId),
+        liabilities: rootStore.liabilityStore.getLifePlanLiabilities(lifePlanId),
+      },
+      scenario,
+    ),
+    incomeCategories: rootStore.categoryStore.sortedIncomeCategories,
+    expenseCategories: rootStore.categoryStore.sortedExpenseCategories,
+  };
+  const projection = buildProjection({ ...projectionInputs, valueMode });
+  const projectionByYear = new Map(projection.rows.map(row => [row.year, row]));
+
+  // 目標の達成状況（資産の評価額と合わせるため名目額の予測から計算する）
+  const goalFunding = calculateGoalFunding({
+    lifePlan: projectionInputs.lifePlan,
+    assets: projectionInputs.assets,
+    projection:
+      valueMode === VALUE_MODES.NOMINAL
+        ? projection
+        : buildProjection({ ...projectionInputs, valueMode: VALUE_MODES.NOMINAL }),
+  });
+  const goalFundingByYear = new Map();
+  goalFunding.forEach(funding => {
+    goalFundingByYear.set(funding.year, [...(goalFundingByYear.get(funding.year) || []), funding]);
+  });
+
   return (
     <View style={styles.container}>
       {/* 管理ボタン群 */}
@@ -110,6 +182,106 @@ const YearlyListScreen = observer(({ route, navigation }) => {
         <Button mode="outlined" onPress={() => openCategoryModal('asset')} style={styles.button}>
           資産カテゴリ管理
         </Button>
+        <Button
+          mode="outlined"
+          onPress={() => openCategoryModal('liability')}
+          style={styles.button}>
+          負債カテゴリ管理
+        </Button>
+        <Button
+          mode="outlined"
+          onPress={() => setRecurringModalVisible(true)}
+          style={styles.button}>
+          繰り返し項目管理
+        </Button>
+        <Button mode="outlined" onPress={() => setMemberModalVisible(true)} style={styles.button}>
+          世帯メンバー管理
+        </Button>
+        <Button mode="outlined" onPress={() => setLoanModalVisible(true)} style={styles.button}>
+          ローン管理
+        </Button>
+        <Button mode="outlined" onPress={() => setScenarioModalVisible(true)} style={styles.button}>
+          シナリオ管理
+        </Button>
+        <Button mode="outlined" onPress={() => setGoalModalVisible(true)} style={styles.button}>
+          目標管理
+        </Button>
+        <Button
+          mode="outlined"
+          onPress={() => setDecumulationModalVisible(true)}
+          style={styles.button}>
+          取り崩し戦略
+        </Button>
+        <Button
+          mode="outlined"
+          onPress={() => navigation.navigate('MonteCarlo', { lifePlanId })}
+          style={styles.button}>
+          モンテカルロシミュレーション
+        </Button>
+        <Button
+          mode="outlined"
+          onPress={() => navigation.navigate('Sensitivity', { lifePlanId })}
+          style={styles.button}>
+          感度分析
+        </Button>
+      </View>
+
+      {/* 表示モード切り替え */}
+      <SegmentedButtons
+        value={valueMode}
+        onValueChange={setValueMode}
+        buttons={[
+          { value: VALUE_MODES.NOMINAL, label: '名目額' },
+          { value: VALUE_MODES.REAL, label: '実質額（現在価値）' },
+        ]}
+        style={styles.modeSwitch}
+      />
+
+      {/* シナリオの選択 */}
+      {(lifePlan.scenarios || []).length > 0 && (
+        <View style={styles.scenarioContainer}>
+          <Chip
+            selected={!scenario}
+            onPress={() => setScenarioId(null)}
+            style={styles.scenarioChip}
+            mode="outlined">
+            ベース
+          </Chip>
+          {lifePlan.scenarios.map(s => (
+            <Chip
+              key={s.id}
+              selected={scenario?.id === s.id}
+              onPress={() => setScenarioId(s.id)}
+              style={styles.scenarioChip}
+              mode="outlined">
+              {s.name}
+            </Chip>
+          ))}
+        </View>
+      )}
+
+      {/* 資金不足の警告 */}
+      <View style={styles.summary}>
+        {projection.firstDeficitYear ? (
+          <Text style={styles.deficitText}>
+            {projection.firstDeficitYear}年に累計残高がマイナスになります
+          </Text>
+        ) : (
+          <Text style={styles.summaryText}>プラン期間中に累計残高はマイナスになりません</Text>
+        )}
+        {projection.depletionYear && (
+          <Text style={styles.deficitText}>{projection.depletionYear}年に資産が尽きます</Text>
+        )}
+        {lifePlan.baselineYear !== undefined && lifePlan.baselineYear !== null && (
+          <Text style={styles.summaryText}>
+            {lifePlan.baselineYear}年までの実績を基準に予測しています
+          </Text>
+        )}
+        {scenario && (
+          <Text style={styles.summaryText}>
+            シナリオ「{scenario.name}」の条件で予測しています（プランは変更されません）
+          </Text>
+        )}
       </View>
 
       {/* 年別データ一覧 */}
@@ -118,28 +290,58 @@ const YearlyListScreen = observer(({ route, navigation }) => {
           <DataTable.Header>
             <DataTable.Title>年</DataTable.Title>
             <DataTable.Title numeric>収入合計</DataTable.Title>
+            <DataTable.Title numeric>手取り</DataTable.Title>
             <DataTable.Title numeric>支出合計</DataTable.Title>
+            <DataTable.Title numeric>年間収支</DataTable.Title>
             <DataTable.Title numeric>資産合計</DataTable.Title>
+            <DataTable.Title numeric>累計残高</DataTable.Title>
+            <DataTable.Title numeric>負債残高</DataTable.Title>
+            <DataTable.Title numeric>純資産</DataTable.Title>
             <DataTable.Title numeric>アクション</DataTable.Title>
           </DataTable.Header>
 
           {lifePlan.yearlyFinances.map(yearData => {
-            const totalIncome = yearData.incomes.reduce((sum, income) => sum + income.amount, 0);
-            const totalExpense = yearData.expenses.reduce(
-              (sum, expense) => sum + expense.amount,
-              0,
-            );
-            const totalAsset = yearData.assets.reduce((sum, asset) => sum + asset.initialAmount, 0);
-
+            const row = projectionByYear.get(yearData.year);
+            const memberAges = getMemberAges(lifePlan, yearData.year);
+            const yearGoals = goalFundingByYear.get(yearData.year) || [];
             return (
               <DataTable.Row
                 key={yearData.id}
                 onPress={() => handleSelectYear(yearData)}
                 style={styles.row}>
-                <DataTable.Cell>{yearData.year}年</DataTable.Cell>
-                <DataTable.Cell numeric>{formatCurrency(totalIncome)}</DataTable.Cell>
-                <DataTable.Cell numeric>{formatCurrency(totalExpense)}</DataTable.Cell>
-                <DataTable.Cell numeric>{formatCurrency(totalAsset)}</DataTable.Cell>
+                <DataTable.Cell>
+                  <View>
+                    <Text>{yearData.year}年</Text>
+                    {memberAges.length > 0 && (
+                      <Text style={styles.agesText}>
+                        {memberAges.map(({ member, age }) => `${member.name} ${age}歳`).join('・')}
+                      </Text>
+                    )}
+                    {yearGoals.map(funding => (
+                      <Text
+                        key={funding.goal.id}
+                        style={[styles.goalText, funding.gap > 0 && styles.negativeText]}>
+                        目標: {funding.goal.name} {formatPercentage(funding.fundingRatio, 0)}
+                      </Text>
+                    ))}
+                  </View>
+                </DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(row.income)}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(row.takeHomePay)}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(row.expense)}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(row.netCashFlow)}</DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(row.assetValue)}</DataTable.Cell>
+                <DataTable.Cell
+                  numeric
+                  textStyle={row.cumulativeBalance < 0 ? styles.negativeText : undefined}>
+                  {formatCurrency(row.cumulativeBalance)}
+                </DataTable.Cell>
+                <DataTable.Cell numeric>{formatCurrency(row.liabilities)}</DataTable.Cell>
+                <DataTable.Cell
+                  numeric
+                  textStyle={row.netWorth < 0 ? styles.negativeText : undefined}>
+                  {formatCurrency(row.netWorth)}
+                </DataTable.Cell>
                 <DataTable.Cell numeric>
                   <View style={styles.actions}>
                     <IconButton
@@ -180,6 +382,51 @@ const YearlyListScreen = observer(({ route, navigation }) => {
           onDismiss={() => setIncomeGroupModalVisible(false)}
         />
 
+        {/* 繰り返し項目管理モーダル */}
+        <RecurringItemModal
+          visible={isRecurringModalVisible}
+          onDismiss={() => setRecurringModalVisible(false)}
+          lifePlan={lifePlan}
+        />
+
+        {/* 世帯メンバー管理モーダル */}
+        <MemberModal
+          visible={isMemberModalVisible}
+          onDismiss={() => setMemberModalVisible(false)}
+          lifePlan={lifePlan}
+        />
+
+        {/* ローン管理モーダル */}
+        <LoanModal
+          visible={isLoanModalVisible}
+          onDismiss={() => setLoanModalVisible(false)}
+          lifePlan={lifePlan}
+        />
+
+        {/* シナリオ管理モーダル */}
+        <ScenarioModal
+          visible={isScenarioModalVisible}
+          onDismiss={() => setScenarioModalVisible(false)}
+          onPromote={handlePromoteScenario}
+          lifePlan={lifePlan}
+        />
+
+        {/* 目標管理モーダル */}
+        <GoalModal
+          visible={isGoalModalVisible}
+          onDismiss={() => setGoalModalVisible(false)}
+          lifePlan={lifePlan}
+          goalFunding={goalFunding}
+        />
+
+        {/* 取り崩し戦略モーダル */}
+        <DecumulationModal
+          visible={isDecumulationModalVisible}
+          onDismiss={() => setDecumulationModalVisible(false)}
+          lifePlan={lifePlan}
+          projection={projection}
+        />
+
         {/* カテゴリ管理モーダル */}
         <CategoryModal
           visible={isCategoryModalVisible}
@@ -237,6 +484,44 @@ const styles = StyleSheet.create({
   button: {
     margin: THEME.spacing.xs,
   },
+  modeSwitch: {
+    margin: THEME.spacing.md,
+  },
+  scenarioContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: THEME.spacing.md,
+    paddingBottom: THEME.spacing.sm,
+  },
+  scenarioChip: {
+    marginRight: THEME.spacing.sm,
+    marginBottom: THEME.spacing.sm,
+  },
+  summary: {
+    paddingHorizontal: THEME.spacing.md,
+    paddingBottom: THEME.spacing.sm,
+  },
+  summaryText: {
+    fontSize: THEME.typography.body2,
+    color: COLORS.grey[700],
+  },
+  deficitText: {
+    fontSize: THEME.typography.body2,
+    fontWeight: 'bold',
+    color: COLORS.accent.error,
+  },
+  agesText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+  },
+  goalText: {
+    fontSize: THEME.typography.caption,
+    fontWeight: 'bold',
+    color: COLORS.accent.success,
+  },
+  negativeText: {
+    color: COLORS.accent.error,
+  },
   content: {
     flex: 1,
   },
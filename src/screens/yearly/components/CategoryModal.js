@@ -4,10 +4,12 @@ import { ScrollView, StyleSheet, View } from 'react-native';
 import { ColorPicker } from 'react-native-color-picker';
 import { Button, IconButton, Modal, Portal, Text, TextInput } from 'react-native-paper';
 import ConfirmDialog from '../../../components/common/ConfirmDialog';
+import NumberInput from '../../../components/forms/NumberInput';
 import { COLORS, THEME } from '../../../constants';
 import { rootStore } from '../../../stores/RootStore';
+import { formatPercentage } from '../../../utils/format';
 import { logModalShow } from '../../../utils/logger';
-import { validateColorCode } from '../../../utils/validate';
+import { validateColorCode, validateNumber } from '../../../utils/validate';
 
 /**
  * カテゴリ管理モーダル
@@ -22,8 +24,12 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
   const [color, setColor] = useState(COLORS.primary.main);
+  const [inflationRate, setInflationRate] = useState(null);
   const [error, setError] = useState(null);
 
+  // インフレ率を個別に設定できるのは収入・支出カテゴリのみ
+  const hasInflationRate = type === 'income' || type === 'expense';
+
   /**
    * カテゴリの取得
    */
@@ -35,18 +41,34 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
         return rootStore.categoryStore.sortedExpenseCategories;
       case 'asset':
         return rootStore.categoryStore.sortedAssetCategories;
+      case 'liability':
+        return rootStore.categoryStore.sortedLiabilityCategories;
       default:
         return [];
     }
   };
 
+  /**
+   * 入力内容からカテゴリデータを作成
+   */
+  const buildCategoryData = () => {
+    validateColorCode(color, 'カラー');
+    const data = { name, description, color };
+    if (hasInflationRate) {
+      if (inflationRate !== null && inflationRate !== undefined) {
+        validateNumber(inflationRate, 'インフレ率', { min: -1, max: 1 });
+      }
+      data.inflationRate = inflationRate ?? null;
+    }
+    return data;
+  };
+
   /**
    * カテゴリの作成
    */
   const handleCreate = () => {
     try {
-      validateColorCode(color, 'カラー');
-      const data = { name, description, color };
+      const data = buildCategoryData();
 
       switch (type) {
         case 'income':
@@ -58,6 +80,9 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
         case 'asset':
           rootStore.categoryStore.createAssetCategory(data);
           break;
+        case 'liability':
+          rootStore.categoryStore.createLiabilityCategory(data);
+          break;
       }
 
       resetForm();
@@ -72,8 +97,7 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
    */
   const handleUpdate = () => {
     try {
-      validateColorCode(color, 'カラー');
-      const data = { name, description, color };
+      const data = buildCategoryData();
 
       switch (type) {
         case 'income':
@@ -85,6 +109,9 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
         case 'asset':
           rootStore.categoryStore.updateAssetCategory(editingCategory.id, data);
           break;
+        case 'liability':
+          rootStore.categoryStore.updateLiabilityCategory(editingCategory.id, data);
+          break;
       }
 
       resetForm();
@@ -109,7 +136,11 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
         case 'asset':
           rootStore.categoryStore.deleteAssetCategory(editingCategory.id);
           break;
+        case 'liability':
+          rootStore.categoryStore.deleteLiabilityCategory(editingCategory.id);
+          break;
       }
+      rootStore.historyStore.notify(`${editingCategory.name}を削除しました`);
 
       resetForm();
       setDeleteDialogVisible(false);
@@ -123,6 +154,7 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
     setName('');
     setDescription('');
     setColor(COLORS.primary.main);
+    setInflationRate(null);
     setEditingCategory(null);
     setError(null);
   };
@@ -135,6 +167,7 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
     setName(category.name);
     setDescription(category.description || '');
     setColor(category.color);
+    setInflationRate(category.inflationRate ?? null);
   };
 
   /**
@@ -154,6 +187,8 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
         return '支出カテゴリ管理';
       case 'asset':
         return '資産カテゴリ管理';
+      case 'liability':
+        return '負債カテゴリ管理';
       default:
         return 'カテゴリ管理';
     }
@@ -181,6 +216,11 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
                   {category.description && (
                     <Text style={styles.categoryDescription}>{category.description}</Text>
                   )}
+                  {hasInflationRate && typeof category.inflationRate === 'number' && (
+                    <Text style={styles.categoryDescription}>
+                      インフレ率: {formatPercentage(category.inflationRate)}
+                    </Text>
+                  )}
                 </View>
               </View>
               <View style={styles.categoryActions}>
@@ -212,6 +252,18 @@ const CategoryModal = observer(({ visible, onDismiss, type }) => {
               multiline
               style={styles.input}
             />
+            {hasInflationRate && (
+              <NumberInput
+                label="インフレ率（未入力時はプランの値）"
+                defaultValue={inflationRate}
+                onChangeValue={setInflationRate}
+                min={-1}
+                max={1}
+                step={0.001}
+                format="percent"
+                style={styles.input}
+              />
+            )}
             <View style={styles.colorContainer}>
               <Text style={styles.colorLabel}>カラー</Text>
               <Button
@@ -0,0 +1,384 @@
+import { observer } from 'mobx-react-lite';
+import React, { useState } from 'react';
+import { Dimensions, ScrollView, StyleSheet, View } from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import { Button, IconButton, List, Modal, Portal, Text } from 'react-native-paper';
+import NumberInput from '../../../components/forms/NumberInput';
+import { COLORS, ENUMS, THEME } from '../../../constants';
+import {
+  DECUMULATION_STRATEGY_LABELS,
+  LIQUIDATION_ORDER_LABELS,
+  getDecumulationSettings,
+  getDecumulationStartYear,
+} from '../../../services/calculators/decumulation';
+import { rootStore } from '../../../stores/RootStore';
+import { logModalShow } from '../../../utils/logger';
+import { validateDecumulationSettings } from '../../../utils/validate';
+
+// 資産合計の推移グラフで年を表示する間隔
+const CHART_LABEL_INTERVAL = 5;
+
+/**
+ * 資産カテゴリ名を取り崩す順番に並べる
+ * 順番が未設定のカテゴリは後ろに名前順で並べる
+ */
+const sortCategoryNames = (categoryOrder, categories) => {
+  const names = categories.map(category => category.name);
+  return [
+    ...categoryOrder.filter(name => names.includes(name)),
+    ...names.filter(name => !categoryOrder.includes(name)),
+  ];
+};
+
+/**
+ * 老後の取り崩し戦略モーダル
+ *
+ * @param {object} props
+ * @param {boolean} props.visible - モーダルの表示状態
+ * @param {function} props.onDismiss - 閉じる時のコールバック
+ * @param {object} props.lifePlan - 対象のライフプラン
+ * @param {object} props.projection - buildProjection の結果（資産合計の推移の表示用）
+ */
+const DecumulationModal = observer(({ visible, onDismiss, lifePlan, projection }) => {
+  // フォームの状態管理
+  const [settings, setSettings] = useState(() => getDecumulationSettings(lifePlan));
+  const [error, setError] = useState(null);
+
+  const categories = rootStore.categoryStore.sortedAssetCategories;
+  const categoryNames = sortCategoryNames(settings.categoryOrder, categories);
+  const isFixedAmount = settings.strategy === ENUMS.decumulationStrategy.FIXED_AMOUNT;
+  const usesWithdrawalRate =
+    settings.strategy === ENUMS.decumulationStrategy.FIXED_PERCENTAGE ||
+    settings.strategy === ENUMS.decumulationStrategy.GUARDRAILS;
+  const isGuardrails = settings.strategy === ENUMS.decumulationStrategy.GUARDRAILS;
+
+  /**
+   * 設定の一部を変更
+   */
+  const updateSettings = data => setSettings(current => ({ ...current, ...data }));
+
+  /**
+   * 保存済みの設定を読み込む
+   */
+  const loadSettings = () => {
+    setSettings(getDecumulationSettings(lifePlan));
+    setError(null);
+  };
+
+  /**
+   * 取り崩すカテゴリの順番を入れ替える
+   */
+  const moveCategory = (index, offset) => {
+    const names = [...categoryNames];
+    const [name] = names.splice(index, 1);
+    names.splice(index + offset, 0, name);
+    updateSettings({ categoryOrder: names });
+  };
+
+  /**
+   * 設定の保存
+   */
+  const handleSave = () => {
+    const data = { ...settings, categoryOrder: categoryNames };
+    try {
+      validateDecumulationSettings(data);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+
+    rootStore.lifePlanStore.updateDecumulationSettings(lifePlan.id, data);
+    setError(null);
+  };
+
+  /**
+   * モーダルを閉じる
+   */
+  const handleDismiss = () => {
+    loadSettings();
+    onDismiss();
+  };
+
+  /**
+   * 資産合計の推移グラフのデータ
+   * 資産が尽きる年の点を赤で表示する
+   */
+  const rows = projection?.rows || [];
+  const depletionIndex = rows.findIndex(row => row.year === projection?.depletionYear);
+  const chartData = {
+    labels: rows.map((row, i) => (i % CHART_LABEL_INTERVAL === 0 ? String(row.year) : '')),
+    datasets: [
+      {
+        data: rows.map(row => Math.round(row.assetValue / 10000)),
+        color: (opacity = 1) => `rgba(33, 150, 243, ${opacity})`,
+        strokeWidth: 2,
+      },
+    ],
+  };
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={handleDismiss}
+        onShow={() => {
+          logModalShow('取り崩し戦略モーダル');
+          loadSettings();
+        }}
+        contentContainerStyle={styles.modalContainer}>
+        <View style={styles.header}>
+          <Text style={styles.title}>取り崩し戦略</Text>
+        </View>
+
+        <ScrollView style={styles.content}>
+          {/* 資産合計の推移 */}
+          {rows.length > 1 && (
+            <>
+              <Text style={styles.label}>資産合計の推移（万円）</Text>
+              <LineChart
+                data={chartData}
+                width={Dimensions.get('window').width - THEME.spacing.lg * 4}
+                height={180}
+                fromZero
+                getDotColor={(dataPoint, index) =>
+                  index === depletionIndex ? COLORS.accent.error : 'transparent'
+                }
+                chartConfig={{
+                  backgroundColor: COLORS.common.white,
+                  backgroundGradientFrom: COLORS.common.white,
+                  backgroundGradientTo: COLORS.common.white,
+                  decimalPlaces: 0,
+                  color: (opacity = 1) => `rgba(0, 0, 0, ${opacity})`,
+                }}
+                style={styles.chart}
+              />
+            </>
+          )}
+          {projection?.depletionYear ? (
+            <Text style={styles.depletionText}>
+              {projection.depletionYear}年に資産が尽きます（赤い点）
+            </Text>
+          ) : (
+            <Text style={styles.noteText}>プラン期間中に資産は尽きません</Text>
+          )}
+
+          {/* 取り崩し戦略 */}
+          <List.Accordion
+            title="取り崩し戦略"
+            description={DECUMULATION_STRATEGY_LABELS[settings.strategy]}
+            style={styles.input}>
+            {Object.values(ENUMS.decumulationStrategy).map(value => (
+              <List.Item
+                key={value}
+                title={DECUMULATION_STRATEGY_LABELS[value]}
+                onPress={() => updateSettings({ strategy: value })}
+              />
+            ))}
+          </List.Accordion>
+
+          {settings.strategy !== ENUMS.decumulationStrategy.NONE && (
+            <>
+              <List.Accordion
+                title="取り崩しの開始年"
+                description={
+                  settings.startYear === null
+                    ? `退職年（${getDecumulationStartYear(lifePlan, settings)}年）`
+                    : `${settings.startYear}年`
+                }
+                style={styles.input}>
+                <List.Item title="退職年" onPress={() => updateSettings({ startYear: null })} />
+                <List.Item
+                  title="年を指定"
+                  onPress={() =>
+                    updateSettings({ startYear: getDecumulationStartYear(lifePlan, settings) })
+                  }
+                />
+              </List.Accordion>
+              {settings.startYear !== null && (
+                <NumberInput
+                  label="開始年"
+                  value={settings.startYear}
+                  onChangeValue={startYear => updateSettings({ startYear })}
+                  showStepper={false}
+                  style={styles.input}
+                />
+              )}
+
+              {isFixedAmount && (
+                <NumberInput
+                  label="初年の取り崩し額（年額）"
+                  value={settings.annualAmount}
+                  onChangeValue={annualAmount => updateSettings({ annualAmount })}
+                  step={100000}
+                  format="currency"
+                  style={styles.input}
+                />
+              )}
+              {usesWithdrawalRate && (
+                <NumberInput
+                  label={isGuardrails ? '初年の取り崩し率' : '取り崩し率（年率）'}
+                  value={settings.withdrawalRate}
+                  onChangeValue={withdrawalRate => updateSettings({ withdrawalRate })}
+                  min={0}
+                  max={1}
+                  step={0.005}
+                  format="percent"
+                  style={styles.input}
+                />
+              )}
+              {isGuardrails && (
+                <>
+                  <NumberInput
+                    label="ガードレールの幅"
+                    value={settings.guardrailBand}
+                    onChangeValue={guardrailBand => updateSettings({ guardrailBand })}
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    format="percent"
+                    style={styles.input}
+                  />
+                  <NumberInput
+                    label="取り崩し額の見直し幅"
+                    value={settings.guardrailAdjustment}
+                    onChangeValue={guardrailAdjustment => updateSettings({ guardrailAdjustment })}
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    format="percent"
+                    style={styles.input}
+                  />
+                  <Text style={styles.noteText}>
+                    前年の取り崩し額をインフレ率で増額し、取り崩し率が初年の取り崩し率から幅以上離れた年は見直し幅だけ増減します
+                  </Text>
+                </>
+              )}
+
+              {/* 取り崩す順番 */}
+              <List.Accordion
+                title="取り崩す順番"
+                description={LIQUIDATION_ORDER_LABELS[settings.liquidationOrder]}
+                style={styles.input}>
+                {Object.values(ENUMS.liquidationOrder).map(value => (
+                  <List.Item
+                    key={value}
+                    title={LIQUIDATION_ORDER_LABELS[value]}
+                    onPress={() => updateSettings({ liquidationOrder: value })}
+                  />
+                ))}
+              </List.Accordion>
+              {settings.liquidationOrder === ENUMS.liquidationOrder.CATEGORY &&
+                categoryNames.map((categoryName, index) => (
+                  <List.Item
+                    key={categoryName}
+                    title={`${index + 1}. ${categoryName}`}
+                    right={() => (
+                      <View style={styles.itemActions}>
+                        <IconButton
+                          icon="arrow-up"
+                          size={20}
+                          disabled={index === 0}
+                          onPress={() => moveCategory(index, -1)}
+                        />
+                        <IconButton
+                          icon="arrow-down"
+                          size={20}
+                          disabled={index === categoryNames.length - 1}
+                          onPress={() => moveCategory(index, 1)}
+                        />
+                      </View>
+                    )}
+                  />
+                ))}
+            </>
+          )}
+
+          <Text style={styles.noteText}>
+            資産ごとの「収支の不足額を補填」の設定による取り崩しを先に行い、残りを取り崩し戦略で取り崩します。取り崩し額で賄えない収支の不足額も、同じ順番で取り崩します
+          </Text>
+
+          {error && <Text style={styles.errorText}>{error}</Text>}
+          <Button mode="contained" onPress={handleSave} style={styles.submitButton}>
+            保存
+          </Button>
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Button mode="outlined" onPress={handleDismiss} style={styles.footerButton}>
+            閉じる
+          </Button>
+        </View>
+      </Modal>
+    </Portal>
+  );
+});
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    backgroundColor: COLORS.common.white,
+    margin: THEME.spacing.lg,
+    borderRadius: THEME.borderRadius.md,
+    maxHeight: '90%',
+  },
+  header: {
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  title: {
+    fontSize: THEME.typography.h3,
+    fontWeight: 'bold',
+  },
+  content: {
+    padding: THEME.spacing.md,
+  },
+  chart: {
+    marginVertical: THEME.spacing.sm,
+  },
+  depletionText: {
+    fontSize: THEME.typography.body2,
+    fontWeight: 'bold',
+    color: COLORS.accent.error,
+    marginBottom: THEME.spacing.md,
+  },
+  itemActions: {
+    flexDirection: 'row',
+  },
+  label: {
+    fontSize: THEME.typography.body2,
+    color: COLORS.grey[700],
+    marginBottom: THEME.spacing.xs,
+  },
+  input: {
+    marginBottom: THEME.spacing.md,
+  },
+  noteText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+    marginBottom: THEME.spacing.md,
+  },
+  errorText: {
+    color: COLORS.accent.error,
+    fontSize: THEME.typography.caption,
+    marginTop: THEME.spacing.xs,
+    marginBottom: THEME.spacing.sm,
+    marginLeft: THEME.spacing.sm,
+  },
+  submitButton: {
+    marginTop: THEME.spacing.sm,
+    marginBottom: THEME.spacing.lg,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: THEME.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  footerButton: {
+    marginLeft: THEME.spacing.sm,
+    minWidth: 100,
+  },
+});
+
+export default DecumulationModal;
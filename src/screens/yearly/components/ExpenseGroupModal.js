@@ -70,6 +70,7 @@ const ExpenseGroupModal = observer(({ visible, onDismiss }) => {
   const handleDeleteGroup = () => {
     if (editingGroup) {
       rootStore.groupStore.deleteExpenseGroup(editingGroup.id);
+      rootStore.historyStore.notify(`${editingGroup.name}を削除しました`);
       resetGroupForm();
       setDeleteDialogVisible(false);
     }
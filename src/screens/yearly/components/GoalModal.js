@@ -0,0 +1,463 @@
+import { observer } from 'mobx-react-lite';
+import React, { useState } from 'react';
+import { Dimensions, ScrollView, StyleSheet, View } from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import {
+  Button,
+  IconButton,
+  List,
+  Modal,
+  Portal,
+  ProgressBar,
+  SegmentedButtons,
+  Text,
+} from 'react-native-paper';
+import ConfirmDialog from '../../../components/common/ConfirmDialog';
+import NumberInput from '../../../components/forms/NumberInput';
+import TextInput from '../../../components/forms/TextInput';
+import { COLORS, ENUMS, THEME, VALIDATION } from '../../../constants';
+import { GOAL_PRIORITY_LABELS } from '../../../services/calculators/goal';
+import { findMember } from '../../../services/calculators/members';
+import { rootStore } from '../../../stores/RootStore';
+import { formatCurrency, formatPercentage } from '../../../utils/format';
+import { logModalShow } from '../../../utils/logger';
+import { validateGoal } from '../../../utils/validate';
+
+// 達成率の推移グラフで年を表示する間隔
+const CHART_LABEL_INTERVAL = 5;
+
+/**
+ * 目標管理モーダル
+ *
+ * @param {object} props
+ * @param {boolean} props.visible - モーダルの表示状態
+ * @param {function} props.onDismiss - 閉じる時のコールバック
+ * @param {object} props.lifePlan - 対象のライフプラン
+ * @param {object[]} props.goalFunding - calculateGoalFunding の結果
+ */
+const GoalModal = observer(({ visible, onDismiss, lifePlan, goalFunding = [] }) => {
+  // 編集状態の管理
+  const [editingGoal, setEditingGoal] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
+
+  // フォームの状態管理
+  const [name, setName] = useState('');
+  const [targetAmount, setTargetAmount] = useState(0);
+  const [targetYear, setTargetYear] = useState(lifePlan.startYear);
+  const [memberId, setMemberId] = useState(null);
+  const [targetAge, setTargetAge] = useState(65);
+  const [priority, setPriority] = useState(ENUMS.goalPriority.MEDIUM);
+  const [assetId, setAssetId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const members = lifePlan.members || [];
+  const assets = rootStore.assetStore.getLifePlanAssets(lifePlan.id);
+
+  /**
+   * 目標の作成/更新
+   */
+  const handleSave = () => {
+    const goal = {
+      name: name.trim(),
+      targetAmount,
+      targetYear: memberId ? null : targetYear,
+      memberId,
+      targetAge: memberId ? targetAge : null,
+      priority,
+      assetId,
+    };
+    try {
+      validateGoal(goal);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+
+    if (editingGoal) {
+      rootStore.lifePlanStore.updateGoal(lifePlan.id, editingGoal.id, goal);
+    } else {
+      rootStore.lifePlanStore.createGoal(lifePlan.id, goal);
+    }
+
+    resetForm();
+  };
+
+  /**
+   * 目標の削除
+   */
+  const handleDelete = () => {
+    if (editingGoal) {
+      rootStore.lifePlanStore.deleteGoal(lifePlan.id, editingGoal.id);
+      rootStore.historyStore.notify(`${editingGoal.name}を削除しました`);
+      setDeleteDialogVisible(false);
+      resetForm();
+    }
+  };
+
+  /**
+   * 目標編集の開始
+   */
+  const startEditing = goal => {
+    setEditingGoal(goal);
+    setName(goal.name);
+    setTargetAmount(goal.targetAmount);
+    setTargetYear(goal.targetYear ?? lifePlan.startYear);
+    setMemberId(goal.memberId || null);
+    setTargetAge(goal.targetAge ?? 65);
+    setPriority(goal.priority);
+    setAssetId(goal.assetId || null);
+    setShowForm(true);
+  };
+
+  /**
+   * フォームのリセット
+   */
+  const resetForm = () => {
+    setEditingGoal(null);
+    setShowForm(false);
+    setName('');
+    setTargetAmount(0);
+    setTargetYear(lifePlan.startYear);
+    setMemberId(null);
+    setTargetAge(65);
+    setPriority(ENUMS.goalPriority.MEDIUM);
+    setAssetId(null);
+    setError(null);
+  };
+
+  /**
+   * モーダルを閉じる
+   */
+  const handleDismiss = () => {
+    resetForm();
+    onDismiss();
+  };
+
+  /**
+   * 目標の説明
+   */
+  const describeGoal = ({ goal, year }) => {
+    const member = findMember(lifePlan, goal.memberId);
+    const when = member ? `${member.name} ${goal.targetAge}歳（${year ?? '-'}年）` : `${year}年`;
+    const asset = assets.find(a => a.id === goal.assetId);
+    return `${formatCurrency(goal.targetAmount)}・${when}・優先度 ${
+      GOAL_PRIORITY_LABELS[goal.priority]
+    }・${asset ? asset.name : '共通の資金'}`;
+  };
+
+  /**
+   * 達成率の推移グラフのデータ
+   */
+  const buildChartData = series => ({
+    labels: series.map((entry, i) => (i % CHART_LABEL_INTERVAL === 0 ? String(entry.year) : '')),
+    datasets: [
+      {
+        data: series.map(entry => Math.round(entry.fundingRatio * 100)),
+        color: (opacity = 1) => `rgba(33, 150, 243, ${opacity})`,
+        strokeWidth: 2,
+      },
+    ],
+  });
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={handleDismiss}
+        onShow={() => logModalShow('目標管理モーダル')}
+        contentContainerStyle={styles.modalContainer}>
+        <View style={styles.header}>
+          <Text style={styles.title}>目標管理</Text>
+        </View>
+
+        <ScrollView style={styles.content}>
+          {/* 目標一覧と達成状況 */}
+          {goalFunding.map(funding => (
+            <View key={funding.goal.id} style={styles.goalCard}>
+              <List.Item
+                title={funding.goal.name}
+                description={describeGoal(funding)}
+                descriptionNumberOfLines={2}
+                right={() => (
+                  <View style={styles.itemActions}>
+                    <IconButton
+                      icon="pencil"
+                      size={20}
+                      onPress={() => startEditing(funding.goal)}
+                    />
+                    <IconButton
+                      icon="delete"
+                      size={20}
+                      onPress={() => {
+                        setEditingGoal(funding.goal);
+                        setDeleteDialogVisible(true);
+                      }}
+                    />
+                  </View>
+                )}
+              />
+              {funding.isInPlan ? (
+                <>
+                  <ProgressBar
+                    progress={funding.fundingRatio}
+                    color={funding.gap > 0 ? COLORS.accent.warning : COLORS.accent.success}
+                    style={styles.progressBar}
+                  />
+                  <Text style={styles.statusText}>
+                    達成率 {formatPercentage(funding.fundingRatio, 0)}（
+                    {formatCurrency(funding.fundedAmount)}）
+                  </Text>
+                  {funding.gap > 0 && (
+                    <Text style={styles.gapText}>
+                      不足 {formatCurrency(funding.gap)}・毎月{' '}
+                      {formatCurrency(funding.requiredMonthlySaving)} の積立で達成できます
+                    </Text>
+                  )}
+                  {funding.series.length > 1 && (
+                    <List.Accordion title="達成率の推移（%）">
+                      <LineChart
+                        data={buildChartData(funding.series)}
+                        width={Dimensions.get('window').width - THEME.spacing.lg * 4}
+                        height={180}
+                        withDots={false}
+                        fromZero
+                        chartConfig={{
+                          backgroundColor: COLORS.common.white,
+                          backgroundGradientFrom: COLORS.common.white,
+                          backgroundGradientTo: COLORS.common.white,
+                          decimalPlaces: 0,
+                          color: (opacity = 1) => `rgba(0, 0, 0, ${opacity})`,
+                        }}
+                        style={styles.chart}
+                      />
+                    </List.Accordion>
+                  )}
+                </>
+              ) : (
+                <Text style={styles.statusText}>目標年がプランの期間外です</Text>
+              )}
+            </View>
+          ))}
+
+          {goalFunding.length === 0 && !showForm && (
+            <Text style={styles.emptyText}>目標が登録されていません</Text>
+          )}
+          {goalFunding.length > 0 && (
+            <Text style={styles.noteText}>
+              専用の資産がない目標には、専用の資産を除いた純資産を優先度の高い目標から順に割り当てます
+            </Text>
+          )}
+
+          {!showForm && (
+            <Button mode="outlined" onPress={() => setShowForm(true)} style={styles.addButton}>
+              目標を追加
+            </Button>
+          )}
+
+          {/* 目標フォーム */}
+          {showForm && (
+            <View style={styles.form}>
+              <TextInput
+                label="名称"
+                value={name}
+                onChangeText={setName}
+                maxLength={VALIDATION.maxLength.name}
+                style={styles.input}
+              />
+              <NumberInput
+                label="目標額"
+                value={targetAmount}
+                onChangeValue={setTargetAmount}
+                step={1000000}
+                format="currency"
+                style={styles.input}
+              />
+              <List.Accordion
+                title="目標年の指定"
+                description={memberId ? `${findMember(lifePlan, memberId)?.name}の年齢` : '年'}
+                style={styles.input}>
+                <List.Item title="年" onPress={() => setMemberId(null)} />
+                {members.map(member => (
+                  <List.Item
+                    key={member.id}
+                    title={`${member.name}（${member.relationship}）の年齢`}
+                    onPress={() => setMemberId(member.id)}
+                  />
+                ))}
+              </List.Accordion>
+              {memberId ? (
+                <NumberInput
+                  label="年齢"
+                  value={targetAge}
+                  onChangeValue={setTargetAge}
+                  min={0}
+                  max={120}
+                  style={styles.input}
+                />
+              ) : (
+                <NumberInput
+                  label="目標年"
+                  value={targetYear}
+                  onChangeValue={setTargetYear}
+                  showStepper={false}
+                  style={styles.input}
+                />
+              )}
+              <Text style={styles.label}>優先度</Text>
+              <SegmentedButtons
+                value={priority}
+                onValueChange={setPriority}
+                buttons={Object.values(ENUMS.goalPriority).map(value => ({
+                  value,
+                  label: GOAL_PRIORITY_LABELS[value],
+                }))}
+                style={styles.input}
+              />
+              <List.Accordion
+                title="専用の資産"
+                description={assets.find(a => a.id === assetId)?.name || 'なし（共通の資金）'}
+                style={styles.input}>
+                <List.Item title="なし（共通の資金）" onPress={() => setAssetId(null)} />
+                {assets.map(asset => (
+                  <List.Item
+                    key={asset.id}
+                    title={asset.name}
+                    onPress={() => setAssetId(asset.id)}
+                  />
+                ))}
+              </List.Accordion>
+
+              {error && <Text style={styles.errorText}>{error}</Text>}
+              <Button mode="contained" onPress={handleSave} style={styles.submitButton}>
+                {editingGoal ? '目標を更新' : '目標を追加'}
+              </Button>
+              <Button mode="text" onPress={resetForm} style={styles.submitButton}>
+                キャンセル
+              </Button>
+            </View>
+          )}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Button mode="outlined" onPress={handleDismiss} style={styles.footerButton}>
+            閉じる
+          </Button>
+        </View>
+
+        {/* 削除確認ダイアログ */}
+        <ConfirmDialog
+          visible={isDeleteDialogVisible}
+          onDismiss={() => {
+            setDeleteDialogVisible(false);
+            resetForm();
+          }}
+          onConfirm={handleDelete}
+          title="目標の削除"
+          message={`${editingGoal?.name}を削除してもよろしいですか？`}
+          confirmLabel="削除"
+          confirmColor={COLORS.accent.error}
+        />
+      </Modal>
+    </Portal>
+  );
+});
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    backgroundColor: COLORS.common.white,
+    margin: THEME.spacing.lg,
+    borderRadius: THEME.borderRadius.md,
+    maxHeight: '90%',
+  },
+  header: {
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  title: {
+    fontSize: THEME.typography.h3,
+    fontWeight: 'bold',
+  },
+  content: {
+    padding: THEME.spacing.md,
+  },
+  goalCard: {
+    borderWidth: 1,
+    borderColor: COLORS.grey[200],
+    borderRadius: THEME.borderRadius.md,
+    padding: THEME.spacing.sm,
+    marginBottom: THEME.spacing.md,
+  },
+  itemActions: {
+    flexDirection: 'row',
+  },
+  progressBar: {
+    marginHorizontal: THEME.spacing.md,
+    marginVertical: THEME.spacing.xs,
+  },
+  statusText: {
+    marginHorizontal: THEME.spacing.md,
+    fontSize: THEME.typography.body2,
+    color: COLORS.grey[700],
+  },
+  gapText: {
+    marginHorizontal: THEME.spacing.md,
+    fontSize: THEME.typography.body2,
+    color: COLORS.accent.error,
+  },
+  chart: {
+    marginVertical: THEME.spacing.sm,
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+    textAlign: 'center',
+    marginVertical: THEME.spacing.lg,
+  },
+  addButton: {
+    marginTop: THEME.spacing.md,
+  },
+  form: {
+    marginTop: THEME.spacing.lg,
+    paddingTop: THEME.spacing.lg,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  label: {
+    fontSize: THEME.typography.body2,
+    color: COLORS.grey[700],
+    marginBottom: THEME.spacing.xs,
+  },
+  input: {
+    marginBottom: THEME.spacing.md,
+  },
+  noteText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+    marginBottom: THEME.spacing.md,
+  },
+  errorText: {
+    color: COLORS.accent.error,
+    fontSize: THEME.typography.caption,
+    marginTop: THEME.spacing.xs,
+    marginBottom: THEME.spacing.sm,
+    marginLeft: THEME.spacing.sm,
+  },
+  submitButton: {
+    marginTop: THEME.spacing.sm,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: THEME.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  footerButton: {
+    marginLeft: THEME.spacing.sm,
+    minWidth: 100,
+  },
+});
+
+export default GoalModal;
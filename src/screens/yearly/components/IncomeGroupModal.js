@@ -72,6 +72,7 @@ const IncomeGroupModal = observer(({ visible, onDismiss }) => {
   const handleDeleteGroup = () => {
     if (editingGroup) {
       rootStore.groupStore.deleteIncomeGroup(editingGroup.id);
+      rootStore.historyStore.notify(`${editingGroup.name}を削除しました`);
       resetGroupForm();
       setDeleteDialogVisible(false);
     }
@@ -0,0 +1,622 @@
+import { observer } from 'mobx-react-lite';
+import { nanoid } from 'nanoid';
+import React, { useState } from 'react';
+import { ScrollView, StyleSheet, View } from 'react-native';
+import { Button, DataTable, IconButton, List, Modal, Portal, Text } from 'react-native-paper';
+import ConfirmDialog from '../../../components/common/ConfirmDialog';
+import DatePickerInput from '../../../components/forms/DatePickerInput';
+import NumberInput from '../../../components/forms/NumberInput';
+import TextInput from '../../../components/forms/TextInput';
+import { COLORS, ENUMS, THEME, VALIDATION } from '../../../constants';
+import {
+  buildLoanSchedule,
+  getLoanStartYear,
+  LOAN_RATE_TYPE_LABELS,
+  LOAN_REPAYMENT_METHOD_LABELS,
+  PREPAYMENT_METHOD_LABELS,
+} from '../../../services/calculators/loan';
+import { findMember } from '../../../services/calculators/members';
+import { getTaxTable } from '../../../services/calculators/taxTables';
+import { rootStore } from '../../../stores/RootStore';
+import { formatCurrency, formatPercentage } from '../../../utils/format';
+import { logModalShow } from '../../../utils/logger';
+import { validateLoan } from '../../../utils/validate';
+
+/**
+ * ローン管理モーダル
+ *
+ * @param {object} props
+ * @param {boolean} props.visible - モーダルの表示状態
+ * @param {function} props.onDismiss - 閉じる時のコールバック
+ * @param {object} props.lifePlan - 対象のライフプラン
+ */
+const LoanModal = observer(({ visible, onDismiss, lifePlan }) => {
+  // 編集状態の管理
+  const [editingLoan, setEditingLoan] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
+
+  // フォームの状態管理
+  const [name, setName] = useState('');
+  const [principal, setPrincipal] = useState(0);
+  const [bonusPrincipal, setBonusPrincipal] = useState(0);
+  const [startDate, setStartDate] = useState(null);
+  const [termYears, setTermYears] = useState(35);
+  const [repaymentMethod, setRepaymentMethod] = useState(ENUMS.loanRepaymentMethod.EQUAL_PAYMENT);
+  const [rateType, setRateType] = useState(ENUMS.loanRateType.FIXED);
+  const [annualRate, setAnnualRate] = useState(0.01);
+  const [rateChanges, setRateChanges] = useState([]);
+  const [prepayments, setPrepayments] = useState([]);
+  const [housingLoanDeduction, setHousingLoanDeduction] = useState(false);
+  const [deductionLimit, setDeductionLimit] = useState(null);
+  const [memberId, setMemberId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loans = lifePlan.loans || [];
+  const members = lifePlan.members || [];
+
+  /**
+   * 入力中の内容からローンを作成
+   */
+  const buildLoan = () => ({
+    name: name.trim(),
+    principal,
+    bonusPrincipal,
+    startDate,
+    termYears,
+    repaymentMethod,
+    rateType,
+    annualRate,
+    rateChanges: rateType === ENUMS.loanRateType.VARIABLE ? rateChanges : [],
+    prepayments,
+    housingLoanDeduction,
+    deductionLimit: housingLoanDeduction ? deductionLimit : null,
+    memberId,
+  });
+
+  /**
+   * ローンの作成/更新
+   */
+  const handleSave = () => {
+    const loan = buildLoan();
+    try {
+      validateLoan(loan);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+
+    if (editingLoan) {
+      rootStore.lifePlanStore.updateLoan(lifePlan.id, editingLoan.id, loan);
+    } else {
+      rootStore.lifePlanStore.createLoan(lifePlan.id, loan);
+    }
+
+    resetForm();
+  };
+
+  /**
+   * ローンの削除
+   */
+  const handleDelete = () => {
+    if (editingLoan) {
+      rootStore.lifePlanStore.deleteLoan(lifePlan.id, editingLoan.id);
+      rootStore.historyStore.notify(`${editingLoan.name}を削除しました`);
+      setDeleteDialogVisible(false);
+      resetForm();
+    }
+  };
+
+  /**
+   * ローン編集の開始
+   */
+  const startEditing = loan => {
+    setEditingLoan(loan);
+    setName(loan.name);
+    setPrincipal(loan.principal);
+    setBonusPrincipal(loan.bonusPrincipal || 0);
+    setStartDate(loan.startDate);
+    setTermYears(loan.termYears);
+    setRepaymentMethod(loan.repaymentMethod);
+    setRateType(loan.rateType);
+    setAnnualRate(loan.annualRate);
+    setRateChanges(loan.rateChanges || []);
+    setPrepayments(loan.prepayments || []);
+    setHousingLoanDeduction(!!loan.housingLoanDeduction);
+    setDeductionLimit(loan.deductionLimit ?? null);
+    setMemberId(loan.memberId || null);
+    setShowForm(true);
+  };
+
+  /**
+   * フォームのリセット
+   */
+  const resetForm = () => {
+    setEditingLoan(null);
+    setShowForm(false);
+    setName('');
+    setPrincipal(0);
+    setBonusPrincipal(0);
+    setStartDate(null);
+    setTermYears(35);
+    setRepaymentMethod(ENUMS.loanRepaymentMethod.EQUAL_PAYMENT);
+    setRateType(ENUMS.loanRateType.FIXED);
+    setAnnualRate(0.01);
+    setRateChanges([]);
+    setPrepayments([]);
+    setHousingLoanDeduction(false);
+    setDeductionLimit(null);
+    setMemberId(null);
+    setError(null);
+  };
+
+  /**
+   * モーダルを閉じる
+   */
+  const handleDismiss = () => {
+    resetForm();
+    onDismiss();
+  };
+
+  /**
+   * 金利の変更の追加・更新
+   */
+  const addRateChange = () => {
+    const lastYear = rateChanges[rateChanges.length - 1]?.year;
+    setRateChanges([
+      ...rateChanges,
+      {
+        id: nanoid(),
+        year: (lastYear ?? getLoanStartYear({ startDate }) ?? lifePlan.startYear) + 5,
+        annualRate,
+      },
+    ]);
+  };
+  const updateRateChange = (id, data) => {
+    setRateChanges(rateChanges.map(change => (change.id === id ? { ...change, ...data } : change)));
+  };
+
+  /**
+   * 繰上返済の追加・更新
+   */
+  const addPrepayment = () => {
+    setPrepayments([
+      ...prepayments,
+      {
+        id: nanoid(),
+        year: (getLoanStartYear({ startDate }) ?? lifePlan.startYear) + 1,
+        month: 12,
+        amount: 1000000,
+        method: ENUMS.prepaymentMethod.SHORTEN_TERM,
+      },
+    ]);
+  };
+  const updatePrepayment = (id, data) => {
+    setPrepayments(
+      prepayments.map(prepayment =>
+        prepayment.id === id ? { ...prepayment, ...data } : prepayment,
+      ),
+    );
+  };
+
+  /**
+   * ローンの説明
+   */
+  const describeLoan = loan => {
+    const startYear = getLoanStartYear(loan);
+    return `${formatCurrency(loan.principal)}・${startYear}年から${loan.termYears}年・${
+      LOAN_REPAYMENT_METHOD_LABELS[loan.repaymentMethod]
+    }・${LOAN_RATE_TYPE_LABELS[loan.rateType]} ${formatPercentage(loan.annualRate, 3)}`;
+  };
+
+  // 入力中の内容の返済予定
+  const schedule = showForm ? buildLoanSchedule(buildLoan()) : [];
+  const totalInterest = schedule.reduce((sum, entry) => sum + entry.interest, 0);
+  const defaultDeductionLimit = getTaxTable(getLoanStartYear({ startDate }) ?? lifePlan.startYear)
+    .housingLoanCredit.borrowingLimit;
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={handleDismiss}
+        onShow={() => logModalShow('ローン管理モーダル')}
+        contentContainerStyle={styles.modalContainer}>
+        <View style={styles.header}>
+          <Text style={styles.title}>ローン管理</Text>
+        </View>
+
+        <ScrollView style={styles.content}>
+          {/* ローン一覧 */}
+          {loans.map(loan => (
+            <List.Item
+              key={loan.id}
+              title={loan.name}
+              description={describeLoan(loan)}
+              right={() => (
+                <View style={styles.itemActions}>
+                  <IconButton icon="pencil" size={20} onPress={() => startEditing(loan)} />
+                  <IconButton
+                    icon="delete"
+                    size={20}
+                    onPress={() => {
+                      setEditingLoan(loan);
+                      setDeleteDialogVisible(true);
+                    }}
+                  />
+                </View>
+              )}
+            />
+          ))}
+
+          {loans.length === 0 && !showForm && (
+            <Text style={styles.emptyText}>ローンが登録されていません</Text>
+          )}
+
+          {!showForm && (
+            <Button mode="outlined" onPress={() => setShowForm(true)} style={styles.addButton}>
+              ローンを追加
+            </Button>
+          )}
+
+          {/* ローンフォーム */}
+          {showForm && (
+            <View style={styles.form}>
+              <TextInput
+                label="名称"
+                value={name}
+                onChangeText={setName}
+                maxLength={VALIDATION.maxLength.name}
+                style={styles.input}
+              />
+              <NumberInput
+                label="借入額"
+                value={principal}
+                onChangeValue={setPrincipal}
+                step={1000000}
+                format="currency"
+                style={styles.input}
+              />
+              <NumberInput
+                label="うちボーナス返済分"
+                value={bonusPrincipal}
+                onChangeValue={setBonusPrincipal}
+                step={1000000}
+                format="currency"
+                style={styles.input}
+              />
+              <DatePickerInput
+                label="借入日"
+                value={startDate}
+                onChange={setStartDate}
+                style={styles.input}
+              />
+              <Text style={styles.noteText}>
+                借入日の翌月から返済します。住宅の購入代金は頭金のみを支出に入力してください
+              </Text>
+              <NumberInput
+                label="返済期間（年）"
+                value={termYears}
+                onChangeValue={setTermYears}
+                min={1}
+                max={50}
+                style={styles.input}
+              />
+              <List.Accordion
+                title="返済方法"
+                description={LOAN_REPAYMENT_METHOD_LABELS[repaymentMethod]}
+                style={styles.input}>
+                {Object.values(ENUMS.loanRepaymentMethod).map(value => (
+                  <List.Item
+                    key={value}
+                    title={LOAN_REPAYMENT_METHOD_LABELS[value]}
+                    onPress={() => setRepaymentMethod(value)}
+                  />
+                ))}
+              </List.Accordion>
+              <List.Accordion
+                title="金利タイプ"
+                description={LOAN_RATE_TYPE_LABELS[rateType]}
+                style={styles.input}>
+                {Object.values(ENUMS.loanRateType).map(value => (
+                  <List.Item
+                    key={value}
+                    title={LOAN_RATE_TYPE_LABELS[value]}
+                    onPress={() => setRateType(value)}
+                  />
+                ))}
+              </List.Accordion>
+              <NumberInput
+                label={
+                  rateType === ENUMS.loanRateType.VARIABLE ? '当初の金利（年利）' : '金利（年利）'
+                }
+                value={annualRate}
+                onChangeValue={setAnnualRate}
+                min={0}
+                max={1}
+                step={0.0005}
+                format="percent"
+                style={styles.input}
+              />
+
+              {/* 金利の変更（変動金利） */}
+              {rateType === ENUMS.loanRateType.VARIABLE && (
+                <List.Section title="金利の変更">
+                  {rateChanges.map(change => (
+                    <View key={change.id} style={styles.scheduleRow}>
+                      <NumberInput
+                        label="変更年"
+                        value={change.year}
+                        onChangeValue={year => updateRateChange(change.id, { year })}
+                        showStepper={false}
+                        style={styles.scheduleField}
+                      />
+                      <NumberInput
+                        label="金利"
+                        value={change.annualRate}
+                        onChangeValue={rate => updateRateChange(change.id, { annualRate: rate })}
+                        step={0.0005}
+                        format="percent"
+                        style={styles.scheduleField}
+                      />
+                      <IconButton
+                        icon="delete"
+                        size={20}
+                        onPress={() => setRateChanges(rateChanges.filter(c => c.id !== change.id))}
+                      />
+                    </View>
+                  ))}
+                  <Button mode="outlined" onPress={addRateChange} style={styles.input}>
+                    金利の変更を追加
+                  </Button>
+                </List.Section>
+              )}
+
+              {/* 繰上返済 */}
+              <List.Section title="繰上返済">
+                {prepayments.map(prepayment => (
+                  <View key={prepayment.id} style={styles.scheduleCard}>
+                    <View style={styles.scheduleRow}>
+                      <NumberInput
+                        label="年"
+                        value={prepayment.year}
+                        onChangeValue={year => updatePrepayment(prepayment.id, { year })}
+                        showStepper={false}
+                        style={styles.scheduleField}
+                      />
+                      <NumberInput
+                        label="月"
+                        value={prepayment.month}
+                        onChangeValue={month => updatePrepayment(prepayment.id, { month })}
+                        min={1}
+                        max={12}
+                        style={styles.scheduleField}
+                      />
+                      <IconButton
+                        icon="delete"
+                        size={20}
+                        onPress={() =>
+                          setPrepayments(prepayments.filter(p => p.id !== prepayment.id))
+                        }
+                      />
+                    </View>
+                    <NumberInput
+                      label="繰上返済額"
+                      value={prepayment.amount}
+                      onChangeValue={amount => updatePrepayment(prepayment.id, { amount })}
+                      step={100000}
+                      format="currency"
+                      style={styles.input}
+                    />
+                    <List.Accordion
+                      title="方法"
+                      description={PREPAYMENT_METHOD_LABELS[prepayment.method]}>
+                      {Object.values(ENUMS.prepaymentMethod).map(value => (
+                        <List.Item
+                          key={value}
+                          title={PREPAYMENT_METHOD_LABELS[value]}
+                          onPress={() => updatePrepayment(prepayment.id, { method: value })}
+                        />
+                      ))}
+                    </List.Accordion>
+                  </View>
+                ))}
+                <Button mode="outlined" onPress={addPrepayment} style={styles.input}>
+                  繰上返済を追加
+                </Button>
+              </List.Section>
+
+              {/* 住宅ローン控除 */}
+              <List.Item
+                title="住宅ローン控除"
+                description="年末残高に応じて所得税・住民税から控除します"
+                right={() => (
+                  <Button
+                    mode={housingLoanDeduction ? 'contained' : 'outlined'}
+                    onPress={() => setHousingLoanDeduction(!housingLoanDeduction)}>
+                    {housingLoanDeduction ? 'ON' : 'OFF'}
+                  </Button>
+                )}
+              />
+              {housingLoanDeduction && (
+                <>
+                  <NumberInput
+                    label="借入限度額"
+                    value={deductionLimit ?? defaultDeductionLimit}
+                    onChangeValue={setDeductionLimit}
+                    step={5000000}
+                    format="currency"
+                    style={styles.input}
+                  />
+                  <Text style={styles.noteText}>
+                    借入限度額は住宅の種類や入居年で異なります。入居年は借入年とみなします
+                  </Text>
+                  {members.length > 0 && (
+                    <List.Accordion
+                      title="控除を受けるメンバー"
+                      description={findMember(lifePlan, memberId)?.name || '本人'}
+                      style={styles.input}>
+                      <List.Item title="本人" onPress={() => setMemberId(null)} />
+                      {members
+                        .filter(member => member.relationship !== ENUMS.relationship.SELF)
+                        .map(member => (
+                          <List.Item
+                            key={member.id}
+                            title={`${member.name}（${member.relationship}）`}
+                            onPress={() => setMemberId(member.id)}
+                          />
+                        ))}
+                    </List.Accordion>
+                  )}
+                </>
+              )}
+
+              {/* 返済予定表 */}
+              {schedule.length > 0 && (
+                <List.Accordion
+                  title="返済予定表"
+                  description={`総返済額 ${formatCurrency(principal + totalInterest)}（うち利息 ${formatCurrency(
+                    totalInterest,
+                  )}）`}
+                  style={styles.input}>
+                  <DataTable>
+                    <DataTable.Header>
+                      <DataTable.Title>年</DataTable.Title>
+                      <DataTable.Title numeric>返済額</DataTable.Title>
+                      <DataTable.Title numeric>うち利息</DataTable.Title>
+                      <DataTable.Title numeric>繰上返済</DataTable.Title>
+                      <DataTable.Title numeric>年末残高</DataTable.Title>
+                    </DataTable.Header>
+                    {schedule.map(entry => (
+                      <DataTable.Row key={entry.year}>
+                        <DataTable.Cell>{entry.year}年</DataTable.Cell>
+                        <DataTable.Cell numeric>{formatCurrency(entry.payment)}</DataTable.Cell>
+                        <DataTable.Cell numeric>{formatCurrency(entry.interest)}</DataTable.Cell>
+                        <DataTable.Cell numeric>{formatCurrency(entry.prepayment)}</DataTable.Cell>
+                        <DataTable.Cell numeric>{formatCurrency(entry.endBalance)}</DataTable.Cell>
+                      </DataTable.Row>
+                    ))}
+                  </DataTable>
+                </List.Accordion>
+              )}
+
+              {error && <Text style={styles.errorText}>{error}</Text>}
+              <Button mode="contained" onPress={handleSave} style={styles.submitButton}>
+                {editingLoan ? 'ローンを更新' : 'ローンを追加'}
+              </Button>
+              <Button mode="text" onPress={resetForm} style={styles.submitButton}>
+                キャンセル
+              </Button>
+            </View>
+          )}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Button mode="outlined" onPress={handleDismiss} style={styles.footerButton}>
+            閉じる
+          </Button>
+        </View>
+
+        {/* 削除確認ダイアログ */}
+        <ConfirmDialog
+          visible={isDeleteDialogVisible}
+          onDismiss={() => {
+            setDeleteDialogVisible(false);
+            resetForm();
+          }}
+          onConfirm={handleDelete}
+          title="ローンの削除"
+          message={`${editingLoan?.name}を削除してもよろしいですか？`}
+          confirmLabel="削除"
+          confirmColor={COLORS.accent.error}
+        />
+      </Modal>
+    </Portal>
+  );
+});
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    backgroundColor: COLORS.common.white,
+    margin: THEME.spacing.lg,
+    borderRadius: THEME.borderRadius.md,
+    maxHeight: '90%',
+  },
+  header: {
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  title: {
+    fontSize: THEME.typography.h3,
+    fontWeight: 'bold',
+  },
+  content: {
+    padding: THEME.spacing.md,
+  },
+  itemActions: {
+    flexDirection: 'row',
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+    textAlign: 'center',
+    marginVertical: THEME.spacing.lg,
+  },
+  addButton: {
+    marginTop: THEME.spacing.md,
+  },
+  form: {
+    marginTop: THEME.spacing.lg,
+    paddingTop: THEME.spacing.lg,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  input: {
+    marginBottom: THEME.spacing.md,
+  },
+  scheduleCard: {
+    borderWidth: 1,
+    borderColor: COLORS.grey[200],
+    borderRadius: THEME.borderRadius.md,
+    padding: THEME.spacing.sm,
+    marginBottom: THEME.spacing.md,
+  },
+  scheduleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: THEME.spacing.sm,
+  },
+  scheduleField: {
+    flex: 1,
+    marginRight: THEME.spacing.sm,
+  },
+  noteText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+    marginTop: -THEME.spacing.sm,
+    marginBottom: THEME.spacing.md,
+  },
+  errorText: {
+    color: COLORS.accent.error,
+    fontSize: THEME.typography.caption,
+    marginTop: -THEME.spacing.sm,
+    marginBottom: THEME.spacing.sm,
+  },
+  submitButton: {
+    marginTop: THEME.spacing.sm,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: THEME.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  footerButton: {
+    marginLeft: THEME.spacing.sm,
+    minWidth: 100,
+  },
+});
+
+export default LoanModal;
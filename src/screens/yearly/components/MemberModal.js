@@ -0,0 +1,377 @@
+import { observer } from 'mobx-react-lite';
+import React, { useState } from 'react';
+import { ScrollView, StyleSheet, View } from 'react-native';
+import { Button, IconButton, List, Modal, Portal, Text, TextInput } from 'react-native-paper';
+import ConfirmDialog from '../../../components/common/ConfirmDialog';
+import DatePickerInput from '../../../components/forms/DatePickerInput';
+import NumberInput from '../../../components/forms/NumberInput';
+import { COLORS, ENUMS, THEME, VALIDATION } from '../../../constants';
+import { getMemberAge } from '../../../services/calculators/members';
+import {
+  DEFAULT_PENSION_SETTINGS,
+  estimatePension,
+  PENSION_RULES,
+} from '../../../services/calculators/pension';
+import { rootStore } from '../../../stores/RootStore';
+import { formatCurrency, formatDate } from '../../../utils/format';
+import { logModalShow } from '../../../utils/logger';
+
+/**
+ * 世帯メンバー管理モーダル
+ *
+ * @param {object} props
+ * @param {boolean} props.visible - モーダルの表示状態
+ * @param {function} props.onDismiss - 閉じる時のコールバック
+ * @param {object} props.lifePlan - 対象のライフプラン
+ */
+const MemberModal = observer(({ visible, onDismiss, lifePlan }) => {
+  // 編集状態の管理
+  const [editingMember, setEditingMember] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
+
+  // フォームの状態管理
+  const [name, setName] = useState('');
+  const [relationship, setRelationship] = useState(ENUMS.relationship.SELF);
+  const [birthDate, setBirthDate] = useState(null);
+  const [pension, setPension] = useState(DEFAULT_PENSION_SETTINGS);
+  const [error, setError] = useState(null);
+
+  const members = lifePlan.members || [];
+
+  /**
+   * メンバーの作成/更新
+   */
+  const handleSave = () => {
+    if (!name.trim()) {
+      setError('名前を入力してください');
+      return;
+    }
+    if (!birthDate) {
+      setError('生年月日を選択してください');
+      return;
+    }
+    if (
+      pension.enabled &&
+      (!Number.isInteger(pension.claimingAge) ||
+        pension.claimingAge < PENSION_RULES.minClaimingAge ||
+        pension.claimingAge > PENSION_RULES.maxClaimingAge)
+    ) {
+      setError(
+        `受給開始年齢は${PENSION_RULES.minClaimingAge}〜${PENSION_RULES.maxClaimingAge}歳で入力してください`,
+      );
+      return;
+    }
+
+    const member = {
+      name: name.trim(),
+      relationship,
+      birthDate,
+      pension,
+    };
+
+    if (editingMember) {
+      rootStore.lifePlanStore.updateMember(lifePlan.id, editingMember.id, member);
+    } else {
+      rootStore.lifePlanStore.createMember(lifePlan.id, member);
+    }
+
+    resetForm();
+  };
+
+  /**
+   * メンバーの削除
+   */
+  const handleDelete = () => {
+    if (editingMember) {
+      rootStore.lifePlanStore.deleteMember(lifePlan.id, editingMember.id);
+      setDeleteDialogVisible(false);
+      resetForm();
+    }
+  };
+
+  /**
+   * メンバー編集の開始
+   */
+  const startEditing = member => {
+    setEditingMember(member);
+    setName(member.name);
+    setRelationship(member.relationship);
+    setBirthDate(member.birthDate);
+    setPension({ ...DEFAULT_PENSION_SETTINGS, ...member.pension });
+    setShowForm(true);
+  };
+
+  /**
+   * フォームのリセット
+   */
+  const resetForm = () => {
+    setEditingMember(null);
+    setShowForm(false);
+    setName('');
+    setRelationship(ENUMS.relationship.SELF);
+    setBirthDate(null);
+    setPension(DEFAULT_PENSION_SETTINGS);
+    setError(null);
+  };
+
+  /**
+   * 年金設定の項目を更新
+   */
+  const updatePension = (key, value) => {
+    setPension(current => ({ ...current, [key]: value }));
+  };
+
+  /**
+   * モーダルを閉じる
+   */
+  const handleDismiss = () => {
+    resetForm();
+    onDismiss();
+  };
+
+  /**
+   * 開始年時点の年齢の表示用文字列
+   */
+  const describeAge = member => {
+    const age = getMemberAge(member, lifePlan.startYear);
+    return age === null
+      ? `${lifePlan.startYear}年時点で未誕生`
+      : `${lifePlan.startYear}年末 ${age}歳`;
+  };
+
+  /**
+   * 年金見込額の表示用文字列
+   */
+  const describePension = member => {
+    if (!member.pension?.enabled) {
+      return '';
+    }
+    const estimate = estimatePension(lifePlan, member);
+    return `\n年金 ${estimate.claimingAge}歳から 年額${formatCurrency(estimate.annualAmount)}`;
+  };
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={handleDismiss}
+        onShow={() => logModalShow('世帯メンバー管理モーダル')}
+        contentContainerStyle={styles.modalContainer}>
+        <View style={styles.header}>
+          <Text style={styles.title}>世帯メンバー管理</Text>
+        </View>
+
+        <ScrollView style={styles.content}>
+          {/* メンバー一覧 */}
+          {members.map(member => (
+            <List.Item
+              key={member.id}
+              title={`${member.name}（${member.relationship}）`}
+              description={`${formatDate(member.birthDate)}生・${describeAge(member)}${describePension(member)}`}
+              descriptionNumberOfLines={2}
+              right={() => (
+                <View style={styles.itemActions}>
+                  <IconButton icon="pencil" size={20} onPress={() => startEditing(member)} />
+                  <IconButton
+                    icon="delete"
+                    size={20}
+                    onPress={() => {
+                      setEditingMember(member);
+                      setDeleteDialogVisible(true);
+                    }}
+                  />
+                </View>
+              )}
+            />
+          ))}
+
+          {members.length === 0 && !showForm && (
+            <Text style={styles.emptyText}>メンバーが登録されていません</Text>
+          )}
+
+          {!showForm && (
+            <Button mode="outlined" onPress={() => setShowForm(true)} style={styles.addButton}>
+              メンバーを追加
+            </Button>
+          )}
+
+          {/* メンバーフォーム */}
+          {showForm && (
+            <View style={styles.form}>
+              <TextInput
+                label="名前"
+                defaultValue={name}
+                onChangeText={setName}
+                maxLength={VALIDATION.maxLength.name}
+                style={styles.input}
+              />
+              <List.Accordion title="続柄" description={relationship} style={styles.input}>
+                {Object.values(ENUMS.relationship).map(value => (
+                  <List.Item key={value} title={value} onPress={() => setRelationship(value)} />
+                ))}
+              </List.Accordion>
+              <DatePickerInput
+                label="生年月日"
+                value={birthDate}
+                onChange={setBirthDate}
+                maximumDate={new Date()}
+                style={styles.input}
+              />
+
+              {/* 公的年金 */}
+              <List.Item
+                title="公的年金を受給する"
+                description="受給開始年齢以降の収入に年金を自動で計上します"
+                right={() => (
+                  <Button
+                    mode={pension.enabled ? 'contained' : 'outlined'}
+                    onPress={() => updatePension('enabled', !pension.enabled)}>
+                    {pension.enabled ? 'ON' : 'OFF'}
+                  </Button>
+                )}
+              />
+              {pension.enabled && (
+                <View>
+                  <NumberInput
+                    label="受給開始年齢"
+                    defaultValue={pension.claimingAge}
+                    onChangeValue={value => updatePension('claimingAge', value)}
+                    min={PENSION_RULES.minClaimingAge}
+                    max={PENSION_RULES.maxClaimingAge}
+                    style={styles.input}
+                  />
+                  <NumberInput
+                    label="国民年金の保険料納付月数（見込み）"
+                    defaultValue={pension.nationalPensionMonths}
+                    onChangeValue={value => updatePension('nationalPensionMonths', value)}
+                    min={0}
+                    max={PENSION_RULES.fullContributionMonths}
+                    style={styles.input}
+                  />
+                  <NumberInput
+                    label="厚生年金の加入月数（プラン開始前）"
+                    defaultValue={pension.employeePensionMonths}
+                    onChangeValue={value => updatePension('employeePensionMonths', value)}
+                    min={0}
+                    style={styles.input}
+                  />
+                  <NumberInput
+                    label="平均標準報酬額（プラン開始前・月額）"
+                    defaultValue={pension.averageMonthlyRemuneration}
+                    onChangeValue={value => updatePension('averageMonthlyRemuneration', value)}
+                    format="currency"
+                    style={styles.input}
+                  />
+                  <List.Item
+                    title="プラン期間中の給与収入を加入期間に含める"
+                    right={() => (
+                      <Button
+                        mode={pension.includePlanSalary ? 'contained' : 'outlined'}
+                        onPress={() =>
+                          updatePension('includePlanSalary', !pension.includePlanSalary)
+                        }>
+                        {pension.includePlanSalary ? 'ON' : 'OFF'}
+                      </Button>
+                    )}
+                  />
+                </View>
+              )}
+              {error && <Text style={styles.errorText}>{error}</Text>}
+              <Button mode="contained" onPress={handleSave} style={styles.submitButton}>
+                {editingMember ? 'メンバーを更新' : 'メンバーを追加'}
+              </Button>
+              <Button mode="text" onPress={resetForm} style={styles.submitButton}>
+                キャンセル
+              </Button>
+            </View>
+          )}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Button mode="outlined" onPress={handleDismiss} style={styles.footerButton}>
+            閉じる
+          </Button>
+        </View>
+
+        {/* 削除確認ダイアログ */}
+        <ConfirmDialog
+          visible={isDeleteDialogVisible}
+          onDismiss={() => {
+            setDeleteDialogVisible(false);
+            resetForm();
+          }}
+          onConfirm={handleDelete}
+          title="メンバーの削除"
+          message={`${editingMember?.name}を削除してもよろしいですか？\nこのメンバーの年齢を終了条件にした繰り返し項目はプラン終了まで計上されます。`}
+          confirmLabel="削除"
+          confirmColor={COLORS.accent.error}
+        />
+      </Modal>
+    </Portal>
+  );
+});
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    backgroundColor: COLORS.common.white,
+    margin: THEME.spacing.lg,
+    borderRadius: THEME.borderRadius.md,
+    maxHeight: '90%',
+  },
+  header: {
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  title: {
+    fontSize: THEME.typography.h3,
+    fontWeight: 'bold',
+  },
+  content: {
+    padding: THEME.spacing.md,
+  },
+  itemActions: {
+    flexDirection: 'row',
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+    textAlign: 'center',
+    marginVertical: THEME.spacing.lg,
+  },
+  addButton: {
+    marginTop: THEME.spacing.md,
+  },
+  form: {
+    marginTop: THEME.spacing.lg,
+    paddingTop: THEME.spacing.lg,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  input: {
+    marginBottom: THEME.spacing.md,
+  },
+  errorText: {
+    color: COLORS.accent.error,
+    fontSize: THEME.typography.caption,
+    marginTop: -THEME.spacing.sm,
+    marginBottom: THEME.spacing.sm,
+  },
+  submitButton: {
+    marginTop: THEME.spacing.sm,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: THEME.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  footerButton: {
+    marginLeft: THEME.spacing.sm,
+    minWidth: 100,
+  },
+});
+
+export default MemberModal;
@@ -0,0 +1,458 @@
+import { observer } from 'mobx-react-lite';
+import React, { useState } from 'react';
+import { ScrollView, StyleSheet, View } from 'react-native';
+import { Button, IconButton, List, Modal, Portal, Text, TextInput } from 'react-native-paper';
+import ConfirmDialog from '../../../components/common/ConfirmDialog';
+import DatePickerInput from '../../../components/forms/DatePickerInput';
+import NumberInput from '../../../components/forms/NumberInput';
+import { COLORS, ENUMS, THEME, VALIDATION } from '../../../constants';
+import { findMember } from '../../../services/calculators/members';
+import { RECURRING_END_TYPES } from '../../../services/calculators/recurring';
+import { rootStore } from '../../../stores/RootStore';
+import { formatCurrency, formatPercentage } from '../../../utils/format';
+import { logModalShow } from '../../../utils/logger';
+
+const END_TYPE_LABELS = {
+  [RECURRING_END_TYPES.YEAR]: '終了年を指定',
+  [RECURRING_END_TYPES.RETIREMENT]: '退職まで',
+  [RECURRING_END_TYPES.LIFETIME]: 'プラン終了まで',
+  [RECURRING_END_TYPES.MEMBER_AGE]: 'メンバーが指定の年齢になる年まで',
+};
+
+/**
+ * 繰り返し項目管理モーダル
+ *
+ * @param {object} props
+ * @param {boolean} props.visible - モーダルの表示状態
+ * @param {function} props.onDismiss - 閉じる時のコールバック
+ * @param {object} props.lifePlan - 対象のライフプラン
+ */
+const RecurringItemModal = observer(({ visible, onDismiss, lifePlan }) => {
+  // 編集状態の管理
+  const [editingItem, setEditingItem] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
+
+  // フォームの状態管理
+  const [type, setType] = useState('income');
+  const [name, setName] = useState('');
+  const [amount, setAmount] = useState(0);
+  const [frequency, setFrequency] = useState(ENUMS.frequency.MONTHLY);
+  const [category, setCategory] = useState('');
+  const [date, setDate] = useState(null);
+  const [startYear, setStartYear] = useState(lifePlan.startYear);
+  const [endType, setEndType] = useState(RECURRING_END_TYPES.LIFETIME);
+  const [endYear, setEndYear] = useState(null);
+  const [growthRate, setGrowthRate] = useState(0);
+  const [memberId, setMemberId] = useState(null);
+  const [endAge, setEndAge] = useState(null);
+  const [error, setError] = useState(null);
+
+  const recurringItems = lifePlan.recurringItems || [];
+  const members = lifePlan.members || [];
+  const categories =
+    type === 'income'
+      ? rootStore.categoryStore.sortedIncomeCategories
+      : rootStore.categoryStore.sortedExpenseCategories;
+
+  /**
+   * 繰り返し項目の作成/更新
+   */
+  const handleSave = () => {
+    if (!name.trim()) {
+      setError('項目名を入力してください');
+      return;
+    }
+    if (amount <= 0) {
+      setError('金額を入力してください');
+      return;
+    }
+    if (!category) {
+      setError('カテゴリを選択してください');
+      return;
+    }
+    if (endType === RECURRING_END_TYPES.YEAR && (!endYear || endYear < startYear)) {
+      setError('終了年は開始年以降の年を入力してください');
+      return;
+    }
+    if (endType === RECURRING_END_TYPES.MEMBER_AGE && (!memberId || endAge === null)) {
+      setError('対象メンバーと終了年齢を入力してください');
+      return;
+    }
+
+    const item = {
+      type,
+      name: name.trim(),
+      amount,
+      frequency,
+      category,
+      date,
+      startYear,
+      endType,
+      endYear: endType === RECURRING_END_TYPES.YEAR ? endYear : null,
+      growthRate,
+      memberId,
+      endAge: endType === RECURRING_END_TYPES.MEMBER_AGE ? endAge : null,
+    };
+
+    if (editingItem) {
+      rootStore.lifePlanStore.updateRecurringItem(lifePlan.id, editingItem.id, item);
+    } else {
+      rootStore.lifePlanStore.createRecurringItem(lifePlan.id, item);
+    }
+
+    resetForm();
+  };
+
+  /**
+   * 繰り返し項目の削除
+   */
+  const handleDelete = () => {
+    if (editingItem) {
+      rootStore.lifePlanStore.deleteRecurringItem(lifePlan.id, editingItem.id);
+      setDeleteDialogVisible(false);
+      resetForm();
+    }
+  };
+
+  /**
+   * 繰り返し項目編集の開始
+   */
+  const startEditing = item => {
+    setEditingItem(item);
+    setType(item.type);
+    setName(item.name);
+    setAmount(item.amount);
+    setFrequency(item.frequency);
+    setCategory(item.category);
+    setDate(item.date);
+    setStartYear(item.startYear);
+    setEndType(item.endType);
+    setEndYear(item.endYear);
+    setGrowthRate(item.growthRate || 0);
+    setMemberId(item.memberId || null);
+    setEndAge(item.endAge ?? null);
+    setShowForm(true);
+  };
+
+  /**
+   * フォームのリセット
+   */
+  const resetForm = () => {
+    setEditingItem(null);
+    setShowForm(false);
+    setType('income');
+    setName('');
+    setAmount(0);
+    setFrequency(ENUMS.frequency.MONTHLY);
+    setCategory('');
+    setDate(null);
+    setStartYear(lifePlan.startYear);
+    setEndType(RECURRING_END_TYPES.LIFETIME);
+    setEndYear(null);
+    setGrowthRate(0);
+    setMemberId(null);
+    setEndAge(null);
+    setError(null);
+  };
+
+  /**
+   * モーダルを閉じる
+   */
+  const handleDismiss = () => {
+    resetForm();
+    onDismiss();
+  };
+
+  /**
+   * 期間の表示用文字列
+   */
+  const describePeriod = item => {
+    switch (item.endType) {
+      case RECURRING_END_TYPES.YEAR:
+        return `${item.startYear}年〜${item.endYear}年`;
+      case RECURRING_END_TYPES.RETIREMENT:
+        return `${item.startYear}年〜退職まで`;
+      case RECURRING_END_TYPES.MEMBER_AGE:
+        return `${item.startYear}年〜${findMember(lifePlan, item.memberId)?.name}が${
+          item.endAge
+        }歳になる年まで`;
+      default:
+        return `${item.startYear}年〜`;
+    }
+  };
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={handleDismiss}
+        onShow={() => logModalShow('繰り返し項目管理モーダル')}
+        contentContainerStyle={styles.modalContainer}>
+        <View style={styles.header}>
+          <Text style={styles.title}>繰り返し項目管理</Text>
+        </View>
+
+        <ScrollView style={styles.content}>
+          {/* 繰り返し項目一覧 */}
+          {recurringItems.map(item => (
+            <List.Item
+              key={item.id}
+              title={`${item.type === 'income' ? '収入' : '支出'}: ${item.name}`}
+              description={`${formatCurrency(item.amount)} / ${item.frequency}・${describePeriod(
+                item,
+              )}・上昇率 ${formatPercentage(item.growthRate || 0)}`}
+              right={() => (
+                <View style={styles.itemActions}>
+                  <IconButton icon="pencil" size={20} onPress={() => startEditing(item)} />
+                  <IconButton
+                    icon="delete"
+                    size={20}
+                    onPress={() => {
+                      setEditingItem(item);
+                      setDeleteDialogVisible(true);
+                    }}
+                  />
+                </View>
+              )}
+            />
+          ))}
+
+          {recurringItems.length === 0 && !showForm && (
+            <Text style={styles.emptyText}>繰り返し項目が登録されていません</Text>
+          )}
+
+          {!showForm && (
+            <Button mode="outlined" onPress={() => setShowForm(true)} style={styles.addButton}>
+              繰り返し項目を追加
+            </Button>
+          )}
+
+          {/* 繰り返し項目フォーム */}
+          {showForm && (
+            <View style={styles.form}>
+              <List.Accordion
+                title="種別"
+                description={type === 'income' ? '収入' : '支出'}
+                style={styles.input}>
+                <List.Item
+                  title="収入"
+                  onPress={() => {
+                    setType('income');
+                    setCategory('');
+                  }}
+                />
+                <List.Item
+                  title="支出"
+                  onPress={() => {
+                    setType('expense');
+                    setCategory('');
+                  }}
+                />
+              </List.Accordion>
+              <TextInput
+                label="項目名"
+                defaultValue={name}
+                onChangeText={setName}
+                maxLength={VALIDATION.maxLength.name}
+                style={styles.input}
+              />
+              <NumberInput
+                label="金額"
+                defaultValue={amount}
+                onChangeValue={setAmount}
+                format="currency"
+                style={styles.input}
+              />
+              <List.Accordion title="頻度" description={frequency} style={styles.input}>
+                <List.Item title="毎月" onPress={() => setFrequency(ENUMS.frequency.MONTHLY)} />
+                <List.Item title="四半期" onPress={() => setFrequency(ENUMS.frequency.QUARTERLY)} />
+                <List.Item title="毎年" onPress={() => setFrequency(ENUMS.frequency.YEARLY)} />
+              </List.Accordion>
+              <List.Accordion title="カテゴリ" description={category} style={styles.input}>
+                {categories.map(cat => (
+                  <List.Item key={cat.id} title={cat.name} onPress={() => setCategory(cat.name)} />
+                ))}
+              </List.Accordion>
+              {frequency !== ENUMS.frequency.MONTHLY && (
+                <DatePickerInput
+                  label="発生日"
+                  value={date}
+                  onChange={setDate}
+                  style={styles.input}
+                />
+              )}
+              <NumberInput
+                label="開始年"
+                defaultValue={startYear}
+                onChangeValue={setStartYear}
+                min={VALIDATION.range.year.min}
+                max={VALIDATION.range.year.max}
+                style={styles.input}
+              />
+              {members.length > 0 && (
+                <List.Accordion
+                  title="対象メンバー"
+                  description={findMember(lifePlan, memberId)?.name || '指定なし'}
+                  style={styles.input}>
+                  <List.Item title="指定なし" onPress={() => setMemberId(null)} />
+                  {members.map(member => (
+                    <List.Item
+                      key={member.id}
+                      title={`${member.name}（${member.relationship}）`}
+                      onPress={() => setMemberId(member.id)}
+                    />
+                  ))}
+                </List.Accordion>
+              )}
+              <List.Accordion
+                title="終了条件"
+                description={END_TYPE_LABELS[endType]}
+                style={styles.input}>
+                {Object.entries(END_TYPE_LABELS)
+                  .filter(
+                    ([value]) => value !== RECURRING_END_TYPES.MEMBER_AGE || members.length > 0,
+                  )
+                  .map(([value, label]) => (
+                    <List.Item key={value} title={label} onPress={() => setEndType(value)} />
+                  ))}
+              </List.Accordion>
+              {endType === RECURRING_END_TYPES.YEAR && (
+                <NumberInput
+                  label="終了年"
+                  defaultValue={endYear}
+                  onChangeValue={setEndYear}
+                  min={VALIDATION.range.year.min}
+                  max={VALIDATION.range.year.max}
+                  style={styles.input}
+                />
+              )}
+              {endType === RECURRING_END_TYPES.MEMBER_AGE && (
+                <NumberInput
+                  label="終了年齢"
+                  defaultValue={endAge}
+                  onChangeValue={setEndAge}
+                  min={VALIDATION.range.age.min}
+                  max={VALIDATION.range.age.max}
+                  style={styles.input}
+                />
+              )}
+              {endType === RECURRING_END_TYPES.RETIREMENT && !lifePlan.retirementYear && (
+                <Text style={styles.noteText}>
+                  退職年が未設定のため、プラン終了まで計上されます
+                </Text>
+              )}
+              <NumberInput
+                label="年間上昇率"
+                defaultValue={growthRate}
+                onChangeValue={setGrowthRate}
+                min={-1}
+                max={1}
+                step={0.001}
+                format="percent"
+                style={styles.input}
+              />
+              {error && <Text style={styles.errorText}>{error}</Text>}
+              <Button mode="contained" onPress={handleSave} style={styles.submitButton}>
+                {editingItem ? '項目を更新' : '項目を追加'}
+              </Button>
+              <Button mode="text" onPress={resetForm} style={styles.submitButton}>
+                キャンセル
+              </Button>
+            </View>
+          )}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Button mode="outlined" onPress={handleDismiss} style={styles.footerButton}>
+            閉じる
+          </Button>
+        </View>
+
+        {/* 削除確認ダイアログ */}
+        <ConfirmDialog
+          visible={isDeleteDialogVisible}
+          onDismiss={() => {
+            setDeleteDialogVisible(false);
+            resetForm();
+          }}
+          onConfirm={handleDelete}
+          title="繰り返し項目の削除"
+          message={`${editingItem?.name}を全ての年から削除してもよろしいですか？`}
+          confirmLabel="削除"
+          confirmColor={COLORS.accent.error}
+        />
+      </Modal>
+    </Portal>
+  );
+});
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    backgroundColor: COLORS.common.white,
+    margin: THEME.spacing.lg,
+    borderRadius: THEME.borderRadius.md,
+    maxHeight: '90%',
+  },
+  header: {
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  title: {
+    fontSize: THEME.typography.h3,
+    fontWeight: 'bold',
+  },
+  content: {
+    padding: THEME.spacing.md,
+  },
+  itemActions: {
+    flexDirection: 'row',
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+    textAlign: 'center',
+    marginVertical: THEME.spacing.lg,
+  },
+  addButton: {
+    marginTop: THEME.spacing.md,
+  },
+  form: {
+    marginTop: THEME.spacing.lg,
+    paddingTop: THEME.spacing.lg,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  input: {
+    marginBottom: THEME.spacing.md,
+  },
+  noteText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+    marginTop: -THEME.spacing.sm,
+    marginBottom: THEME.spacing.md,
+  },
+  errorText: {
+    color: COLORS.accent.error,
+    fontSize: THEME.typography.caption,
+    marginTop: -THEME.spacing.sm,
+    marginBottom: THEME.spacing.sm,
+  },
+  submitButton: {
+    marginTop: THEME.spacing.sm,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: THEME.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  footerButton: {
+    marginLeft: THEME.spacing.sm,
+    minWidth: 100,
+  },
+});
+
+export default RecurringItemModal;
@@ -0,0 +1,411 @@
+import { observer } from 'mobx-react-lite';
+import React, { useState } from 'react';
+import { ScrollView, StyleSheet, View } from 'react-native';
+import { Button, IconButton, List, Modal, Portal, Text } from 'react-native-paper';
+import ConfirmDialog from '../../../components/common/ConfirmDialog';
+import NumberInput from '../../../components/forms/NumberInput';
+import TextInput from '../../../components/forms/TextInput';
+import { COLORS, THEME, VALIDATION } from '../../../constants';
+import {
+  collectLifePlanEvents,
+  describeScenarioOverrides,
+} from '../../../services/calculators/scenario';
+import { rootStore } from '../../../stores/RootStore';
+import { formatPercentage } from '../../../utils/format';
+import { logModalShow } from '../../../utils/logger';
+import { validateScenario } from '../../../utils/validate';
+
+/**
+ * シナリオ管理モーダル
+ * 空欄の条件はプランの設定をそのまま使う
+ *
+ * @param {object} props
+ * @param {boolean} props.visible - モーダルの表示状態
+ * @param {function} props.onDismiss - 閉じる時のコールバック
+ * @param {function} props.onPromote - シナリオをプランとして保存した時のコールバック（新しいプランのID）
+ * @param {object} props.lifePlan - 対象のライフプラン
+ */
+const ScenarioModal = observer(({ visible, onDismiss, onPromote, lifePlan }) => {
+  // 編集状態の管理
+  const [editingScenario, setEditingScenario] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [isDeleteDialogVisible, setDeleteDialogVisible] = useState(false);
+
+  // フォームの状態管理
+  const [name, setName] = useState('');
+  const [inflationRate, setInflationRate] = useState(null);
+  const [salaryGrowthRate, setSalaryGrowthRate] = useState(null);
+  const [retirementYear, setRetirementYear] = useState(null);
+  const [assetRates, setAssetRates] = useState({});
+  const [disabledEventIds, setDisabledEventIds] = useState([]);
+  const [error, setError] = useState(null);
+
+  const scenarios = lifePlan.scenarios || [];
+  const assets = rootStore.assetStore
+    .getLifePlanAssets(lifePlan.id)
+    .filter(asset => asset.returns?.capitalGain);
+  const events = Array.from(collectLifePlanEvents(lifePlan).values()).sort(
+    (a, b) => a.year - b.year,
+  );
+
+  /**
+   * 入力中の内容からシナリオを作成
+   */
+  const buildScenario = () => ({
+    name: name.trim(),
+    overrides: {
+      inflationRate,
+      salaryGrowthRate,
+      retirementYear,
+      assetRates: Object.fromEntries(
+        Object.entries(assetRates).filter(([, rate]) => rate !== null),
+      ),
+      disabledEventIds,
+    },
+  });
+
+  /**
+   * シナリオの作成/更新
+   */
+  const handleSave = () => {
+    const scenario = buildScenario();
+    try {
+      validateScenario(scenario, lifePlan);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+
+    if (editingScenario) {
+      rootStore.lifePlanStore.updateScenario(lifePlan.id, editingScenario.id, scenario);
+    } else {
+      rootStore.lifePlanStore.createScenario(lifePlan.id, scenario);
+    }
+
+    resetForm();
+  };
+
+  /**
+   * シナリオの削除
+   */
+  const handleDelete = () => {
+    if (editingScenario) {
+      rootStore.lifePlanStore.deleteScenario(lifePlan.id, editingScenario.id);
+      rootStore.historyStore.notify(`${editingScenario.name}を削除しました`);
+      setDeleteDialogVisible(false);
+      resetForm();
+    }
+  };
+
+  /**
+   * シナリオを新しいプランとして保存
+   */
+  const handlePromote = scenario => {
+    const newId = rootStore.lifePlanStore.promoteScenario(lifePlan.id, scenario.id);
+    if (newId) {
+      rootStore.historyStore.notify(`${scenario.name}を新しいプランとして保存しました`);
+      resetForm();
+      onPromote?.(newId);
+    }
+  };
+
+  /**
+   * シナリオ編集の開始
+   */
+  const startEditing = scenario => {
+    const overrides = scenario.overrides || {};
+    setEditingScenario(scenario);
+    setName(scenario.name);
+    setInflationRate(overrides.inflationRate ?? null);
+    setSalaryGrowthRate(overrides.salaryGrowthRate ?? null);
+    setRetirementYear(overrides.retirementYear ?? null);
+    setAssetRates(overrides.assetRates || {});
+    setDisabledEventIds(overrides.disabledEventIds || []);
+    setShowForm(true);
+  };
+
+  /**
+   * フォームのリセット
+   */
+  const resetForm = () => {
+    setEditingScenario(null);
+    setShowForm(false);
+    setName('');
+    setInflationRate(null);
+    setSalaryGrowthRate(null);
+    setRetirementYear(null);
+    setAssetRates({});
+    setDisabledEventIds([]);
+    setError(null);
+  };
+
+  /**
+   * モーダルを閉じる
+   */
+  const handleDismiss = () => {
+    resetForm();
+    onDismiss();
+  };
+
+  /**
+   * イベントの発生の切り替え
+   */
+  const toggleEvent = id => {
+    if (disabledEventIds.includes(id)) {
+      setDisabledEventIds(disabledEventIds.filter(eventId => eventId !== id));
+    } else {
+      setDisabledEventIds([...disabledEventIds, id]);
+    }
+  };
+
+  /**
+   * シナリオの説明
+   */
+  const describeScenario = scenario => {
+    const labels = describeScenarioOverrides(scenario);
+    return labels.length > 0 ? `変更: ${labels.join('・')}` : '変更なし';
+  };
+
+  return (
+    <Portal>
+      <Modal
+        visible={visible}
+        onDismiss={handleDismiss}
+        onShow={() => logModalShow('シナリオ管理モーダル')}
+        contentContainerStyle={styles.modalContainer}>
+        <View style={styles.header}>
+          <Text style={styles.title}>シナリオ管理</Text>
+        </View>
+
+        <ScrollView style={styles.content}>
+          {/* シナリオ一覧 */}
+          {scenarios.map(scenario => (
+            <List.Item
+              key={scenario.id}
+              title={scenario.name}
+              description={describeScenario(scenario)}
+              right={() => (
+                <View style={styles.itemActions}>
+                  <IconButton
+                    icon="content-save-move"
+                    size={20}
+                    onPress={() => handlePromote(scenario)}
+                  />
+                  <IconButton icon="pencil" size={20} onPress={() => startEditing(scenario)} />
+                  <IconButton
+                    icon="delete"
+                    size={20}
+                    onPress={() => {
+                      setEditingScenario(scenario);
+                      setDeleteDialogVisible(true);
+                    }}
+                  />
+                </View>
+              )}
+            />
+          ))}
+
+          {scenarios.length === 0 && !showForm && (
+            <Text style={styles.emptyText}>シナリオが登録されていません</Text>
+          )}
+          {scenarios.length > 0 && (
+            <Text style={styles.noteText}>
+              保存ボタンでシナリオの条件を反映した新しいプランを作成します
+            </Text>
+          )}
+
+          {!showForm && (
+            <Button mode="outlined" onPress={() => setShowForm(true)} style={styles.addButton}>
+              シナリオを追加
+            </Button>
+          )}
+
+          {/* シナリオフォーム */}
+          {showForm && (
+            <View style={styles.form}>
+              <TextInput
+                label="名称"
+                value={name}
+                onChangeText={setName}
+                maxLength={VALIDATION.maxLength.name}
+                style={styles.input}
+              />
+              <Text style={styles.noteText}>空欄の条件はプランの設定をそのまま使います</Text>
+              <NumberInput
+                label={`インフレ率（プラン: ${formatPercentage(lifePlan.inflationRate)}）`}
+                value={inflationRate}
+                onChangeValue={setInflationRate}
+                min={0}
+                max={1}
+                step={0.001}
+                format="percent"
+                style={styles.input}
+              />
+              <NumberInput
+                label="給与の昇給率"
+                value={salaryGrowthRate}
+                onChangeValue={setSalaryGrowthRate}
+                min={0}
+                max={1}
+                step={0.001}
+                format="percent"
+                style={styles.input}
+              />
+              <NumberInput
+                label={`退職年（プラン: ${
+                  lifePlan.retirementYear ? `${lifePlan.retirementYear}年` : '未設定'
+                }）`}
+                value={retirementYear}
+                onChangeValue={setRetirementYear}
+                showStepper={false}
+                style={styles.input}
+              />
+
+              {/* 資産ごとの期待収益率 */}
+              {assets.length > 0 && (
+                <List.Section title="資産の期待収益率">
+                  {assets.map(asset => (
+                    <NumberInput
+                      key={asset.id}
+                      label={`${asset.name}（プラン: ${formatPercentage(
+                        asset.returns.capitalGain.annualRate,
+                      )}）`}
+                      value={assetRates[asset.id] ?? null}
+                      onChangeValue={rate => setAssetRates({ ...assetRates, [asset.id]: rate })}
+                      min={0}
+                      max={1}
+                      step={0.005}
+                      format="percent"
+                      style={styles.input}
+                    />
+                  ))}
+                </List.Section>
+              )}
+
+              {/* イベントの発生 */}
+              {events.length > 0 && (
+                <List.Section title="イベント">
+                  {events.map(({ event, year }) => {
+                    const isDisabled = disabledEventIds.includes(event.id);
+                    return (
+                      <List.Item
+                        key={event.id}
+                        title={event.name}
+                        description={`${year}年・関連する収支${isDisabled ? 'を除きます' : 'を含みます'}`}
+                        right={() => (
+                          <Button
+                            mode={isDisabled ? 'outlined' : 'contained'}
+                            onPress={() => toggleEvent(event.id)}>
+                            {isDisabled ? 'OFF' : 'ON'}
+                          </Button>
+                        )}
+                      />
+                    );
+                  })}
+                </List.Section>
+              )}
+
+              {error && <Text style={styles.errorText}>{error}</Text>}
+              <Button mode="contained" onPress={handleSave} style={styles.submitButton}>
+                {editingScenario ? 'シナリオを更新' : 'シナリオを追加'}
+              </Button>
+              <Button mode="text" onPress={resetForm} style={styles.submitButton}>
+                キャンセル
+              </Button>
+            </View>
+          )}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Button mode="outlined" onPress={handleDismiss} style={styles.footerButton}>
+            閉じる
+          </Button>
+        </View>
+
+        {/* 削除確認ダイアログ */}
+        <ConfirmDialog
+          visible={isDeleteDialogVisible}
+          onDismiss={() => {
+            setDeleteDialogVisible(false);
+            resetForm();
+          }}
+          onConfirm={handleDelete}
+          title="シナリオの削除"
+          message={`${editingScenario?.name}を削除してもよろしいですか？`}
+          confirmLabel="削除"
+          confirmColor={COLORS.accent.error}
+        />
+      </Modal>
+    </Portal>
+  );
+});
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    backgroundColor: COLORS.common.white,
+    margin: THEME.spacing.lg,
+    borderRadius: THEME.borderRadius.md,
+    maxHeight: '90%',
+  },
+  header: {
+    padding: THEME.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.grey[200],
+  },
+  title: {
+    fontSize: THEME.typography.h3,
+    fontWeight: 'bold',
+  },
+  content: {
+    padding: THEME.spacing.md,
+  },
+  itemActions: {
+    flexDirection: 'row',
+  },
+  emptyText: {
+    fontSize: THEME.typography.body1,
+    color: COLORS.grey[600],
+    textAlign: 'center',
+    marginVertical: THEME.spacing.lg,
+  },
+  addButton: {
+    marginTop: THEME.spacing.md,
+  },
+  form: {
+    marginTop: THEME.spacing.lg,
+    paddingTop: THEME.spacing.lg,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  input: {
+    marginBottom: THEME.spacing.md,
+  },
+  noteText: {
+    fontSize: THEME.typography.caption,
+    color: COLORS.grey[600],
+    marginBottom: THEME.spacing.md,
+  },
+  errorText: {
+    color: COLORS.accent.error,
+    fontSize: THEME.typography.caption,
+    marginTop: THEME.spacing.xs,
+    marginBottom: THEME.spacing.sm,
+    marginLeft: THEME.spacing.sm,
+  },
+  submitButton: {
+    marginTop: THEME.spacing.sm,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: THEME.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.grey[200],
+  },
+  footerButton: {
+    marginLeft: THEME.spacing.sm,
+    minWidth: 100,
+  },
+});
+
+export default ScenarioModal;
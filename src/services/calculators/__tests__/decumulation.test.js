@@ -0,0 +1,140 @@
+import { ENUMS } from '../../../constants';
+import {
+  allocateWithdrawal,
+  createDecumulationPlanner,
+  getDecumulationSettings,
+  orderForLiquidation,
+} from '../decumulation';
+
+/**
+ * 2030年から取り崩すガードレール戦略の計算器を作成
+ * 初年の取り崩し率4%、帯は±20%（3.2%〜4.8%）、見直しは±10%
+ */
+const createGuardrailPlanner = (lifePlan = {}) =>
+  createDecumulationPlanner(
+    { startYear: 2025, inflationRate: 0, ...lifePlan },
+    getDecumulationSettings({
+      decumulationSettings: {
+        strategy: ENUMS.decumulationStrategy.GUARDRAILS,
+        startYear: 2030,
+        withdrawalRate: 0.04,
+        guardrailBand: 0.2,
+        guardrailAdjustment: 0.1,
+      },
+    }),
+  );
+
+const target = (planner, year, portfolioValue) =>
+  planner.getTargetAmount(year, { portfolioValue, deficit: 0 });
+
+describe('ガードレール', () => {
+  it('取り崩しの開始年より前は取り崩さない', () => {
+    const planner = createGuardrailPlanner();
+
+    expect(planner.isActive(2029)).toBe(false);
+    expect(target(planner, 2029, 10000000)).toBe(0);
+  });
+
+  it('初年は期首評価額に取り崩し率を掛け、帯の内側では同じ額を取り崩す', () => {
+    const planner = createGuardrailPlanner();
+
+    expect(target(planner, 2030, 10000000)).toBe(400000);
+    // 取り崩し率 400,000 / 9,000,000 ≒ 4.4% は帯の内側
+    expect(target(planner, 2031, 9000000)).toBe(400000);
+  });
+
+  it('取り崩し率が帯の上限を超えると取り崩し額を減らす', () => {
+    const planner = createGuardrailPlanner();
+    target(planner, 2030, 10000000);
+
+    // 取り崩し率 400,000 / 8,000,000 = 5% > 4.8%
+    expect(target(planner, 2031, 8000000)).toBeCloseTo(360000);
+  });
+
+  it('取り崩し率が帯の下限を下回ると取り崩し額を増やす', () => {
+    const planner = createGuardrailPlanner();
+    target(planner, 2030, 10000000);
+
+    // 取り崩し率 400,000 / 13,000,000 ≒ 3.1% < 3.2%
+    expect(target(planner, 2031, 13000000)).toBeCloseTo(440000);
+  });
+
+  it('前年の取り崩し額をインフレ率で増額してから帯と比べる', () => {
+    const planner = createGuardrailPlanner({ inflationRate: 0.02 });
+    target(planner, 2030, 10000000);
+
+    expect(target(planner, 2031, 10000000)).toBeCloseTo(408000);
+  });
+
+  it('資産の評価額がない年は初年の取り崩し額を決めない', () => {
+    const planner = createGuardrailPlanner();
+
+    expect(target(planner, 2030, 0)).toBe(0);
+    expect(target(planner, 2031, 5000000)).toBe(200000);
+  });
+});
+
+describe('orderForLiquidation', () => {
+  const entries = [
+    { asset: { id: 'ideco', accountType: ENUMS.accountType.IDECO, category: '年金' } },
+    { asset: { id: 'nisa', accountType: ENUMS.accountType.NISA_TSUMITATE, category: '投資信託' } },
+    { asset: { id: 'taxable', category: '株式' } },
+  ];
+  const ids = ordered => ordered.map(entry => entry.asset.id);
+
+  it('口座の税制の順では特定口座、NISA、iDeCo の順に取り崩す', () => {
+    const settings = getDecumulationSettings({});
+
+    expect(ids(orderForLiquidation(entries, settings))).toEqual(['taxable', 'nisa', 'ideco']);
+  });
+
+  it('資産カテゴリの順では、指定していないカテゴリを最後に取り崩す', () => {
+    const settings = getDecumulationSettings({
+      decumulationSettings: {
+        liquidationOrder: ENUMS.liquidationOrder.CATEGORY,
+        categoryOrder: ['投資信託'],
+      },
+    });
+
+    expect(ids(orderForLiquidation(entries, settings))).toEqual(['nisa', 'ideco', 'taxable']);
+  });
+});
+
+describe('allocateWithdrawal', () => {
+  it('取り崩せる額を上限に順番に割り当て、割り当てられなかった額を返す', () => {
+    const entries = [
+      { asset: { id: 'a' }, performance: { startValue: 300000, contribution: 0, withdrawal: 0 } },
+      {
+        asset: { id: 'b' },
+        performance: { startValue: 500000, contribution: 100000, withdrawal: 200000 },
+      },
+    ];
+    const withdrawals = new Map([['a', 100000]]);
+
+    expect(allocateWithdrawal(800000, entries, withdrawals)).toBe(200000);
+    expect(withdrawals).toEqual(
+      new Map([
+        ['a', 300000],
+        ['b', 400000],
+      ]),
+    );
+  });
+
+  it('特定口座は税引後の受取額が取り崩す額になるように、税額の分を多く売却する', () => {
+    const entries = [
+      {
+        asset: { id: 'taxable' },
+        performance: {
+          startValue: 1000000,
+          contribution: 0,
+          withdrawal: 0,
+          withdrawalTaxRate: 0.1,
+        },
+      },
+    ];
+    const withdrawals = new Map();
+
+    expect(allocateWithdrawal(90000, entries, withdrawals)).toBeCloseTo(0);
+    expect(withdrawals.get('taxable')).toBeCloseTo(100000);
+  });
+});
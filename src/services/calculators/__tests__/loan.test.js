@@ -0,0 +1,106 @@
+import { ENUMS } from '../../../constants';
+import {
+  buildLoanSchedule,
+  buildPlanLoanSchedules,
+  calculateHousingLoanCredits,
+  calculateLoanBalance,
+  expandLoanItems,
+} from '../loan';
+
+/**
+ * 2025年1月に借り入れる1年返済のローンを作成
+ */
+const createLoan = data => ({
+  id: 'loan',
+  name: '住宅ローン',
+  principal: 1200000,
+  startDate: '2025-01-01',
+  termYears: 1,
+  annualRate: 0.12,
+  repaymentMethod: ENUMS.loanRepaymentMethod.EQUAL_PAYMENT,
+  ...data,
+});
+
+const sum = (schedule, key) => schedule.reduce((total, entry) => total + entry[key], 0);
+
+describe('buildLoanSchedule', () => {
+  it('元金均等返済は残高に月利を掛けた利息を支払う', () => {
+    const schedule = buildLoanSchedule(
+      createLoan({ repaymentMethod: ENUMS.loanRepaymentMethod.EQUAL_PRINCIPAL }),
+    );
+
+    // 借入月の翌月から12回、毎月10万円の元金と残高の1%の利息を返済する
+    expect(schedule).toHaveLength(2);
+    expect(schedule[0]).toMatchObject({ year: 2025, principal: 1100000, endBalance: 100000 });
+    expect(schedule[0].interest).toBeCloseTo(77000);
+    expect(schedule[1]).toMatchObject({ year: 2026, principal: 100000, endBalance: 0 });
+    expect(sum(schedule, 'interest')).toBeCloseTo(78000);
+  });
+
+  it('元利均等返済の利息の合計は、返済額の合計から借入額を差し引いた額になる', () => {
+    const schedule = buildLoanSchedule(createLoan());
+    const monthlyRate = 0.01;
+    const installment = (1200000 * monthlyRate) / (1 - (1 + monthlyRate) ** -12);
+
+    expect(sum(schedule, 'principal')).toBeCloseTo(1200000);
+    expect(sum(schedule, 'interest')).toBeCloseTo(installment * 12 - 1200000);
+    expect(schedule[0].payment).toBeCloseTo(installment * 11);
+  });
+
+  it('金利が0%の場合は利息を支払わない', () => {
+    const schedule = buildLoanSchedule(createLoan({ annualRate: 0 }));
+
+    expect(sum(schedule, 'interest')).toBe(0);
+    expect(schedule[0].principal).toBeCloseTo(1100000);
+  });
+});
+
+describe('返済予定の参照', () => {
+  const lifePlan = { loans: [createLoan({ annualRate: 0 })] };
+
+  it('作成済みの返済予定から残高と返済の支出項目を求める', () => {
+    const schedules = buildPlanLoanSchedules(lifePlan);
+
+    expect(calculateLoanBalance(lifePlan, 2025, schedules)).toBeCloseTo(100000);
+    expect(calculateLoanBalance(lifePlan, 2026, schedules)).toBe(0);
+    expect(expandLoanItems(lifePlan, 2025, schedules)).toEqual(expandLoanItems(lifePlan, 2025));
+    expect(expandLoanItems(lifePlan, 2025, schedules)).toEqual([
+      expect.objectContaining({ id: 'loan-loan-principal', amount: 1100000, loanId: 'loan' }),
+    ]);
+  });
+});
+
+describe('calculateHousingLoanCredits', () => {
+  // 2022年3月に借り入れる35年返済・金利0%の住宅ローン
+  const loan = createLoan({
+    principal: 40000000,
+    startDate: '2022-03-01',
+    termYears: 35,
+    annualRate: 0,
+    housingLoanDeduction: true,
+  });
+
+  it('入居年のテーブルの借入限度額まで、年末残高に控除率を掛ける', () => {
+    const credits = calculateHousingLoanCredits({ loans: [loan] }, 2022, 'self');
+
+    // 年末残高は3,000万円を超えるため、3,000万円 × 0.7%
+    expect(credits).toEqual({
+      self: { amount: 210000, residentTaxRate: 0.05, residentTaxLimit: 97500 },
+    });
+  });
+
+  it('控除期間の13年を過ぎると控除しない', () => {
+    const lifePlan = { loans: [loan] };
+
+    expect(calculateHousingLoanCredits(lifePlan, 2034, 'self').self.amount).toBeGreaterThan(0);
+    expect(calculateHousingLoanCredits(lifePlan, 2035, 'self')).toEqual({});
+  });
+
+  it('納税者と借入限度額を指定したローンはその設定を使う', () => {
+    const lifePlan = { loans: [{ ...loan, memberId: 'spouse', deductionLimit: 20000000 }] };
+
+    expect(calculateHousingLoanCredits(lifePlan, 2022, 'self')).toEqual({
+      spouse: expect.objectContaining({ amount: 140000 }),
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { ENUMS } from '../../../constants';
+import { runPortfolioSimulation } from '../monteCarlo';
+import { buildProjection } from '../projection';
+
+const YEARS = [2025, 2026, 2027, 2028];
+
+/**
+ * 年100万円の収入だけがある4年間のライフプランを作成
+ */
+const createLifePlan = () => ({
+  id: 'plan',
+  startYear: 2025,
+  lifespan: YEARS.length,
+  inflationRate: 0,
+  simulationSettings: { iterations: 5, seed: 1 },
+  yearlyFinances: YEARS.map(year => ({
+    id: `year-${year}`,
+    year,
+    incomes: [{ id: `income-${year}`, amount: 1000000, frequency: 'yearly', category: 'その他' }],
+    expenses: [],
+  })),
+});
+
+/**
+ * 価格変動のない資産を作成
+ */
+const createAsset = data => ({
+  id: 'asset',
+  name: '投資信託',
+  initialAmount: 500000,
+  startDate: '2025-01-01',
+  returns: { capitalGain: { annualRate: 0, compoundingFrequency: 'yearly', volatility: 0 } },
+  ...data,
+});
+
+/**
+ * 価格変動がない場合のシミュレーションの中央値と収支予測の累計残高を取得
+ */
+const runBoth = assets => {
+  const lifePlan = createLifePlan();
+  const { percentiles } = runPortfolioSimulation({ lifePlan, assets });
+  const { rows } = buildProjection({ lifePlan, assets });
+  return { median: percentiles[50], projected: rows.map(row => row.cumulativeBalance) };
+};
+
+describe('runPortfolioSimulation', () => {
+  it('価格変動がない場合の中央値は収支予測の累計残高と年ごとに一致する', () => {
+    const returns = {
+      capitalGain: { annualRate: 0.05, compoundingFrequency: 'yearly', volatility: 0 },
+    };
+    const { median, projected } = runBoth([
+      createAsset({ returns }),
+      createAsset({
+        id: 'bond',
+        accountType: ENUMS.accountType.TAXABLE,
+        startDate: '2026-01-01',
+        maturityDate: '2027-12-31',
+        returns,
+      }),
+    ]);
+
+    expect(median).toHaveLength(projected.length);
+    // 中央値は円単位に丸めるため、丸めの誤差だけ許容する
+    median.forEach((value, i) => expect(value).toBeCloseTo(projected[i], -1));
+  });
+
+  it('プランの途中で購入して満期を迎える資産は、購入額を支払い満期に受け取る', () => {
+    const { median, projected } = runBoth([
+      createAsset({
+        accountType: ENUMS.accountType.NISA_GROWTH,
+        startDate: '2026-01-01',
+        maturityDate: '2027-12-31',
+      }),
+    ]);
+
+    expect(projected).toEqual([1000000, 2000000, 3000000, 4000000]);
+    expect(median).toEqual(projected);
+  });
+});
@@ -0,0 +1,140 @@
+import { ENUMS } from '../../../constants';
+import { calculateSocialInsurance, calculateYearPayroll } from '../payroll';
+import { getSocialInsuranceTable } from '../socialInsuranceTables';
+import { SALARY_CATEGORY } from '../tax';
+
+const TABLE_2024 = getSocialInsuranceTable(2024);
+
+const monthly = amount => new Array(12).fill(amount);
+const noBonus = monthly(0);
+
+/**
+ * 指定月に賞与を支給する
+ */
+const bonusesIn = entries => {
+  const bonuses = monthly(0);
+  Object.entries(entries).forEach(([month, amount]) => {
+    bonuses[month] = amount;
+  });
+  return bonuses;
+};
+
+describe('calculateSocialInsurance', () => {
+  it('月給から健康保険・厚生年金・雇用保険を計算する', () => {
+    const premiums = calculateSocialInsurance(
+      { monthlySalaries: monthly(300000), bonuses: noBonus, age: 30 },
+      TABLE_2024,
+    );
+
+    expect(premiums).toEqual({
+      healthInsurance: 14970 * 12,
+      nursingCareInsurance: 0,
+      pension: 27450 * 12,
+      employmentInsurance: 21600,
+      total: 14970 * 12 + 27450 * 12 + 21600,
+    });
+  });
+
+  it.each([
+    [39, 0],
+    [40, 2400 * 12],
+    [64, 2400 * 12],
+    [65, 0],
+  ])('介護保険料は40歳以上65歳未満だけ負担する（%i歳）', (age, expected) => {
+    const premiums = calculateSocialInsurance(
+      { monthlySalaries: monthly(300000), bonuses: noBonus, age },
+      TABLE_2024,
+    );
+    expect(premiums.nursingCareInsurance).toBe(expected);
+  });
+
+  it('厚生年金は70歳、健康保険は75歳で負担しなくなる', () => {
+    const params = { monthlySalaries: monthly(300000), bonuses: noBonus };
+
+    expect(calculateSocialInsurance({ ...params, age: 70 }, TABLE_2024)).toMatchObject({
+      healthInsurance: 14970 * 12,
+      pension: 0,
+    });
+    expect(calculateSocialInsurance({ ...params, age: 75 }, TABLE_2024)).toMatchObject({
+      healthInsurance: 0,
+      pension: 0,
+    });
+  });
+
+  it('標準報酬月額は上限・下限の範囲に収める', () => {
+    const high = calculateSocialInsurance(
+      { monthlySalaries: monthly(2000000), bonuses: noBonus, age: 30 },
+      TABLE_2024,
+    );
+    expect(high.healthInsurance).toBe(69361 * 12);
+    expect(high.pension).toBe(59475 * 12);
+
+    const low = calculateSocialInsurance(
+      { monthlySalaries: monthly(50000), bonuses: noBonus, age: 30 },
+      TABLE_2024,
+    );
+    expect(low.healthInsurance).toBe(2894 * 12);
+    expect(low.pension).toBe(8052 * 12);
+  });
+
+  it('賞与は1,000円未満を切り捨て、厚生年金は1回150万円・健康保険は年573万円を上限とする', () => {
+    const premiums = calculateSocialInsurance(
+      { monthlySalaries: noBonus, bonuses: bonusesIn({ 5: 3000999, 11: 3000000 }), age: 30 },
+      TABLE_2024,
+    );
+
+    // 健康保険: 300万円 + 残りの上限273万円
+    expect(premiums.healthInsurance).toBe(149700 + 136227);
+    expect(premiums.pension).toBe(137250 * 2);
+    expect(premiums.employmentInsurance).toBe(Math.round(6000999 * 0.006));
+  });
+});
+
+describe('calculateYearPayroll', () => {
+  const lifePlan = {
+    members: [
+      {
+        id: 'self',
+        name: '本人',
+        relationship: ENUMS.relationship.SELF,
+        birthDate: '1990-05-01',
+      },
+    ],
+  };
+  const incomes = [
+    { id: 'salary', name: '給与', amount: 300000, frequency: 'monthly', category: SALARY_CATEGORY },
+    { id: 'other', name: '副収入', amount: 500000, frequency: 'yearly', category: 'その他' },
+  ];
+
+  it('給与収入だけを集計し、控除額を差し引いた手取りを計算する', () => {
+    const payroll = calculateYearPayroll(lifePlan, 2024, incomes);
+
+    expect(payroll.gross).toBe(3600000);
+    expect(payroll.socialInsurance).toBe(14970 * 12 + 27450 * 12 + 21600);
+    expect(payroll.incomeTax).toBeGreaterThan(0);
+    expect(payroll.residentTax).toBeGreaterThan(0);
+    expect(payroll.totalDeductions).toBe(
+      payroll.socialInsurance + payroll.incomeTax + payroll.residentTax,
+    );
+    expect(payroll.net).toBe(payroll.gross - payroll.totalDeductions);
+    expect(payroll.earners).toHaveLength(1);
+  });
+
+  it('対象年の料率テーブルを使う', () => {
+    const payroll = calculateYearPayroll(lifePlan, 2025, incomes);
+
+    expect(payroll.healthInsurance).toBe(14865 * 12);
+    expect(payroll.employmentInsurance).toBe(19800);
+  });
+
+  it('iDeCo の掛金は所得控除として税額を減らす', () => {
+    const withoutIdeco = calculateYearPayroll(lifePlan, 2024, incomes);
+    const withIdeco = calculateYearPayroll(lifePlan, 2024, incomes, {
+      idecoContribution: 276000,
+    });
+
+    expect(withIdeco.incomeTax).toBeLessThan(withoutIdeco.incomeTax);
+    expect(withIdeco.residentTax).toBeLessThan(withoutIdeco.residentTax);
+    expect(withIdeco.socialInsurance).toBe(withoutIdeco.socialInsurance);
+  });
+});
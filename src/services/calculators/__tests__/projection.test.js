@@ -0,0 +1,254 @@
+import { ENUMS } from '../../../constants';
+import { VALUE_MODES } from '../inflation';
+import { buildProjection } from '../projection';
+
+const YEARS = [2025, 2026, 2027];
+
+/**
+ * 年100万円の収入と月5万円の支出がある3年間のライフプランを作成
+ */
+const createLifePlan = data => ({
+  id: 'plan',
+  startYear: 2025,
+  lifespan: YEARS.length,
+  inflationRate: 0,
+  yearlyFinances: YEARS.map(year => ({
+    id: `year-${year}`,
+    year,
+    incomes: [{ id: `income-${year}`, amount: 1000000, frequency: 'yearly', category: 'その他' }],
+    expenses: [{ id: `expense-${year}`, amount: 50000, frequency: 'monthly', category: '食費' }],
+  })),
+  ...data,
+});
+
+/**
+ * 指定年に一時的な支出を追加
+ */
+const addExpense = (lifePlan, year, amount) => ({
+  ...lifePlan,
+  yearlyFinances: lifePlan.yearlyFinances.map(yearData =>
+    yearData.year === year
+      ? {
+          ...yearData,
+          expenses: [
+            ...yearData.expenses,
+            { id: `extra-${year}`, amount, frequency: 'yearly', category: '特別支出' },
+          ],
+        }
+      : yearData,
+  ),
+});
+
+/**
+ * 年利のみで運用する資産を作成
+ */
+const createAsset = data => ({
+  id: 'asset',
+  name: '投資信託',
+  initialAmount: 1000000,
+  startDate: '2025-01-01',
+  returns: { capitalGain: { annualRate: 0.1, compoundingFrequency: 'yearly' } },
+  ...data,
+});
+
+const findRow = (projection, year) => projection.rows.find(row => row.year === year);
+
+describe('buildProjection', () => {
+  it('年間の収支を現預金残高に累計する', () => {
+    const projection = buildProjection({ lifePlan: createLifePlan() });
+    const { rows } = projection;
+
+    expect(rows.map(row => row.netCashFlow)).toEqual([400000, 400000, 400000]);
+    expect(rows.map(row => row.cashBalance)).toEqual([400000, 800000, 1200000]);
+    expect(rows.map(row => row.cumulativeBalance)).toEqual([400000, 800000, 1200000]);
+    expect(projection.firstDeficitYear).toBeNull();
+  });
+
+  it('赤字で現預金がマイナスになった年も残高を翌年に繰り越す', () => {
+    const projection = buildProjection({
+      lifePlan: addExpense(createLifePlan(), 2026, 2000000),
+    });
+
+    expect(projection.rows.map(row => row.netCashFlow)).toEqual([400000, -1600000, 400000]);
+    expect(projection.rows.map(row => row.cashBalance)).toEqual([400000, -1200000, -800000]);
+    expect(findRow(projection, 2027).cumulativeBalance).toBe(-800000);
+    expect(projection.firstDeficitYear).toBe(2026);
+  });
+
+  it('名目額は支出にインフレを反映し、実質額は開始年の価値に換算する', () => {
+    const lifePlan = createLifePlan({ inflationRate: 0.1 });
+    const nominal = buildProjection({ lifePlan });
+    const real = buildProjection({ lifePlan, valueMode: VALUE_MODES.REAL });
+
+    expect(nominal.rows.map(row => row.income)).toEqual([1000000, 1000000, 1000000]);
+    expect(nominal.rows.map(row => row.expense)).toEqual([600000, 660000, 726000]);
+    expect(nominal.rows.map(row => row.cashBalance)).toEqual([400000, 740000, 1014000]);
+
+    real.rows.forEach(row => expect(row.expense).toBeCloseTo(600000));
+    expect(findRow(real, 2027).income).toBeCloseTo(1000000 / 1.21);
+    expect(findRow(real, 2027).cashBalance).toBeCloseTo(1014000 / 1.21);
+    // 赤字の判定は名目額で行う
+    expect(real.firstDeficitYear).toBe(nominal.firstDeficitYear);
+  });
+
+  it('プラン開始時に保有する資産は運用益を複利で積み上げ、現預金は減らさない', () => {
+    const { rows } = buildProjection({ lifePlan: createLifePlan(), assets: [createAsset()] });
+
+    expect(rows.map(row => row.assetValue)).toEqual([1100000, 1210000, 1331000]);
+    expect(rows.map(row => row.assetGrowth)).toEqual([100000, 110000, 121000]);
+    expect(rows.map(row => row.assetPurchases)).toEqual([0, 0, 0]);
+    expect(rows.map(row => row.cashBalance)).toEqual([400000, 800000, 1200000]);
+    expect(findRow({ rows }, 2027).netWorth).toBe(1200000 + 1331000);
+  });
+
+  it('プランの途中で購入する資産は購入年に現預金から支払う', () => {
+    const asset = createAsset({
+      initialAmount: 500000,
+      startDate: '2026-04-01',
+      returns: { capitalGain: { annualRate: 0, compoundingFrequency: 'yearly' } },
+    });
+    const base = buildProjection({ lifePlan: createLifePlan() });
+    const projection = buildProjection({ lifePlan: createLifePlan(), assets: [asset] });
+
+    expect(findRow(projection, 2025).assetValue).toBe(0);
+    expect(findRow(projection, 2026).assetPurchases).toBe(500000);
+    expect(findRow(projection, 2026).cashBalance).toBe(findRow(base, 2026).cashBalance - 500000);
+    expect(findRow(projection, 2026).assetValue).toBe(500000);
+    expect(findRow(projection, 2027).assetPurchases).toBe(0);
+    // 現預金で資産を買うだけなので純資産は変わらない
+    expect(projection.rows.map(row => row.netWorth)).toEqual(base.rows.map(row => row.netWorth));
+  });
+
+  it('満期を迎えた資産は満期年に税引後の評価額を現預金に受け取る', () => {
+    const asset = createAsset({
+      accountType: ENUMS.accountType.NISA_GROWTH,
+      maturityDate: '2026-12-31',
+    });
+    const projection = buildProjection({ lifePlan: createLifePlan(), assets: [asset] });
+    const maturityRow = findRow(projection, 2026);
+
+    expect(maturityRow.maturityProceeds).toBe(1210000);
+    expect(maturityRow.assetValue).toBe(0);
+    expect(maturityRow.cashBalance).toBe(800000 + 1210000);
+    expect(findRow(projection, 2027).maturityProceeds).toBe(0);
+    expect(findRow(projection, 2027).cashBalance).toBe(1200000 + 1210000);
+  });
+
+  it('iDeCoは受取開始年に税引後の一時金を現預金に受け取る', () => {
+    const asset = createAsset({
+      accountType: ENUMS.accountType.IDECO,
+      startDate: '2005-01-01',
+      maturityDate: '2027-01-01',
+    });
+    const projection = buildProjection({ lifePlan: createLifePlan(), assets: [asset] });
+    const lumpSum = projection.assetPerformances
+      .get(asset.id)
+      .find(performance => performance.year === 2027).afterTaxEndValue;
+    const receiptRow = findRow(projection, 2027);
+
+    expect(lumpSum).toBeGreaterThan(0);
+    expect(receiptRow.maturityProceeds).toBe(lumpSum);
+    expect(receiptRow.assetValue).toBe(0);
+    expect(receiptRow.cashBalance).toBe(findRow(projection, 2026).cashBalance + 400000 + lumpSum);
+  });
+
+  it('基準年までは資産の実績評価額に置き換え、翌年以降はその値から予測する', () => {
+    const asset = createAsset({ yearlyPerformance: [{ year: 2025, actualEndValue: 900000 }] });
+    const lifePlan = createLifePlan({ baselineYear: 2025 });
+    const { rows } = buildProjection({ lifePlan, assets: [asset] });
+
+    expect(rows.map(row => row.assetValue)).toEqual([900000, 990000, 1089000]);
+    // 基準年が未設定の場合は実績評価額を使わない
+    const unbased = buildProjection({ lifePlan: createLifePlan(), assets: [asset] });
+    expect(findRow(unbased, 2025).assetValue).toBe(1100000);
+  });
+
+  it('実績評価額が0の資産も実績として予測をやり直す', () => {
+    const asset = createAsset({ yearlyPerformance: [{ year: 2025, actualEndValue: 0 }] });
+    const lifePlan = createLifePlan({ baselineYear: 2025 });
+    const { rows } = buildProjection({ lifePlan, assets: [asset] });
+
+    expect(rows.map(row => row.assetValue)).toEqual([0, 0, 0]);
+  });
+
+  it('ローンの返済は支出に加え、年末残高は負債として純資産から差し引く', () => {
+    const loan = {
+      id: 'loan',
+      name: '住宅ローン',
+      principal: 1200000,
+      startDate: '2025-01-01',
+      termYears: 1,
+      annualRate: 0,
+    };
+    const { rows } = buildProjection({ lifePlan: createLifePlan({ loans: [loan] }) });
+
+    // 2025年は2月から11回、2026年は1月に1回、10万円ずつ返済する
+    expect(rows.map(row => row.expense)).toEqual([1700000, 700000, 600000]);
+    expect(rows.map(row => row.liabilities)).toEqual([100000, 0, 0]);
+    expect(rows.map(row => row.netWorth)).toEqual([-800000, -400000, 0]);
+  });
+
+  it('負債の返済は支出に加え、年末残高はローンと合わせて純資産から差し引く', () => {
+    const loan = {
+      id: 'loan',
+      name: '住宅ローン',
+      principal: 2400000,
+      startDate: '2025-01-01',
+      termYears: 2,
+      annualRate: 0,
+    };
+    const liability = {
+      id: 'liability',
+      name: '自動車ローン',
+      principal: 1200000,
+      startDate: '2025-01-01',
+      termYears: 1,
+      annualRate: 0,
+    };
+    const { rows } = buildProjection({
+      lifePlan: createLifePlan({ loans: [loan] }),
+      liabilities: [liability],
+    });
+
+    expect(rows.map(row => row.expense)).toEqual([2800000, 1900000, 700000]);
+    expect(rows.map(row => row.liabilities)).toEqual([1400000, 100000, 0]);
+    expect(rows.map(row => row.netWorth)).toEqual([-3200000, -2800000, -2400000]);
+  });
+
+  it('特定口座から取り崩すと譲渡益に課税し、NISA から取り崩すと課税しない', () => {
+    const assets = [
+      createAsset({ id: 'taxable', category: '株式' }),
+      createAsset({ id: 'nisa', category: 'NISA', accountType: ENUMS.accountType.NISA_GROWTH }),
+    ];
+    const project = decumulationSettings =>
+      buildProjection({
+        lifePlan: createLifePlan({
+          decumulationSettings: {
+            strategy: ENUMS.decumulationStrategy.FIXED_AMOUNT,
+            annualAmount: 500000,
+            startYear: 2026,
+            ...decumulationSettings,
+          },
+        }),
+        assets,
+      });
+    const taxableFirst = findRow(
+      project({ liquidationOrder: ENUMS.liquidationOrder.TAX_TREATMENT }),
+      2026,
+    );
+    const nisaFirst = findRow(
+      project({ liquidationOrder: ENUMS.liquidationOrder.CATEGORY, categoryOrder: ['NISA'] }),
+      2026,
+    );
+
+    // 期首評価額110万円のうち取得費は100万円のため、売却額の1/11が譲渡益になる
+    const taxRate = (1 - 1000000 / 1100000) * 0.20315;
+    expect(taxableFirst.withdrawalTax).toBe(Math.floor(taxableFirst.withdrawals * taxRate));
+    expect(taxableFirst.withdrawals - taxableFirst.withdrawalTax).toBeCloseTo(500000, -1);
+    expect(nisaFirst.withdrawals).toBe(500000);
+    expect(nisaFirst.withdrawalTax).toBe(0);
+    // 受け取る現預金は同じで、税額の分だけ資産が減る
+    expect(taxableFirst.cashBalance).toBeCloseTo(nisaFirst.cashBalance, -1);
+    expect(taxableFirst.netWorth).toBeLessThan(nisaFirst.netWorth);
+  });
+});
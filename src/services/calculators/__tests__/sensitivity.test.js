@@ -0,0 +1,49 @@
+import { buildSensitivityFactors, runSensitivityAnalysis } from '../sensitivity';
+
+const YEARS = [2025, 2026, 2027];
+
+/**
+ * インフレ率を設定していない、年100万円の収入と月5万円の支出がある3年間のライフプランを作成
+ */
+const createLifePlan = () => ({
+  id: 'plan',
+  startYear: 2025,
+  lifespan: YEARS.length,
+  yearlyFinances: YEARS.map(year => ({
+    id: `year-${year}`,
+    year,
+    incomes: [{ id: `income-${year}`, amount: 1000000, frequency: 'yearly', category: 'その他' }],
+    expenses: [{ id: `expense-${year}`, amount: 50000, frequency: 'monthly', category: '食費' }],
+  })),
+});
+
+const findResult = (analysis, key) => analysis.results.find(result => result.key === key);
+
+describe('buildSensitivityFactors', () => {
+  it('インフレ率が未設定のライフプランは0%から動かす', () => {
+    const lifePlan = createLifePlan();
+    const factor = buildSensitivityFactors(lifePlan, []).find(f => f.key === 'inflationRate');
+
+    expect(factor.apply({ lifePlan }, 0.01).lifePlan.inflationRate).toBe(0.01);
+    expect(factor.apply({ lifePlan }, -0.01).lifePlan.inflationRate).toBe(-0.01);
+  });
+});
+
+describe('runSensitivityAnalysis', () => {
+  it('インフレ率が未設定でも、インフレ率の影響を計算する', () => {
+    const analysis = runSensitivityAnalysis({ lifePlan: createLifePlan() });
+    const inflation = findResult(analysis, 'inflationRate');
+
+    expect(analysis.baseValue).toBe(1200000);
+    expect(inflation.highValue).toBeLessThan(analysis.baseValue);
+    expect(inflation.lowValue).toBeGreaterThan(analysis.baseValue);
+    expect(inflation.range).toBeGreaterThan(0);
+  });
+
+  it('影響の大きい順に並べる', () => {
+    const analysis = runSensitivityAnalysis({ lifePlan: createLifePlan() });
+    const ranges = analysis.results.map(result => result.range);
+
+    expect(ranges).toEqual([...ranges].sort((a, b) => b - a));
+  });
+});
@@ -0,0 +1,99 @@
+import { calculateProgressiveTax, calculateSalaryDeduction, calculateSalaryTax } from '../tax';
+import { getTaxTable, TAX_TABLES } from '../taxTables';
+
+const TABLE_YEARS = TAX_TABLES.map(table => table.fromYear);
+
+/**
+ * メンバーのいないライフプランで給与収入の税額を計算
+ */
+const calculateTax = (salary, year) => calculateSalaryTax({ salary, year, lifePlan: {} });
+
+describe('getTaxTable', () => {
+  it.each([
+    [2019, 2020],
+    [2020, 2020],
+    [2021, 2020],
+    [2022, 2022],
+    [2024, 2022],
+    [2025, 2025],
+    [2040, 2025],
+  ])('%i年は%i年のテーブルを使う', (year, fromYear) => {
+    expect(getTaxTable(year).fromYear).toBe(fromYear);
+  });
+});
+
+describe.each(TABLE_YEARS)('%i年のテーブル', year => {
+  const table = getTaxTable(year);
+
+  it('所得税の速算表は区分の境目で税額が連続する', () => {
+    table.incomeTaxBrackets.slice(0, -1).forEach((bracket, i) => {
+      const next = table.incomeTaxBrackets[i + 1];
+      const tax = calculateProgressiveTax(bracket.upTo, table);
+      const nextTax = calculateProgressiveTax(bracket.upTo + 1000, table);
+
+      expect(tax).toBe(Math.floor(bracket.upTo * bracket.rate - bracket.deduction));
+      expect(nextTax).toBe(Math.floor((bracket.upTo + 1000) * next.rate - next.deduction));
+      expect(nextTax - tax).toBeGreaterThan(0);
+      expect(nextTax - tax).toBeLessThanOrEqual(1000 * next.rate);
+    });
+  });
+
+  it.each([
+    [1949000, 97450],
+    [1950000, 97500],
+    [3299000, 232400],
+    [3300000, 232500],
+    [6949000, 962300],
+    [6950000, 962500],
+    [1949999, 97450],
+  ])('課税所得%i円の所得税は%i円', (taxableIncome, expected) => {
+    expect(calculateProgressiveTax(taxableIncome, table)).toBe(expected);
+  });
+
+  it('合計所得金額2,400万円を超えると基礎控除が減る', () => {
+    // 給与所得控除の上限195万円を差し引いた合計所得金額が2,400万円ちょうど
+    expect(calculateTax(25950000, year).taxableIncome).toBe(24000000 - 480000);
+    expect(calculateTax(25951000, year).taxableIncome).toBe(24001000 - 320000);
+  });
+});
+
+describe('給与所得控除', () => {
+  it.each([
+    [2020, 500000, 500000],
+    [2020, 1625000, 550000],
+    [2020, 1800000, 620000],
+    [2020, 1800001, 620000],
+    [2020, 3600000, 1160000],
+    [2020, 6600000, 1760000],
+    [2020, 8500000, 1950000],
+    [2020, 10000000, 1950000],
+    [2022, 1625000, 550000],
+    [2022, 8500000, 1950000],
+    [2025, 1625000, 650000],
+    [2025, 1900000, 650000],
+    [2025, 1900001, 650000],
+    [2025, 3600000, 1160000],
+    [2025, 10000000, 1950000],
+  ])('%i年の給与収入%i円の控除額は%i円', (year, salary, expected) => {
+    expect(calculateSalaryDeduction(salary, getTaxTable(year))).toBe(expected);
+  });
+});
+
+describe('基礎控除', () => {
+  it('2025年から合計所得金額132万円以下の基礎控除が95万円になる', () => {
+    // 給与収入200万円の合計所得金額は132万円
+    expect(calculateTax(2000000, 2024)).toMatchObject({
+      totalIncome: 1320000,
+      taxableIncome: 1320000 - 480000,
+    });
+    expect(calculateTax(2000000, 2025)).toMatchObject({
+      totalIncome: 1320000,
+      taxableIncome: 1320000 - 950000,
+    });
+    // 132万円を超えると88万円
+    expect(calculateTax(2001000, 2025)).toMatchObject({
+      totalIncome: 1320700,
+      taxableIncome: 440000,
+    });
+  });
+});
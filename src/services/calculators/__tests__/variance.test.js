@@ -0,0 +1,60 @@
+import { buildAssetVariance } from '../variance';
+
+/**
+ * 2年間のライフプランを作成
+ */
+const createLifePlan = () => ({
+  id: 'plan',
+  startYear: 2025,
+  lifespan: 2,
+  inflationRate: 0,
+  yearlyFinances: [2025, 2026].map(year => ({
+    id: `year-${year}`,
+    year,
+    incomes: [],
+    expenses: [],
+  })),
+});
+
+/**
+ * 年利10%の資産を作成
+ */
+const createAsset = yearlyPerformance => ({
+  id: 'asset',
+  name: '投資信託',
+  initialAmount: 1000000,
+  startDate: '2025-01-01',
+  returns: { capitalGain: { annualRate: 0.1, compoundingFrequency: 'yearly' } },
+  yearlyPerformance,
+});
+
+describe('buildAssetVariance', () => {
+  it('実績評価額と予測の期末評価額の差異を計算する', () => {
+    const assets = [createAsset([{ year: 2025, actualEndValue: 1045000 }])];
+    const [variance] = buildAssetVariance({ lifePlan: createLifePlan(), assets }, 2025);
+
+    expect(variance).toEqual({
+      id: 'asset',
+      name: '投資信託',
+      plan: 1100000,
+      actual: 1045000,
+      difference: -55000,
+      rate: -0.05,
+    });
+  });
+
+  it('実績評価額が0の資産も差異を計算する', () => {
+    const assets = [createAsset([{ year: 2025, actualEndValue: 0 }])];
+    const [variance] = buildAssetVariance({ lifePlan: createLifePlan(), assets }, 2025);
+
+    expect(variance.actual).toBe(0);
+    expect(variance.difference).toBe(-1100000);
+    expect(variance.rate).toBe(-1);
+  });
+
+  it('実績評価額を記録していない資産は含めない', () => {
+    const assets = [createAsset([])];
+
+    expect(buildAssetVariance({ lifePlan: createLifePlan(), assets }, 2025)).toEqual([]);
+  });
+});
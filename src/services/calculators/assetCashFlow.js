@@ -0,0 +1,233 @@
+import { ENUMS } from '../../constants';
+import { formatCurrency } from '../../utils/format';
+import {
+  ACCOUNT_TYPE_LABELS,
+  getAccountType,
+  getIdecoContribution,
+  INVESTMENT_TAX_RULES,
+  isNisaAccount,
+} from './investmentTax';
+
+/**
+ * 資産の積立・取り崩しスケジュール
+ *
+ * 資産ごとに、現預金から資産への積立と、資産から現預金への取り崩しを設定する。
+ * 金額は定額・期首評価額に対する定率・収支の不足額の補填のいずれかで決める。
+ * iDeCo の掛金（monthlyContribution）も毎月の積立として扱う。
+ */
+
+/**
+ * 積立・取り崩しの種類の表示名
+ */
+export const ASSET_CASH_FLOW_TYPE_LABELS = {
+  [ENUMS.assetCashFlowType.CONTRIBUTION]: '積立',
+  [ENUMS.assetCashFlowType.WITHDRAWAL]: '取り崩し',
+};
+
+/**
+ * 積立・取り崩し額の決め方の表示名
+ */
+export const ASSET_CASH_FLOW_METHOD_LABELS = {
+  [ENUMS.assetCashFlowMethod.FIXED]: '定額',
+  [ENUMS.assetCashFlowMethod.PERCENTAGE]: '定率（期首評価額に対する年率）',
+  [ENUMS.assetCashFlowMethod.DEFICIT]: '収支の不足額を補填',
+};
+
+// 頻度ごとの年間の入出金回数
+const PAYMENTS_PER_YEAR = {
+  [ENUMS.frequency.MONTHLY]: 12,
+  [ENUMS.frequency.YEARLY]: 1,
+};
+
+/**
+ * 指定年に有効な積立・取り崩しの設定を取得
+ * @param {object} asset - 資産
+ * @param {number} year - 対象年
+ * @returns {object[]} 積立・取り崩しの設定
+ */
+export const getActiveCashFlowSchedules = (asset, year) =>
+  (asset.cashFlowSchedule || []).filter(
+    schedule =>
+      (!schedule.startYear || schedule.startYear <= year) &&
+      (!schedule.endYear || year <= schedule.endYear),
+  );
+
+/**
+ * 収支の不足額の補填に使う資産かどうか
+ * @param {object} asset - 資産
+ * @param {number} year - 対象年
+ * @returns {boolean}
+ */
+export const fundsDeficit = (asset, year) =>
+  getActiveCashFlowSchedules(asset, year).some(
+    schedule =>
+      schedule.type === ENUMS.assetCashFlowType.WITHDRAWAL &&
+      schedule.method === ENUMS.assetCashFlowMethod.DEFICIT,
+  );
+
+/**
+ * 年額を入出金の時期ごとに分割
+ * 入出金は各期間の初め（毎月なら各月の1日、毎年なら1月1日）に行う
+ * @param {number} annualAmount - 年額
+ * @param {string} frequency - 頻度（monthly/yearly）
+ * @returns {{month: number, amount: number}[]} 月（0〜11）ごとの金額
+ */
+export const splitAnnualAmount = (annualAmount, frequency) => {
+  const payments = PAYMENTS_PER_YEAR[frequency] || 1;
+  return Array.from({ length: payments }, (_, i) => ({
+    month: (12 / payments) * i,
+    amount: annualAmount / payments,
+  }));
+};
+
+/**
+ * 積立・取り崩しの設定から年額を計算
+ * 不足額の補填は収支予測で決めるため、ここでは0とする
+ * @param {object} schedule - 積立・取り崩しの設定
+ * @param {number} startValue - 期首評価額
+ * @returns {number} 年額
+ */
+const calculateScheduleAmount = (schedule, startValue) => {
+  switch (schedule.method) {
+    case ENUMS.assetCashFlowMethod.PERCENTAGE:
+      return Math.max(0, startValue) * (schedule.rate || 0);
+    case ENUMS.assetCashFlowMethod.DEFICIT:
+      return 0;
+    case ENUMS.assetCashFlowMethod.FIXED:
+    default:
+      // 定額は1回あたりの金額で設定する
+      return (schedule.amount || 0) * (PAYMENTS_PER_YEAR[schedule.frequency] || 1);
+  }
+};
+
+/**
+ * 指定年の積立・取り崩しを計算
+ * 取り崩しの合計は期首評価額と積立額の合計を上限とする
+ * @param {object} asset - 資産
+ * @param {number} year - 対象年
+ * @param {number} startValue - 期首評価額
+ * @param {object} options
+ * @param {number} options.deficitWithdrawal - 収支の不足額の補填として取り崩す年額
+ * @returns {{cashFlows: {month: number, amount: number}[], contribution: number, withdrawal: number}}
+ *   cashFlows は資産への入金を正、資産からの出金を負とする
+ */
+export const resolveAssetCashFlows = (asset, year, startValue, { deficitWithdrawal = 0 } = {}) => {
+  const contributions = splitAnnualAmount(
+    getIdecoContribution(asset, year),
+    ENUMS.frequency.MONTHLY,
+  );
+  const withdrawals = [];
+
+  getActiveCashFlowSchedules(asset, year).forEach(schedule => {
+    const payments = splitAnnualAmount(
+      calculateScheduleAmount(schedule, startValue),
+      schedule.frequency,
+    );
+    if (schedule.type === ENUMS.assetCashFlowType.WITHDRAWAL) {
+      withdrawals.push(...payments);
+    } else {
+      contributions.push(...payments);
+    }
+  });
+  // 不足額は1年を通じて発生するものとして毎月取り崩す
+  withdrawals.push(...splitAnnualAmount(deficitWithdrawal, ENUMS.frequency.MONTHLY));
+
+  const contribution = contributions.reduce((sum, payment) => sum + payment.amount, 0);
+  const requestedWithdrawal = withdrawals.reduce((sum, payment) => sum + payment.amount, 0);
+  const available = Math.max(0, startValue + contribution);
+  const ratio = requestedWithdrawal > available ? available / requestedWithdrawal : 1;
+
+  return {
+    cashFlows: [
+      ...contributions.filter(payment => payment.amount > 0),
+      ...withdrawals
+        .filter(payment => payment.amount > 0)
+        .map(payment => ({ month: payment.month, amount: -payment.amount * ratio })),
+    ],
+    contribution,
+    withdrawal: requestedWithdrawal * ratio,
+  };
+};
+
+/**
+ * 資産への投資額（開始年の当初の金額と各年の積立額）を年ごとに集計
+ * 定率の積立は、それまでの投資額の合計を期首評価額とみなして見積もる
+ * @param {object} asset - 資産
+ * @param {number} endYear - 集計する最終年（満期年の方が早い場合は満期年まで）
+ * @param {number} fallbackStartYear - 開始日が未設定の場合の開始年
+ * @returns {Map<number, number>} 年をキーとした投資額
+ */
+export const collectAnnualInvestments = (asset, endYear, fallbackStartYear = endYear) => {
+  const startMatch = /^(\d{4})/.exec(String(asset.startDate || ''));
+  const maturityMatch = /^(\d{4})/.exec(String(asset.maturityDate || ''));
+  const startYear = startMatch ? Number(startMatch[1]) : fallbackStartYear;
+  const lastYear = maturityMatch ? Math.min(endYear, Number(maturityMatch[1])) : endYear;
+
+  let invested = asset.initialAmount || 0;
+  const investments = new Map([[startYear, invested]]);
+  for (let year = startYear; year <= lastYear; year++) {
+    const { contribution } = resolveAssetCashFlows(asset, year, invested);
+    if (contribution > 0) {
+      investments.set(year, (investments.get(year) || 0) + contribution);
+      invested += contribution;
+    }
+  }
+  return investments;
+};
+
+/**
+ * NISA の投資枠の超過を確認
+ * 投資開始年の当初の金額と、積立・取り崩しの設定による各年の積立額を投資額として集計する
+ * @param {object[]} assets - ライフプラン内の資産（IDの重複は1件として扱う）
+ * @param {number} endYear - 集計する最終年（プランの最終年）
+ * @param {number} fallbackStartYear - 開始日が未設定の資産の開始年
+ * @returns {string[]} 警告メッセージ
+ */
+export const checkNisaLimits = (assets, endYear, fallbackStartYear = endYear) => {
+  const { nisa } = INVESTMENT_TAX_RULES;
+  const uniqueAssets = Array.from(new Map(assets.map(asset => [asset.id, asset])).values());
+  const annual = new Map();
+  let lifetimeTotal = 0;
+  let growthTotal = 0;
+
+  uniqueAssets.forEach(asset => {
+    const accountType = getAccountType(asset);
+    if (!isNisaAccount(accountType)) {
+      return;
+    }
+    collectAnnualInvestments(asset, endYear, fallbackStartYear).forEach((amount, year) => {
+      const key = `${year}:${accountType}`;
+      annual.set(key, (annual.get(key) || 0) + amount);
+      lifetimeTotal += amount;
+      if (accountType === ENUMS.accountType.NISA_GROWTH) {
+        growthTotal += amount;
+      }
+    });
+  });
+
+  const warnings = [];
+  annual.forEach((amount, key) => {
+    const [year, accountType] = key.split(':');
+    const limit =
+      accountType === ENUMS.accountType.NISA_GROWTH
+        ? nisa.growthAnnualLimit
+        : nisa.tsumitateAnnualLimit;
+    if (amount > limit) {
+      warnings.push(
+        `${year}年の${ACCOUNT_TYPE_LABELS[accountType]}の投資額が年間投資枠（${formatCurrency(limit)}）を超えています`,
+      );
+    }
+  });
+  if (growthTotal > nisa.growthLifetimeLimit) {
+    warnings.push(
+      `NISA 成長投資枠の投資額が生涯投資枠（${formatCurrency(nisa.growthLifetimeLimit)}）を超えています`,
+    );
+  }
+  if (lifetimeTotal > nisa.lifetimeLimit) {
+    warnings.push(
+      `NISA の投資額が生涯投資枠（${formatCurrency(nisa.lifetimeLimit)}）を超えています`,
+    );
+  }
+
+  return warnings;
+};
@@ -0,0 +1,376 @@
+import { ENUMS } from '../../constants';
+import { resolveAssetCashFlows } from './assetCashFlow';
+import {
+  calculateIdecoWithdrawalTax,
+  calculateInvestmentTax,
+  calculateUnrealizedGainTax,
+  calculateWithdrawalTaxRate,
+  getAccountType,
+} from './investmentTax';
+
+/**
+ * 資産の運用成績計算
+ *
+ * AssetStore と収支予測エンジンの両方から利用する純粋関数群。
+ * 口座の種類に応じた税額と税引後の金額もあわせて計算する。
+ */
+
+/**
+ * 年末までの運用期間に応じた成長率を計算
+ * 年次複利で1年に満たない期間は単利で計算する
+ * @param {number} annualRate - 年間期待収益率
+ * @param {string} compoundingFrequency - 複利計算頻度（daily/monthly/yearly）
+ * @param {number} months - 年末までの月数（0〜12）
+ * @returns {number} 年末の評価額の倍率
+ */
+const calculateGrowthFactor = (annualRate, compoundingFrequency, months) => {
+  switch (compoundingFrequency) {
+    case 'daily':
+      return Math.pow(1 + annualRate / 365, (365 * months) / 12);
+    case 'monthly':
+      return Math.pow(1 + annualRate / 12, months);
+    case 'yearly':
+    default:
+      return months === 12 ? 1 + annualRate : 1 + (annualRate * months) / 12;
+  }
+};
+
+/**
+ * キャピタルゲインの計算
+ * 年の途中の入出金は、入出金した月から年末までの期間だけ運用する
+ * @param {number} initialAmount - 期首評価額
+ * @param {number} annualRate - 年間期待収益率
+ * @param {string} compoundingFrequency - 複利計算頻度（daily/monthly/yearly）
+ * @param {{month: number, amount: number}[]} cashFlows - 月初の入出金（入金が正、出金が負）
+ * @returns {{evaluationAmount: number, capitalGain: number}} capitalGain は入出金を除いた運用益
+ */
+export const calculateCapitalGain = (
+  initialAmount,
+  annualRate,
+  compoundingFrequency,
+  cashFlows = [],
+) => {
+  let finalAmount = initialAmount * calculateGrowthFactor(annualRate, compoundingFrequency, 12);
+  let netCashFlow = 0;
+  cashFlows.forEach(({ month, amount }) => {
+    finalAmount += amount * calculateGrowthFactor(annualRate, compoundingFrequency, 12 - month);
+    netCashFlow += amount;
+  });
+
+  return {
+    evaluationAmount: finalAmount,
+    capitalGain: finalAmount - initialAmount - netCashFlow,
+  };
+};
+
+/**
+ * 配当の計算
+ * @param {number} amount - 期首評価額
+ * @param {number} dividendYield - 配当利回り
+ * @param {string} paymentFrequency - 配当支払頻度（monthly/quarterly/yearly）
+ * @param {number} year - 対象年
+ * @returns {{date: string, amount: number}[]} 配当の支払予定
+ */
+export const calculateDividends = (amount, dividendYield, paymentFrequency, year) => {
+  const dividends = [];
+  let paymentsPerYear;
+
+  switch (paymentFrequency) {
+    case 'monthly':
+      paymentsPerYear = 12;
+      break;
+    case 'quarterly':
+      paymentsPerYear = 4;
+      break;
+    case 'yearly':
+    default:
+      paymentsPerYear = 1;
+      break;
+  }
+
+  const dividendPerPayment = (amount * dividendYield) / paymentsPerYear;
+
+  for (let i = 0; i < paymentsPerYear; i++) {
+    const month = Math.floor((12 / paymentsPerYear) * i);
+    dividends.push({
+      date: new Date(year, month, 1).toISOString().split('T')[0],
+      amount: Math.round(dividendPerPayment),
+    });
+  }
+
+  return dividends;
+};
+
+/**
+ * 年間パフォーマンスの計算
+ * 特定口座で再投資する配当は源泉徴収後の金額を再投資する
+ * @param {number} year - 対象年
+ * @param {number} startValue - 期首評価額
+ * @param {object} returns - 収益設定（capitalGain, incomeGain）
+ * @param {object} options
+ * @param {string} options.accountType - 口座の種類
+ * @param {{month: number, amount: number}[]} options.cashFlows - 積立・取り崩し（入金が正、出金が負）
+ * @returns {object} 年間パフォーマンス
+ */
+export const calculateYearPerformance = (
+  year,
+  startValue,
+  returns,
+  { accountType = ENUMS.accountType.TAXABLE, cashFlows = [] } = {},
+) => {
+  const { capitalGain = {}, incomeGain = {} } = returns || {};
+  const { annualRate = 0, compoundingFrequency } = capitalGain;
+  const { dividendYield = 0, paymentFrequency, reinvestDividends } = incomeGain;
+  const contribution = cashFlows.reduce((sum, flow) => sum + Math.max(0, flow.amount), 0);
+  const withdrawal = cashFlows.reduce((sum, flow) => sum - Math.min(0, flow.amount), 0);
+
+  // キャピタルゲインの計算
+  const capitalGainResult = calculateCapitalGain(
+    startValue,
+    annualRate,
+    compoundingFrequency,
+    cashFlows,
+  );
+
+  // インカムゲインの計算（入出金の時期を考慮した平均残高に対して計算する）
+  const averageValue = cashFlows.reduce(
+    (sum, flow) => sum + (flow.amount * (12 - flow.month)) / 12,
+    startValue,
+  );
+  const dividends = calculateDividends(
+    Math.max(0, averageValue),
+    dividendYield,
+    paymentFrequency,
+    year,
+  );
+
+  const totalDividends = dividends.reduce((sum, div) => sum + div.amount, 0);
+  const capitalGains = Math.round(capitalGainResult.capitalGain);
+  const { dividendTax, capitalGainsTax } = calculateInvestmentTax(accountType, {
+    capitalGains,
+    totalDividends,
+  });
+  const afterTaxDividends = totalDividends - dividendTax;
+  const endValue = reinvestDividends
+    ? capitalGainResult.evaluationAmount + afterTaxDividends
+    : capitalGainResult.evaluationAmount;
+
+  return {
+    year,
+    startValue: Math.round(startValue),
+    contribution: Math.round(contribution),
+    withdrawal: Math.round(withdrawal),
+    endValue: Math.max(0, Math.round(endValue)),
+    capitalGains,
+    dividends,
+    totalDividends: Math.round(totalDividends),
+    dividendTax,
+    afterTaxDividends: Math.round(afterTaxDividends),
+    capitalGainsTax,
+    afterTaxCapitalGains: capitalGains - capitalGainsTax,
+  };
+};
+
+/**
+ * 資産の開始年を取得
+ * @param {object} asset - 資産
+ * @param {number} fallbackYear - 開始日が未設定の場合の年
+ * @returns {number}
+ */
+export const getAssetStartYear = (asset, fallbackYear) => {
+  const match = /^(\d{4})/.exec(String(asset.startDate || ''));
+  return match ? Number(match[1]) : fallbackYear;
+};
+
+/**
+ * 資産の満期年（iDeCo は受取開始年）を取得
+ * @param {object} asset - 資産
+ * @returns {number|null} 満期年（未設定の場合はnull）
+ */
+export const getAssetMaturityYear = asset => {
+  const match = /^(\d{4})/.exec(String(asset.maturityDate || ''));
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * 資産の年次パフォーマンスを1年ずつ計算する計算器を作成
+ * 収支予測では、その年の収支の不足額を見積もってから取り崩し額を決めるために使う
+ * 各年の afterTaxEndValue は、特定口座は含み益の税額、iDeCo は受取年の税額を差し引いた評価額
+ * realizedGainTax は特定口座から取り崩した金額にかかる譲渡益の税額、withdrawalTaxRate は取り崩し額に対するその割合
+ * @param {object} asset - 資産
+ * @param {number} fallbackStartYear - 開始日が未設定の場合の開始年
+ * @returns {{startYear: number, preview: function, next: function}}
+ */
+export const createAssetProjector = (asset, fallbackStartYear) => {
+  const startYear = getAssetStartYear(asset, fallbackStartYear);
+  const accountType = getAccountType(asset);
+  const withdrawalYear = getAssetMaturityYear(asset);
+
+  let nextYear = startYear;
+  let currentAmount = asset.initialAmount || 0;
+  // 特定口座の取得費（元本 + 拠出額 + 再投資した配当 − 取り崩した分）
+  let costBasis = currentAmount;
+
+  /**
+   * 指定年のパフォーマンスと、翌年に繰り越す取得費を計算
+   */
+  const calculate = (year, options) => {
+    const { cashFlows } = resolveAssetCashFlows(asset, year, currentAmount, options);
+    const performance = calculateYearPerformance(year, currentAmount, asset.returns, {
+      accountType,
+      cashFlows,
+    });
+
+    let nextCostBasis = costBasis + performance.contribution;
+    const investedValue = currentAmount + performance.contribution;
+    // 特定口座から取り崩した分は、含まれる値上がり益に売却時に課税する
+    performance.withdrawalTaxRate =
+      accountType === ENUMS.accountType.TAXABLE
+        ? calculateWithdrawalTaxRate(investedValue, nextCostBasis)
+        : 0;
+    performance.realizedGainTax = Math.floor(
+      performance.withdrawal * performance.withdrawalTaxRate,
+    );
+    // 取り崩した割合だけ取得費を減らす
+    if (performance.withdrawal > 0) {
+      nextCostBasis *=
+        investedValue > 0 ? Math.max(0, 1 - performance.withdrawal / investedValue) : 0;
+    }
+    if (asset.returns?.incomeGain?.reinvestDividends) {
+      nextCostBasis += performance.afterTaxDividends;
+    }
+
+    let latentTax = 0;
+    if (accountType === ENUMS.accountType.TAXABLE) {
+      latentTax = calculateUnrealizedGainTax(performance.endValue, nextCostBasis);
+    } else if (accountType === ENUMS.accountType.IDECO && year === withdrawalYear) {
+      performance.withdrawalTax = calculateIdecoWithdrawalTax(
+        performance.endValue,
+        withdrawalYear - startYear,
+        year,
+      );
+      latentTax = performance.withdrawalTax;
+    }
+    performance.afterTaxEndValue = performance.endValue - latentTax;
+
+    return { performance, nextCostBasis };
+  };
+
+  /**
+   * 指定年のパフォーマンスを計算し、翌年に繰り越す
+   * @param {number} year - 対象年（前回の次の年以降）
+   * @param {object} options - resolveAssetCashFlows のオプション（deficitWithdrawal）
+   * @returns {object|undefined} 年間パフォーマンス（開始年より前の場合はundefined）
+   */
+  const next = (year, options = {}) => {
+    if (year < startYear) {
+      return undefined;
+    }
+    // 指定年までの間の年は不足額の補填なしで計算する
+    while (nextYear < year) {
+      next(nextYear);
+    }
+    const { performance, nextCostBasis } = calculate(year, options);
+    costBasis = nextCostBasis;
+    currentAmount = performance.endValue;
+    nextYear = year + 1;
+    return performance;
+  };
+
+  /**
+   * 翌年に繰り越さずに指定年のパフォーマンスを計算
+   * @param {number} year - 対象年（前回の次の年以降）
+   * @param {object} options - resolveAssetCashFlows のオプション
+   * @returns {object|undefined} 年間パフォーマンス（開始年より前の場合はundefined）
+   */
+  const preview = (year, options = {}) => {
+    if (year < startYear) {
+      return undefined;
+    }
+    while (nextYear < year) {
+      next(nextYear);
+    }
+    return calculate(year, options).performance;
+  };
+
+  /**
+   * 翌年に繰り越す評価額を置き換える
+   * 実績の評価額を基準に、翌年以降を計算し直す場合に使う
+   * @param {number} value - 翌年の期首評価額
+   */
+  const rebase = value => {
+    currentAmount = value;
+  };
+
+  return { startYear, preview, next, rebase };
+};
+
+/**
+ * 資産の年次パフォーマンスを開始年から指定年まで計算
+ * 収支の不足額の補填による取り崩しは含まない（収支予測で計算する）
+ * @param {object} asset - 資産
+ * @param {number} endYear - 計算する最終年
+ * @param {number} fallbackStartYear - 開始日が未設定の場合の開始年
+ * @returns {object[]} 年次パフォーマンスの配列
+ */
+export const projectAssetPerformance = (asset, endYear, fallbackStartYear = endYear) => {
+  const projector = createAssetProjector(asset, fallbackStartYear);
+  const performances = [];
+  for (let year = projector.startYear; year <= endYear; year++) {
+    performances.push(projector.next(year));
+  }
+  return performances;
+};
+
+/**
+ * 資産を保有している年かどうか
+ * 開始年から満期年（未設定の場合はプラン終了まで）を保有期間とする
+ * @param {object} asset - 資産
+ * @param {number} year - 対象年
+ * @returns {boolean}
+ */
+export const isAssetHeldInYear = (asset, year) => {
+  const maturityYear = getAssetMaturityYear(asset);
+  return getAssetStartYear(asset, year) <= year && (maturityYear === null || year <= maturityYear);
+};
+
+/**
+ * 年次パフォーマンスから実績値（actual で始まる項目）を取り出す
+ * @param {object} performance - 年次パフォーマンス
+ * @returns {object} 実績値
+ */
+const pickActuals = performance =>
+  Object.fromEntries(Object.entries(performance || {}).filter(([key]) => key.startsWith('actual')));
+
+/**
+ * 予測した年次パフォーマンスに、記録済みの実績値を重ねる
+ * @param {object[]} projected - 予測した年次パフォーマンス
+ * @param {object[]} recorded - 実績値を含む年次パフォーマンス
+ * @returns {object[]} 実績値を重ねた年次パフォーマンス
+ */
+export const mergeActualPerformance = (projected, recorded = []) => {
+  const actualsByYear = new Map(recorded.map(p => [p.year, pickActuals(p)]));
+  return projected.map(p => ({ ...p, ...actualsByYear.get(p.year) }));
+};
+
+/**
+ * 指定年のパフォーマンスを取得
+ * 予測値に、資産に記録された実績値を重ねて返す
+ * @param {object} asset - 資産
+ * @param {number} year - 対象年
+ * @param {object[]} projectedPerformances - 予測した年次パフォーマンス（省略時は資産単体で計算）
+ * @returns {object|undefined} 年間パフォーマンス（開始年より前の場合はundefined）
+ */
+export const findYearPerformance = (
+  asset,
+  year,
+  projectedPerformances = projectAssetPerformance(asset, year, year),
+) => {
+  const projected = projectedPerformances.find(p => p.year === year);
+  if (!projected) {
+    return undefined;
+  }
+
+  const recorded = (asset.yearlyPerformance || []).find(p => p.year === year);
+  return { ...projected, ...pickActuals(recorded) };
+};
@@ -0,0 +1,88 @@
+/**
+ * ライフプランから資産への参照の付け替え
+ *
+ * ライフプランをコピーすると資産には新しいIDが割り当てられるため、
+ * シナリオの資産ごとの上書き内容・イベントの関連資産・目標の専用の資産が参照する資産IDを付け替える。
+ */
+
+/**
+ * 資産IDの配列を付け替える
+ * コピーされなかった資産への参照は除く
+ * @param {string[]} ids - 資産IDの配列
+ * @param {Map<string, string>} assetIds - コピー元の資産IDをキーとしたコピー後の資産ID
+ * @returns {string[]}
+ */
+const remapIds = (ids, assetIds) => ids.map(id => assetIds.get(id)).filter(Boolean);
+
+/**
+ * 資産IDをキーとしたオブジェクトのキーを付け替える
+ * @param {object} values - 資産IDをキーとした値
+ * @param {Map<string, string>} assetIds - コピー元の資産IDをキーとしたコピー後の資産ID
+ * @returns {object}
+ */
+const remapKeys = (values, assetIds) =>
+  Object.fromEntries(
+    Object.entries(values)
+      .filter(([id]) => assetIds.has(id))
+      .map(([id, value]) => [assetIds.get(id), value]),
+  );
+
+/**
+ * イベントの関連資産を付け替える
+ * @param {object} event - イベント
+ * @param {Map<string, string>} assetIds - コピー元の資産IDをキーとしたコピー後の資産ID
+ * @returns {object} イベント
+ */
+const remapEvent = (event, assetIds) =>
+  event.impactDetails?.assets
+    ? {
+        ...event,
+        impactDetails: {
+          ...event.impactDetails,
+          assets: remapIds(event.impactDetails.assets, assetIds),
+        },
+      }
+    : event;
+
+/**
+ * シナリオの資産ごとの上書き内容を付け替える
+ * @param {object} scenario - シナリオ
+ * @param {Map<string, string>} assetIds - コピー元の資産IDをキーとしたコピー後の資産ID
+ * @returns {object} シナリオ
+ */
+const remapScenario = (scenario, assetIds) =>
+  scenario.overrides?.assetRates
+    ? {
+        ...scenario,
+        overrides: {
+          ...scenario.overrides,
+          assetRates: remapKeys(scenario.overrides.assetRates, assetIds),
+        },
+      }
+    : scenario;
+
+/**
+ * 目標の専用の資産を付け替える
+ * 専用の資産がコピーされなかった目標は共通の資金から割り当てる
+ * @param {object} goal - 目標
+ * @param {Map<string, string>} assetIds - コピー元の資産IDをキーとしたコピー後の資産ID
+ * @returns {object} 目標
+ */
+const remapGoal = (goal, assetIds) =>
+  goal.assetId ? { ...goal, assetId: assetIds.get(goal.assetId) || null } : goal;
+
+/**
+ * ライフプランが参照する資産IDを、コピー後の資産IDに付け替える
+ * @param {object} lifePlan - ライフプラン
+ * @param {Map<string, string>} assetIds - コピー元の資産IDをキーとしたコピー後の資産ID
+ * @returns {object} 付け替えたライフプラン
+ */
+export const remapAssetReferences = (lifePlan, assetIds) => ({
+  ...lifePlan,
+  scenarios: (lifePlan.scenarios || []).map(scenario => remapScenario(scenario, assetIds)),
+  goals: (lifePlan.goals || []).map(goal => remapGoal(goal, assetIds)),
+  yearlyFinances: (lifePlan.yearlyFinances || []).map(yearData => ({
+    ...yearData,
+    events: (yearData.events || []).map(event => remapEvent(event, assetIds)),
+  })),
+});
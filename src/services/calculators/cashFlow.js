@@ -0,0 +1,121 @@
+import { ENUMS } from '../../constants';
+
+/**
+ * 収支項目の年額・月次キャッシュフロー計算
+ *
+ * 収入・支出の各項目は入力された1回あたりの金額（amount）と頻度（frequency）を持つ。
+ * 年間合計やグラフ表示ではこのモジュールで実際の年額に換算してから集計する。
+ */
+
+/**
+ * 項目の発生月（0〜11）を取得
+ * 日付文字列はタイムゾーンの影響を避けるため文字列から直接月を読み取る
+ * @param {object} item - 収支項目
+ * @returns {number} 発生月（未設定の場合は0 = 1月）
+ */
+export const getItemMonth = item => {
+  if (!item?.date) {
+    return 0;
+  }
+  const match = /^\d{4}-(\d{2})/.exec(String(item.date));
+  if (match) {
+    return Number(match[1]) - 1;
+  }
+  const date = new Date(item.date);
+  return isNaN(date.getTime()) ? 0 : date.getMonth();
+};
+
+/**
+ * 項目の支払月の一覧を取得
+ * @param {object} item - 収支項目
+ * @returns {number[]} 支払月（0〜11）の配列
+ */
+export const getPaymentMonths = item => {
+  const month = getItemMonth(item);
+
+  switch (item.frequency) {
+    case ENUMS.frequency.MONTHLY:
+      return Array.from({ length: 12 }, (_, i) => i);
+    case ENUMS.frequency.QUARTERLY: {
+      const firstMonth = month % 3;
+      return [firstMonth, firstMonth + 3, firstMonth + 6, firstMonth + 9];
+    }
+    case ENUMS.frequency.YEARLY:
+    case ENUMS.frequency.ONCE:
+    default:
+      return [month];
+  }
+};
+
+/**
+ * 項目の月次キャッシュフローを計算
+ * @param {object} item - 収支項目
+ * @returns {number[]} 1月〜12月の金額（長さ12）
+ */
+export const calculateMonthlyCashFlow = item => {
+  const cashFlow = new Array(12).fill(0);
+  const amount = item.amount || 0;
+  getPaymentMonths(item).forEach(month => {
+    cashFlow[month] += amount;
+  });
+  return cashFlow;
+};
+
+/**
+ * 項目の年額を計算
+ * @param {object} item - 収支項目
+ * @returns {number} 年額
+ */
+export const calculateAnnualAmount = item => {
+  return (item.amount || 0) * getPaymentMonths(item).length;
+};
+
+/**
+ * 実績額（年額）を入力した項目の金額を実績額に置き換える
+ * 頻度は変えずに、1回あたりの金額を実績額から計算し直す
+ * @param {object} item - 収支項目
+ * @returns {object} 実績額に置き換えた項目（実績額がない場合はそのまま）
+ */
+export const applyActualAmount = item => {
+  if (item.actualAmount === undefined || item.actualAmount === null) {
+    return item;
+  }
+  return { ...item, amount: item.actualAmount / getPaymentMonths(item).length };
+};
+
+/**
+ * 複数項目の年額合計を計算
+ * @param {object[]} items - 収支項目の配列
+ * @returns {number} 年額合計
+ */
+export const sumAnnualAmounts = items => {
+  return items.reduce((sum, item) => sum + calculateAnnualAmount(item), 0);
+};
+
+/**
+ * 複数項目の月次キャッシュフローを合算
+ * @param {object[]} items - 収支項目の配列
+ * @returns {number[]} 1月〜12月の合計金額（長さ12）
+ */
+export const sumMonthlyCashFlow = items => {
+  return items.reduce((total, item) => {
+    calculateMonthlyCashFlow(item).forEach((amount, month) => {
+      total[month] += amount;
+    });
+    return total;
+  }, new Array(12).fill(0));
+};
+
+/**
+ * カテゴリ別の年額合計を計算
+ * @param {object[]} items - 収支項目の配列
+ * @returns {Map<string, number>} カテゴリ名をキーとした年額合計
+ */
+export const summarizeByCategory = items => {
+  const summary = new Map();
+  items.forEach(item => {
+    const amount = summary.get(item.category) || 0;
+    summary.set(item.category, amount + calculateAnnualAmount(item));
+  });
+  return summary;
+};
@@ -0,0 +1,80 @@
+/**
+ * ライフプランの比較（シナリオ比較）
+ *
+ * 複数のライフプランの収支予測を、すべてのプランに含まれる年で揃えて比較する。
+ * 指標ごとの推移と、プラン間の差が大きい年を求める。
+ */
+
+// 比較できるライフプランの数
+export const MIN_COMPARED_PLANS = 2;
+export const MAX_COMPARED_PLANS = 4;
+
+// 差が大きい年として表示する件数
+export const DIVERGENT_YEAR_COUNT = 5;
+
+/**
+ * 比較する指標（予測結果の行の項目）
+ */
+export const COMPARISON_METRICS = [
+  { key: 'netCashFlow', label: '年間収支' },
+  { key: 'cumulativeBalance', label: '累計残高' },
+  { key: 'assetValue', label: '資産合計' },
+];
+
+/**
+ * 比較するライフプランの予測を、すべてのプランに含まれる年で揃える
+ * @param {{lifePlan: object, rows: object[]}[]} projections - ライフプランとその予測結果の行
+ * @returns {{years: number[], plans: {id: string, name: string, rows: object[]}[]}}
+ *   rows は years と同じ順の予測結果の行
+ */
+export const alignProjections = projections => {
+  const rowMaps = projections.map(({ rows }) => new Map(rows.map(row => [row.year, row])));
+  const years =
+    rowMaps.length === 0
+      ? []
+      : Array.from(rowMaps[0].keys())
+          .filter(year => rowMaps.every(rowMap => rowMap.has(year)))
+          .sort((a, b) => a - b);
+
+  return {
+    years,
+    plans: projections.map(({ lifePlan }, i) => ({
+      id: lifePlan.id,
+      name: lifePlan.name,
+      rows: years.map(year => rowMaps[i].get(year)),
+    })),
+  };
+};
+
+/**
+ * 指標の推移をプランごとに取得
+ * @param {object} comparison - alignProjections の結果
+ * @param {string} metric - 指標（予測結果の行の項目）
+ * @returns {{id: string, name: string, values: number[]}[]}
+ */
+export const buildComparisonSeries = (comparison, metric) => {
+  return comparison.plans.map(plan => ({
+    id: plan.id,
+    name: plan.name,
+    values: plan.rows.map(row => row[metric]),
+  }));
+};
+
+/**
+ * プラン間の差（最大値 − 最小値）が大きい年を取得
+ * @param {object} comparison - alignProjections の結果
+ * @param {string} metric - 指標（予測結果の行の項目）
+ * @param {number} limit - 取得する件数
+ * @returns {{year: number, values: number[], spread: number}[]} 差の大きい順
+ *   values はプランの順の指標の値
+ */
+export const findDivergentYears = (comparison, metric, limit = DIVERGENT_YEAR_COUNT) => {
+  return comparison.years
+    .map((year, index) => {
+      const values = comparison.plans.map(plan => plan.rows[index][metric]);
+      return { year, values, spread: Math.max(...values) - Math.min(...values) };
+    })
+    .filter(entry => entry.spread > 0)
+    .sort((a, b) => b.spread - a.spread || a.year - b.year)
+    .slice(0, limit);
+};
@@ -0,0 +1,210 @@
+import { ENUMS } from '../../constants';
+import { getInflationFactor } from './inflation';
+import { getAccountType } from './investmentTax';
+
+/**
+ * 老後の資産の取り崩し戦略
+ *
+ * 取り崩しの開始年（既定は退職年）から、ライフプランに設定した戦略で毎年の取り崩し額を決め、
+ * 設定した順番（口座の税制・資産カテゴリ）で資産を売却して現預金に充てる。
+ * 取り崩し額は税引後の受取額とし、特定口座は値上がり益にかかる税額の分を多く売却するため、
+ * 順番によって残る資産の評価額が変わる。
+ * 資産ごとの「収支の不足額を補填」の設定による取り崩しは、この戦略より先に行う。
+ * 取り崩しの期間中は、戦略による取り崩し額で賄えない収支の不足額も同じ順番で取り崩す。
+ */
+
+/**
+ * 取り崩し戦略の表示名
+ */
+export const DECUMULATION_STRATEGY_LABELS = {
+  [ENUMS.decumulationStrategy.NONE]: '設定しない（資産ごとの設定のみ）',
+  [ENUMS.decumulationStrategy.DEFICIT]: '収支の不足額',
+  [ENUMS.decumulationStrategy.FIXED_AMOUNT]: '定額（インフレ率で増額）',
+  [ENUMS.decumulationStrategy.FIXED_PERCENTAGE]: '定率（期首評価額に対する年率）',
+  [ENUMS.decumulationStrategy.GUARDRAILS]: 'ガードレール',
+};
+
+/**
+ * 取り崩す資産の順番の表示名
+ */
+export const LIQUIDATION_ORDER_LABELS = {
+  [ENUMS.liquidationOrder.TAX_TREATMENT]: '口座の税制（課税口座 → NISA → iDeCo）',
+  [ENUMS.liquidationOrder.CATEGORY]: '資産カテゴリの順',
+};
+
+// 税制優遇の少ない口座から取り崩す順番
+const TAX_TREATMENT_ORDER = [
+  ENUMS.accountType.TAXABLE,
+  ENUMS.accountType.NISA_GROWTH,
+  ENUMS.accountType.NISA_TSUMITATE,
+  ENUMS.accountType.IDECO,
+];
+
+/**
+ * 取り崩し設定の既定値
+ */
+export const DEFAULT_DECUMULATION_SETTINGS = {
+  strategy: ENUMS.decumulationStrategy.NONE,
+  // 取り崩しの開始年（null の場合は退職年、退職年もない場合はプランの開始年）
+  startYear: null,
+  // 定額の場合の初年の取り崩し額（年額）
+  annualAmount: 2400000,
+  // 定率の場合の取り崩し率、ガードレールの場合の初年の取り崩し率
+  withdrawalRate: 0.04,
+  // ガードレール: 取り崩し率が初年の取り崩し率からこの割合以上離れたら取り崩し額を見直す
+  guardrailBand: 0.2,
+  // ガードレール: 見直しで取り崩し額を増減する割合
+  guardrailAdjustment: 0.1,
+  liquidationOrder: ENUMS.liquidationOrder.TAX_TREATMENT,
+  // 資産カテゴリの順の場合の、取り崩すカテゴリ名の順番
+  categoryOrder: [],
+};
+
+/**
+ * ライフプランの取り崩し設定を取得
+ * @param {object} lifePlan - ライフプラン
+ * @returns {object} 既定値で補完した設定
+ */
+export const getDecumulationSettings = lifePlan => ({
+  ...DEFAULT_DECUMULATION_SETTINGS,
+  ...lifePlan?.decumulationSettings,
+});
+
+/**
+ * 取り崩しの開始年を取得
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} settings - 取り崩し設定
+ * @returns {number}
+ */
+export const getDecumulationStartYear = (lifePlan, settings = getDecumulationSettings(lifePlan)) =>
+  settings.startYear ?? lifePlan.retirementYear ?? lifePlan.startYear;
+
+/**
+ * 資産を取り崩す順番に並べる
+ * 同じ順番の資産は元の順番を保つ
+ * @param {{asset: object}[]} entries - 資産とその年のパフォーマンス
+ * @param {object} settings - 取り崩し設定
+ * @returns {{asset: object}[]}
+ */
+export const orderForLiquidation = (entries, settings) => {
+  const rank =
+    settings.liquidationOrder === ENUMS.liquidationOrder.CATEGORY
+      ? asset => {
+          const index = settings.categoryOrder.indexOf(asset.category);
+          return index === -1 ? settings.categoryOrder.length : index;
+        }
+      : asset => TAX_TREATMENT_ORDER.indexOf(getAccountType(asset));
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => rank(a.entry.asset) - rank(b.entry.asset) || a.index - b.index)
+    .map(({ entry }) => entry);
+};
+
+/**
+ * 取り崩し額を資産に割り当てる
+ * 各資産は期首評価額と積立額の合計から、設定済みの取り崩し額を除いた額を上限とする
+ * 特定口座は譲渡益の税額を差し引いた受取額が取り崩す額になるように、税額の分を多く売却する
+ * @param {number} amount - 取り崩す額（税引後の受取額）
+ * @param {{asset: object, performance: object}[]} entries - 取り崩す順番に並べた資産
+ * @param {Map<string, number>} withdrawals - 資産IDをキーとした売却額（割り当てた額を加算する）
+ * @returns {number} 割り当てられなかった額
+ */
+export const allocateWithdrawal = (amount, entries, withdrawals) => {
+  let remaining = amount;
+  entries.forEach(({ asset, performance }) => {
+    if (remaining <= 0) {
+      return;
+    }
+    const allocated = withdrawals.get(asset.id) || 0;
+    const available =
+      performance.startValue + performance.contribution - performance.withdrawal - allocated;
+    const afterTaxRatio = 1 - (performance.withdrawalTaxRate || 0);
+    const withdrawal = Math.min(remaining / afterTaxRatio, Math.max(0, available));
+    if (withdrawal > 0) {
+      withdrawals.set(asset.id, allocated + withdrawal);
+      remaining -= withdrawal * afterTaxRatio;
+    }
+  });
+  return remaining;
+};
+
+/**
+ * 取り崩し額の計算器を作成
+ * ガードレールは前年の取り崩し額を引き継ぐため、getTargetAmount は年の順に1回ずつ呼び出す
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} settings - 取り崩し設定
+ * @returns {{isActive: function, getTargetAmount: function}}
+ */
+export const createDecumulationPlanner = (
+  lifePlan,
+  settings = getDecumulationSettings(lifePlan),
+) => {
+  const startYear = getDecumulationStartYear(lifePlan, settings);
+  let guardrailAmount = null;
+
+  const isActive = year =>
+    settings.strategy !== ENUMS.decumulationStrategy.NONE && year >= startYear;
+
+  return {
+    /**
+     * 取り崩し戦略で取り崩す年かどうか
+     * @param {number} year - 対象年
+     * @returns {boolean}
+     */
+    isActive,
+
+    /**
+     * 指定年の取り崩し額
+     * @param {number} year - 対象年
+     * @param {{portfolioValue: number, deficit: number}} state - 資産の期首評価額の合計と、収支の不足額
+     * @returns {number} 取り崩し額（年額）
+     */
+    getTargetAmount: (year, { portfolioValue, deficit }) => {
+      if (!isActive(year)) {
+        return 0;
+      }
+
+      switch (settings.strategy) {
+        case ENUMS.decumulationStrategy.DEFICIT:
+          return deficit;
+        case ENUMS.decumulationStrategy.FIXED_AMOUNT:
+          return (
+            settings.annualAmount * getInflationFactor(lifePlan.inflationRate, startYear, year)
+          );
+        case ENUMS.decumulationStrategy.FIXED_PERCENTAGE:
+          return Math.max(0, portfolioValue) * settings.withdrawalRate;
+        case ENUMS.decumulationStrategy.GUARDRAILS: {
+          // 初年の取り崩し額は、資産の評価額がある最初の年に決める
+          if (guardrailAmount === null) {
+            if (portfolioValue <= 0) {
+              return 0;
+            }
+            guardrailAmount = portfolioValue * settings.withdrawalRate;
+            return guardrailAmount;
+          }
+          // 前年の取り崩し額をインフレ率で増額し、取り崩し率が帯の外に出たら見直す
+          guardrailAmount *= 1 + (lifePlan.inflationRate || 0);
+          const currentRate = portfolioValue > 0 ? guardrailAmount / portfolioValue : Infinity;
+          if (currentRate > settings.withdrawalRate * (1 + settings.guardrailBand)) {
+            guardrailAmount *= 1 - settings.guardrailAdjustment;
+          } else if (currentRate < settings.withdrawalRate * (1 - settings.guardrailBand)) {
+            guardrailAmount *= 1 + settings.guardrailAdjustment;
+          }
+          return guardrailAmount;
+        }
+        default:
+          return 0;
+      }
+    },
+  };
+};
+
+/**
+ * 資産が尽きる年（取り崩し額の全額を資産から取り崩せなくなる最初の年）を取得
+ * @param {object[]} rows - 予測結果の行
+ * @returns {number|null} 資産が尽きる年（尽きない場合はnull）
+ */
+export const findDepletionYear = rows => {
+  const row = rows.find(r => r.withdrawalShortfall > 0);
+  return row ? row.year : null;
+};
@@ -0,0 +1,187 @@
+import { ENUMS } from '../../constants';
+import { findMember, getYearAtMemberAge } from './members';
+
+/**
+ * 目標（老後資金・教育資金・住宅の頭金など）の達成状況
+ *
+ * ライフプラン直下の goals に、目標額・目標年・優先度と、任意で専用の資産を設定する。
+ * 各年の予測から、専用の資産の評価額、または共通の資金（専用の資産を除いた純資産）を
+ * 優先度の高い目標から順に割り当てて達成率を求める。
+ * 目標年を過ぎた目標には資金を割り当てない。
+ */
+
+/**
+ * 優先度の表示名
+ */
+export const GOAL_PRIORITY_LABELS = {
+  [ENUMS.goalPriority.HIGH]: '高',
+  [ENUMS.goalPriority.MEDIUM]: '中',
+  [ENUMS.goalPriority.LOW]: '低',
+};
+
+// 資金を割り当てる順
+const PRIORITY_ORDER = [ENUMS.goalPriority.HIGH, ENUMS.goalPriority.MEDIUM, ENUMS.goalPriority.LOW];
+
+// 共通の資金のキー
+const SHARED_POOL = 'shared';
+
+/**
+ * 目標年を取得
+ * メンバーの年齢で指定した場合は、その年齢になる年を目標年とする
+ * @param {object} goal - 目標
+ * @param {object} lifePlan - ライフプラン
+ * @returns {number|null} 目標年
+ */
+export const getGoalYear = (goal, lifePlan) => {
+  if (goal.memberId && typeof goal.targetAge === 'number') {
+    const year = getYearAtMemberAge(findMember(lifePlan, goal.memberId), goal.targetAge);
+    if (year !== null) {
+      return year;
+    }
+  }
+  return goal.targetYear ?? null;
+};
+
+/**
+ * 目標を資金を割り当てる順に並べる（優先度 → 目標年の早い順）
+ * @param {object[]} goals - 目標
+ * @param {object} lifePlan - ライフプラン
+ * @returns {object[]}
+ */
+export const sortGoalsByPriority = (goals, lifePlan) => {
+  const priorityIndex = goal => {
+    const index = PRIORITY_ORDER.indexOf(goal.priority);
+    return index === -1 ? PRIORITY_ORDER.length : index;
+  };
+  return [...goals].sort(
+    (a, b) =>
+      priorityIndex(a) - priorityIndex(b) ||
+      (getGoalYear(a, lifePlan) ?? Infinity) - (getGoalYear(b, lifePlan) ?? Infinity),
+  );
+};
+
+/**
+ * 不足額を目標年までの毎月の積立で補う場合の積立額
+ * @param {number} gap - 不足額
+ * @param {number} months - 積立の月数
+ * @param {number} annualRate - 積立先の年間期待収益率
+ * @returns {number} 毎月の積立額
+ */
+export const calculateRequiredMonthlySaving = (gap, months, annualRate = 0) => {
+  if (gap <= 0) {
+    return 0;
+  }
+  if (months <= 0) {
+    return gap;
+  }
+  const monthlyRate = annualRate / 12;
+  if (monthlyRate === 0) {
+    return Math.ceil(gap / months);
+  }
+  return Math.ceil((gap * monthlyRate) / (Math.pow(1 + monthlyRate, months) - 1));
+};
+
+/**
+ * 目標の達成状況を計算
+ * @param {object} params
+ * @param {object} params.lifePlan - ライフプラン
+ * @param {object[]} params.assets - ライフプランの資産
+ * @param {object} params.projection - buildProjection の結果（名目額）
+ * @returns {object[]} 目標ごとの達成状況（lifePlan.goals の順）
+ *   series は目標年までの各年の割当額と達成率、
+ *   requiredMonthlySaving は不足額を補うための毎月の積立額
+ */
+export const calculateGoalFunding = ({ lifePlan, assets = [], projection }) => {
+  const goals = lifePlan.goals || [];
+  const assetIds = new Set(assets.map(asset => asset.id));
+  // 資産が削除された目標は共通の資金から割り当てる
+  const poolKey = goal => (goal.assetId && assetIds.has(goal.assetId) ? goal.assetId : SHARED_POOL);
+  const dedicatedIds = new Set(goals.map(poolKey).filter(key => key !== SHARED_POOL));
+  const sortedGoals = sortGoalsByPriority(goals, lifePlan);
+  const goalYears = new Map(goals.map(goal => [goal.id, getGoalYear(goal, lifePlan)]));
+
+  /**
+   * 資産の年末評価額
+   */
+  const getAssetValue = (assetId, year) => {
+    const performance = (projection.assetPerformances.get(assetId) || []).find(
+      p => p.year === year,
+    );
+    return performance?.endValue || 0;
+  };
+
+  // 目標IDをキーとした各年の割当額
+  const series = new Map(goals.map(goal => [goal.id, []]));
+  projection.rows.forEach(row => {
+    const pools = new Map();
+    let dedicatedTotal = 0;
+    dedicatedIds.forEach(assetId => {
+      const value = getAssetValue(assetId, row.year);
+      pools.set(assetId, value);
+      dedicatedTotal += value;
+    });
+    pools.set(SHARED_POOL, Math.max(0, row.netWorth - dedicatedTotal));
+
+    sortedGoals.forEach(goal => {
+      const goalYear = goalYears.get(goal.id);
+      if (goalYear === null || row.year > goalYear) {
+        return;
+      }
+      const key = poolKey(goal);
+      const fundedAmount = Math.min(goal.targetAmount, Math.max(0, pools.get(key)));
+      pools.set(key, pools.get(key) - fundedAmount);
+      series.get(goal.id).push({
+        year: row.year,
+        fundedAmount,
+        fundingRatio: goal.targetAmount > 0 ? fundedAmount / goal.targetAmount : 1,
+      });
+    });
+  });
+
+  // 積立は実績の基準年の翌年（基準年がない場合はプランの開始年）から始める
+  const savingStartYear =
+    lifePlan.baselineYear !== undefined && lifePlan.baselineYear !== null
+      ? lifePlan.baselineYear + 1
+      : lifePlan.startYear;
+
+  return goals.map(goal => {
+    const year = goalYears.get(goal.id);
+    const goalSeries = series.get(goal.id);
+    const atTarget = goalSeries.find(entry => entry.year === year);
+    const fundedAmount = atTarget?.fundedAmount ?? 0;
+    const gap = Math.max(0, goal.targetAmount - fundedAmount);
+    const dedicatedAsset = assets.find(asset => asset.id === poolKey(goal));
+    const months = year === null ? 0 : (year - savingStartYear + 1) * 12;
+
+    return {
+      goal,
+      year,
+      isInPlan: !!atTarget,
+      fundedAmount,
+      fundingRatio: atTarget?.fundingRatio ?? 0,
+      gap,
+      requiredMonthlySaving: calculateRequiredMonthlySaving(
+        gap,
+        months,
+        dedicatedAsset?.returns?.capitalGain?.annualRate || 0,
+      ),
+      series: goalSeries,
+    };
+  });
+};
+
+/**
+ * 目標年ごとの目標の一覧（年別の一覧の目印用）
+ * @param {object} lifePlan - ライフプラン
+ * @returns {Map<number, object[]>} 目標年をキーとした目標
+ */
+export const groupGoalsByYear = lifePlan => {
+  const groups = new Map();
+  (lifePlan.goals || []).forEach(goal => {
+    const year = getGoalYear(goal, lifePlan);
+    if (year !== null) {
+      groups.set(year, [...(groups.get(year) || []), goal]);
+    }
+  });
+  return groups;
+};
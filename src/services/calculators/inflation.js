@@ -0,0 +1,72 @@
+/**
+ * インフレーション調整
+ *
+ * 入力された金額はすべて開始年時点の価値（現在価値）として扱い、
+ * 開始年からの経過年数に応じて将来の名目額へ換算する。
+ */
+
+/**
+ * 表示モード
+ */
+export const VALUE_MODES = {
+  NOMINAL: 'nominal',
+  REAL: 'real',
+};
+
+/**
+ * 開始年からの経過年数に応じたインフレ係数を計算
+ * @param {number} rate - 年間インフレ率（0.02 = 2%）
+ * @param {number} startYear - 基準年
+ * @param {number} year - 対象年
+ * @returns {number} インフレ係数（基準年以前は1）
+ */
+export const getInflationFactor = (rate, startYear, year) => {
+  const years = Math.max(0, year - startYear);
+  return Math.pow(1 + (rate || 0), years);
+};
+
+/**
+ * カテゴリ別インフレ率のマップを作成
+ * インフレ率が未設定のカテゴリはライフプランのインフレ率を使用するため含めない
+ * @param {object[]} categories - カテゴリの配列
+ * @returns {object} カテゴリ名をキーとしたインフレ率
+ */
+export const buildCategoryRateMap = categories => {
+  return categories.reduce((rates, category) => {
+    if (typeof category.inflationRate === 'number') {
+      rates[category.name] = category.inflationRate;
+    }
+    return rates;
+  }, {});
+};
+
+/**
+ * 収支項目にインフレを反映
+ * ローン返済のように名目額で決まっている項目（nominal）には反映しない
+ * @param {object[]} items - 収支項目の配列
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @param {object} categoryRates - カテゴリ名をキーとしたインフレ率
+ * @returns {object[]} 金額を名目額に換算した収支項目の配列
+ */
+export const applyInflation = (items, lifePlan, year, categoryRates = {}) => {
+  return items.map(item => {
+    if (item.nominal) {
+      return item;
+    }
+    const rate = categoryRates[item.category] ?? lifePlan.inflationRate;
+    const factor = getInflationFactor(rate, lifePlan.startYear, year);
+    return factor === 1 ? item : { ...item, amount: Math.round(item.amount * factor) };
+  });
+};
+
+/**
+ * 名目額を開始年時点の価値（実質額）に換算
+ * @param {number} amount - 名目額
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @returns {number} 実質額
+ */
+export const toRealValue = (amount, lifePlan, year) => {
+  return amount / getInflationFactor(lifePlan.inflationRate, lifePlan.startYear, year);
+};
@@ -0,0 +1,165 @@
+import { ENUMS } from '../../constants';
+import { calculateProgressiveTax } from './tax';
+import { getTaxTable } from './taxTables';
+
+/**
+ * 口座の種類に応じた運用益の課税
+ *
+ * 特定口座は配当の受取時に源泉徴収され、値上がり益は売却時に課税される。
+ * NISA は非課税、iDeCo は運用中は非課税で受取時に退職所得として課税される。
+ */
+
+/**
+ * 口座の種類の表示名
+ */
+export const ACCOUNT_TYPE_LABELS = {
+  [ENUMS.accountType.TAXABLE]: '特定口座',
+  [ENUMS.accountType.NISA_TSUMITATE]: 'NISA つみたて投資枠',
+  [ENUMS.accountType.NISA_GROWTH]: 'NISA 成長投資枠',
+  [ENUMS.accountType.IDECO]: 'iDeCo',
+};
+
+/**
+ * 運用益の課税に使う定数
+ */
+export const INVESTMENT_TAX_RULES = {
+  // 上場株式等の配当・譲渡益の税率（所得税15% + 復興特別所得税0.315% + 住民税5%）
+  taxableRate: 0.20315,
+  // NISA の年間投資枠と生涯投資枠
+  nisa: {
+    tsumitateAnnualLimit: 1200000,
+    growthAnnualLimit: 2400000,
+    lifetimeLimit: 18000000,
+    growthLifetimeLimit: 12000000,
+  },
+  // 退職所得控除（勤続年数20年以下は1年あたり40万円、20年超は70万円）
+  retirementDeduction: {
+    baseYears: 20,
+    perYearUntilBase: 400000,
+    perYearAfterBase: 700000,
+    minimum: 800000,
+  },
+  // 住民税（退職所得の所得割）
+  residentTaxRate: 0.1,
+};
+
+/**
+ * 資産の口座の種類を取得
+ * 未設定の資産は特定口座として扱う
+ * @param {object} asset - 資産
+ * @returns {string} 口座の種類
+ */
+export const getAccountType = asset => asset?.accountType || ENUMS.accountType.TAXABLE;
+
+/**
+ * NISA 口座かどうか
+ * @param {string} accountType - 口座の種類
+ * @returns {boolean}
+ */
+export const isNisaAccount = accountType =>
+  accountType === ENUMS.accountType.NISA_TSUMITATE || accountType === ENUMS.accountType.NISA_GROWTH;
+
+/**
+ * 1年分の運用益にかかる税額を計算
+ * 値上がり益の税額は、その年の値上がり益をすべて売却した場合の概算
+ * @param {string} accountType - 口座の種類
+ * @param {object} params
+ * @param {number} params.capitalGains - 値上がり益
+ * @param {number} params.totalDividends - 配当金の合計
+ * @returns {{dividendTax: number, capitalGainsTax: number}}
+ */
+export const calculateInvestmentTax = (accountType, { capitalGains, totalDividends }) => {
+  if (accountType !== ENUMS.accountType.TAXABLE) {
+    return { dividendTax: 0, capitalGainsTax: 0 };
+  }
+  const rate = INVESTMENT_TAX_RULES.taxableRate;
+  return {
+    dividendTax: Math.floor(Math.max(0, totalDividends) * rate),
+    capitalGainsTax: Math.floor(Math.max(0, capitalGains) * rate),
+  };
+};
+
+/**
+ * 特定口座の含み益にかかる税額を計算
+ * @param {number} value - 評価額
+ * @param {number} costBasis - 取得費
+ * @returns {number} すべて売却した場合の税額
+ */
+export const calculateUnrealizedGainTax = (value, costBasis) => {
+  return Math.floor(Math.max(0, value - costBasis) * INVESTMENT_TAX_RULES.taxableRate);
+};
+
+/**
+ * 特定口座から取り崩した金額に対する譲渡益の税額の割合を計算
+ * 評価額に占める取り崩し額の割合だけ含み益を売却したものとして課税する
+ * @param {number} value - 取り崩す前の評価額
+ * @param {number} costBasis - 取り崩す前の取得費
+ * @returns {number} 取り崩し額に対する税額の割合
+ */
+export const calculateWithdrawalTaxRate = (value, costBasis) => {
+  if (value <= 0) {
+    return 0;
+  }
+  return Math.max(0, 1 - costBasis / value) * INVESTMENT_TAX_RULES.taxableRate;
+};
+
+/**
+ * 退職所得控除額を計算
+ * @param {number} years - 加入年数（1年未満は切り上げ）
+ * @returns {number} 退職所得控除額
+ */
+export const calculateRetirementIncomeDeduction = years => {
+  const { baseYears, perYearUntilBase, perYearAfterBase, minimum } =
+    INVESTMENT_TAX_RULES.retirementDeduction;
+  const deduction =
+    years <= baseYears
+      ? perYearUntilBase * years
+      : perYearUntilBase * baseYears + perYearAfterBase * (years - baseYears);
+  return Math.max(deduction, minimum);
+};
+
+/**
+ * iDeCo を一時金で受け取る場合の税額を計算
+ * 退職所得（(受取額 − 退職所得控除) × 1/2）に所得税・復興特別所得税・住民税を課税する
+ * @param {number} amount - 受取額
+ * @param {number} years - 加入年数
+ * @param {number} year - 受取年
+ * @returns {number} 税額
+ */
+export const calculateIdecoWithdrawalTax = (amount, years, year) => {
+  const table = getTaxTable(year);
+  const retirementIncome =
+    Math.floor(Math.max(0, amount - calculateRetirementIncomeDeduction(years)) / 2 / 1000) * 1000;
+  if (retirementIncome <= 0) {
+    return 0;
+  }
+
+  const baseIncomeTax = calculateProgressiveTax(retirementIncome, table);
+  const reconstructionTax =
+    year <= table.reconstructionTax.endYear
+      ? Math.floor(baseIncomeTax * table.reconstructionTax.rate)
+      : 0;
+  const incomeTax = Math.floor((baseIncomeTax + reconstructionTax) / 100) * 100;
+  const residentTax =
+    Math.floor((retirementIncome * INVESTMENT_TAX_RULES.residentTaxRate) / 100) * 100;
+
+  return incomeTax + residentTax;
+};
+
+/**
+ * iDeCo の掛金（年額）を取得
+ * 受取開始日（満期日）の年の前年まで拠出する
+ * @param {object} asset - 資産
+ * @param {number} year - 対象年
+ * @returns {number} 掛金の年額
+ */
+export const getIdecoContribution = (asset, year) => {
+  if (getAccountType(asset) !== ENUMS.accountType.IDECO || !asset.monthlyContribution) {
+    return 0;
+  }
+  const match = /^(\d{4})/.exec(String(asset.maturityDate || ''));
+  if (match && year >= Number(match[1])) {
+    return 0;
+  }
+  return asset.monthlyContribution * 12;
+};
@@ -0,0 +1,108 @@
+import { ENUMS } from '../../constants';
+import { buildLoanSchedule, createRepaymentItems } from './loan';
+
+/**
+ * 負債（自動車ローン・奨学金など）の返済計算
+ *
+ * 負債はライフプランごとに負債ストアで管理する（lifePlanId で紐付け）。
+ * 借入額・借入日・返済期間・金利（固定）から、ローンと同じ計算で年ごとの返済予定を作る。
+ * 各年の元金・利息は支出項目として展開し、年末残高は負債として純資産から差し引く。
+ */
+
+/**
+ * 負債をローンの返済計算に使う形に変換
+ * ボーナス返済・金利の変更・繰上返済は設定できないため、それぞれ無しとする
+ * @param {object} liability - 負債
+ * @returns {object} ローン
+ */
+const toLoan = liability => ({
+  ...liability,
+  bonusPrincipal: 0,
+  repaymentMethod: liability.repaymentMethod || ENUMS.loanRepaymentMethod.EQUAL_PAYMENT,
+  rateType: ENUMS.loanRateType.FIXED,
+  rateChanges: [],
+  prepayments: [],
+});
+
+/**
+ * 負債の年ごとの返済予定を作成
+ * @param {object} liability - 負債
+ * @returns {object[]} buildLoanSchedule と同じ形式の返済予定
+ */
+export const buildLiabilitySchedule = liability => buildLoanSchedule(toLoan(liability));
+
+/**
+ * 負債ごとの返済予定を作成
+ * 返済予定は年によらないため、収支予測では一度だけ作成して各年で参照する
+ * @param {object[]} liabilities - ライフプランの負債
+ * @returns {Map<string, object[]>} 負債IDをキーとした返済予定
+ */
+export const buildLiabilitySchedules = liabilities =>
+  new Map(liabilities.map(liability => [liability.id, buildLiabilitySchedule(liability)]));
+
+/**
+ * 指定年に返済中（残高がある）の負債かどうか
+ * @param {object} liability - 負債
+ * @param {number} year - 対象年
+ * @returns {boolean}
+ */
+export const isLiabilityOutstandingInYear = (liability, year) =>
+  buildLiabilitySchedule(liability).some(entry => entry.year === year);
+
+/**
+ * 指定年末の負債の残高を取得
+ * @param {object} liability - 負債
+ * @param {number} year - 対象年
+ * @param {object[]} schedule - 返済予定（省略時は計算する）
+ * @returns {number} 年末残高（借入前・完済後は0）
+ */
+export const getLiabilityBalance = (
+  liability,
+  year,
+  schedule = buildLiabilitySchedule(liability),
+) => {
+  return schedule.find(entry => entry.year === year)?.endBalance ?? 0;
+};
+
+/**
+ * 負債の指定年末の残高合計を計算
+ * @param {object[]} liabilities - ライフプランの負債
+ * @param {number} year - 対象年
+ * @param {Map<string, object[]>} schedules - buildLiabilitySchedules の結果（省略時は計算する）
+ * @returns {number} 年末残高の合計
+ */
+export const calculateLiabilityBalance = (
+  liabilities,
+  year,
+  schedules = buildLiabilitySchedules(liabilities),
+) => {
+  return liabilities.reduce(
+    (sum, liability) => sum + getLiabilityBalance(liability, year, schedules.get(liability.id)),
+    0,
+  );
+};
+
+/**
+ * 負債の返済を指定年の支出項目に展開
+ * @param {object[]} liabilities - ライフプランの負債
+ * @param {number} year - 対象年
+ * @param {Map<string, object[]>} schedules - buildLiabilitySchedules の結果（省略時は計算する）
+ * @returns {object[]} 負債の返済の支出項目（liabilityId を含む）
+ */
+export const expandLiabilityItems = (
+  liabilities,
+  year,
+  schedules = buildLiabilitySchedules(liabilities),
+) => {
+  return liabilities.flatMap(liability => {
+    const schedule = schedules.get(liability.id) ?? buildLiabilitySchedule(liability);
+    const entry = schedule.find(e => e.year === year);
+    return entry
+      ? createRepaymentItems(entry, {
+          idPrefix: `liability-${liability.id}`,
+          name: liability.name,
+          liabilityId: liability.id,
+        })
+      : [];
+  });
+};
@@ -0,0 +1,418 @@
+import { ENUMS } from '../../constants';
+import { getTaxTable } from './taxTables';
+
+/**
+ * ローン（住宅ローンなど）の返済計算
+ *
+ * ライフプランのローン（lifePlan.loans）ごとに、借入日の翌月から毎月返済する返済予定を作る。
+ * 借入額のうちボーナス返済分は、6月と12月に半年分ずつ返済する。
+ * 変動金利は金利の変更年の1月から新しい金利を適用し、元利均等返済はその時点の残高・残り回数で
+ * 返済額を計算し直す（5年ルール・125%ルールは考慮しない）。
+ * 各年の元金・利息・繰上返済額は支出項目として展開し、年末残高は負債として純資産から差し引く。
+ */
+
+// ローン返済として扱うカテゴリ
+export const LOAN_CATEGORY = 'ローン返済';
+
+// ボーナス返済を行う月
+export const BONUS_MONTHS = [6, 12];
+
+/**
+ * 返済方法の表示名
+ */
+export const LOAN_REPAYMENT_METHOD_LABELS = {
+  [ENUMS.loanRepaymentMethod.EQUAL_PAYMENT]: '元利均等返済',
+  [ENUMS.loanRepaymentMethod.EQUAL_PRINCIPAL]: '元金均等返済',
+};
+
+/**
+ * 金利タイプの表示名
+ */
+export const LOAN_RATE_TYPE_LABELS = {
+  [ENUMS.loanRateType.FIXED]: '固定金利',
+  [ENUMS.loanRateType.VARIABLE]: '変動金利',
+};
+
+/**
+ * 繰上返済の方法の表示名
+ */
+export const PREPAYMENT_METHOD_LABELS = {
+  [ENUMS.prepaymentMethod.SHORTEN_TERM]: '期間短縮型',
+  [ENUMS.prepaymentMethod.REDUCE_PAYMENT]: '返済額軽減型',
+};
+
+/**
+ * 年月を月の通し番号（年 × 12 + 月 − 1）に変換
+ * @param {string} date - 日付文字列（YYYY-MM または YYYY-MM-DD）
+ * @returns {number|null} 月の通し番号（日付が正しくない場合はnull）
+ */
+const toMonthIndex = date => {
+  const match = /^(\d{4})-(\d{2})/.exec(String(date ?? ''));
+  return match ? Number(match[1]) * 12 + Number(match[2]) - 1 : null;
+};
+
+/**
+ * ローンの借入年を取得
+ * @param {object} loan - ローン
+ * @returns {number|null} 借入年（借入日が未設定の場合はnull）
+ */
+export const getLoanStartYear = loan => {
+  const index = toMonthIndex(loan.startDate);
+  return index === null ? null : Math.floor(index / 12);
+};
+
+/**
+ * 指定年に適用される年利を取得
+ * @param {object} loan - ローン
+ * @param {number} year - 対象年
+ * @returns {number} 年利
+ */
+export const getLoanRate = (loan, year) => {
+  if (loan.rateType !== ENUMS.loanRateType.VARIABLE) {
+    return loan.annualRate || 0;
+  }
+  return [...(loan.rateChanges || [])]
+    .sort((a, b) => a.year - b.year)
+    .reduce(
+      (rate, change) => (change.year <= year ? change.annualRate : rate),
+      loan.annualRate || 0,
+    );
+};
+
+/**
+ * 返済区分（毎月返済分・ボーナス返済分）を作成
+ * @param {number} balance - 借入額
+ * @param {number[]|null} months - 返済する月（1〜12、毎月の場合はnull）
+ * @param {number} endIndex - 最終返済月の通し番号
+ * @returns {object} 返済区分
+ */
+const createTranche = (balance, months, endIndex) => ({
+  balance,
+  periodsPerYear: months ? months.length : 12,
+  isPaymentMonth: index => !months || months.includes((index % 12) + 1),
+  endIndex,
+  installment: null,
+  rate: null,
+});
+
+/**
+ * 指定月から最終返済月までの返済回数を数える
+ * @param {object} tranche - 返済区分
+ * @param {number} fromIndex - 数え始める月の通し番号
+ * @returns {number} 返済回数
+ */
+const countPayments = (tranche, fromIndex) => {
+  let count = 0;
+  for (let index = fromIndex; index <= tranche.endIndex; index++) {
+    if (tranche.isPaymentMonth(index)) {
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * 指定月の次の返済から数えて count 回目の返済月を取得
+ * @param {object} tranche - 返済区分
+ * @param {number} fromIndex - 数え始める月の通し番号
+ * @param {number} count - 返済回数
+ * @returns {number} 返済月の通し番号
+ */
+const findNthPayment = (tranche, fromIndex, count) => {
+  let index = fromIndex;
+  let remaining = count;
+  while (remaining > 0) {
+    index++;
+    if (tranche.isPaymentMonth(index)) {
+      remaining--;
+    }
+  }
+  return index;
+};
+
+/**
+ * 1回あたりの返済額（元金均等返済は元金の返済額）を計算し直す
+ * @param {object} tranche - 返済区分
+ * @param {string} method - 返済方法
+ * @param {number} rate - 年利
+ * @param {number} fromIndex - 計算し直す月の通し番号
+ */
+const resetInstallment = (tranche, method, rate, fromIndex) => {
+  const payments = Math.max(1, countPayments(tranche, fromIndex));
+  const periodRate = rate / tranche.periodsPerYear;
+  if (method === ENUMS.loanRepaymentMethod.EQUAL_PRINCIPAL || periodRate === 0) {
+    tranche.installment = tranche.balance / payments;
+  } else {
+    tranche.installment = (tranche.balance * periodRate) / (1 - (1 + periodRate) ** -payments);
+  }
+  tranche.rate = rate;
+};
+
+/**
+ * 期間短縮型の繰上返済後の最終返済月を計算
+ * 1回あたりの返済額を変えずに、残高を返済し終える回数まで期間を短くする
+ * @param {object} tranche - 返済区分
+ * @param {string} method - 返済方法
+ * @param {number} index - 繰上返済した月の通し番号
+ */
+const shortenTerm = (tranche, method, index) => {
+  const periodRate = tranche.rate / tranche.periodsPerYear;
+  let payments;
+  if (method === ENUMS.loanRepaymentMethod.EQUAL_PRINCIPAL || periodRate === 0) {
+    payments = Math.ceil(tranche.balance / tranche.installment);
+  } else {
+    const ratio = (tranche.balance * periodRate) / tranche.installment;
+    payments = ratio < 1 ? Math.ceil(-Math.log(1 - ratio) / Math.log(1 + periodRate)) : Infinity;
+  }
+  if (Number.isFinite(payments) && payments > 0) {
+    tranche.endIndex = Math.min(tranche.endIndex, findNthPayment(tranche, index, payments));
+  }
+};
+
+/**
+ * 繰上返済を返済区分に充当する
+ * 毎月返済分から充当し、残りをボーナス返済分に充当する
+ * @param {object[]} tranches - 返済区分
+ * @param {object} prepayment - 繰上返済
+ * @param {string} method - 返済方法
+ * @param {number} index - 繰上返済する月の通し番号
+ * @returns {number} 充当した金額
+ */
+const applyPrepayment = (tranches, prepayment, method, index) => {
+  let remaining = Math.max(0, prepayment.amount || 0);
+  let applied = 0;
+  tranches.forEach(tranche => {
+    const amount = Math.min(remaining, tranche.balance);
+    if (amount <= 0) {
+      return;
+    }
+    tranche.balance -= amount;
+    remaining -= amount;
+    applied += amount;
+    if (tranche.balance <= 0 || tranche.installment === null) {
+      return;
+    }
+    if (prepayment.method === ENUMS.prepaymentMethod.SHORTEN_TERM) {
+      shortenTerm(tranche, method, index);
+    } else {
+      resetInstallment(tranche, method, tranche.rate, index + 1);
+    }
+  });
+  return applied;
+};
+
+/**
+ * ローンの年ごとの返済予定を作成
+ * @param {object} loan - ローン
+ * @returns {{year: number, payment: number, principal: number, interest: number, prepayment: number, endBalance: number}[]}
+ *   借入年から返済が終わる年までの年ごとの返済額（payment は元金と利息の合計、繰上返済は含まない）
+ */
+export const buildLoanSchedule = loan => {
+  const startIndex = toMonthIndex(loan.startDate);
+  const principal = loan.principal || 0;
+  const termMonths = Math.round((loan.termYears || 0) * 12);
+  if (startIndex === null || principal <= 0 || termMonths <= 0) {
+    return [];
+  }
+
+  const method = loan.repaymentMethod || ENUMS.loanRepaymentMethod.EQUAL_PAYMENT;
+  const endIndex = startIndex + termMonths;
+  const bonusPrincipal = Math.min(principal, Math.max(0, loan.bonusPrincipal || 0));
+  const tranches = [
+    createTranche(principal - bonusPrincipal, null, endIndex),
+    createTranche(bonusPrincipal, BONUS_MONTHS, endIndex),
+  ].filter(tranche => tranche.balance > 0);
+  const totalBalance = () => tranches.reduce((sum, tranche) => sum + tranche.balance, 0);
+
+  // 繰上返済は月の通し番号ごとにまとめる
+  const prepayments = new Map();
+  (loan.prepayments || []).forEach(prepayment => {
+    const index = prepayment.year * 12 + (prepayment.month || 1) - 1;
+    prepayments.set(index, [...(prepayments.get(index) || []), prepayment]);
+  });
+
+  const schedule = [];
+  let entry = null;
+  for (let index = startIndex; index <= endIndex && totalBalance() > 0; index++) {
+    const year = Math.floor(index / 12);
+    if (!entry || entry.year !== year) {
+      entry = { year, payment: 0, principal: 0, interest: 0, prepayment: 0, endBalance: 0 };
+      schedule.push(entry);
+    }
+    // 借入月は返済しない
+    if (index === startIndex) {
+      entry.endBalance = totalBalance();
+      continue;
+    }
+
+    const rate = getLoanRate(loan, year);
+    tranches.forEach(tranche => {
+      if (tranche.balance <= 0 || !tranche.isPaymentMonth(index)) {
+        return;
+      }
+      if (
+        tranche.installment === null ||
+        (tranche.rate !== rate && method === ENUMS.loanRepaymentMethod.EQUAL_PAYMENT)
+      ) {
+        resetInstallment(tranche, method, rate, index);
+      }
+      tranche.rate = rate;
+      const interest = tranche.balance * (rate / tranche.periodsPerYear);
+      const scheduled =
+        method === ENUMS.loanRepaymentMethod.EQUAL_PRINCIPAL
+          ? tranche.installment
+          : tranche.installment - interest;
+      // 最終回は残高をすべて返済する
+      const repaid =
+        findNthPayment(tranche, index, 1) > tranche.endIndex
+          ? tranche.balance
+          : Math.min(tranche.balance, Math.max(0, scheduled));
+      tranche.balance -= repaid;
+      entry.principal += repaid;
+      entry.interest += interest;
+    });
+
+    (prepayments.get(index) || []).forEach(prepayment => {
+      entry.prepayment += applyPrepayment(tranches, prepayment, method, index);
+    });
+    entry.payment = entry.principal + entry.interest;
+    entry.endBalance = totalBalance();
+  }
+
+  return schedule;
+};
+
+/**
+ * 指定年末のローン残高を取得
+ * @param {object} loan - ローン
+ * @param {number} year - 対象年
+ * @param {object[]} schedule - 返済予定（省略時は計算する）
+ * @returns {number} 年末残高（借入前・完済後は0）
+ */
+export const getLoanBalance = (loan, year, schedule = buildLoanSchedule(loan)) => {
+  return schedule.find(entry => entry.year === year)?.endBalance ?? 0;
+};
+
+/**
+ * ライフプランの全ローンの返済予定を作成
+ * 返済予定は年によらないため、収支予測では一度だけ作成して各年で参照する
+ * @param {object} lifePlan - ライフプラン
+ * @returns {Map<string, object[]>} ローンIDをキーとした返済予定
+ */
+export const buildPlanLoanSchedules = lifePlan =>
+  new Map((lifePlan.loans || []).map(loan => [loan.id, buildLoanSchedule(loan)]));
+
+/**
+ * ライフプランの全ローンの指定年末の残高合計を計算
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @param {Map<string, object[]>} schedules - buildPlanLoanSchedules の結果（省略時は計算する）
+ * @returns {number} 年末残高の合計
+ */
+export const calculateLoanBalance = (
+  lifePlan,
+  year,
+  schedules = buildPlanLoanSchedules(lifePlan),
+) => {
+  return (lifePlan.loans || []).reduce(
+    (sum, loan) => sum + getLoanBalance(loan, year, schedules.get(loan.id)),
+    0,
+  );
+};
+
+/**
+ * 返済予定の1年分を支出項目に展開
+ * 元金・利息・繰上返済をそれぞれ1つの項目（年額）とし、金額が0の項目は除く
+ * 返済額は借入時に決まる名目額のため、インフレを反映しない（nominal）
+ * @param {object} entry - 返済予定の1年分
+ * @param {object} options
+ * @param {string} options.idPrefix - 項目IDの接頭辞
+ * @param {string} options.name - 借入の名称
+ * @param {object} options.fields - 項目に追加する情報（借入のIDなど）
+ * @returns {object[]} 返済の支出項目
+ */
+export const createRepaymentItems = (entry, { idPrefix, name, ...fields }) => {
+  return [
+    ['principal', '元金', entry.principal],
+    ['interest', '利息', entry.interest],
+    ['prepayment', '繰上返済', entry.prepayment],
+  ]
+    .map(([key, label, amount]) => ({
+      id: `${idPrefix}-${key}`,
+      name: `${name}（${label}）`,
+      category: LOAN_CATEGORY,
+      frequency: ENUMS.frequency.YEARLY,
+      amount: Math.round(amount),
+      nominal: true,
+      ...fields,
+    }))
+    .filter(item => item.amount > 0);
+};
+
+/**
+ * ローンの返済を指定年の支出項目に展開
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @param {Map<string, object[]>} schedules - buildPlanLoanSchedules の結果（省略時は計算する）
+ * @returns {object[]} ローン返済の支出項目
+ */
+export const expandLoanItems = (lifePlan, year, schedules = buildPlanLoanSchedules(lifePlan)) => {
+  return (lifePlan.loans || []).flatMap(loan => {
+    const schedule = schedules.get(loan.id) ?? buildLoanSchedule(loan);
+    const entry = schedule.find(e => e.year === year);
+    return entry
+      ? createRepaymentItems(entry, {
+          idPrefix: `loan-${loan.id}`,
+          name: loan.name,
+          loanId: loan.id,
+        })
+      : [];
+  });
+};
+
+/**
+ * 指定年の住宅借入金等特別控除（住宅ローン控除）を納税者ごとに計算
+ * 入居年は借入年とみなし、入居年の税制テーブルの控除率・控除期間・借入限度額を使う
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @param {string} selfId - 本人のメンバーID（納税者が指定されていないローンに使う）
+ * @param {Map<string, object[]>} schedules - buildPlanLoanSchedules の結果（省略時は計算する）
+ * @returns {object} メンバーIDをキーとした控除額と住民税から控除できる上限の設定
+ *   （{ amount, residentTaxRate, residentTaxLimit }）
+ */
+export const calculateHousingLoanCredits = (
+  lifePlan,
+  year,
+  selfId,
+  schedules = buildPlanLoanSchedules(lifePlan),
+) => {
+  const credits = {};
+  (lifePlan.loans || [])
+    .filter(loan => loan.housingLoanDeduction)
+    .forEach(loan => {
+      const moveInYear = getLoanStartYear(loan);
+      if (moveInYear === null) {
+        return;
+      }
+      const rules = getTaxTable(moveInYear).housingLoanCredit;
+      if (year < moveInYear || year >= moveInYear + rules.years) {
+        return;
+      }
+      const limit = loan.deductionLimit ?? rules.borrowingLimit;
+      const balance = getLoanBalance(loan, year, schedules.get(loan.id));
+      const amount = Math.floor((Math.min(balance, limit) * rules.rate) / 100) * 100;
+      if (amount <= 0) {
+        return;
+      }
+
+      // 同じ納税者に複数のローンがある場合は控除額を合計し、住民税の上限は大きい方を使う
+      const taxpayerId = loan.memberId || selfId;
+      const current = credits[taxpayerId];
+      credits[taxpayerId] = {
+        amount: (current?.amount || 0) + amount,
+        residentTaxRate: Math.max(current?.residentTaxRate || 0, rules.residentTaxRate),
+        residentTaxLimit: Math.max(current?.residentTaxLimit || 0, rules.residentTaxLimit),
+      };
+    });
+  return credits;
+};
@@ -0,0 +1,66 @@
+import { ENUMS } from '../../constants';
+import format from '../../utils/format';
+
+/**
+ * 世帯メンバーの年齢計算
+ *
+ * 年齢は各年の年末（12月31日）時点で数える。
+ */
+
+/**
+ * ライフプランからメンバーを取得
+ * @param {object} lifePlan - ライフプラン
+ * @param {string} memberId - メンバーID
+ * @returns {object|undefined} メンバー
+ */
+export const findMember = (lifePlan, memberId) => {
+  return (lifePlan.members || []).find(member => member.id === memberId);
+};
+
+/**
+ * ライフプランから本人のメンバーを取得
+ * @param {object} lifePlan - ライフプラン
+ * @returns {object|undefined} 本人のメンバー
+ */
+export const findSelfMember = lifePlan => {
+  return (lifePlan.members || []).find(member => member.relationship === ENUMS.relationship.SELF);
+};
+
+/**
+ * 指定年の年末時点のメンバーの年齢を取得
+ * @param {object} member - メンバー
+ * @param {number} year - 対象年
+ * @returns {number|null} 年齢（生年月日が未設定、または生まれる前の場合はnull）
+ */
+export const getMemberAge = (member, year) => {
+  if (!member?.birthDate) {
+    return null;
+  }
+  const age = format.calculateAge(member.birthDate, new Date(year, 11, 31));
+  return age >= 0 ? age : null;
+};
+
+/**
+ * メンバーが指定の年齢になる年を取得
+ * @param {object} member - メンバー
+ * @param {number} age - 年齢
+ * @returns {number|null} 対象年（生年月日が未設定の場合はnull）
+ */
+export const getYearAtMemberAge = (member, age) => {
+  if (!member?.birthDate) {
+    return null;
+  }
+  return new Date(member.birthDate).getFullYear() + age;
+};
+
+/**
+ * 指定年の全メンバーの年齢を取得
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @returns {{member: object, age: number}[]} 生まれている年のメンバーのみ
+ */
+export const getMemberAges = (lifePlan, year) => {
+  return (lifePlan.members || [])
+    .map(member => ({ member, age: getMemberAge(member, year) }))
+    .filter(({ age }) => age !== null);
+};
@@ -0,0 +1,365 @@
+import { fundsDeficit, resolveAssetCashFlows } from './assetCashFlow';
+import {
+  calculateCapitalGain,
+  getAssetMaturityYear,
+  isAssetHeldInYear,
+  projectAssetPerformance,
+} from './assetPerformance';
+import { calculateInvestmentTax, getAccountType } from './investmentTax';
+import { buildProjection } from './projection';
+import { createQuantileEstimator } from './quantile';
+import { createRandom, sampleNormal } from './random';
+
+/**
+ * ポートフォリオのモンテカルロシミュレーション
+ *
+ * 収入・支出・税金は収支予測と同じ確定値を使い、資産の運用成績だけを確率的に変動させる。
+ * 各資産の年間リターンは期待収益率を平均とする対数正規分布に従い、
+ * 資産間の相関は相関行列のコレスキー分解で与える。
+ * 積立・取り崩しは期首に行い、現預金が不足した年は不足額を補填する資産から年末に取り崩す。
+ * プランの途中で購入する資産の購入額と満期を迎えた資産の受取額は、収支予測と同じ値を現預金に反映する。
+ */
+
+// 表示するパーセンタイル
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+// 価格変動率（年率）が未設定の資産に使う値
+export const DEFAULT_VOLATILITY = 0.15;
+
+/**
+ * シミュレーション設定の既定値
+ */
+export const DEFAULT_SIMULATION_SETTINGS = {
+  iterations: 1000,
+  seed: 1,
+  // 個別に設定していない資産の組み合わせの相関係数
+  defaultCorrelation: 0.5,
+  // 資産IDの組み合わせ（correlationKey）をキーとした相関係数
+  correlations: {},
+};
+
+/**
+ * ライフプランのシミュレーション設定を取得
+ * @param {object} lifePlan - ライフプラン
+ * @returns {object} 既定値で補完した設定
+ */
+export const getSimulationSettings = lifePlan => ({
+  ...DEFAULT_SIMULATION_SETTINGS,
+  ...lifePlan?.simulationSettings,
+});
+
+/**
+ * 資産の価格変動率（年率）を取得
+ * @param {object} asset - 資産
+ * @returns {number}
+ */
+export const getAssetVolatility = asset =>
+  asset.returns?.capitalGain?.volatility ?? DEFAULT_VOLATILITY;
+
+/**
+ * 2つの資産の組み合わせを表すキーを作成（順序によらず同じキーになる）
+ * @param {string} assetIdA - 資産ID
+ * @param {string} assetIdB - 資産ID
+ * @returns {string}
+ */
+export const correlationKey = (assetIdA, assetIdB) => [assetIdA, assetIdB].sort().join(':');
+
+/**
+ * 2つの資産の相関係数を取得
+ * @param {object} settings - シミュレーション設定
+ * @param {string} assetIdA - 資産ID
+ * @param {string} assetIdB - 資産ID
+ * @returns {number}
+ */
+export const getCorrelation = (settings, assetIdA, assetIdB) => {
+  if (assetIdA === assetIdB) {
+    return 1;
+  }
+  return settings.correlations?.[correlationKey(assetIdA, assetIdB)] ?? settings.defaultCorrelation;
+};
+
+/**
+ * 相関行列をコレスキー分解
+ * @param {number[][]} matrix - 相関行列
+ * @returns {number[][]} 下三角行列
+ * @throws {Error} 相関行列が半正定値でない場合
+ */
+export const choleskyDecompose = matrix => {
+  const size = matrix.length;
+  const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= lower[i][k] * lower[j][k];
+      }
+      if (i === j) {
+        // 相関係数1の組み合わせでは0になるため、丸め誤差の範囲の負の値は許容する
+        if (sum < -1e-9) {
+          throw new Error('相関係数の組み合わせが矛盾しています。相関係数を見直してください');
+        }
+        lower[i][i] = Math.sqrt(Math.max(sum, 0));
+      } else {
+        lower[i][j] = lower[j][j] > 0 ? sum / lower[j][j] : 0;
+      }
+    }
+  }
+
+  return lower;
+};
+
+/**
+ * ソート済みの値からパーセンタイル値を計算（線形補間）
+ * @param {number[]} sortedValues - 昇順にソートした値
+ * @param {number} percentile - パーセンタイル（0〜100）
+ * @returns {number}
+ */
+export const calculatePercentile = (sortedValues, percentile) => {
+  if (sortedValues.length === 0) {
+    return 0;
+  }
+  const position = ((sortedValues.length - 1) * percentile) / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const weight = position - lower;
+  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+};
+
+/**
+ * シミュレーションの入力を準備
+ * 各年の収支（資産の運用成績を除く）と資産の初期値・相関を求める
+ * @param {object} params
+ * @param {object} params.lifePlan - ライフプラン
+ * @param {object[]} params.assets - ライフプランの資産
+ * @param {object[]} params.liabilities - ライフプランの負債
+ * @param {object[]} params.incomeCategories - 収入カテゴリ
+ * @param {object[]} params.expenseCategories - 支出カテゴリ
+ * @param {object} params.settings - シミュレーション設定（省略時はライフプランの設定）
+ * @returns {object} シミュレーションの入力
+ */
+export const prepareSimulation = ({
+  lifePlan,
+  assets = [],
+  liabilities = [],
+  incomeCategories = [],
+  expenseCategories = [],
+  settings = getSimulationSettings(lifePlan),
+}) => {
+  const { rows } = buildProjection({
+    lifePlan,
+    assets,
+    liabilities,
+    incomeCategories,
+    expenseCategories,
+  });
+  const yearlyFinances = [...lifePlan.yearlyFinances].sort((a, b) => a.year - b.year);
+  const firstYear = yearlyFinances.length > 0 ? yearlyFinances[0].year : 0;
+  const endYear = yearlyFinances.length > 0 ? yearlyFinances[yearlyFinances.length - 1].year : 0;
+
+  const correlationMatrix = assets.map(a => assets.map(b => getCorrelation(settings, a.id, b.id)));
+
+  return {
+    settings,
+    years: rows.map(row => row.year),
+    // 給与の手取りから支出・資産の購入額を差し引き、満期の受取額を加えた収支
+    // （配当・積立・取り崩しは各試行で計算する）
+    baseCashFlows: rows.map(
+      row => row.takeHomePay - row.expense - row.assetPurchases + row.maturityProceeds,
+    ),
+    assets: assets.map(asset => {
+      // 各年の期首評価額（シミュレーションで初めて登場する年の値に使う）
+      const performances = new Map(
+        projectAssetPerformance(asset, endYear, firstYear).map(p => [p.year, p]),
+      );
+      return {
+        id: asset.id,
+        source: asset,
+        accountType: getAccountType(asset),
+        expectedReturn:
+          calculateCapitalGain(
+            1,
+            asset.returns?.capitalGain?.annualRate || 0,
+            asset.returns?.capitalGain?.compoundingFrequency,
+          ).evaluationAmount - 1,
+        volatility: getAssetVolatility(asset),
+        dividendYield: asset.returns?.incomeGain?.dividendYield || 0,
+        reinvestDividends: Boolean(asset.returns?.incomeGain?.reinvestDividends),
+        maturityYear: getAssetMaturityYear(asset),
+        startValues: yearlyFinances.map(
+          yearData => performances.get(yearData.year)?.startValue ?? null,
+        ),
+      };
+    }),
+    // 年ごとにその年に保有している資産のインデックス
+    yearAssetIndexes: yearlyFinances.map(yearData =>
+      assets.flatMap((asset, index) => (isAssetHeldInYear(asset, yearData.year) ? [index] : [])),
+    ),
+    cholesky: choleskyDecompose(correlationMatrix),
+  };
+};
+
+/**
+ * 1回分の試行を実行
+ * @param {object} prepared - prepareSimulation の結果
+ * @param {function(): number} random - 一様乱数の生成関数
+ * @returns {{balances: number[], depletionYear: number|null}} 各年末の資産合計（現預金 + 資産評価額）と資金が尽きた年
+ */
+export const simulatePath = (prepared, random) => {
+  const { assets, years, baseCashFlows, yearAssetIndexes, cholesky } = prepared;
+  const values = new Array(assets.length).fill(null);
+  const balances = [];
+  let cash = 0;
+  let depletionYear = null;
+
+  years.forEach((year, t) => {
+    // 相関のある標準正規乱数
+    const independent = assets.map(() => sampleNormal(random));
+    const shocks = cholesky.map(row =>
+      row.reduce((sum, weight, k) => sum + weight * independent[k], 0),
+    );
+
+    let portfolio = 0;
+    yearAssetIndexes[t].forEach(i => {
+      const asset = assets[i];
+      if (values[i] === null) {
+        values[i] = asset.startValues[t];
+      }
+      if (values[i] === null) {
+        return;
+      }
+
+      const { contribution, withdrawal } = resolveAssetCashFlows(asset.source, year, values[i]);
+      cash += withdrawal - contribution;
+
+      const invested = values[i] + contribution - withdrawal;
+      const { volatility } = asset;
+      const growth =
+        (1 + asset.expectedReturn) *
+        Math.exp(volatility * shocks[i] - (volatility * volatility) / 2);
+      const totalDividends = invested * asset.dividendYield;
+      const { dividendTax } = calculateInvestmentTax(asset.accountType, {
+        capitalGains: 0,
+        totalDividends,
+      });
+      const afterTaxDividends = totalDividends - dividendTax;
+
+      values[i] = invested * growth;
+      if (asset.reinvestDividends) {
+        values[i] += afterTaxDividends;
+      } else {
+        cash += afterTaxDividends;
+      }
+      // 満期の受取額は baseCashFlows で現預金に入金済み
+      if (year === asset.maturityYear) {
+        values[i] = 0;
+        return;
+      }
+      portfolio += values[i];
+    });
+
+    cash += baseCashFlows[t];
+    // 現預金の不足額を補填する資産から取り崩す
+    yearAssetIndexes[t].forEach(i => {
+      if (cash < 0 && values[i] > 0 && fundsDeficit(assets[i].source, year)) {
+        const withdrawal = Math.min(-cash, values[i]);
+        values[i] -= withdrawal;
+        portfolio -= withdrawal;
+        cash += withdrawal;
+      }
+    });
+    const balance = cash + portfolio;
+    if (balance < 0 && depletionYear === null) {
+      depletionYear = year;
+    }
+    balances.push(balance);
+  });
+
+  return { balances, depletionYear };
+};
+
+/**
+ * 試行結果を年ごとのパーセンタイルと資金が尽きる確率に逐次集計する集計器を作成
+ * 試行結果そのものは保持しない
+ * @param {number[]} years - 対象年
+ * @returns {{add: function(object): void, count: function(): number, summarize: function(): object}}
+ */
+export const createSummaryAccumulator = years => {
+  const estimators = years.map(() =>
+    Object.fromEntries(PERCENTILES.map(p => [p, createQuantileEstimator(p / 100)])),
+  );
+  // 資金が尽きた年ごとの試行回数
+  const depletionCounts = new Map();
+  let count = 0;
+  let depletedCount = 0;
+
+  /**
+   * 1回分の試行結果を追加
+   * @param {{balances: number[], depletionYear: number|null}} path - simulatePath の結果
+   */
+  const add = ({ balances, depletionYear }) => {
+    count++;
+    balances.forEach((balance, t) => {
+      PERCENTILES.forEach(p => estimators[t][p].add(balance));
+    });
+    if (depletionYear !== null) {
+      depletedCount++;
+      depletionCounts.set(depletionYear, (depletionCounts.get(depletionYear) || 0) + 1);
+    }
+  };
+
+  /**
+   * 資金が尽きた試行のうち中央の試行が尽きた年
+   * @returns {number|null}
+   */
+  const findMedianDepletionYear = () => {
+    let cumulative = 0;
+    const median = Math.floor((depletedCount - 1) / 2);
+    const sortedYears = Array.from(depletionCounts.keys()).sort((a, b) => a - b);
+    for (const year of sortedYears) {
+      cumulative += depletionCounts.get(year);
+      if (cumulative > median) {
+        return year;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * 集計結果
+   * @returns {{years: number[], percentiles: object, depletionProbability: number, medianDepletionYear: number|null}}
+   */
+  const summarize = () => ({
+    years,
+    percentiles: Object.fromEntries(
+      PERCENTILES.map(p => [p, estimators.map(estimator => Math.round(estimator[p].value()))]),
+    ),
+    depletionProbability: count > 0 ? depletedCount / count : 0,
+    medianDepletionYear: findMedianDepletionYear(),
+  });
+
+  return { add, count: () => count, summarize };
+};
+
+/**
+ * ポートフォリオのモンテカルロシミュレーションを実行
+ * 画面から実行する場合は、処理を分割して実行する simulationRunner を使う
+ * @param {object} params - prepareSimulation と同じ引数
+ * @returns {{years: number[], percentiles: object, depletionProbability: number, medianDepletionYear: number|null, iterations: number, seed: number|string}}
+ */
+export const runPortfolioSimulation = params => {
+  const prepared = prepareSimulation(params);
+  const { iterations, seed } = prepared.settings;
+  const random = createRandom(seed);
+  const accumulator = createSummaryAccumulator(prepared.years);
+
+  for (let i = 0; i < iterations; i++) {
+    accumulator.add(simulatePath(prepared, random));
+  }
+
+  return {
+    ...accumulator.summarize(),
+    iterations,
+    seed,
+  };
+};
@@ -0,0 +1,230 @@
+import { ENUMS } from '../../constants';
+import { calculateAnnualAmount, calculateMonthlyCashFlow } from './cashFlow';
+import { calculateHousingLoanCredits } from './loan';
+import { findMember, findSelfMember, getMemberAge } from './members';
+import { getSocialInsuranceTable } from './socialInsuranceTables';
+import { calculateYearTax, SALARY_CATEGORY } from './tax';
+
+/**
+ * 給与の控除項目と手取り額の計算
+ *
+ * 給与収入カテゴリの項目を納税者（メンバー）ごとに集計し、
+ * 社会保険料・所得税・住民税を差し引いた手取り額を求める。
+ * 毎月の項目は月給、それ以外の頻度の項目は賞与として扱う。
+ */
+
+// 控除項目の表示順
+export const PAYROLL_DEDUCTIONS = [
+  { key: 'healthInsurance', label: '健康保険' },
+  { key: 'nursingCareInsurance', label: '介護保険' },
+  { key: 'pension', label: '厚生年金' },
+  { key: 'employmentInsurance', label: '雇用保険' },
+  { key: 'incomeTax', label: '所得税' },
+  { key: 'residentTax', label: '住民税' },
+];
+
+/**
+ * 金額を下限・上限の範囲に収める
+ * @param {number} value - 金額
+ * @param {number} min - 下限
+ * @param {number} max - 上限
+ * @returns {number}
+ */
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * 1,000円未満を切り捨て（標準賞与額）
+ * @param {number} amount - 金額
+ * @returns {number}
+ */
+const floorThousand = amount => Math.floor(amount / 1000) * 1000;
+
+/**
+ * 被保険者負担分の保険料を計算
+ * @param {number} base - 標準報酬月額または標準賞与額
+ * @param {object} insurance - 料率テーブルの保険の設定
+ * @returns {number} 保険料
+ */
+const calculatePremium = (base, { rate, employeeShare }) => Math.round(base * rate * employeeShare);
+
+/**
+ * 1人分の社会保険料を計算
+ * @param {object} params
+ * @param {number[]} params.monthlySalaries - 1月〜12月の月給（長さ12）
+ * @param {number[]} params.bonuses - 1月〜12月の賞与（長さ12）
+ * @param {number|null} params.age - 年末時点の年齢（不明の場合はnull）
+ * @param {object} table - 料率テーブル
+ * @returns {{healthInsurance: number, nursingCareInsurance: number, pension: number, employmentInsurance: number, total: number}}
+ */
+export const calculateSocialInsurance = ({ monthlySalaries, bonuses, age }, table) => {
+  const { healthInsurance, nursingCareInsurance, pension, employmentInsurance } = table;
+  const hasHealthInsurance = age === null || age < healthInsurance.endAge;
+  const hasNursingCareInsurance =
+    age !== null && age >= nursingCareInsurance.startAge && age < nursingCareInsurance.endAge;
+  const hasPension = age === null || age < pension.endAge;
+
+  const premiums = {
+    healthInsurance: 0,
+    nursingCareInsurance: 0,
+    pension: 0,
+    employmentInsurance: 0,
+  };
+
+  // 健康保険・介護保険の保険料を加算
+  const addHealthPremiums = base => {
+    if (hasHealthInsurance) {
+      premiums.healthInsurance += calculatePremium(base, healthInsurance);
+    }
+    if (hasNursingCareInsurance) {
+      premiums.nursingCareInsurance += calculatePremium(base, nursingCareInsurance);
+    }
+  };
+
+  let annualBonusBase = 0;
+  for (let month = 0; month < 12; month++) {
+    const salary = monthlySalaries[month];
+    if (salary > 0) {
+      addHealthPremiums(
+        clamp(
+          salary,
+          healthInsurance.minMonthlyRemuneration,
+          healthInsurance.maxMonthlyRemuneration,
+        ),
+      );
+      if (hasPension) {
+        premiums.pension += calculatePremium(
+          clamp(salary, pension.minMonthlyRemuneration, pension.maxMonthlyRemuneration),
+          pension,
+        );
+      }
+    }
+
+    const bonus = floorThousand(bonuses[month]);
+    if (bonus > 0) {
+      // 健康保険の標準賞与額は年度の累計に上限がある
+      const healthBonusBase = Math.min(
+        bonus,
+        Math.max(0, healthInsurance.maxAnnualBonus - annualBonusBase),
+      );
+      annualBonusBase += healthBonusBase;
+      addHealthPremiums(healthBonusBase);
+      if (hasPension) {
+        premiums.pension += calculatePremium(Math.min(bonus, pension.maxBonusPerPayment), pension);
+      }
+    }
+  }
+
+  const gross = [...monthlySalaries, ...bonuses].reduce((sum, amount) => sum + amount, 0);
+  premiums.employmentInsurance = Math.round(gross * employmentInsurance.employeeRate);
+
+  return {
+    ...premiums,
+    total: Object.values(premiums).reduce((sum, amount) => sum + amount, 0),
+  };
+};
+
+/**
+ * 給与収入の項目を納税者（メンバー）ごとに月給・賞与に振り分ける
+ * メンバーが指定されていない項目は本人の収入として扱う
+ * @param {object[]} salaryItems - 給与収入の項目
+ * @param {string} selfId - 本人のメンバーID
+ * @returns {Map<string, {monthlySalaries: number[], bonuses: number[]}>}
+ */
+const groupPayByEarner = (salaryItems, selfId) => {
+  const earners = new Map();
+  salaryItems.forEach(item => {
+    const earnerId = item.memberId || selfId;
+    if (!earners.has(earnerId)) {
+      earners.set(earnerId, {
+        monthlySalaries: new Array(12).fill(0),
+        bonuses: new Array(12).fill(0),
+      });
+    }
+    const earner = earners.get(earnerId);
+    const target =
+      item.frequency === ENUMS.frequency.MONTHLY ? earner.monthlySalaries : earner.bonuses;
+    calculateMonthlyCashFlow(item).forEach((amount, month) => {
+      target[month] += amount;
+    });
+  });
+  return earners;
+};
+
+/**
+ * 指定年の給与の総支給額・控除額・手取り額を計算
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @param {object[]} incomes - その年の収入項目（給与収入カテゴリ以外は無視する）
+ * @param {object} options
+ * @param {number} options.idecoContribution - 本人の iDeCo 掛金（小規模企業共済等掛金控除）
+ * @param {Map<string, object[]>} options.loanSchedules - buildPlanLoanSchedules の結果（省略時は計算する）
+ * @returns {object} 世帯合計の内訳と納税者ごとの内訳（earners）
+ */
+export const calculateYearPayroll = (
+  lifePlan,
+  year,
+  incomes,
+  { idecoContribution = 0, loanSchedules } = {},
+) => {
+  const table = getSocialInsuranceTable(year);
+  const selfId = findSelfMember(lifePlan)?.id ?? ENUMS.relationship.SELF;
+  const salaryItems = incomes.filter(item => item.category === SALARY_CATEGORY);
+  const payByEarner = groupPayByEarner(salaryItems, selfId);
+
+  // 社会保険料と iDeCo 掛金は所得税・住民税の所得控除に使う
+  const socialInsurance = {};
+  payByEarner.forEach(({ monthlySalaries, bonuses }, earnerId) => {
+    const age = getMemberAge(findMember(lifePlan, earnerId), year);
+    socialInsurance[earnerId] = calculateSocialInsurance({ monthlySalaries, bonuses, age }, table);
+  });
+
+  const tax = calculateYearTax(
+    lifePlan,
+    year,
+    salaryItems.map(item => ({
+      memberId: item.memberId,
+      annualAmount: calculateAnnualAmount(item),
+    })),
+    Object.fromEntries(
+      Object.entries(socialInsurance).map(([id, premiums]) => [
+        id,
+        premiums.total + (id === selfId ? idecoContribution : 0),
+      ]),
+    ),
+    calculateHousingLoanCredits(lifePlan, year, selfId, loanSchedules),
+  );
+
+  const earners = tax.earners.map(({ memberId, salary, incomeTax, residentTax }) => {
+    const premiums = socialInsurance[memberId];
+    const totalDeductions = premiums.total + incomeTax + residentTax;
+    return {
+      memberId,
+      name: findMember(lifePlan, memberId)?.name ?? ENUMS.relationship.SELF,
+      gross: salary,
+      healthInsurance: premiums.healthInsurance,
+      nursingCareInsurance: premiums.nursingCareInsurance,
+      pension: premiums.pension,
+      employmentInsurance: premiums.employmentInsurance,
+      socialInsurance: premiums.total,
+      incomeTax,
+      residentTax,
+      totalDeductions,
+      net: salary - totalDeductions,
+    };
+  });
+
+  const sum = key => earners.reduce((total, earner) => total + earner[key], 0);
+  return {
+    earners,
+    gross: sum('gross'),
+    healthInsurance: sum('healthInsurance'),
+    nursingCareInsurance: sum('nursingCareInsurance'),
+    pension: sum('pension'),
+    employmentInsurance: sum('employmentInsurance'),
+    socialInsurance: sum('socialInsurance'),
+    incomeTax: sum('incomeTax'),
+    residentTax: sum('residentTax'),
+    totalDeductions: sum('totalDeductions'),
+    net: sum('net'),
+  };
+};
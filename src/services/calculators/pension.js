@@ -0,0 +1,215 @@
+import { ENUMS } from '../../constants';
+import { sumAnnualAmounts } from './cashFlow';
+import { findSelfMember, getMemberAge, getYearAtMemberAge } from './members';
+import { expandRecurringItems } from './recurring';
+import { getSocialInsuranceTable } from './socialInsuranceTables';
+import { SALARY_CATEGORY } from './tax';
+
+/**
+ * 公的年金（老齢基礎年金・老齢厚生年金）の受給額の概算
+ *
+ * 世帯メンバーごとの年金設定（member.pension）から年額を求め、
+ * 受給開始年齢に達した年以降の収入として展開する。
+ * 金額は開始年時点の価値で計算し、マクロ経済スライドによる改定は考慮しない。
+ */
+
+// 年金収入として扱うカテゴリ
+export const PENSION_CATEGORY = '年金収入';
+
+/**
+ * 年金額の計算に使う定数
+ */
+export const PENSION_RULES = {
+  // 老齢基礎年金の満額（年額）
+  fullBasicPension: 831700,
+  // 満額となる国民年金の保険料納付済月数
+  fullContributionMonths: 480,
+  // 老齢厚生年金（報酬比例部分）の給付乗率
+  employeePensionAccrualRate: 5.481 / 1000,
+  // 厚生年金の被保険者でなくなる年齢
+  employeePensionEndAge: 70,
+  // 受給開始年齢
+  standardClaimingAge: 65,
+  minClaimingAge: 60,
+  maxClaimingAge: 75,
+  // 繰上げ受給の1か月あたりの減額率・繰下げ受給の1か月あたりの増額率
+  earlyReductionPerMonth: 0.004,
+  deferralIncreasePerMonth: 0.007,
+};
+
+/**
+ * 年金設定の既定値
+ */
+export const DEFAULT_PENSION_SETTINGS = {
+  enabled: false,
+  claimingAge: PENSION_RULES.standardClaimingAge,
+  // 国民年金の保険料納付済月数（見込み）
+  nationalPensionMonths: PENSION_RULES.fullContributionMonths,
+  // プラン開始前の厚生年金の加入月数と平均標準報酬額
+  employeePensionMonths: 0,
+  averageMonthlyRemuneration: 0,
+  // プラン期間中の給与収入を厚生年金の加入期間に含めるかどうか
+  includePlanSalary: true,
+};
+
+/**
+ * 受給開始年齢による増減率を取得
+ * @param {number} claimingAge - 受給開始年齢
+ * @returns {number} 65歳受給に対する倍率（繰上げで1未満、繰下げで1超）
+ */
+export const getClaimingAdjustment = claimingAge => {
+  const age = Math.min(
+    Math.max(claimingAge, PENSION_RULES.minClaimingAge),
+    PENSION_RULES.maxClaimingAge,
+  );
+  const months = (age - PENSION_RULES.standardClaimingAge) * 12;
+  return months < 0
+    ? 1 + months * PENSION_RULES.earlyReductionPerMonth
+    : 1 + months * PENSION_RULES.deferralIncreasePerMonth;
+};
+
+/**
+ * プラン期間中の給与収入から厚生年金の加入記録を集計
+ * 給与収入がある年は12か月加入したものとし、標準報酬の上限を超える分は除く
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} member - 対象のメンバー
+ * @param {number} untilYear - 集計の対象とする最後の年
+ * @returns {{months: number, totalRemuneration: number}}
+ */
+export const collectPlanSalaryRecords = (lifePlan, member, untilYear) => {
+  const selfId = findSelfMember(lifePlan)?.id;
+  const records = { months: 0, totalRemuneration: 0 };
+
+  lifePlan.yearlyFinances.forEach(yearData => {
+    const age = getMemberAge(member, yearData.year);
+    if (yearData.year > untilYear || age === null || age >= PENSION_RULES.employeePensionEndAge) {
+      return;
+    }
+
+    const salaryItems = [
+      ...yearData.incomes,
+      ...expandRecurringItems(lifePlan, yearData).incomes,
+    ].filter(item => item.category === SALARY_CATEGORY && (item.memberId || selfId) === member.id);
+    const salary = sumAnnualAmounts(salaryItems);
+    if (salary <= 0) {
+      return;
+    }
+
+    const { pension } = getSocialInsuranceTable(yearData.year);
+    records.months += 12;
+    records.totalRemuneration += Math.min(salary, pension.maxMonthlyRemuneration * 12);
+  });
+
+  return records;
+};
+
+/**
+ * メンバーの公的年金の年額を概算
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} member - 対象のメンバー
+ * @returns {{claimingAge: number, startYear: number|null, basicPension: number, employeePension: number, annualAmount: number, employeePensionMonths: number, averageMonthlyRemuneration: number}}
+ */
+export const estimatePension = (lifePlan, member) => {
+  const settings = { ...DEFAULT_PENSION_SETTINGS, ...member.pension };
+  const startYear = getYearAtMemberAge(member, settings.claimingAge);
+
+  // 厚生年金の加入記録（プラン開始前 + プラン期間中の給与収入）
+  let months = settings.employeePensionMonths || 0;
+  let totalRemuneration = months * (settings.averageMonthlyRemuneration || 0);
+  if (settings.includePlanSalary && startYear !== null) {
+    const planRecords = collectPlanSalaryRecords(lifePlan, member, startYear - 1);
+    months += planRecords.months;
+    totalRemuneration += planRecords.totalRemuneration;
+  }
+  const averageMonthlyRemuneration = months > 0 ? Math.round(totalRemuneration / months) : 0;
+
+  const adjustment = getClaimingAdjustment(settings.claimingAge);
+  const contributionMonths = Math.min(
+    settings.nationalPensionMonths || 0,
+    PENSION_RULES.fullContributionMonths,
+  );
+  const basicPension = Math.round(
+    ((PENSION_RULES.fullBasicPension * contributionMonths) / PENSION_RULES.fullContributionMonths) *
+      adjustment,
+  );
+  const employeePension = Math.round(
+    averageMonthlyRemuneration * PENSION_RULES.employeePensionAccrualRate * months * adjustment,
+  );
+
+  return {
+    claimingAge: settings.claimingAge,
+    startYear,
+    basicPension,
+    employeePension,
+    annualAmount: basicPension + employeePension,
+    employeePensionMonths: months,
+    averageMonthlyRemuneration,
+  };
+};
+
+/**
+ * 受給開始年の受給月数を取得
+ * 年金は受給開始年齢に達した月の翌月分から支給される
+ * @param {object} member - 対象のメンバー
+ * @returns {number} 受給開始年の受給月数
+ */
+const getFirstYearMonths = member => {
+  const match = /^\d{4}-(\d{2})/.exec(String(member.birthDate));
+  const birthMonth = match ? Number(match[1]) : new Date(member.birthDate).getMonth() + 1;
+  return 12 - birthMonth;
+};
+
+/**
+ * 年金設定のあるメンバーを取得
+ * @param {object} lifePlan - ライフプラン
+ * @returns {object[]}
+ */
+const getPensionMembers = lifePlan =>
+  (lifePlan.members || []).filter(member => member.pension?.enabled && member.birthDate);
+
+/**
+ * 年金設定のあるメンバーの年金額をまとめて概算
+ * 概算はプラン全期間の給与収入を集計するため、全期間の予測では1回だけ計算して使い回す
+ * @param {object} lifePlan - ライフプラン
+ * @returns {Map<string, object>} メンバーIDをキーとした estimatePension の結果
+ */
+export const estimatePlanPensions = lifePlan =>
+  new Map(
+    getPensionMembers(lifePlan).map(member => [member.id, estimatePension(lifePlan, member)]),
+  );
+
+/**
+ * メンバーの年金収入の項目IDを取得
+ * 実績額は年別データの actuals にこの項目IDをキーとして保存する
+ * @param {string} memberId - メンバーID
+ * @returns {string} 項目ID
+ */
+export const getPensionItemId = memberId => `pension-${memberId}`;
+
+/**
+ * 年金設定のあるメンバーの年金収入を指定年の収入項目に展開
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @param {Map<string, object>} estimates - estimatePlanPensions の結果（省略時はその場で概算）
+ * @returns {object[]} 年金収入の項目
+ */
+export const expandPensionItems = (lifePlan, year, estimates = estimatePlanPensions(lifePlan)) => {
+  return getPensionMembers(lifePlan)
+    .map(member => {
+      const estimate = estimates.get(member.id);
+      if (!estimate || estimate.startYear === null || year < estimate.startYear) {
+        return null;
+      }
+      const months = year === estimate.startYear ? getFirstYearMonths(member) : 12;
+      return {
+        id: getPensionItemId(member.id),
+        name: `${member.name}の公的年金`,
+        category: PENSION_CATEGORY,
+        frequency: ENUMS.frequency.YEARLY,
+        amount: Math.round((estimate.annualAmount * months) / 12),
+        memberId: member.id,
+        pensionMemberId: member.id,
+      };
+    })
+    .filter(item => item && item.amount > 0);
+};
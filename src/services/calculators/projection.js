@@ -0,0 +1,433 @@
+import { ENUMS } from '../../constants';
+import { fundsDeficit } from './assetCashFlow';
+import {
+  createAssetProjector,
+  getAssetMaturityYear,
+  getAssetStartYear,
+  isAssetHeldInYear,
+} from './assetPerformance';
+import { applyActualAmount, sumAnnualAmounts } from './cashFlow';
+import {
+  allocateWithdrawal,
+  createDecumulationPlanner,
+  findDepletionYear,
+  getDecumulationSettings,
+  orderForLiquidation,
+} from './decumulation';
+import { getAccountType } from './investmentTax';
+import {
+  buildLiabilitySchedules,
+  calculateLiabilityBalance,
+  expandLiabilityItems,
+} from './liability';
+import { buildPlanLoanSchedules, calculateLoanBalance } from './loan';
+import { calculateYearPayroll } from './payroll';
+import { estimatePlanPensions } from './pension';
+import { applyInflation, buildCategoryRateMap, toRealValue, VALUE_MODES } from './inflation';
+import { resolveYearItems } from './yearItems';
+
+/**
+ * 収支・資産の長期予測エンジン
+ *
+ * ライフプランの各年について収入・社会保険料・税金・支出・資産の運用益を計算し、
+ * 年末の現預金残高を翌年に繰り越して累計残高を求める。
+ * 負債の返済は支出に含め、累計残高（現預金 + 資産）からローン・負債の年末残高を差し引いたものを純資産とする。
+ * 資産の取り崩しは、資産ごとの不足額の補填の設定と、ライフプランの取り崩し戦略（decumulation.js）に従う。
+ * ストアや画面に依存しない純粋関数として実装する。
+ */
+
+// 実質額表示で換算する金額項目
+const MONEY_FIELDS = [
+  'income',
+  'socialInsurance',
+  'tax',
+  'takeHomePay',
+  'expense',
+  'contributions',
+  'withdrawals',
+  'withdrawalTax',
+  'assetPurchases',
+  'maturityProceeds',
+  'netCashFlow',
+  'cashBalance',
+  'assetValue',
+  'assetGrowth',
+  'cumulativeBalance',
+  'liabilities',
+  'netWorth',
+  'withdrawalShortfall',
+];
+
+/**
+ * 指定年の収入・支出項目を名目額で取得
+ * 支出（ライフプランの設定により収入も）にはインフレを反映する
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} yearData - 年別財務情報
+ * @param {object} rates - カテゴリ別インフレ率（incomeRates, expenseRates）
+ * @param {object} options
+ * @param {boolean} options.useActuals - 実績額を入力した項目は実績額を使う
+ * @param {Map<string, object>} options.pensionEstimates - estimatePlanPensions の結果（省略時はその場で概算）
+ * @param {Map<string, object[]>} options.loanSchedules - buildPlanLoanSchedules の結果（省略時は計算する）
+ * @returns {{incomes: object[], expenses: object[]}}
+ */
+export const resolveNominalYearItems = (
+  lifePlan,
+  yearData,
+  { incomeRates = {}, expenseRates = {} } = {},
+  { useActuals = false, pensionEstimates, loanSchedules } = {},
+) => {
+  const { incomes, expenses } = resolveYearItems(lifePlan, yearData, {
+    pensionEstimates,
+    loanSchedules,
+  });
+  const nominalIncomes = lifePlan.inflateIncomes
+    ? applyInflation(incomes, lifePlan, yearData.year, incomeRates)
+    : incomes;
+  const nominalExpenses = applyInflation(expenses, lifePlan, yearData.year, expenseRates);
+  // 実績額は名目額のため、インフレを反映せずに使う
+  return useActuals
+    ? {
+        incomes: nominalIncomes.map(applyActualAmount),
+        expenses: nominalExpenses.map(applyActualAmount),
+      }
+    : { incomes: nominalIncomes, expenses: nominalExpenses };
+};
+
+/**
+ * 指定年の収入・支出合計（名目額）と給与から差し引かれる社会保険料・税額を計算
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} yearData - 年別財務情報
+ * @param {object} rates - カテゴリ別インフレ率（incomeRates, expenseRates）
+ * @param {object} options
+ * @param {number} options.idecoContribution - iDeCo 掛金（所得控除の対象）
+ * @param {boolean} options.useActuals - 実績額を入力した項目は実績額を使う
+ * @param {Map<string, object>} options.pensionEstimates - estimatePlanPensions の結果（省略時はその場で概算）
+ * @param {Map<string, object[]>} options.loanSchedules - buildPlanLoanSchedules の結果（省略時は計算する）
+ * @returns {{income: number, expense: number, socialInsurance: number, tax: number}}
+ */
+export const calculateYearTotals = (
+  lifePlan,
+  yearData,
+  rates,
+  { idecoContribution = 0, useActuals = false, pensionEstimates, loanSchedules } = {},
+) => {
+  const { incomes, expenses } = resolveNominalYearItems(lifePlan, yearData, rates, {
+    useActuals,
+    pensionEstimates,
+    loanSchedules,
+  });
+  const payroll = calculateYearPayroll(lifePlan, yearData.year, incomes, {
+    idecoContribution,
+    loanSchedules,
+  });
+
+  return {
+    income: sumAnnualAmounts(incomes),
+    expense: sumAnnualAmounts(expenses),
+    socialInsurance: payroll.socialInsurance,
+    tax: payroll.incomeTax + payroll.residentTax,
+  };
+};
+
+/**
+ * 指定年に保有する資産の評価額・運用益・積立額・取り崩し額を集計
+ * プランの開始年より後に開始する資産は、開始年に当初の金額を現預金から支払って購入し、
+ * 満期年（iDeCo は受取開始年）に税額を差し引いた評価額を現預金で受け取る
+ * 特定口座から取り崩した分の譲渡益の税額（withdrawalTax）は、取り崩し額から現預金で支払う
+ * @param {{asset: object, performance: object}[]} entries - 資産とその年のパフォーマンス
+ * @param {number} year - 対象年
+ * @param {number} planStartYear - プランの開始年
+ * @returns {{assetValue: number, assetGrowth: number, cashDividends: number, contributions: number, withdrawals: number, withdrawalTax: number, assetPurchases: number, maturityProceeds: number, idecoContribution: number}}
+ */
+const summarizeYearAssets = (entries, year, planStartYear) => {
+  let assetValue = 0;
+  let assetGrowth = 0;
+  let cashDividends = 0;
+  let contributions = 0;
+  let withdrawals = 0;
+  let withdrawalTax = 0;
+  let assetPurchases = 0;
+  let maturityProceeds = 0;
+  let idecoContribution = 0;
+
+  entries.forEach(({ asset, performance }) => {
+    if (year > planStartYear && getAssetStartYear(asset, year) === year) {
+      assetPurchases += asset.initialAmount || 0;
+    }
+    // 満期年は、税額を差し引いた評価額が年末に現預金に入金される
+    if (getAssetMaturityYear(asset) === year) {
+      maturityProceeds += performance.afterTaxEndValue;
+    } else {
+      assetValue += performance.endValue;
+    }
+    assetGrowth += performance.capitalGains + performance.afterTaxDividends;
+    // 再投資しない配当は源泉徴収後の金額が現預金に入金される
+    if (!asset.returns?.incomeGain?.reinvestDividends) {
+      cashDividends += performance.afterTaxDividends;
+    }
+    // 積立額は現預金から支払い、取り崩した金額は現預金に入金される
+    contributions += performance.contribution;
+    withdrawals += performance.withdrawal;
+    withdrawalTax += performance.realizedGainTax || 0;
+    if (getAccountType(asset) === ENUMS.accountType.IDECO) {
+      idecoContribution += performance.contribution;
+    }
+  });
+
+  return {
+    assetValue,
+    assetGrowth,
+    cashDividends,
+    contributions,
+    withdrawals,
+    withdrawalTax,
+    assetPurchases,
+    maturityProceeds,
+    idecoContribution,
+  };
+};
+
+/**
+ * 実績を基準にする年かどうか
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @returns {boolean}
+ */
+export const isBaselineYear = (lifePlan, year) =>
+  lifePlan.baselineYear !== undefined &&
+  lifePlan.baselineYear !== null &&
+  year <= lifePlan.baselineYear;
+
+/**
+ * 記録済みの資産の実績評価額を取得
+ * 全額売却した資産などの実績評価額0も実績として扱う
+ * @param {object} asset - 資産
+ * @param {number} year - 対象年
+ * @returns {number|undefined} 実績評価額（未記録の場合はundefined）
+ */
+export const findActualEndValue = (asset, year) => {
+  const actualEndValue = asset.yearlyPerformance?.find(p => p.year === year)?.actualEndValue;
+  return actualEndValue !== undefined && actualEndValue !== null ? actualEndValue : undefined;
+};
+
+/**
+ * 年次パフォーマンスの期末評価額を実績評価額に置き換える
+ * 予測との差額は評価損益として扱う
+ * @param {object} performance - 年次パフォーマンス
+ * @param {number} actualEndValue - 実績評価額
+ * @returns {object} 置き換えた年次パフォーマンス
+ */
+const rebasePerformance = (performance, actualEndValue) => {
+  const difference = actualEndValue - performance.endValue;
+  return {
+    ...performance,
+    endValue: actualEndValue,
+    afterTaxEndValue: performance.afterTaxEndValue + difference,
+    capitalGains: performance.capitalGains + difference,
+  };
+};
+
+/**
+ * 予測結果の行を実質額に換算
+ * @param {object} row - 予測結果の行
+ * @param {object} lifePlan - ライフプラン
+ * @returns {object} 実質額に換算した行
+ */
+const toRealRow = (row, lifePlan) => {
+  const converted = { ...row };
+  MONEY_FIELDS.forEach(key => {
+    converted[key] = toRealValue(row[key], lifePlan, row.year);
+  });
+  return converted;
+};
+
+/**
+ * 累計残高が最初にマイナスになる年を取得
+ * @param {object[]} rows - 予測結果の行
+ * @returns {number|null} マイナスになる年（ならない場合はnull）
+ */
+export const findFirstDeficitYear = rows => {
+  const row = rows.find(r => r.cumulativeBalance < 0);
+  return row ? row.year : null;
+};
+
+/**
+ * ライフプラン全期間の収支予測を作成
+ * @param {object} params
+ * @param {object} params.lifePlan - ライフプラン
+ * @param {object[]} params.assets - ライフプランの資産
+ * @param {object[]} params.liabilities - ライフプランの負債
+ * @param {object[]} params.incomeCategories - 収入カテゴリ（カテゴリ別インフレ率の参照用）
+ * @param {object[]} params.expenseCategories - 支出カテゴリ（カテゴリ別インフレ率の参照用）
+ * @param {string} params.valueMode - 名目額（nominal）または実質額（real）
+ * @returns {{rows: object[], firstDeficitYear: number|null, depletionYear: number|null, assetPerformances: Map}}
+ *   ライフプランに基準年（baselineYear）が設定されている場合、基準年までは
+ *   入力済みの実績額と資産の実績評価額を使い、翌年以降はその結果から予測する
+ *   assetPerformances は資産IDをキーとした各年のパフォーマンス（名目額）
+ *   depletionYear は取り崩し額の全額を資産から取り崩せなくなる最初の年
+ */
+export const buildProjection = ({
+  lifePlan,
+  assets = [],
+  liabilities = [],
+  incomeCategories = [],
+  expenseCategories = [],
+  valueMode = VALUE_MODES.NOMINAL,
+}) => {
+  const rates = {
+    incomeRates: buildCategoryRateMap(incomeCategories),
+    expenseRates: buildCategoryRateMap(expenseCategories),
+  };
+  const yearlyFinances = [...lifePlan.yearlyFinances].sort((a, b) => a.year - b.year);
+  // 資産IDをキーとした年次パフォーマンスの計算器と計算結果
+  const projectors = new Map();
+  const assetPerformances = new Map();
+  const decumulationSettings = getDecumulationSettings(lifePlan);
+  const decumulation = createDecumulationPlanner(lifePlan, decumulationSettings);
+  // 年金額の概算はプラン全期間の給与収入から求めるため、年ごとに計算し直さない
+  const pensionEstimates = estimatePlanPensions(lifePlan);
+  // ローン・負債の返済予定も年によらないため、一度だけ作成して各年で参照する
+  const loanSchedules = buildPlanLoanSchedules(lifePlan);
+  const liabilitySchedules = buildLiabilitySchedules(liabilities);
+
+  let cashBalance = 0;
+  const nominalRows = yearlyFinances.map(yearData => {
+    const { year } = yearData;
+    const useActuals = isBaselineYear(lifePlan, year);
+    const heldAssets = assets.filter(asset => isAssetHeldInYear(asset, year));
+    heldAssets.forEach(asset => {
+      if (!projectors.has(asset.id)) {
+        projectors.set(asset.id, createAssetProjector(asset, year));
+      }
+    });
+
+    // 不足額の補填を除いた積立・取り崩しで、その年の収支を見積もる
+    const estimates = heldAssets
+      .map(asset => ({ asset, performance: projectors.get(asset.id).preview(year) }))
+      .filter(({ performance }) => performance);
+    const estimated = summarizeYearAssets(estimates, year, lifePlan.startYear);
+    const totals = calculateYearTotals(lifePlan, yearData, rates, {
+      idecoContribution: estimated.idecoContribution,
+      useActuals,
+      pensionEstimates,
+      loanSchedules,
+    });
+    const { income, socialInsurance, tax } = totals;
+    const expense =
+      totals.expense +
+      sumAnnualAmounts(expandLiabilityItems(liabilities, year, liabilitySchedules));
+
+    // 給与から差し引かれる社会保険料・所得税・住民税を除いた手取りで収支を計算する
+    const takeHomePay = income - socialInsurance - tax;
+
+    // 現預金がマイナスになる分は、不足額を補填する資産から順に取り崩す
+    let deficit = Math.max(
+      0,
+      -(
+        cashBalance +
+        takeHomePay +
+        estimated.cashDividends +
+        estimated.withdrawals +
+        estimated.maturityProceeds -
+        estimated.withdrawalTax -
+        expense -
+        estimated.contributions -
+        estimated.assetPurchases
+      ),
+    );
+    const deficitWithdrawals = new Map();
+    const deficitEntries = estimates.filter(({ asset }) => fundsDeficit(asset, year));
+    deficit = allocateWithdrawal(deficit, deficitEntries, deficitWithdrawals);
+
+    // 取り崩し戦略による取り崩し額を、取り崩す順番に資産に割り当てる
+    const isDecumulating = decumulation.isActive(year);
+    const liquidationEntries = orderForLiquidation(estimates, decumulationSettings);
+    const targetAmount = decumulation.getTargetAmount(year, {
+      portfolioValue: estimates.reduce((sum, { performance }) => sum + performance.startValue, 0),
+      deficit,
+    });
+    const unallocated = allocateWithdrawal(targetAmount, liquidationEntries, deficitWithdrawals);
+    // 取り崩しの期間中は、取り崩し額で賄えない収支の不足額も取り崩す
+    if (isDecumulating) {
+      deficit = allocateWithdrawal(
+        Math.max(0, deficit - (targetAmount - unallocated)),
+        liquidationEntries,
+        deficitWithdrawals,
+      );
+    }
+    // 資産から取り崩せなかった額
+    const withdrawalShortfall = Math.round(
+      Math.max(isDecumulating || deficitEntries.length > 0 ? deficit : 0, unallocated),
+    );
+
+    const entries = estimates.map(({ asset }) => {
+      const deficitWithdrawal = deficitWithdrawals.get(asset.id) || 0;
+      const projector = projectors.get(asset.id);
+      let result = projector.next(year, { deficitWithdrawal });
+      const actualEndValue = useActuals ? findActualEndValue(asset, year) : undefined;
+      if (actualEndValue !== undefined) {
+        result = rebasePerformance(result, actualEndValue);
+        projector.rebase(actualEndValue);
+      }
+      assetPerformances.set(asset.id, [...(assetPerformances.get(asset.id) || []), result]);
+      return { asset, performance: result };
+    });
+
+    const {
+      assetValue,
+      assetGrowth,
+      cashDividends,
+      contributions,
+      withdrawals,
+      withdrawalTax,
+      assetPurchases,
+      maturityProceeds,
+    } = summarizeYearAssets(entries, year, lifePlan.startYear);
+    const netCashFlow =
+      takeHomePay +
+      cashDividends +
+      withdrawals +
+      maturityProceeds -
+      withdrawalTax -
+      expense -
+      contributions -
+      assetPurchases;
+    cashBalance += netCashFlow;
+    const liabilityBalance =
+      calculateLoanBalance(lifePlan, year, loanSchedules) +
+      calculateLiabilityBalance(liabilities, year, liabilitySchedules);
+
+    return {
+      yearId: yearData.id,
+      year: yearData.year,
+      income,
+      socialInsurance,
+      tax,
+      takeHomePay,
+      expense,
+      contributions,
+      withdrawals,
+      withdrawalTax,
+      assetPurchases,
+      maturityProceeds,
+      netCashFlow,
+      cashBalance,
+      assetValue,
+      assetGrowth,
+      cumulativeBalance: cashBalance + assetValue,
+      liabilities: liabilityBalance,
+      netWorth: cashBalance + assetValue - liabilityBalance,
+      withdrawalShortfall,
+    };
+  });
+
+  const rows =
+    valueMode === VALUE_MODES.REAL ? nominalRows.map(row => toRealRow(row, lifePlan)) : nominalRows;
+
+  return {
+    rows,
+    firstDeficitYear: findFirstDeficitYear(nominalRows),
+    depletionYear: findDepletionYear(nominalRows),
+    assetPerformances,
+  };
+};
@@ -0,0 +1,103 @@
+/**
+ * 逐次的なパーセンタイルの推定（P² アルゴリズム）
+ *
+ * 値をすべて保持せずに、5つのマーカーだけでパーセンタイルを推定する。
+ * 試行回数が多いシミュレーションでも使用メモリが増えない。
+ */
+
+/**
+ * 少数の値からパーセンタイル値を計算（線形補間）
+ * @param {number[]} sortedValues - 昇順にソートした値
+ * @param {number} p - 確率（0〜1）
+ * @returns {number}
+ */
+const interpolate = (sortedValues, p) => {
+  const position = (sortedValues.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const weight = position - lower;
+  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+};
+
+/**
+ * パーセンタイルの推定器を作成
+ * @param {number} p - 推定する確率（0〜1、0.05 = 5パーセンタイル）
+ * @returns {{add: function(number): void, value: function(): number, count: function(): number}}
+ */
+export const createQuantileEstimator = p => {
+  // マーカーの高さ・実際の位置・理想の位置・理想の位置の増分
+  const heights = [];
+  const positions = [0, 1, 2, 3, 4];
+  const desired = [0, 2 * p, 4 * p, 2 + 2 * p, 4];
+  const increments = [0, p / 2, p, (1 + p) / 2, 1];
+  let count = 0;
+
+  // 放物線補間によるマーカーの高さ
+  const parabolic = (i, d) =>
+    heights[i] +
+    (d / (positions[i + 1] - positions[i - 1])) *
+      (((positions[i] - positions[i - 1] + d) * (heights[i + 1] - heights[i])) /
+        (positions[i + 1] - positions[i]) +
+        ((positions[i + 1] - positions[i] - d) * (heights[i] - heights[i - 1])) /
+          (positions[i] - positions[i - 1]));
+
+  // 線形補間によるマーカーの高さ
+  const linear = (i, d) =>
+    heights[i] + (d * (heights[i + d] - heights[i])) / (positions[i + d] - positions[i]);
+
+  const add = x => {
+    count++;
+    // 最初の5件はそのまま保持する
+    if (count <= 5) {
+      heights.push(x);
+      heights.sort((a, b) => a - b);
+      return;
+    }
+
+    // x が入る区間を探し、両端のマーカーを更新
+    let k;
+    if (x < heights[0]) {
+      heights[0] = x;
+      k = 0;
+    } else if (x >= heights[4]) {
+      heights[4] = x;
+      k = 3;
+    } else {
+      k = 0;
+      while (x >= heights[k + 1]) {
+        k++;
+      }
+    }
+
+    for (let i = k + 1; i < 5; i++) {
+      positions[i]++;
+    }
+    for (let i = 0; i < 5; i++) {
+      desired[i] += increments[i];
+    }
+
+    // 中間のマーカーを理想の位置に近づける
+    for (let i = 1; i <= 3; i++) {
+      const diff = desired[i] - positions[i];
+      if (
+        (diff >= 1 && positions[i + 1] - positions[i] > 1) ||
+        (diff <= -1 && positions[i - 1] - positions[i] < -1)
+      ) {
+        const d = Math.sign(diff);
+        const candidate = parabolic(i, d);
+        heights[i] =
+          heights[i - 1] < candidate && candidate < heights[i + 1] ? candidate : linear(i, d);
+        positions[i] += d;
+      }
+    }
+  };
+
+  const value = () => {
+    if (count === 0) {
+      return 0;
+    }
+    return count <= 5 ? interpolate(heights, p) : heights[2];
+  };
+
+  return { add, value, count: () => count };
+};
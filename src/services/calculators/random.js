@@ -0,0 +1,61 @@
+/**
+ * シード指定が可能な乱数生成
+ *
+ * 同じシードからは同じ乱数列を生成するため、シミュレーション結果を再現できる。
+ */
+
+/**
+ * 文字列のハッシュ値を計算（FNV-1a）
+ * @param {string} text - 文字列
+ * @returns {number} 32ビット整数
+ */
+export const hashString = text => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * シード値を32ビット整数に変換
+ * 文字列のシードはハッシュ値を使う
+ * @param {number|string} seed - シード値
+ * @returns {number} 32ビット整数
+ */
+export const normalizeSeed = seed => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+  return hashString(String(seed ?? ''));
+};
+
+/**
+ * 一様乱数の生成関数を作成（mulberry32）
+ * @param {number|string} seed - シード値
+ * @returns {function(): number} 0以上1未満の乱数を返す関数
+ */
+export const createRandom = seed => {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 標準正規分布の乱数を生成（Box-Muller変換）
+ * @param {function(): number} random - 一様乱数の生成関数
+ * @returns {number}
+ */
+export const sampleNormal = random => {
+  let u = 0;
+  let v = 0;
+  while (u === 0) u = random();
+  while (v === 0) v = random();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+};
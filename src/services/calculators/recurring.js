@@ -0,0 +1,113 @@
+import { findMember, getYearAtMemberAge } from './members';
+
+/**
+ * 複数年にわたる繰り返し項目の展開
+ *
+ * ライフプラン直下の recurringItems を各年の収入・支出に展開する。
+ * 年別データの recurringOverrides に保存された上書き内容があればそれを優先する。
+ */
+
+/**
+ * 繰り返し項目の終了条件
+ */
+export const RECURRING_END_TYPES = {
+  YEAR: 'year',
+  RETIREMENT: 'retirement',
+  LIFETIME: 'lifetime',
+  MEMBER_AGE: 'memberAge',
+};
+
+/**
+ * 繰り返し項目の終了年を取得
+ * @param {object} item - 繰り返し項目
+ * @param {object} lifePlan - ライフプラン
+ * @returns {number} 終了年（この年を含む）
+ */
+export const getRecurringEndYear = (item, lifePlan) => {
+  const lastPlanYear = lifePlan.startYear + lifePlan.lifespan - 1;
+
+  switch (item.endType) {
+    case RECURRING_END_TYPES.YEAR:
+      return item.endYear ?? lastPlanYear;
+    case RECURRING_END_TYPES.RETIREMENT:
+      // 退職年の前年までを対象とする
+      return lifePlan.retirementYear ? lifePlan.retirementYear - 1 : lastPlanYear;
+    case RECURRING_END_TYPES.MEMBER_AGE: {
+      // メンバーが指定の年齢になる年までを対象とする
+      const member = findMember(lifePlan, item.memberId);
+      const year = typeof item.endAge === 'number' ? getYearAtMemberAge(member, item.endAge) : null;
+      return year ?? lastPlanYear;
+    }
+    case RECURRING_END_TYPES.LIFETIME:
+    default:
+      return lastPlanYear;
+  }
+};
+
+/**
+ * 指定年に繰り返し項目が有効かどうか
+ * @param {object} item - 繰り返し項目
+ * @param {number} year - 対象年
+ * @param {object} lifePlan - ライフプラン
+ * @returns {boolean}
+ */
+export const isRecurringItemActive = (item, year, lifePlan) => {
+  const startYear = item.startYear ?? lifePlan.startYear;
+  return year >= startYear && year <= getRecurringEndYear(item, lifePlan);
+};
+
+/**
+ * 昇給率・上昇率を反映した指定年の金額を計算
+ * @param {object} item - 繰り返し項目
+ * @param {number} year - 対象年
+ * @param {object} lifePlan - ライフプラン
+ * @returns {number} 指定年の1回あたりの金額
+ */
+export const calculateRecurringAmount = (item, year, lifePlan) => {
+  const startYear = item.startYear ?? lifePlan.startYear;
+  const growthRate = item.growthRate || 0;
+  return Math.round(item.amount * Math.pow(1 + growthRate, year - startYear));
+};
+
+/**
+ * 繰り返し項目を指定年の収入・支出に展開
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} yearData - 年別財務情報
+ * @returns {{incomes: object[], expenses: object[]}} 展開された項目
+ */
+export const expandRecurringItems = (lifePlan, yearData) => {
+  const overrides = yearData.recurringOverrides || {};
+  const result = { incomes: [], expenses: [] };
+
+  (lifePlan.recurringItems || []).forEach(item => {
+    if (!isRecurringItemActive(item, yearData.year, lifePlan)) {
+      return;
+    }
+
+    const override = overrides[item.id];
+    if (override?.excluded) {
+      return;
+    }
+
+    const expanded = {
+      id: item.id,
+      name: item.name,
+      frequency: item.frequency,
+      category: item.category,
+      date: item.date,
+      memberId: item.memberId,
+      amount: calculateRecurringAmount(item, yearData.year, lifePlan),
+      ...override,
+      recurringItemId: item.id,
+      isOverridden: !!override,
+    };
+
+    if (item.type === 'income') {
+      result.incomes.push(expanded);
+    } else {
+      result.expenses.push(expanded);
+    }
+  });
+
+  return result;
+};
@@ -0,0 +1,161 @@
+import { SALARY_CATEGORY } from './tax';
+
+/**
+ * シナリオ（もしもの条件）の適用
+ *
+ * ライフプランの scenarios には、プラン本体をコピーせずに
+ * 変更したい条件（上書き内容）だけを保存する。
+ * 収支予測の前に上書き内容を重ねた入力データを作り、その場で予測し直す。
+ */
+
+/**
+ * シナリオで上書きできる条件
+ */
+export const SCENARIO_OVERRIDE_LABELS = {
+  inflationRate: 'インフレ率',
+  salaryGrowthRate: '給与の昇給率',
+  retirementYear: '退職年',
+  assetRates: '資産の期待収益率',
+  disabledEventIds: '発生しないイベント',
+};
+
+/**
+ * 上書きする値が設定されているかどうか
+ * @param {*} value - 上書きする値
+ * @returns {boolean}
+ */
+const isSet = value => value !== undefined && value !== null;
+
+/**
+ * プランのイベントをIDで検索
+ * @param {object} lifePlan - ライフプラン
+ * @returns {Map<string, {event: object, year: number}>}
+ */
+export const collectLifePlanEvents = lifePlan => {
+  const events = new Map();
+  (lifePlan.yearlyFinances || []).forEach(yearData => {
+    (yearData.events || []).forEach(event => {
+      events.set(event.id, { event, year: yearData.year });
+    });
+  });
+  return events;
+};
+
+/**
+ * 発生しないイベントに関連付けられた収支を年別データから除く
+ * 繰り返し項目はその年だけ除外する
+ * @param {object} yearData - 年別財務情報
+ * @param {Set<string>} disabledEventIds - 発生しないイベントのID
+ * @param {Set<string>} recurringItemIds - 繰り返し項目のID
+ * @returns {object} 年別財務情報
+ */
+const removeDisabledEvents = (yearData, disabledEventIds, recurringItemIds) => {
+  const disabledEvents = (yearData.events || []).filter(event => disabledEventIds.has(event.id));
+  if (disabledEvents.length === 0) {
+    return yearData;
+  }
+
+  const removedIds = new Set(
+    disabledEvents.flatMap(event => [
+      ...(event.impactDetails?.incomes || []),
+      ...(event.impactDetails?.expenses || []),
+    ]),
+  );
+  const recurringOverrides = { ...yearData.recurringOverrides };
+  removedIds.forEach(id => {
+    if (recurringItemIds.has(id)) {
+      recurringOverrides[id] = { ...recurringOverrides[id], excluded: true };
+    }
+  });
+
+  return {
+    ...yearData,
+    events: yearData.events.filter(event => !disabledEventIds.has(event.id)),
+    incomes: (yearData.incomes || []).filter(item => !removedIds.has(item.id)),
+    expenses: (yearData.expenses || []).filter(item => !removedIds.has(item.id)),
+    recurringOverrides,
+  };
+};
+
+/**
+ * シナリオの上書き内容を重ねた収支予測の入力データを作成
+ * 元のライフプラン・資産・負債は変更しない
+ * @param {{lifePlan: object, assets: object[], liabilities: object[]}} inputs - 予測の入力データ
+ * @param {object|null} scenario - シナリオ（null の場合はそのまま返す）
+ * @returns {{lifePlan: object, assets: object[], liabilities: object[]}}
+ */
+export const applyScenario = ({ lifePlan, assets = [], liabilities = [] }, scenario) => {
+  if (!scenario) {
+    return { lifePlan, assets, liabilities };
+  }
+
+  const overrides = scenario.overrides || {};
+  const plan = { ...lifePlan };
+
+  if (isSet(overrides.inflationRate)) {
+    plan.inflationRate = overrides.inflationRate;
+  }
+  if (isSet(overrides.retirementYear)) {
+    plan.retirementYear = overrides.retirementYear;
+  }
+  if (isSet(overrides.salaryGrowthRate)) {
+    plan.recurringItems = (lifePlan.recurringItems || []).map(item =>
+      item.type === 'income' && item.category === SALARY_CATEGORY
+        ? { ...item, growthRate: overrides.salaryGrowthRate }
+        : item,
+    );
+  }
+
+  // 発生しないイベントの収支と、関連付けられた資産を除く
+  const disabledEventIds = new Set(overrides.disabledEventIds || []);
+  const removedAssetIds = new Set();
+  if (disabledEventIds.size > 0) {
+    const recurringItemIds = new Set((plan.recurringItems || []).map(item => item.id));
+    plan.yearlyFinances = lifePlan.yearlyFinances.map(yearData =>
+      removeDisabledEvents(yearData, disabledEventIds, recurringItemIds),
+    );
+    collectLifePlanEvents(lifePlan).forEach(({ event }) => {
+      if (disabledEventIds.has(event.id)) {
+        (event.impactDetails?.assets || []).forEach(id => removedAssetIds.add(id));
+      }
+    });
+  }
+
+  const assetRates = overrides.assetRates || {};
+  const scenarioAssets = assets
+    .filter(asset => !removedAssetIds.has(asset.id))
+    .map(asset =>
+      isSet(assetRates[asset.id]) && asset.returns?.capitalGain
+        ? {
+            ...asset,
+            returns: {
+              ...asset.returns,
+              capitalGain: { ...asset.returns.capitalGain, annualRate: assetRates[asset.id] },
+            },
+          }
+        : asset,
+    );
+
+  return { lifePlan: plan, assets: scenarioAssets, liabilities };
+};
+
+/**
+ * シナリオの上書き内容の説明
+ * @param {object} scenario - シナリオ
+ * @returns {string[]} 上書きしている条件の名称
+ */
+export const describeScenarioOverrides = scenario => {
+  const overrides = scenario.overrides || {};
+  return Object.keys(SCENARIO_OVERRIDE_LABELS)
+    .filter(key => {
+      const value = overrides[key];
+      if (Array.isArray(value)) {
+        return value.length > 0;
+      }
+      if (value && typeof value === 'object') {
+        return Object.values(value).some(isSet);
+      }
+      return isSet(value);
+    })
+    .map(key => SCENARIO_OVERRIDE_LABELS[key]);
+};
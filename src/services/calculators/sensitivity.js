@@ -0,0 +1,210 @@
+import { buildProjection } from './projection';
+import { SALARY_CATEGORY } from './tax';
+
+/**
+ * 感度分析
+ *
+ * 主要な前提条件（インフレ率・資産の期待収益率と配当利回り・給与の昇給率・想定寿命）を
+ * 1つずつ上下に動かして収支予測をやり直し、最終年の純資産への影響の大きい順に並べる。
+ * 予測には年別収支一覧と同じ buildProjection を使う。
+ */
+
+// 利率を動かす幅の既定値（±1%）
+export const DEFAULT_RATE_DELTA = 0.01;
+
+// 想定寿命を動かす幅の既定値（±5年）
+export const DEFAULT_LIFESPAN_DELTA = 5;
+
+/**
+ * 資産の収益率の設定を変更
+ * @param {object} asset - 資産
+ * @param {string} key - capitalGain または incomeGain
+ * @param {object} data - 変更する設定
+ * @returns {object} 資産
+ */
+const updateAssetReturns = (asset, key, data) => ({
+  ...asset,
+  returns: {
+    ...asset.returns,
+    [key]: { ...asset.returns[key], ...data },
+  },
+});
+
+/**
+ * 想定寿命を変更したライフプランを作成
+ * 延ばした年は空の年別データで補う
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} lifespan - 変更後の想定寿命
+ * @returns {object} ライフプラン
+ */
+const withLifespan = (lifePlan, lifespan) => {
+  const lastYear = lifePlan.startYear + lifespan - 1;
+  const yearlyFinances = lifePlan.yearlyFinances.filter(yf => yf.year <= lastYear);
+  const years = new Set(yearlyFinances.map(yf => yf.year));
+  for (let year = lifePlan.startYear; year <= lastYear; year++) {
+    if (!years.has(year)) {
+      yearlyFinances.push({
+        id: `sensitivity-${year}`,
+        year,
+        events: [],
+        incomes: [],
+        expenses: [],
+        recurringOverrides: {},
+        actuals: {},
+      });
+    }
+  }
+  return { ...lifePlan, lifespan, yearlyFinances };
+};
+
+/**
+ * 感度分析の対象となる前提条件の一覧を作成
+ * apply は予測の入力データと動かす量（符号付き）から、変更後の入力データを返す
+ * @param {object} lifePlan - ライフプラン
+ * @param {object[]} assets - 資産
+ * @param {{rateDelta: number, lifespanDelta: number}} deltas - 動かす幅
+ * @returns {{key: string, label: string, delta: number, format: string, apply: function}[]}
+ */
+export const buildSensitivityFactors = (
+  lifePlan,
+  assets,
+  { rateDelta = DEFAULT_RATE_DELTA, lifespanDelta = DEFAULT_LIFESPAN_DELTA } = {},
+) => {
+  const factors = [
+    {
+      key: 'inflationRate',
+      label: 'インフレ率',
+      delta: rateDelta,
+      format: 'percent',
+      apply: (inputs, change) => ({
+        ...inputs,
+        lifePlan: {
+          ...inputs.lifePlan,
+          inflationRate: (inputs.lifePlan.inflationRate || 0) + change,
+        },
+      }),
+    },
+  ];
+
+  assets
+    .filter(asset => asset.returns?.capitalGain)
+    .forEach(asset => {
+      factors.push({
+        key: `annualRate-${asset.id}`,
+        label: `${asset.name}の期待収益率`,
+        delta: rateDelta,
+        format: 'percent',
+        apply: (inputs, change) => ({
+          ...inputs,
+          assets: inputs.assets.map(a =>
+            a.id === asset.id
+              ? updateAssetReturns(a, 'capitalGain', {
+                  annualRate: a.returns.capitalGain.annualRate + change,
+                })
+              : a,
+          ),
+        }),
+      });
+    });
+
+  assets
+    .filter(asset => asset.returns?.incomeGain)
+    .forEach(asset => {
+      factors.push({
+        key: `dividendYield-${asset.id}`,
+        label: `${asset.name}の配当利回り`,
+        delta: rateDelta,
+        format: 'percent',
+        apply: (inputs, change) => ({
+          ...inputs,
+          assets: inputs.assets.map(a =>
+            a.id === asset.id
+              ? updateAssetReturns(a, 'incomeGain', {
+                  // 配当利回りはマイナスにしない
+                  dividendYield: Math.max(0, (a.returns.incomeGain.dividendYield || 0) + change),
+                })
+              : a,
+          ),
+        }),
+      });
+    });
+
+  const isSalaryItem = item => item.type === 'income' && item.category === SALARY_CATEGORY;
+  if ((lifePlan.recurringItems || []).some(isSalaryItem)) {
+    factors.push({
+      key: 'salaryGrowthRate',
+      label: '給与の昇給率',
+      delta: rateDelta,
+      format: 'percent',
+      apply: (inputs, change) => ({
+        ...inputs,
+        lifePlan: {
+          ...inputs.lifePlan,
+          recurringItems: inputs.lifePlan.recurringItems.map(item =>
+            isSalaryItem(item) ? { ...item, growthRate: (item.growthRate || 0) + change } : item,
+          ),
+        },
+      }),
+    });
+  }
+
+  factors.push({
+    key: 'lifespan',
+    label: '想定寿命',
+    delta: lifespanDelta,
+    format: 'years',
+    apply: (inputs, change) => ({
+      ...inputs,
+      lifePlan: withLifespan(inputs.lifePlan, Math.max(1, inputs.lifePlan.lifespan + change)),
+    }),
+  });
+
+  return factors;
+};
+
+/**
+ * 最終年の純資産を取得
+ * @param {object} projection - buildProjection の結果
+ * @returns {number}
+ */
+const getFinalNetWorth = projection => {
+  const { rows } = projection;
+  return rows.length > 0 ? rows[rows.length - 1].netWorth : 0;
+};
+
+/**
+ * 感度分析の実行
+ * @param {object} params - buildProjection と同じ入力データ
+ * @param {{rateDelta: number, lifespanDelta: number}} deltas - 動かす幅
+ * @returns {{baseValue: number, results: object[]}}
+ *   results は影響の大きい順。lowValue / highValue は前提を下げた / 上げた場合の最終年の純資産
+ */
+export const runSensitivityAnalysis = (params, deltas = {}) => {
+  const inputs = {
+    ...params,
+    assets: params.assets || [],
+    liabilities: params.liabilities || [],
+  };
+  const baseValue = getFinalNetWorth(buildProjection(inputs));
+
+  const results = buildSensitivityFactors(inputs.lifePlan, inputs.assets, deltas).map(factor => {
+    const lowValue = getFinalNetWorth(buildProjection(factor.apply(inputs, -factor.delta)));
+    const highValue = getFinalNetWorth(buildProjection(factor.apply(inputs, factor.delta)));
+    return {
+      key: factor.key,
+      label: factor.label,
+      delta: factor.delta,
+      format: factor.format,
+      lowValue,
+      highValue,
+      lowImpact: lowValue - baseValue,
+      highImpact: highValue - baseValue,
+      range: Math.abs(highValue - lowValue),
+    };
+  });
+
+  return {
+    baseValue,
+    results: results.sort((a, b) => b.range - a.range),
+  };
+};
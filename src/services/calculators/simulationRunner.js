@@ -0,0 +1,146 @@
+import { buildCategoryRateMap } from './inflation';
+import {
+  createSummaryAccumulator,
+  getSimulationSettings,
+  prepareSimulation,
+  simulatePath,
+} from './monteCarlo';
+import { createRandom, hashString } from './random';
+
+/**
+ * モンテカルロシミュレーションの分割実行
+ *
+ * 試行を一定回数ごとに区切り、区切りごとにイベントループへ処理を返すことで
+ * 実行中も画面の操作を妨げないようにする。
+ * 結果は入力（ライフプラン・カテゴリ別インフレ率・シミュレーション設定）をキーにキャッシュする。
+ */
+
+// 1回の区切りで実行する試行回数
+export const DEFAULT_BATCH_SIZE = 50;
+
+// キャッシュする結果の件数
+const MAX_CACHE_ENTRIES = 10;
+
+// 入力のキーをキーとしたシミュレーション結果（古い順）
+const resultCache = new Map();
+
+/**
+ * シミュレーション結果のキャッシュキーを作成
+ * @param {object} params - prepareSimulation と同じ引数
+ * @returns {string}
+ */
+export const createSimulationCacheKey = ({
+  lifePlan,
+  assets = [],
+  liabilities = [],
+  incomeCategories = [],
+  expenseCategories = [],
+  settings = getSimulationSettings(lifePlan),
+}) => {
+  const json = JSON.stringify({
+    lifePlan,
+    // 年次パフォーマンスは資産の設定から計算されるため、キーに含めない
+    assets: assets.map(asset => ({ ...asset, yearlyPerformance: undefined })),
+    liabilities,
+    incomeRates: buildCategoryRateMap(incomeCategories),
+    expenseRates: buildCategoryRateMap(expenseCategories),
+    settings,
+  });
+  return `${hashString(json)}:${json.length}`;
+};
+
+/**
+ * キャッシュ済みのシミュレーション結果を取得
+ * @param {object} params - prepareSimulation と同じ引数
+ * @returns {object|null} シミュレーション結果（未実行の場合はnull）
+ */
+export const getCachedSimulation = params => {
+  return resultCache.get(createSimulationCacheKey(params)) ?? null;
+};
+
+/**
+ * シミュレーション結果をキャッシュに保存
+ * 上限を超えた場合は古い結果から削除する
+ * @param {string} key - キャッシュキー
+ * @param {object} result - シミュレーション結果
+ */
+const saveToCache = (key, result) => {
+  resultCache.delete(key);
+  resultCache.set(key, result);
+  if (resultCache.size > MAX_CACHE_ENTRIES) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+};
+
+/**
+ * シミュレーション結果のキャッシュを削除
+ */
+export const clearSimulationCache = () => {
+  resultCache.clear();
+};
+
+/**
+ * イベントループに処理を返す
+ * @returns {Promise<void>}
+ */
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * シミュレーションを分割して実行
+ * 結果は runPortfolioSimulation と同じ（同じシードなら同じ結果になる）
+ * @param {object} params - prepareSimulation と同じ引数
+ * @param {object} options
+ * @param {function(number): void} options.onProgress - 進捗（0〜1）を受け取るコールバック
+ * @param {number} options.batchSize - 1回の区切りで実行する試行回数
+ * @returns {{promise: Promise<object|null>, cancel: function(): void}} 結果のPromise（キャンセルした場合はnullで解決）とキャンセル関数
+ */
+export const startPortfolioSimulation = (
+  params,
+  { onProgress, batchSize = DEFAULT_BATCH_SIZE } = {},
+) => {
+  let isCancelled = false;
+
+  const run = async () => {
+    const key = createSimulationCacheKey(params);
+    if (resultCache.has(key)) {
+      const cached = resultCache.get(key);
+      saveToCache(key, cached);
+      onProgress?.(1);
+      return cached;
+    }
+
+    await yieldToEventLoop();
+    if (isCancelled) {
+      return null;
+    }
+
+    const prepared = prepareSimulation(params);
+    const { iterations, seed } = prepared.settings;
+    const random = createRandom(seed);
+    const accumulator = createSummaryAccumulator(prepared.years);
+
+    while (accumulator.count() < iterations) {
+      const batchEnd = Math.min(accumulator.count() + batchSize, iterations);
+      while (accumulator.count() < batchEnd) {
+        accumulator.add(simulatePath(prepared, random));
+      }
+      onProgress?.(accumulator.count() / iterations);
+
+      await yieldToEventLoop();
+      if (isCancelled) {
+        return null;
+      }
+    }
+
+    const result = { ...accumulator.summarize(), iterations, seed };
+    saveToCache(key, result);
+    return result;
+  };
+
+  return {
+    promise: run(),
+    cancel: () => {
+      isCancelled = true;
+    },
+  };
+};
@@ -0,0 +1,90 @@
+/**
+ * 社会保険料の料率テーブル
+ *
+ * 料率改定に合わせて SOCIAL_INSURANCE_TABLES に適用開始年ごとのテーブルを追加する。
+ * 料率は労使合計の率で、被保険者（本人）の負担割合は employeeShare で表す。
+ * 健康保険・介護保険は協会けんぽ（東京支部）の料率を既定値とする。
+ */
+
+/**
+ * 2024年度の料率
+ */
+const SOCIAL_INSURANCE_TABLE_2024 = {
+  fromYear: 2024,
+
+  // 健康保険
+  healthInsurance: {
+    rate: 0.0998,
+    employeeShare: 0.5,
+    // 標準報酬月額の下限・上限
+    minMonthlyRemuneration: 58000,
+    maxMonthlyRemuneration: 1390000,
+    // 標準賞与額の年度累計の上限
+    maxAnnualBonus: 5730000,
+    // 後期高齢者医療制度に移行する年齢
+    endAge: 75,
+  },
+
+  // 介護保険（第2号被保険者）
+  nursingCareInsurance: {
+    rate: 0.016,
+    employeeShare: 0.5,
+    startAge: 40,
+    endAge: 65,
+  },
+
+  // 厚生年金保険
+  pension: {
+    rate: 0.183,
+    employeeShare: 0.5,
+    // 標準報酬月額の下限・上限
+    minMonthlyRemuneration: 88000,
+    maxMonthlyRemuneration: 650000,
+    // 1回あたりの標準賞与額の上限
+    maxBonusPerPayment: 1500000,
+    // 被保険者でなくなる年齢
+    endAge: 70,
+  },
+
+  // 雇用保険（一般の事業の被保険者負担率）
+  employmentInsurance: {
+    employeeRate: 0.006,
+  },
+};
+
+/**
+ * 2025年度の料率
+ */
+const SOCIAL_INSURANCE_TABLE_2025 = {
+  ...SOCIAL_INSURANCE_TABLE_2024,
+  fromYear: 2025,
+  healthInsurance: {
+    ...SOCIAL_INSURANCE_TABLE_2024.healthInsurance,
+    rate: 0.0991,
+  },
+  nursingCareInsurance: {
+    ...SOCIAL_INSURANCE_TABLE_2024.nursingCareInsurance,
+    rate: 0.0159,
+  },
+  employmentInsurance: {
+    employeeRate: 0.0055,
+  },
+};
+
+/**
+ * 適用開始年の昇順に並べた料率テーブル
+ */
+export const SOCIAL_INSURANCE_TABLES = [SOCIAL_INSURANCE_TABLE_2024, SOCIAL_INSURANCE_TABLE_2025];
+
+/**
+ * 指定年に適用される料率テーブルを取得
+ * 最も古いテーブルより前の年は最も古いテーブルを使用する
+ * @param {number} year - 対象年
+ * @returns {object} 料率テーブル
+ */
+export const getSocialInsuranceTable = year => {
+  return SOCIAL_INSURANCE_TABLES.reduce(
+    (selected, table) => (table.fromYear <= year ? table : selected),
+    SOCIAL_INSURANCE_TABLES[0],
+  );
+};
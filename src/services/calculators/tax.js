@@ -0,0 +1,316 @@
+import { ENUMS } from '../../constants';
+import { findSelfMember, getMemberAge } from './members';
+import { getTaxTable } from './taxTables';
+
+/**
+ * 給与所得に対する所得税・住民税の計算
+ *
+ * 税額は対象年の給与収入から計算する（住民税は本来翌年度に課税されるが、同じ年に計上する）。
+ * 社会保険料控除・小規模企業共済等掛金控除（iDeCo）は incomeDeductions として外部から受け取る。
+ * 住宅借入金等特別控除（住宅ローン控除）は税額控除として所得税から差し引き、
+ * 控除しきれない分を上限の範囲で住民税から差し引く。
+ */
+
+// 給与収入として扱うカテゴリ
+export const SALARY_CATEGORY = '給与収入';
+
+/**
+ * 区分表から該当する区分を取得
+ * @param {object[]} brackets - upTo の昇順に並んだ区分
+ * @param {number} value - 判定する金額
+ * @returns {object} 該当する区分
+ */
+const findBracket = (brackets, value) => brackets.find(bracket => value <= bracket.upTo);
+
+/**
+ * 1,000円未満を切り捨て
+ * @param {number} amount - 金額
+ * @returns {number}
+ */
+const floorThousand = amount => Math.floor(amount / 1000) * 1000;
+
+/**
+ * 給与所得控除額を計算
+ * @param {number} salary - 給与収入
+ * @param {object} table - 税制テーブル
+ * @returns {number} 給与所得控除額（給与収入を上限とする）
+ */
+export const calculateSalaryDeduction = (salary, table) => {
+  const { rate, fixed } = findBracket(table.salaryDeduction, salary);
+  return Math.min(salary, Math.floor(salary * rate + fixed));
+};
+
+/**
+ * 給与所得（合計所得金額）を計算
+ * @param {number} salary - 給与収入
+ * @param {object} table - 税制テーブル
+ * @returns {number} 給与所得
+ */
+export const calculateSalaryIncome = (salary, table) => {
+  return Math.max(0, salary - calculateSalaryDeduction(salary, table));
+};
+
+/**
+ * 所得税額（復興特別所得税を除く）を計算
+ * @param {number} taxableIncome - 課税所得金額
+ * @param {object} table - 税制テーブル
+ * @returns {number} 基準所得税額
+ */
+export const calculateProgressiveTax = (taxableIncome, table) => {
+  const taxable = floorThousand(Math.max(0, taxableIncome));
+  const { rate, deduction } = findBracket(table.incomeTaxBrackets, taxable);
+  return Math.max(0, Math.floor(taxable * rate - deduction));
+};
+
+/**
+ * 配偶者控除・扶養控除などの人的控除を計算
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @param {object} params
+ * @param {number} params.totalIncome - 納税者の合計所得金額
+ * @param {object} params.incomes - メンバーIDをキーとした合計所得金額
+ * @param {object} table - 税制テーブル
+ * @returns {{incomeTax: number, residentTax: number, difference: number}} 控除額と住民税の調整控除に使う人的控除差
+ */
+export const calculatePersonalDeductions = (lifePlan, year, { totalIncome, incomes }, table) => {
+  const { spouseDeduction, dependentDeduction } = table;
+  const deductions = { incomeTax: 0, residentTax: 0, difference: 0 };
+
+  const addDeduction = (incomeTaxAmount, residentTaxAmount) => {
+    deductions.incomeTax += incomeTaxAmount;
+    deductions.residentTax += residentTaxAmount;
+    deductions.difference += incomeTaxAmount - residentTaxAmount;
+  };
+
+  (lifePlan.members || []).forEach(member => {
+    const age = getMemberAge(member, year);
+    const memberIncome = incomes[member.id] || 0;
+    if (age === null) {
+      return;
+    }
+
+    if (member.relationship === ENUMS.relationship.SPOUSE) {
+      if (memberIncome > spouseDeduction.spouseIncomeLimit) {
+        return;
+      }
+      const isElderly = age >= spouseDeduction.elderlyAge;
+      const incomeTaxBracket = findBracket(spouseDeduction.incomeTax, totalIncome);
+      const residentTaxBracket = findBracket(spouseDeduction.residentTax, totalIncome);
+      addDeduction(
+        isElderly ? incomeTaxBracket.elderlyAmount : incomeTaxBracket.amount,
+        isElderly ? residentTaxBracket.elderlyAmount : residentTaxBracket.amount,
+      );
+    } else if (member.relationship !== ENUMS.relationship.SELF) {
+      if (memberIncome > dependentDeduction.dependentIncomeLimit) {
+        return;
+      }
+      const bracket = [...dependentDeduction.brackets].reverse().find(b => age >= b.minAge);
+      addDeduction(bracket.incomeTax, bracket.residentTax);
+    }
+  });
+
+  return deductions;
+};
+
+/**
+ * 住民税額を計算
+ * @param {object} params
+ * @param {number} params.totalIncome - 合計所得金額
+ * @param {number} params.deductions - 住民税の所得控除の合計
+ * @param {number} params.personalDifference - 人的控除差の合計
+ * @param {number} params.dependentCount - 同一生計配偶者と扶養親族の人数
+ * @param {number} params.taxCredit - 所得割から差し引く税額控除（住宅ローン控除）
+ * @param {object} table - 税制テーブル
+ * @returns {number} 住民税額（所得割 + 均等割）
+ */
+export const calculateResidentTax = (
+  { totalIncome, deductions, personalDifference, dependentCount, taxCredit = 0 },
+  table,
+) => {
+  const { residentTax } = table;
+
+  // 非課税限度額以下の場合は課税しない
+  const exemptLimit =
+    dependentCount > 0
+      ? residentTax.exemptPerPerson * (dependentCount + 1) + residentTax.exemptAdditional
+      : residentTax.exemptIncomeLimit;
+  if (totalIncome <= exemptLimit) {
+    return 0;
+  }
+
+  const taxableIncome = floorThousand(Math.max(0, totalIncome - deductions));
+
+  // 調整控除
+  const { adjustment } = residentTax;
+  const difference = adjustment.basicDifference + personalDifference;
+  const adjustmentBase =
+    taxableIncome <= adjustment.threshold
+      ? Math.min(difference, taxableIncome)
+      : Math.max(difference - (taxableIncome - adjustment.threshold), adjustment.minimum);
+  const adjustmentDeduction = Math.floor(adjustmentBase * adjustment.rate);
+
+  const incomeLevy = Math.max(
+    0,
+    Math.floor(taxableIncome * residentTax.incomeRate) - adjustmentDeduction - taxCredit,
+  );
+  return Math.floor(incomeLevy / 100) * 100 + residentTax.perCapita;
+};
+
+/**
+ * 給与収入にかかる所得税・住民税を計算
+ * @param {object} params
+ * @param {number} params.salary - 給与収入
+ * @param {number} params.year - 対象年
+ * @param {object} params.lifePlan - ライフプラン（人的控除の判定用）
+ * @param {object} params.incomes - メンバーIDをキーとした合計所得金額（配偶者・扶養親族の判定用）
+ * @param {number} params.incomeDeductions - 社会保険料控除・小規模企業共済等掛金控除の合計額
+ * @param {boolean} params.isPrimary - 配偶者控除・扶養控除を適用する納税者かどうか
+ * @param {object} params.housingLoanCredit - 住宅ローン控除（控除額 amount と住民税から控除できる上限の設定）
+ * @returns {object} 税額の内訳
+ */
+export const calculateSalaryTax = ({
+  salary,
+  year,
+  lifePlan,
+  incomes = {},
+  incomeDeductions = 0,
+  isPrimary = true,
+  housingLoanCredit = null,
+}) => {
+  const table = getTaxTable(year);
+  const salaryDeduction = calculateSalaryDeduction(salary, table);
+  const totalIncome = Math.max(0, salary - salaryDeduction);
+
+  const personal = isPrimary
+    ? calculatePersonalDeductions(lifePlan, year, { totalIncome, incomes }, table)
+    : { incomeTax: 0, residentTax: 0, difference: 0 };
+  const dependentCount = isPrimary
+    ? (lifePlan.members || []).filter(
+        member =>
+          member.relationship !== ENUMS.relationship.SELF &&
+          getMemberAge(member, year) !== null &&
+          (incomes[member.id] || 0) <= table.dependentDeduction.dependentIncomeLimit,
+      ).length
+    : 0;
+
+  // 所得税
+  const incomeTaxDeductions =
+    findBracket(table.basicDeduction.incomeTax, totalIncome).amount +
+    personal.incomeTax +
+    incomeDeductions;
+  const taxableIncome = floorThousand(Math.max(0, totalIncome - incomeTaxDeductions));
+  const baseIncomeTax = calculateProgressiveTax(taxableIncome, table);
+  // 住宅ローン控除は復興特別所得税の計算前の所得税額から差し引く
+  const creditAmount = housingLoanCredit?.amount || 0;
+  const incomeTaxCredit = Math.min(baseIncomeTax, creditAmount);
+  const creditedIncomeTax = baseIncomeTax - incomeTaxCredit;
+  const reconstructionTax =
+    year <= table.reconstructionTax.endYear
+      ? Math.floor(creditedIncomeTax * table.reconstructionTax.rate)
+      : 0;
+  const incomeTax = Math.floor((creditedIncomeTax + reconstructionTax) / 100) * 100;
+  const residentTaxCredit =
+    creditAmount > incomeTaxCredit
+      ? Math.min(
+          creditAmount - incomeTaxCredit,
+          Math.floor(taxableIncome * housingLoanCredit.residentTaxRate),
+          housingLoanCredit.residentTaxLimit,
+        )
+      : 0;
+
+  // 住民税
+  const residentTax =
+    salary > 0
+      ? calculateResidentTax(
+          {
+            totalIncome,
+            deductions:
+              findBracket(table.basicDeduction.residentTax, totalIncome).amount +
+              personal.residentTax +
+              incomeDeductions,
+            personalDifference: personal.difference,
+            dependentCount,
+            taxCredit: residentTaxCredit,
+          },
+          table,
+        )
+      : 0;
+
+  return {
+    salary,
+    salaryDeduction,
+    totalIncome,
+    taxableIncome,
+    baseIncomeTax,
+    reconstructionTax,
+    incomeTax,
+    residentTax,
+    totalTax: incomeTax + residentTax,
+  };
+};
+
+/**
+ * 給与収入の項目を納税者（メンバー）ごとに集計
+ * メンバーが指定されていない項目は本人の収入として扱う
+ * @param {object[]} salaryItems - 給与収入の項目（年額 annualAmount を持つ）
+ * @param {string} selfId - 本人のメンバーID
+ * @returns {Map<string, number>} メンバーIDをキーとした給与収入
+ */
+const groupSalaryByEarner = (salaryItems, selfId) => {
+  const salaries = new Map();
+  salaryItems.forEach(item => {
+    const earnerId = item.memberId || selfId;
+    salaries.set(earnerId, (salaries.get(earnerId) || 0) + item.annualAmount);
+  });
+  return salaries;
+};
+
+/**
+ * 指定年の給与収入にかかる税額を計算
+ * @param {object} lifePlan - ライフプラン
+ * @param {number} year - 対象年
+ * @param {object[]} salaryItems - 給与収入の項目（年額 annualAmount を持つ）
+ * @param {object} incomeDeductions - メンバーIDをキーとした社会保険料控除・小規模企業共済等掛金控除の合計額
+ * @param {object} housingLoanCredits - メンバーIDをキーとした住宅ローン控除
+ * @returns {{earners: object[], incomeTax: number, residentTax: number, totalTax: number}}
+ */
+export const calculateYearTax = (
+  lifePlan,
+  year,
+  salaryItems,
+  incomeDeductions = {},
+  housingLoanCredits = {},
+) => {
+  const table = getTaxTable(year);
+  const selfId = findSelfMember(lifePlan)?.id ?? ENUMS.relationship.SELF;
+  const salaries = groupSalaryByEarner(salaryItems, selfId);
+
+  // 配偶者・扶養親族の判定に使う合計所得金額
+  const incomes = {};
+  salaries.forEach((salary, earnerId) => {
+    incomes[earnerId] = calculateSalaryIncome(salary, table);
+  });
+
+  const earners = Array.from(salaries.entries()).map(([earnerId, salary]) => ({
+    memberId: earnerId,
+    ...calculateSalaryTax({
+      salary,
+      year,
+      lifePlan,
+      incomes,
+      incomeDeductions: incomeDeductions[earnerId] || 0,
+      isPrimary: earnerId === selfId,
+      housingLoanCredit: housingLoanCredits[earnerId] || null,
+    }),
+  }));
+
+  const incomeTax = earners.reduce((sum, earner) => sum + earner.incomeTax, 0);
+  const residentTax = earners.reduce((sum, earner) => sum + earner.residentTax, 0);
+
+  return {
+    earners,
+    incomeTax,
+    residentTax,
+    totalTax: incomeTax + residentTax,
+  };
+};
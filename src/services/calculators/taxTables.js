@@ -0,0 +1,197 @@
+/**
+ * 所得税・住民税の税制テーブル
+ *
+ * 税制改正に合わせて TAX_TABLES に適用開始年ごとのテーブルを追加する。
+ * 金額はすべて円、率は小数（0.05 = 5%）で表す。
+ * 各区分の upTo はその金額以下に適用される上限（最後の区分は Infinity）。
+ */
+
+/**
+ * 令和2年分（2020年）以降の税制
+ */
+const TAX_TABLE_2020 = {
+  fromYear: 2020,
+
+  // 給与所得控除（給与収入 × rate + fixed）
+  salaryDeduction: [
+    { upTo: 1625000, rate: 0, fixed: 550000 },
+    { upTo: 1800000, rate: 0.4, fixed: -100000 },
+    { upTo: 3600000, rate: 0.3, fixed: 80000 },
+    { upTo: 6600000, rate: 0.2, fixed: 440000 },
+    { upTo: 8500000, rate: 0.1, fixed: 1100000 },
+    { upTo: Infinity, rate: 0, fixed: 1950000 },
+  ],
+
+  // 基礎控除（合計所得金額に応じた控除額）
+  basicDeduction: {
+    incomeTax: [
+      { upTo: 24000000, amount: 480000 },
+      { upTo: 24500000, amount: 320000 },
+      { upTo: 25000000, amount: 160000 },
+      { upTo: Infinity, amount: 0 },
+    ],
+    residentTax: [
+      { upTo: 24000000, amount: 430000 },
+      { upTo: 24500000, amount: 290000 },
+      { upTo: 25000000, amount: 150000 },
+      { upTo: Infinity, amount: 0 },
+    ],
+  },
+
+  // 配偶者控除（納税者の合計所得金額に応じた控除額）
+  spouseDeduction: {
+    // 控除対象となる配偶者の合計所得金額の上限
+    spouseIncomeLimit: 480000,
+    // 老人控除対象配偶者となる年齢
+    elderlyAge: 70,
+    incomeTax: [
+      { upTo: 9000000, amount: 380000, elderlyAmount: 480000 },
+      { upTo: 9500000, amount: 260000, elderlyAmount: 320000 },
+      { upTo: 10000000, amount: 130000, elderlyAmount: 160000 },
+      { upTo: Infinity, amount: 0, elderlyAmount: 0 },
+    ],
+    residentTax: [
+      { upTo: 9000000, amount: 330000, elderlyAmount: 380000 },
+      { upTo: 9500000, amount: 220000, elderlyAmount: 260000 },
+      { upTo: 10000000, amount: 110000, elderlyAmount: 130000 },
+      { upTo: Infinity, amount: 0, elderlyAmount: 0 },
+    ],
+  },
+
+  // 扶養控除（扶養親族の年末時点の年齢に応じた控除額）
+  dependentDeduction: {
+    // 控除対象となる扶養親族の合計所得金額の上限
+    dependentIncomeLimit: 480000,
+    brackets: [
+      { minAge: 0, incomeTax: 0, residentTax: 0 },
+      { minAge: 16, incomeTax: 380000, residentTax: 330000 },
+      { minAge: 19, incomeTax: 630000, residentTax: 450000 },
+      { minAge: 23, incomeTax: 380000, residentTax: 330000 },
+      { minAge: 70, incomeTax: 480000, residentTax: 380000 },
+    ],
+  },
+
+  // 所得税の速算表（課税所得 × rate − deduction）
+  incomeTaxBrackets: [
+    { upTo: 1949000, rate: 0.05, deduction: 0 },
+    { upTo: 3299000, rate: 0.1, deduction: 97500 },
+    { upTo: 6949000, rate: 0.2, deduction: 427500 },
+    { upTo: 8999000, rate: 0.23, deduction: 636000 },
+    { upTo: 17999000, rate: 0.33, deduction: 1536000 },
+    { upTo: 39999000, rate: 0.4, deduction: 2796000 },
+    { upTo: Infinity, rate: 0.45, deduction: 4796000 },
+  ],
+
+  // 復興特別所得税（基準所得税額 × rate、endYear まで）
+  reconstructionTax: {
+    rate: 0.021,
+    endYear: 2037,
+  },
+
+  // 住宅借入金等特別控除（入居年のテーブルの設定を控除期間中に適用する）
+  housingLoanCredit: {
+    // 年末残高に対する控除率
+    rate: 0.01,
+    // 控除期間（年）
+    years: 13,
+    // 控除の対象となる年末残高の上限（借入限度額）
+    borrowingLimit: 40000000,
+    // 所得税から控除しきれない分を住民税から控除する上限（課税総所得金額 × rate、limit まで）
+    residentTaxRate: 0.07,
+    residentTaxLimit: 136500,
+  },
+
+  // 住民税
+  residentTax: {
+    // 所得割の税率（市町村民税6% + 道府県民税4%）
+    incomeRate: 0.1,
+    // 均等割（森林環境税を含む）
+    perCapita: 5000,
+    // 非課税となる合計所得金額（単身の場合）
+    exemptIncomeLimit: 450000,
+    // 扶養親族がいる場合の非課税限度額（perPerson × 人数 + additional）
+    exemptPerPerson: 350000,
+    exemptAdditional: 310000,
+    // 調整控除
+    adjustment: {
+      rate: 0.05,
+      threshold: 2000000,
+      minimum: 50000,
+      // 人的控除額の差（所得税と住民税の控除額の差）
+      basicDifference: 50000,
+    },
+  },
+};
+
+/**
+ * 令和4年分（2022年）以降の税制
+ * 住宅借入金等特別控除の控除率・借入限度額の引き下げ
+ * 借入限度額は住宅の環境性能で異なるため、省エネ基準適合住宅の金額を既定値とする
+ */
+const TAX_TABLE_2022 = {
+  ...TAX_TABLE_2020,
+  fromYear: 2022,
+  housingLoanCredit: {
+    rate: 0.007,
+    years: 13,
+    borrowingLimit: 30000000,
+    residentTaxRate: 0.05,
+    residentTaxLimit: 97500,
+  },
+};
+
+/**
+ * 令和7年分（2025年）以降の税制
+ * 給与所得控除の最低保障額と基礎控除の引き上げ
+ */
+const TAX_TABLE_2025 = {
+  ...TAX_TABLE_2022,
+  fromYear: 2025,
+  salaryDeduction: [
+    { upTo: 1900000, rate: 0, fixed: 650000 },
+    { upTo: 3600000, rate: 0.3, fixed: 80000 },
+    { upTo: 6600000, rate: 0.2, fixed: 440000 },
+    { upTo: 8500000, rate: 0.1, fixed: 1100000 },
+    { upTo: Infinity, rate: 0, fixed: 1950000 },
+  ],
+  basicDeduction: {
+    ...TAX_TABLE_2020.basicDeduction,
+    incomeTax: [
+      { upTo: 1320000, amount: 950000 },
+      { upTo: 3360000, amount: 880000 },
+      { upTo: 4890000, amount: 680000 },
+      { upTo: 6550000, amount: 630000 },
+      { upTo: 23500000, amount: 580000 },
+      { upTo: 24000000, amount: 480000 },
+      { upTo: 24500000, amount: 320000 },
+      { upTo: 25000000, amount: 160000 },
+      { upTo: Infinity, amount: 0 },
+    ],
+  },
+  spouseDeduction: {
+    ...TAX_TABLE_2020.spouseDeduction,
+    spouseIncomeLimit: 580000,
+  },
+  dependentDeduction: {
+    ...TAX_TABLE_2020.dependentDeduction,
+    dependentIncomeLimit: 580000,
+  },
+};
+
+/**
+ * 適用開始年の昇順に並べた税制テーブル
+ */
+export const TAX_TABLES = [TAX_TABLE_2020, TAX_TABLE_2022, TAX_TABLE_2025];
+
+/**
+ * 指定年に適用される税制テーブルを取得
+ * 最も古いテーブルより前の年は最も古いテーブルを使用する
+ * @param {number} year - 対象年
+ * @returns {object} 税制テーブル
+ */
+export const getTaxTable = year => {
+  return TAX_TABLES.reduce(
+    (selected, table) => (table.fromYear <= year ? table : selected),
+    TAX_TABLES[0],
+  );
+};
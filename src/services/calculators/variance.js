@@ -0,0 +1,163 @@
+import { calculateAnnualAmount } from './cashFlow';
+import { buildCategoryRateMap } from './inflation';
+import { estimatePlanPensions } from './pension';
+import {
+  buildProjection,
+  findActualEndValue,
+  isBaselineYear,
+  resolveNominalYearItems,
+} from './projection';
+
+/**
+ * 予実管理（計画と実績の比較）
+ *
+ * 実績額を入力した収支項目について、計画（インフレを反映した名目額）と実績を比較する。
+ * 資産は、前年までの実績を反映した予測の期末評価額と実績評価額を比較する。
+ */
+
+// 計画との差異がこの割合以上の場合に、実績を基準にした再計算を提案する
+export const VARIANCE_THRESHOLD = 0.05;
+
+/**
+ * 計画と実績の差異を計算
+ * @param {number} plan - 計画額
+ * @param {number} actual - 実績額
+ * @returns {{plan: number, actual: number, difference: number, rate: number|null}}
+ *   rate は計画額に対する差額の割合（計画額が0の場合はnull）
+ */
+export const calculateVariance = (plan, actual) => {
+  const difference = actual - plan;
+  return {
+    plan,
+    actual,
+    difference,
+    rate: plan === 0 ? null : difference / Math.abs(plan),
+  };
+};
+
+/**
+ * 計画との差異が大きいかどうか
+ * @param {object} variance - calculateVariance の結果
+ * @param {number} threshold - 差異率のしきい値
+ * @returns {boolean}
+ */
+export const isDivergent = (variance, threshold = VARIANCE_THRESHOLD) =>
+  variance.rate === null ? variance.difference !== 0 : Math.abs(variance.rate) >= threshold;
+
+/**
+ * 実績額を入力した項目の差異を、項目別・カテゴリ別・合計で集計
+ * @param {object[]} items - 名目額の収支項目（actualAmount を含む）
+ * @returns {{items: object[], categories: object[], total: object}}
+ */
+const summarizeItemVariance = items => {
+  const itemVariances = items
+    .filter(item => item.actualAmount !== undefined)
+    .map(item => ({
+      id: item.id,
+      name: item.name,
+      category: item.category,
+      ...calculateVariance(calculateAnnualAmount(item), item.actualAmount),
+    }));
+
+  const categoryTotals = new Map();
+  itemVariances.forEach(({ category, plan, actual }) => {
+    const current = categoryTotals.get(category) || { plan: 0, actual: 0 };
+    categoryTotals.set(category, { plan: current.plan + plan, actual: current.actual + actual });
+  });
+
+  return {
+    items: itemVariances,
+    categories: Array.from(categoryTotals.entries()).map(([category, { plan, actual }]) => ({
+      category,
+      ...calculateVariance(plan, actual),
+    })),
+    total: calculateVariance(
+      itemVariances.reduce((sum, v) => sum + v.plan, 0),
+      itemVariances.reduce((sum, v) => sum + v.actual, 0),
+    ),
+  };
+};
+
+/**
+ * 指定年の収入・支出の予実を計算
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} yearData - 年別財務情報
+ * @param {object} rates - カテゴリ別インフレ率（incomeRates, expenseRates）
+ * @param {object} options - resolveNominalYearItems のオプション（pensionEstimates）
+ * @returns {{year: number, yearId: string, incomes: object, expenses: object, hasActuals: boolean}}
+ */
+export const buildYearVariance = (lifePlan, yearData, rates, options = {}) => {
+  const { incomes, expenses } = resolveNominalYearItems(lifePlan, yearData, rates, options);
+  const incomeVariance = summarizeItemVariance(incomes);
+  const expenseVariance = summarizeItemVariance(expenses);
+  return {
+    year: yearData.year,
+    yearId: yearData.id,
+    incomes: incomeVariance,
+    expenses: expenseVariance,
+    hasActuals: incomeVariance.items.length > 0 || expenseVariance.items.length > 0,
+  };
+};
+
+/**
+ * 実績額を入力した全ての年の予実を計算
+ * @param {object} params
+ * @param {object} params.lifePlan - ライフプラン
+ * @param {object[]} params.incomeCategories - 収入カテゴリ（カテゴリ別インフレ率の参照用）
+ * @param {object[]} params.expenseCategories - 支出カテゴリ（カテゴリ別インフレ率の参照用）
+ * @returns {object[]} 年ごとの予実（年の昇順）
+ */
+export const buildVarianceHistory = ({
+  lifePlan,
+  incomeCategories = [],
+  expenseCategories = [],
+}) => {
+  const rates = {
+    incomeRates: buildCategoryRateMap(incomeCategories),
+    expenseRates: buildCategoryRateMap(expenseCategories),
+  };
+  const pensionEstimates = estimatePlanPensions(lifePlan);
+  return [...lifePlan.yearlyFinances]
+    .sort((a, b) => a.year - b.year)
+    .map(yearData => buildYearVariance(lifePlan, yearData, rates, { pensionEstimates }))
+    .filter(variance => variance.hasActuals);
+};
+
+/**
+ * 指定年の資産の予実を計算
+ * 計画値は、対象年より前の年だけを実績の基準にした予測の期末評価額とする
+ * @param {object} params - buildProjection と同じパラメータ（lifePlan, assets, カテゴリ）
+ * @param {number} year - 対象年
+ * @returns {object[]} 実績評価額を記録した資産ごとの差異
+ */
+export const buildAssetVariance = (params, year) => {
+  const { lifePlan, assets = [] } = params;
+  const baselineYear = isBaselineYear(lifePlan, year) ? year - 1 : lifePlan.baselineYear;
+  const { assetPerformances } = buildProjection({
+    ...params,
+    lifePlan: { ...lifePlan, baselineYear },
+  });
+
+  return assets.flatMap(asset => {
+    const actualEndValue = findActualEndValue(asset, year);
+    const planned = assetPerformances.get(asset.id)?.find(p => p.year === year);
+    if (actualEndValue === undefined || !planned) {
+      return [];
+    }
+    return [
+      { id: asset.id, name: asset.name, ...calculateVariance(planned.endValue, actualEndValue) },
+    ];
+  });
+};
+
+/**
+ * 実績を基準にした再計算を提案するかどうか
+ * 収入・支出の合計、または資産の評価額が計画から大きく外れている場合に提案する
+ * @param {object} yearVariance - buildYearVariance の結果
+ * @param {object[]} assetVariances - buildAssetVariance の結果
+ * @returns {boolean}
+ */
+export const shouldRebaseline = (yearVariance, assetVariances = []) =>
+  (yearVariance.incomes.items.length > 0 && isDivergent(yearVariance.incomes.total)) ||
+  (yearVariance.expenses.items.length > 0 && isDivergent(yearVariance.expenses.total)) ||
+  assetVariances.some(variance => isDivergent(variance));
@@ -0,0 +1,55 @@
+import { expandLoanItems } from './loan';
+import { expandPensionItems } from './pension';
+import { expandRecurringItems } from './recurring';
+
+/**
+ * 年別の収入・支出項目の取得
+ *
+ * 年別データに直接入力された項目に、繰り返し項目・年金収入・ローン返済を展開した項目を合わせる。
+ * 実績額は年別データの actuals に項目IDをキーとして保存し、各項目の actualAmount に設定する。
+ */
+
+/**
+ * 項目に実績額（年額）を設定
+ * @param {object[]} items - 収支項目の配列
+ * @param {object} actuals - 項目IDをキーとした実績額
+ * @returns {object[]} 実績額を入力した項目には actualAmount を設定した配列
+ */
+const attachActualAmounts = (items, actuals) =>
+  items.map(item =>
+    actuals[item.id] === undefined || actuals[item.id] === null
+      ? item
+      : { ...item, actualAmount: actuals[item.id] },
+  );
+
+/**
+ * 年別の個別項目・繰り返し項目・年金収入・ローン返済を合わせた収入・支出を取得
+ * @param {object} lifePlan - ライフプラン
+ * @param {object} yearData - 年別財務情報
+ * @param {object} options
+ * @param {Map<string, object>} options.pensionEstimates - estimatePlanPensions の結果（省略時はその場で概算）
+ * @param {Map<string, object[]>} options.loanSchedules - buildPlanLoanSchedules の結果（省略時は計算する）
+ * @returns {{incomes: object[], expenses: object[]}} 指定年の全項目
+ */
+export const resolveYearItems = (lifePlan, yearData, { pensionEstimates, loanSchedules } = {}) => {
+  const recurring = expandRecurringItems(lifePlan, yearData);
+  const actuals = yearData.actuals || {};
+  return {
+    incomes: attachActualAmounts(
+      [
+        ...yearData.incomes,
+        ...recurring.incomes,
+        ...expandPensionItems(lifePlan, yearData.year, pensionEstimates),
+      ],
+      actuals,
+    ),
+    expenses: attachActualAmounts(
+      [
+        ...yearData.expenses,
+        ...recurring.expenses,
+        ...expandLoanItems(lifePlan, yearData.year, loanSchedules),
+      ],
+      actuals,
+    ),
+  };
+};
@@ -0,0 +1,33 @@
+import { encode } from 'base-64';
+import pako from 'pako';
+
+/**
+ * 共有コードのエクスポート
+ *
+ * JSON文字列をgzip圧縮してbase64エンコードし、端末間で受け渡せる短い文字列にする。
+ */
+
+// String.fromCharCode に一度に渡すバイト数（引数の上限対策）
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * バイト列をバイナリ文字列に変換
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} 1文字1バイトの文字列
+ */
+const toBinaryString = bytes => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return binary;
+};
+
+/**
+ * JSON文字列を共有コードに変換
+ * @param {string} jsonString - エクスポートするJSON文字列
+ * @returns {string} gzip圧縮・base64エンコードした共有コード
+ */
+export const encodeShareCode = jsonString => {
+  return encode(toBinaryString(pako.gzip(jsonString)));
+};
@@ -0,0 +1,124 @@
+import v1 from '../../migrations/__tests__/fixtures/v1.json';
+import { IMPORT_MODES, mergeImportData, prepareImport } from '../mergeImport';
+
+/**
+ * ライフプラン1件と、それに紐付く資産・負債を持つデータを作成
+ */
+const createData = (suffix, data) => ({
+  lifePlans: [{ id: `plan-${suffix}`, name: `プラン${suffix}`, yearlyFinances: [] }],
+  categories: { incomeCategories: [{ id: `category-${suffix}`, name: `給与${suffix}` }] },
+  assets: [{ id: `asset-${suffix}`, name: `資産${suffix}`, lifePlanId: `plan-${suffix}` }],
+  liabilities: [{ id: `liability-${suffix}`, name: `負債${suffix}`, lifePlanId: `plan-${suffix}` }],
+  ...data,
+});
+
+const ids = records => records.map(record => record.id);
+
+describe('mergeImportData', () => {
+  describe('置き換え', () => {
+    it('インポートデータに含まれる種類を置き換える', () => {
+      const merged = mergeImportData(createData('a'), createData('b'), IMPORT_MODES.REPLACE);
+
+      expect(ids(merged.lifePlans)).toEqual(['plan-b']);
+      expect(ids(merged.categories.incomeCategories)).toEqual(['category-b']);
+      expect(ids(merged.assets)).toEqual(['asset-b']);
+      expect(ids(merged.liabilities)).toEqual(['liability-b']);
+    });
+
+    it('ライフプランを置き換える場合、含まれていない資産・負債は空にする', () => {
+      const imported = createData('b', { assets: undefined, liabilities: undefined });
+      const merged = mergeImportData(createData('a'), imported, IMPORT_MODES.REPLACE);
+
+      expect(ids(merged.lifePlans)).toEqual(['plan-b']);
+      expect(merged.assets).toEqual([]);
+      expect(merged.liabilities).toEqual([]);
+    });
+
+    it('ライフプランに紐付かない種類は、含まれていなければ現在のデータを残す', () => {
+      const imported = createData('b', { categories: undefined });
+      const merged = mergeImportData(createData('a'), imported, IMPORT_MODES.REPLACE);
+
+      expect(merged).not.toHaveProperty('categories');
+    });
+
+    it('ライフプランを含まない場合は、資産・負債も含まれているものだけ置き換える', () => {
+      const imported = { assets: [{ id: 'asset-b', name: '資産b', lifePlanId: 'plan-a' }] };
+      const merged = mergeImportData(createData('a'), imported, IMPORT_MODES.REPLACE);
+
+      expect(ids(merged.assets)).toEqual(['asset-b']);
+      expect(merged).not.toHaveProperty('lifePlans');
+      expect(merged).not.toHaveProperty('liabilities');
+    });
+  });
+
+  describe('統合', () => {
+    it('同じIDのレコードは上書きし、それ以外は追加する', () => {
+      const current = createData('a');
+      const imported = createData('b', {
+        lifePlans: [
+          { id: 'plan-a', name: '更新したプラン', yearlyFinances: [] },
+          { id: 'plan-b', name: 'プランb', yearlyFinances: [] },
+        ],
+      });
+      const merged = mergeImportData(current, imported, IMPORT_MODES.MERGE);
+
+      expect(ids(merged.lifePlans)).toEqual(['plan-a', 'plan-b']);
+      expect(merged.lifePlans[0].name).toBe('更新したプラン');
+      expect(ids(merged.assets)).toEqual(['asset-a', 'asset-b']);
+      expect(ids(merged.liabilities)).toEqual(['liability-a', 'liability-b']);
+    });
+  });
+
+  describe('コピー', () => {
+    it('新しいIDで追加し、資産・負債と参照をコピー後のライフプラン・資産に付け替える', () => {
+      const imported = createData('a', {
+        lifePlans: [
+          {
+            id: 'plan-a',
+            name: 'プランa',
+            goals: [{ id: 'goal-1', name: '教育資金', assetId: 'asset-a' }],
+            yearlyFinances: [{ id: 'year-2025', year: 2025, events: [] }],
+          },
+        ],
+      });
+      const merged = mergeImportData(createData('a'), imported, IMPORT_MODES.COPY);
+
+      expect(merged.lifePlans).toHaveLength(2);
+      const [original, copied] = merged.lifePlans;
+      expect(original.id).toBe('plan-a');
+      expect(copied.id).not.toBe('plan-a');
+      expect(copied.yearlyFinances[0].id).not.toBe('year-2025');
+
+      const copiedAsset = merged.assets[1];
+      expect(copiedAsset.id).not.toBe('asset-a');
+      expect(copiedAsset.lifePlanId).toBe(copied.id);
+      expect(merged.liabilities[1].lifePlanId).toBe(copied.id);
+      expect(copied.goals[0].assetId).toBe(copiedAsset.id);
+    });
+  });
+});
+
+describe('prepareImport', () => {
+  it('負債を含まないバージョン1のデータで置き換えると、現在の負債を残さない', () => {
+    const { data, preview } = prepareImport(
+      JSON.stringify(v1),
+      createData('a'),
+      IMPORT_MODES.REPLACE,
+    );
+
+    expect(ids(data.lifePlans)).toEqual(['plan-1', 'plan-2']);
+    expect(ids(data.assets)).toEqual(['asset-1', 'asset-2']);
+    expect(data.liabilities).toEqual([]);
+    expect(preview.find(section => section.key === 'liabilities')).toMatchObject({
+      currentCount: 1,
+      importCount: 0,
+      resultCount: 0,
+    });
+  });
+
+  it('JSONとして読み込めない場合はエラーにする', () => {
+    expect(() => prepareImport('{', createData('a'))).toThrow(
+      'インポートデータがJSONとして読み込めません',
+    );
+  });
+});
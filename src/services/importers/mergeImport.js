@@ -0,0 +1,207 @@
+import { nanoid } from 'nanoid';
+import { remapAssetReferences } from '../calculators/assetReferences';
+import { migrateData } from '../migrations';
+import { validateImportData } from './validateImport';
+
+/**
+ * インポートデータと現在のデータの統合
+ *
+ * インポートデータに含まれている種類のデータのみを、指定した方法で現在のデータと統合する。
+ * ただし置き換えの場合、ライフプランに紐付く資産・負債は、インポートデータに含まれていなくても
+ * 空にする（置き換え前のライフプランに紐付いたまま残さないため）。
+ */
+
+/**
+ * インポート方法
+ */
+export const IMPORT_MODES = {
+  // 現在のデータをすべて置き換える
+  REPLACE: 'replace',
+  // 同じIDのレコードは上書きし、それ以外は追加する
+  MERGE: 'merge',
+  // 新しいIDを割り当てて追加する
+  COPY: 'copy',
+};
+
+/**
+ * 統合の対象となるデータの種類
+ * path はデータ内でレコードの配列がある場所
+ * ownedByLifePlan はライフプランに紐付くレコードかどうか
+ */
+const SECTIONS = [
+  { key: 'lifePlans', label: 'ライフプラン', paths: [['lifePlans']] },
+  {
+    key: 'categories',
+    label: 'カテゴリ',
+    paths: [
+      ['categories', 'incomeCategories'],
+      ['categories', 'expenseCategories'],
+      ['categories', 'assetCategories'],
+      ['categories', 'liabilityCategories'],
+    ],
+  },
+  {
+    key: 'groups',
+    label: 'グループ',
+    paths: [
+      ['groups', 'incomeGroups'],
+      ['groups', 'expenseGroups'],
+    ],
+  },
+  { key: 'assets', label: '資産', paths: [['assets']], ownedByLifePlan: true },
+  { key: 'liabilities', label: '負債', paths: [['liabilities']], ownedByLifePlan: true },
+];
+
+/**
+ * データ内のレコードの配列を取得
+ * @param {object} data - データ
+ * @param {string[]} path - レコードの配列がある場所
+ * @returns {object[]|undefined}
+ */
+const getRecords = (data, path) => path.reduce((current, key) => current?.[key], data);
+
+/**
+ * 新しいIDを割り当てたレコードのコピーを作成
+ * ライフプランは年別財務情報のIDも振り直す
+ * 資産・負債の紐付け先のライフプランもコピーした場合は、コピー後のライフプランに付け替える
+ * @param {object} record - コピー元のレコード
+ * @param {Map} idMap - コピー元のIDをキーとしたコピー後のID（追記される）
+ * @returns {object} コピーしたレコード
+ */
+const copyRecord = (record, idMap) => {
+  const copied = { ...record, id: nanoid() };
+  idMap.set(record.id, copied.id);
+  if (record.lifePlanId && idMap.has(record.lifePlanId)) {
+    copied.lifePlanId = idMap.get(record.lifePlanId);
+  }
+  if (Array.isArray(record.yearlyFinances)) {
+    copied.yearlyFinances = record.yearlyFinances.map(yearlyFinance => ({
+      ...yearlyFinance,
+      id: nanoid(),
+    }));
+  }
+  return copied;
+};
+
+/**
+ * レコードの配列を統合
+ * @param {object[]} currentRecords - 現在のレコード
+ * @param {object[]} importedRecords - インポートするレコード
+ * @param {string} mode - インポート方法
+ * @param {Map} idMap - コピーしたレコードのIDの対応（COPY の場合に追記される）
+ * @returns {object[]} 統合後のレコード
+ */
+export const mergeRecords = (
+  currentRecords = [],
+  importedRecords = [],
+  mode,
+  idMap = new Map(),
+) => {
+  switch (mode) {
+    case IMPORT_MODES.MERGE: {
+      const merged = new Map(currentRecords.map(record => [record.id, record]));
+      importedRecords.forEach(record => merged.set(record.id, record));
+      return Array.from(merged.values());
+    }
+    case IMPORT_MODES.COPY:
+      return [...currentRecords, ...importedRecords.map(record => copyRecord(record, idMap))];
+    case IMPORT_MODES.REPLACE:
+    default:
+      return importedRecords;
+  }
+};
+
+/**
+ * インポートデータを現在のデータに統合
+ * @param {object} currentData - 現在のデータ
+ * @param {object} importedData - 検証済みのインポートデータ
+ * @param {string} mode - インポート方法
+ * @returns {object} 統合後のデータ（インポートデータに含まれる種類と、置き換えで空にした種類のみ）
+ */
+export const mergeImportData = (currentData, importedData, mode) => {
+  const merged = {};
+  // ライフプランを資産・負債より先に統合し、コピー後のIDを資産・負債の紐付けに使う
+  const idMap = new Map();
+
+  // ライフプランを置き換える場合は、紐付くレコードも置き換える
+  const replacesLifePlans = mode === IMPORT_MODES.REPLACE && importedData.lifePlans !== undefined;
+
+  SECTIONS.forEach(({ paths, ownedByLifePlan }) => {
+    paths.forEach(path => {
+      let importedRecords = getRecords(importedData, path);
+      if (importedRecords === undefined) {
+        if (!(ownedByLifePlan && replacesLifePlans)) {
+          return;
+        }
+        importedRecords = [];
+      }
+
+      const records = mergeRecords(getRecords(currentData, path), importedRecords, mode, idMap);
+      if (path.length === 1) {
+        merged[path[0]] = records;
+      } else {
+        merged[path[0]] = { ...merged[path[0]], [path[1]]: records };
+      }
+    });
+  });
+
+  // コピーしたライフプランが参照する資産を、コピー後の資産に付け替える
+  if (mode === IMPORT_MODES.COPY && merged.lifePlans && importedData.assets) {
+    const copiedIds = new Set(idMap.values());
+    merged.lifePlans = merged.lifePlans.map(lifePlan =>
+      copiedIds.has(lifePlan.id) ? remapAssetReferences(lifePlan, idMap) : lifePlan,
+    );
+  }
+
+  return merged;
+};
+
+/**
+ * インポート前後の件数の比較を作成
+ * @param {object} currentData - 現在のデータ
+ * @param {object} importedData - 検証済みのインポートデータ
+ * @param {object} mergedData - 統合後のデータ
+ * @returns {{key: string, label: string, currentCount: number, importCount: number, resultCount: number, names: string[]}[]}
+ */
+export const buildImportPreview = (currentData, importedData, mergedData) => {
+  const countRecords = (data, paths) =>
+    paths.reduce((count, path) => count + (getRecords(data, path) || []).length, 0);
+
+  return SECTIONS.filter(({ paths }) =>
+    paths.some(path => getRecords(mergedData, path) !== undefined),
+  ).map(({ key, label, paths }) => ({
+    key,
+    label,
+    currentCount: countRecords(currentData, paths),
+    importCount: countRecords(importedData, paths),
+    resultCount: countRecords(mergedData, paths),
+    names: paths.flatMap(path => (getRecords(importedData, path) || []).map(record => record.name)),
+  }));
+};
+
+/**
+ * インポートの準備
+ * JSON文字列を読み込み、スキーマ移行・検証・統合を行う
+ * @param {string} jsonString - インポートするJSON文字列
+ * @param {object} currentData - 現在のデータ
+ * @param {string} mode - インポート方法
+ * @returns {{data: object, rejected: object[], preview: object[]}}
+ * @throws {Error} JSONとして読み込めない場合、またはデータ全体の形式が正しくない場合
+ */
+export const prepareImport = (jsonString, currentData, mode = IMPORT_MODES.REPLACE) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonString);
+  } catch (error) {
+    throw new Error('インポートデータがJSONとして読み込めません');
+  }
+
+  const { data: importedData, rejected } = validateImportData(migrateData(parsed));
+  const data = mergeImportData(currentData, importedData, mode);
+
+  return {
+    data,
+    rejected,
+    preview: buildImportPreview(currentData, importedData, data),
+  };
+};
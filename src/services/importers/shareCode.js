@@ -0,0 +1,39 @@
+import { decode } from 'base-64';
+import pako from 'pako';
+
+/**
+ * 共有コードのインポート
+ *
+ * encodeShareCode で作成した共有コードを元のJSON文字列に戻す。
+ */
+
+/**
+ * バイナリ文字列をバイト列に変換
+ * @param {string} binary - 1文字1バイトの文字列
+ * @returns {Uint8Array} バイト列
+ */
+const toBytes = binary => {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * 共有コードをJSON文字列に変換
+ * @param {string} code - 共有コード
+ * @returns {string} JSON文字列
+ * @throws {Error} 共有コードの形式が正しくない場合
+ */
+export const decodeShareCode = code => {
+  try {
+    const binary = decode(code.replace(/\s/g, ''));
+    const jsonString = pako.ungzip(toBytes(binary), { to: 'string' });
+    // JSONとして読み込めることを確認する
+    JSON.parse(jsonString);
+    return jsonString;
+  } catch (error) {
+    throw new Error('共有コードの形式が正しくありません');
+  }
+};
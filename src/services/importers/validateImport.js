@@ -0,0 +1,302 @@
+import { ENUMS } from '../../constants';
+import { getDecumulationSettings } from '../calculators/decumulation';
+import {
+  validateAsset,
+  validateDecumulationSettings,
+  validateColorCode,
+  validateEnum,
+  validateGoal,
+  validateLength,
+  validateLiability,
+  validateLifePlan,
+  validateLoan,
+  validateNumber,
+  validateRequired,
+  validateScenario,
+  ValidationError,
+} from '../../utils/validate';
+
+/**
+ * インポートデータの検証
+ *
+ * データモデルに合わないレコードを取り除き、取り除いたレコードを一覧として返す。
+ * 不正なレコードが含まれていても、正しいレコードだけはインポートできるようにする。
+ */
+
+const FREQUENCIES = Object.values(ENUMS.frequency);
+
+/**
+ * レコードIDのチェック
+ * @param {object} record - チェックするレコード
+ * @throws {ValidationError}
+ */
+const validateId = record => {
+  validateRequired(record.id, 'ID');
+  validateLength(record.id, 'ID', { minLength: 1 });
+};
+
+/**
+ * 配列のチェック
+ * @param {any} value - チェックする値
+ * @param {string} fieldName - フィールド名
+ * @throws {ValidationError}
+ */
+const validateArray = (value, fieldName) => {
+  if (!Array.isArray(value)) {
+    throw new ValidationError(`${fieldName}の形式が正しくありません`, fieldName);
+  }
+};
+
+/**
+ * 収入・支出項目のチェック
+ * @param {object} item - チェックする項目
+ * @throws {ValidationError}
+ */
+const validateCashFlowItem = item => {
+  validateRequired(item.name, '項目名');
+  validateLength(item.name, '項目名', { maxLength: 100 });
+  validateNumber(item.amount, '金額');
+  validateEnum(item.frequency, '頻度', FREQUENCIES);
+};
+
+/**
+ * 項目のチェックを行い、エラーに項目名を付けて再送出
+ * @param {object} item - チェックする項目
+ * @param {string} label - エラーメッセージに付ける項目の説明
+ * @param {function} validator - 検証関数
+ * @throws {ValidationError}
+ */
+const validateNested = (item, label, validator) => {
+  try {
+    validator(item);
+  } catch (error) {
+    throw new ValidationError(`${label}「${item?.name ?? ''}」: ${error.message}`, error.field);
+  }
+};
+
+/**
+ * 年別財務情報のチェック
+ * @param {object} yearlyFinance - チェックする年別財務情報
+ * @throws {ValidationError}
+ */
+const validateYearlyFinance = yearlyFinance => {
+  validateId(yearlyFinance);
+  validateNumber(yearlyFinance.year, '年', { min: 1900, max: 2100 });
+  ['incomes', 'expenses', 'events'].forEach(key => {
+    validateArray(yearlyFinance[key], `${yearlyFinance.year}年のデータ`);
+  });
+
+  yearlyFinance.incomes.forEach(item =>
+    validateNested(item, `${yearlyFinance.year}年の収入`, validateCashFlowItem),
+  );
+  yearlyFinance.expenses.forEach(item =>
+    validateNested(item, `${yearlyFinance.year}年の支出`, validateCashFlowItem),
+  );
+  Object.values(yearlyFinance.actuals || {}).forEach(amount =>
+    validateNumber(amount, `${yearlyFinance.year}年の実績額`),
+  );
+};
+
+/**
+ * インポートするライフプランのチェック
+ * @param {object} lifePlan - チェックするライフプラン
+ * @throws {ValidationError}
+ */
+const validateImportedLifePlan = lifePlan => {
+  validateId(lifePlan);
+  validateLifePlan(lifePlan);
+  validateArray(lifePlan.yearlyFinances, '年別財務情報');
+  lifePlan.yearlyFinances.forEach(validateYearlyFinance);
+  if (lifePlan.baselineYear !== undefined && lifePlan.baselineYear !== null) {
+    validateNumber(lifePlan.baselineYear, '実績の基準年', { min: 1900, max: 2100 });
+  }
+  (lifePlan.recurringItems || []).forEach(item =>
+    validateNested(item, '繰り返し項目', validateCashFlowItem),
+  );
+  (lifePlan.loans || []).forEach(loan =>
+    validateNested(loan, 'ローン', record => {
+      validateId(record);
+      validateLoan(record);
+    }),
+  );
+  (lifePlan.scenarios || []).forEach(scenario =>
+    validateNested(scenario, 'シナリオ', record => {
+      validateId(record);
+      validateScenario(record, lifePlan);
+    }),
+  );
+  if (lifePlan.decumulationSettings) {
+    validateDecumulationSettings(getDecumulationSettings(lifePlan));
+  }
+  (lifePlan.goals || []).forEach(goal =>
+    validateNested(goal, '目標', record => {
+      validateId(record);
+      validateGoal(record);
+    }),
+  );
+};
+
+/**
+ * インポートするカテゴリのチェック
+ * @param {object} category - チェックするカテゴリ
+ * @throws {ValidationError}
+ */
+const validateCategory = category => {
+  validateId(category);
+  validateRequired(category.name, '名称');
+  validateLength(category.name, '名称', { maxLength: 100 });
+  if (category.color) {
+    validateColorCode(category.color, '色');
+  }
+};
+
+/**
+ * インポートするグループのチェック
+ * @param {object} group - チェックするグループ
+ * @throws {ValidationError}
+ */
+const validateGroup = group => {
+  validateId(group);
+  validateRequired(group.name, '名称');
+  validateLength(group.name, '名称', { maxLength: 100 });
+  validateArray(group.items, '項目');
+  group.items.forEach(item => validateNested(item, '項目', validateCashFlowItem));
+};
+
+/**
+ * インポートする資産のチェック
+ * @param {object} asset - チェックする資産
+ * @throws {ValidationError}
+ */
+const validateImportedAsset = asset => {
+  validateId(asset);
+  validateAsset(asset);
+};
+
+/**
+ * インポートする負債のチェック
+ * @param {object} liability - チェックする負債
+ * @throws {ValidationError}
+ */
+const validateImportedLiability = liability => {
+  validateId(liability);
+  validateLiability(liability);
+};
+
+/**
+ * レコードの配列を検証し、正しいレコードのみを返す
+ * @param {any} records - 検証するレコードの配列
+ * @param {string} label - 種類の表示名
+ * @param {function} validator - 検証関数
+ * @param {object[]} rejected - 取り除いたレコードの一覧（追記される）
+ * @returns {object[]} 正しいレコードの配列
+ */
+const filterValidRecords = (records, label, validator, rejected) => {
+  if (!Array.isArray(records)) {
+    rejected.push({ section: label, name: '', reason: `${label}の形式が正しくありません` });
+    return [];
+  }
+
+  const ids = new Set();
+  return records.filter(record => {
+    try {
+      if (!record || typeof record !== 'object') {
+        throw new ValidationError('データの形式が正しくありません');
+      }
+      validator(record);
+      if (ids.has(record.id)) {
+        throw new ValidationError('IDが重複しています', 'ID');
+      }
+      ids.add(record.id);
+      return true;
+    } catch (error) {
+      rejected.push({ section: label, name: record?.name ?? '', reason: error.message });
+      return false;
+    }
+  });
+};
+
+/**
+ * インポートデータを検証
+ * 含まれている種類のデータのみを検証し、含まれていない種類は結果にも含めない
+ * @param {object} data - スキーマ移行済みのインポートデータ
+ * @returns {{data: object, rejected: {section: string, name: string, reason: string}[]}}
+ * @throws {ValidationError} データ全体の形式が正しくない場合
+ */
+export const validateImportData = data => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError('インポートデータの形式が正しくありません');
+  }
+
+  const rejected = [];
+  const validated = { schemaVersion: data.schemaVersion };
+
+  if (data.lifePlans !== undefined) {
+    validated.lifePlans = filterValidRecords(
+      data.lifePlans,
+      'ライフプラン',
+      validateImportedLifePlan,
+      rejected,
+    );
+  }
+  if (data.categories !== undefined) {
+    validated.categories = {
+      incomeCategories: filterValidRecords(
+        data.categories?.incomeCategories ?? [],
+        '収入カテゴリ',
+        validateCategory,
+        rejected,
+      ),
+      expenseCategories: filterValidRecords(
+        data.categories?.expenseCategories ?? [],
+        '支出カテゴリ',
+        validateCategory,
+        rejected,
+      ),
+      assetCategories: filterValidRecords(
+        data.categories?.assetCategories ?? [],
+        '資産カテゴリ',
+        validateCategory,
+        rejected,
+      ),
+      // 負債の導入前にエクスポートしたデータには負債カテゴリが含まれない
+      ...(data.categories?.liabilityCategories !== undefined && {
+        liabilityCategories: filterValidRecords(
+          data.categories.liabilityCategories,
+          '負債カテゴリ',
+          validateCategory,
+          rejected,
+        ),
+      }),
+    };
+  }
+  if (data.groups !== undefined) {
+    validated.groups = {
+      incomeGroups: filterValidRecords(
+        data.groups?.incomeGroups ?? [],
+        '収入グループ',
+        validateGroup,
+        rejected,
+      ),
+      expenseGroups: filterValidRecords(
+        data.groups?.expenseGroups ?? [],
+        '支出グループ',
+        validateGroup,
+        rejected,
+      ),
+    };
+  }
+  if (data.assets !== undefined) {
+    validated.assets = filterValidRecords(data.assets, '資産', validateImportedAsset, rejected);
+  }
+  if (data.liabilities !== undefined) {
+    validated.liabilities = filterValidRecords(
+      data.liabilities,
+      '負債',
+      validateImportedLiability,
+      rejected,
+    );
+  }
+
+  return { data: validated, rejected };
+};
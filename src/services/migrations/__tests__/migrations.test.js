@@ -0,0 +1,38 @@
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateData } from '..';
+import v0 from './fixtures/v0.json';
+import v0Expected from './fixtures/v0.expected.json';
+import v1 from './fixtures/v1.json';
+import v1Expected from './fixtures/v1.expected.json';
+
+describe('migrateData', () => {
+  it('schemaVersion導入前のデータを最新のスキーマに移行する', () => {
+    expect(getSchemaVersion(v0)).toBe(0);
+    expect(migrateData(v0)).toEqual(v0Expected);
+  });
+
+  it('バージョン1のデータを最新のスキーマに移行する', () => {
+    expect(migrateData(v1)).toEqual(v1Expected);
+  });
+
+  it('年のコピーで作られた資産は1件にまとめ、各年の実績値を集める', () => {
+    const { assets, lifePlans } = migrateData(v1);
+
+    expect(assets.map(asset => asset.id)).toEqual(['asset-1', 'asset-2']);
+    expect(assets.every(asset => asset.lifePlanId === 'plan-1')).toBe(true);
+    expect(assets[0].yearlyPerformance.map(performance => performance.year)).toEqual([2023, 2024]);
+    lifePlans.forEach(lifePlan =>
+      lifePlan.yearlyFinances.forEach(yearData => expect(yearData).not.toHaveProperty('assets')),
+    );
+  });
+
+  it('最新のスキーマのデータは変更しない', () => {
+    expect(v1Expected.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(migrateData(v1Expected)).toEqual(v1Expected);
+  });
+
+  it('アプリより新しいバージョンのデータはエラーにする', () => {
+    expect(() => migrateData({ ...v1Expected, schemaVersion: CURRENT_SCHEMA_VERSION + 1 })).toThrow(
+      '新しいバージョンのアプリで作成されたデータのため読み込めません',
+    );
+  });
+});
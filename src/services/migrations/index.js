@@ -0,0 +1,161 @@
+/**
+ * 保存データのスキーマ移行
+ *
+ * 保存・エクスポートするデータには schemaVersion を付与する。
+ * 古いバージョンのデータは読み込み時に MIGRATIONS を順番に適用して最新の形に変換する。
+ * データの形を変更する場合は、MIGRATIONS の末尾に移行処理を追加すること。
+ */
+
+/**
+ * オブジェクトかどうか
+ * @param {any} value - チェックする値
+ * @returns {boolean}
+ */
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * バージョン0（schemaVersion導入前）→ 1
+ * 世帯メンバー・繰り返し項目の導入前に作成されたデータに既定値を補う
+ * 形式が正しくないレコードはそのまま残し、インポート時の検証で取り除く
+ * @param {object} data - バージョン0のデータ
+ * @returns {object} バージョン1のデータ
+ */
+const migrateToV1 = data => {
+  if (!Array.isArray(data.lifePlans)) {
+    return data;
+  }
+
+  const migrateYearlyFinance = yearlyFinance => {
+    if (!isObject(yearlyFinance)) {
+      return yearlyFinance;
+    }
+    return {
+      ...yearlyFinance,
+      events: yearlyFinance.events || [],
+      incomes: yearlyFinance.incomes || [],
+      expenses: yearlyFinance.expenses || [],
+      assets: yearlyFinance.assets || [],
+      recurringOverrides: yearlyFinance.recurringOverrides || {},
+    };
+  };
+
+  const migrateLifePlan = lifePlan => {
+    if (!isObject(lifePlan)) {
+      return lifePlan;
+    }
+    return {
+      ...lifePlan,
+      members: lifePlan.members || [],
+      recurringItems: lifePlan.recurringItems || [],
+      yearlyFinances: Array.isArray(lifePlan.yearlyFinances)
+        ? lifePlan.yearlyFinances.map(migrateYearlyFinance)
+        : lifePlan.yearlyFinances,
+    };
+  };
+
+  return { ...data, lifePlans: data.lifePlans.map(migrateLifePlan) };
+};
+
+/**
+ * バージョン1 → 2
+ * 年別財務情報ごとに持っていた資産（yearlyFinances[].assets）を、
+ * ライフプランIDを付けて資産ストアの資産（assets）に移す
+ * 年のコピーで作られた資産（名称・カテゴリ・開始日・初期投資額が同じもの）は1件にまとめ、
+ * 各年の実績値は1件の資産の年次パフォーマンスに集める
+ * @param {object} data - バージョン1のデータ
+ * @returns {object} バージョン2のデータ
+ */
+const migrateToV2 = data => {
+  if (!Array.isArray(data.lifePlans)) {
+    return data;
+  }
+
+  const movedAssets = [];
+  const lifePlans = data.lifePlans.map(lifePlan => {
+    if (!isObject(lifePlan) || !Array.isArray(lifePlan.yearlyFinances)) {
+      return lifePlan;
+    }
+
+    // 古い年の資産を優先して1件にまとめる
+    const assetsByKey = new Map();
+    lifePlan.yearlyFinances
+      .filter(yearlyFinance => isObject(yearlyFinance) && Array.isArray(yearlyFinance.assets))
+      .sort((a, b) => a.year - b.year)
+      .forEach(yearlyFinance => {
+        yearlyFinance.assets.filter(isObject).forEach(asset => {
+          const key = [asset.name, asset.category, asset.startDate, asset.initialAmount].join('|');
+          const existing = assetsByKey.get(key);
+          if (existing) {
+            existing.yearlyPerformance.push(...(asset.yearlyPerformance || []));
+          } else {
+            assetsByKey.set(key, {
+              ...asset,
+              lifePlanId: lifePlan.id,
+              yearlyPerformance: [...(asset.yearlyPerformance || [])],
+            });
+          }
+        });
+      });
+    movedAssets.push(...assetsByKey.values());
+
+    return {
+      ...lifePlan,
+      yearlyFinances: lifePlan.yearlyFinances.map(yearlyFinance => {
+        if (!isObject(yearlyFinance)) {
+          return yearlyFinance;
+        }
+        const migrated = { ...yearlyFinance };
+        delete migrated.assets;
+        return migrated;
+      }),
+    };
+  });
+
+  return {
+    ...data,
+    lifePlans,
+    ...(movedAssets.length > 0 || Array.isArray(data.assets)
+      ? { assets: [...(Array.isArray(data.assets) ? data.assets : []), ...movedAssets] }
+      : {}),
+  };
+};
+
+/**
+ * 移行処理の一覧
+ * MIGRATIONS[n] はバージョン n のデータをバージョン n + 1 に変換する
+ */
+export const MIGRATIONS = [migrateToV1, migrateToV2];
+
+/**
+ * 現在のスキーマバージョン
+ */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * データのスキーマバージョンを取得
+ * @param {object} data - 保存データ
+ * @returns {number} スキーマバージョン（未設定の場合は0）
+ */
+export const getSchemaVersion = data => {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+};
+
+/**
+ * データを最新のスキーマに移行
+ * @param {object} data - 保存データ
+ * @returns {object} 最新のスキーマバージョンのデータ
+ * @throws {Error} データがオブジェクトでない場合、またはアプリより新しいバージョンのデータの場合
+ */
+export const migrateData = data => {
+  if (!isObject(data)) {
+    throw new Error('データの形式が正しくありません');
+  }
+
+  const version = getSchemaVersion(data);
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error('新しいバージョンのアプリで作成されたデータのため読み込めません');
+  }
+
+  const migrated = MIGRATIONS.slice(version).reduce((current, migrate) => migrate(current), data);
+  return { ...migrated, schemaVersion: CURRENT_SCHEMA_VERSION };
+};
@@ -1,9 +1,27 @@
 import { makeAutoObservable, reaction, runInAction } from "mobx";
 import { nanoid } from "nanoid";
+import {
+  calculateCapitalGain,
+  calculateDividends,
+  calculateYearPerformance,
+  getAssetMaturityYear,
+  getAssetStartYear,
+  isAssetHeldInYear,
+  mergeActualPerformance,
+  projectAssetPerformance,
+} from "../services/calculators/assetPerformance";
+import {
+  calculatePercentile,
+  getAssetVolatility,
+} from "../services/calculators/monteCarlo";
+import { buildProjection } from "../services/calculators/projection";
+import { createRandom, sampleNormal } from "../services/calculators/random";
 
 /**
  * 資産管理ストア
  * 資産情報の管理、評価額計算、パフォーマンス追跡を行う
+ * 資産はライフプランごとに1つの台帳として管理し（lifePlanId で紐付け）、
+ * 各年の画面にはその年の予測値・実績値を表示する
  */
 export class AssetStore {
   // 資産マップ
@@ -22,12 +40,7 @@ export class AssetStore {
     const asset = {
       id,
       ...data,
-      yearlyPerformance: this.initializeYearlyPerformance(
-        data.startDate,
-        data.maturityDate,
-        data.initialAmount,
-        data.returns,
-      ),
+      yearlyPerformance: this.initializeYearlyPerformance(data),
     };
 
     runInAction(() => {
@@ -38,129 +51,53 @@ export class AssetStore {
 
   /**
    * 年次パフォーマンスの初期化
+   * 口座の種類に応じた税額・税引後の金額を含む
+   * 記録済みの実績値は引き継ぐ
    */
-  initializeYearlyPerformance(startDate, maturityDate, initialAmount, returns) {
-    const startYear = new Date(startDate).getFullYear();
-    const endYear = maturityDate
-      ? new Date(maturityDate).getFullYear()
-      : startYear + 50;
-    const yearlyPerformance = [];
-
-    let currentAmount = initialAmount;
-    for (let year = startYear; year <= endYear; year++) {
-      const performance = this.calculateYearPerformance(
-        year,
-        currentAmount,
-        returns,
-      );
-      yearlyPerformance.push(performance);
-      currentAmount = performance.endValue;
-    }
-
-    return yearlyPerformance;
+  initializeYearlyPerformance(asset) {
+    const lifePlan = this.rootStore.lifePlanStore.lifePlans.get(
+      asset.lifePlanId,
+    );
+    const planYears = (lifePlan?.yearlyFinances || []).map((yf) => yf.year);
+    const startYear = getAssetStartYear(
+      asset,
+      planYears.length > 0 ? Math.min(...planYears) : new Date().getFullYear(),
+    );
+    const planEndYear =
+      planYears.length > 0 ? Math.max(...planYears) : startYear + 50;
+    const maturityYear = getAssetMaturityYear(asset);
+    const endYear =
+      maturityYear === null ? planEndYear : Math.min(maturityYear, planEndYear);
+
+    return mergeActualPerformance(
+      projectAssetPerformance(asset, endYear, startYear),
+      asset.yearlyPerformance,
+    );
   }
 
   /**
    * 年間パフォーマンスの計算
    */
-  calculateYearPerformance(year, startValue, returns) {
-    const {
-      capitalGain: { annualRate, compoundingFrequency },
-      incomeGain: { dividendYield, paymentFrequency, reinvestDividends },
-    } = returns;
-
-    // キャピタルゲインの計算
-    const capitalGainResult = this.calculateCapitalGain(
-      startValue,
-      annualRate,
-      compoundingFrequency,
-    );
-
-    // インカムゲインの計算
-    const dividends = this.calculateDividends(
-      startValue,
-      dividendYield,
-      paymentFrequency,
-      year,
-    );
-
-    const totalDividends = dividends.reduce((sum, div) => sum + div.amount, 0);
-    const endValue = reinvestDividends
-      ? capitalGainResult.evaluationAmount + totalDividends
-      : capitalGainResult.evaluationAmount;
-
-    return {
-      year,
-      startValue: Math.round(startValue),
-      endValue: Math.round(endValue),
-      capitalGains: Math.round(capitalGainResult.capitalGain),
-      dividends,
-      totalDividends: Math.round(totalDividends),
-    };
+  calculateYearPerformance(year, startValue, returns, options) {
+    return calculateYearPerformance(year, startValue, returns, options);
   }
 
   /**
    * キャピタルゲインの計算
    */
   calculateCapitalGain(initialAmount, annualRate, compoundingFrequency) {
-    let periods;
-    let rate;
-
-    switch (compoundingFrequency) {
-      case "daily":
-        periods = 365;
-        rate = annualRate / 365;
-        break;
-      case "monthly":
-        periods = 12;
-        rate = annualRate / 12;
-        break;
-      case "yearly":
-      default:
-        periods = 1;
-        rate = annualRate;
-        break;
-    }
-
-    const finalAmount = initialAmount * Math.pow(1 + rate, periods);
-
-    return {
-      evaluationAmount: finalAmount,
-      capitalGain: finalAmount - initialAmount,
-    };
+    return calculateCapitalGain(
+      initialAmount,
+      annualRate,
+      compoundingFrequency,
+    );
   }
 
   /**
    * 配当の計算
    */
   calculateDividends(amount, dividendYield, paymentFrequency, year) {
-    const dividends = [];
-    let paymentsPerYear;
-
-    switch (paymentFrequency) {
-      case "monthly":
-        paymentsPerYear = 12;
-        break;
-      case "quarterly":
-        paymentsPerYear = 4;
-        break;
-      case "yearly":
-      default:
-        paymentsPerYear = 1;
-        break;
-    }
-
-    const dividendPerPayment = (amount * dividendYield) / paymentsPerYear;
-
-    for (let i = 0; i < paymentsPerYear; i++) {
-      const month = Math.floor((12 / paymentsPerYear) * i);
-      dividends.push({
-        date: new Date(year, month, 1).toISOString().split("T")[0],
-        amount: Math.round(dividendPerPayment),
-      });
-    }
-
-    return dividends;
+    return calculateDividends(amount, dividendYield, paymentFrequency, year);
   }
 
   /**
@@ -180,14 +117,13 @@ export class AssetStore {
           data.initialAmount !== undefined ||
           data.returns !== undefined ||
           data.startDate !== undefined ||
-          data.maturityDate !== undefined
+          data.maturityDate !== undefined ||
+          data.accountType !== undefined ||
+          data.monthlyContribution !== undefined ||
+          data.cashFlowSchedule !== undefined
         ) {
-          updatedAsset.yearlyPerformance = this.initializeYearlyPerformance(
-            updatedAsset.startDate,
-            updatedAsset.maturityDate,
-            updatedAsset.initialAmount,
-            updatedAsset.returns,
-          );
+          updatedAsset.yearlyPerformance =
+            this.initializeYearlyPerformance(updatedAsset);
         }
 
         this.assets.set(id, updatedAsset);
@@ -228,19 +164,98 @@ export class AssetStore {
   }
 
   /**
-   * モンテカルロシミュレーションの実行
+   * ライフプランの資産の取得
+   */
+  getLifePlanAssets(lifePlanId) {
+    return this.sortedAssets.filter((asset) => asset.lifePlanId === lifePlanId);
+  }
+
+  /**
+   * 指定年に保有している資産の取得
    */
-  runMonteCarloSimulation(assetId, years, iterations = 1000) {
+  getYearAssets(lifePlanId, year) {
+    return this.getLifePlanAssets(lifePlanId).filter((asset) =>
+      isAssetHeldInYear(asset, year),
+    );
+  }
+
+  /**
+   * 収支予測を反映した資産の年次パフォーマンスの取得
+   * 収支の不足額の補填や取り崩し戦略による取り崩しは収支予測で決まるため、
+   * 資産IDをキーとした各年のパフォーマンスを収支予測から求める
+   */
+  getProjectedPerformances(lifePlanId) {
+    const lifePlan = this.rootStore.lifePlanStore.lifePlans.get(lifePlanId);
+    if (!lifePlan) {
+      return new Map();
+    }
+    return buildProjection({
+      lifePlan,
+      assets: this.getLifePlanAssets(lifePlanId),
+      liabilities:
+        this.rootStore.liabilityStore.getLifePlanLiabilities(lifePlanId),
+      incomeCategories: this.rootStore.categoryStore.sortedIncomeCategories,
+      expenseCategories: this.rootStore.categoryStore.sortedExpenseCategories,
+    }).assetPerformances;
+  }
+
+  /**
+   * ライフプランの資産の年次パフォーマンスを再計算
+   * ライフプランの期間が変わった場合に使う
+   */
+  recalculateLifePlanAssets(lifePlanId) {
+    runInAction(() => {
+      this.getLifePlanAssets(lifePlanId).forEach((asset) => {
+        this.assets.set(asset.id, {
+          ...asset,
+          yearlyPerformance: this.initializeYearlyPerformance(asset),
+        });
+      });
+    });
+  }
+
+  /**
+   * ライフプランの資産のコピー
+   * コピー元の資産IDをキーとしたコピー後の資産IDを返す
+   */
+  copyLifePlanAssets(sourceLifePlanId, targetLifePlanId) {
+    const assetIds = new Map();
+    // 記録済みの実績値もコピーする（createAsset で予測値に重ねられる）
+    this.getLifePlanAssets(sourceLifePlanId).forEach((asset) => {
+      const data = { ...asset, lifePlanId: targetLifePlanId };
+      delete data.id;
+      assetIds.set(asset.id, this.createAsset(data));
+    });
+    return assetIds;
+  }
+
+  /**
+   * ライフプランの資産の削除
+   */
+  deleteLifePlanAssets(lifePlanId) {
+    runInAction(() => {
+      this.getLifePlanAssets(lifePlanId).forEach((asset) => {
+        this.assets.delete(asset.id);
+      });
+    });
+  }
+
+  /**
+   * モンテカルロシミュレーションの実行（単一資産）
+   * 同じシードからは同じ結果を返す。各試行の推移は保持せず、最終評価額のみ集計する
+   * ライフプラン全体のシミュレーションは simulationRunner を使う
+   */
+  runMonteCarloSimulation(assetId, years, iterations = 1000, seed = 1) {
     const asset = this.assets.get(assetId);
     if (!asset) return null;
 
-    const results = [];
+    const finalValues = [];
     const { annualRate } = asset.returns.capitalGain;
-    const volatility = 0.15; // 変動率（実際のデータに基づいて調整可能）
+    const volatility = getAssetVolatility(asset);
+    const random = createRandom(seed);
 
     for (let i = 0; i < iterations; i++) {
       let value = asset.initialAmount;
-      const path = [value];
 
       for (let year = 1; year <= years; year++) {
         // 対数正規分布を使用してランダムなリターンを生成
@@ -248,46 +263,24 @@ export class AssetStore {
           Math.exp(
             annualRate -
               0.5 * volatility * volatility +
-              volatility * this.normalRandom(),
+              volatility * sampleNormal(random),
           ) - 1;
 
         value *= 1 + randomReturn;
-        path.push(value);
       }
-      results.push(path);
+      finalValues.push(value);
     }
 
     // パーセンタイルの計算
-    const finalValues = results.map((path) => path[path.length - 1]);
     finalValues.sort((a, b) => a - b);
 
     return {
-      bestCase: this.getPercentile(finalValues, 0.95),
-      expected: this.getPercentile(finalValues, 0.5),
-      worstCase: this.getPercentile(finalValues, 0.05),
-      paths: results,
+      bestCase: calculatePercentile(finalValues, 95),
+      expected: calculatePercentile(finalValues, 50),
+      worstCase: calculatePercentile(finalValues, 5),
     };
   }
 
-  /**
-   * 標準正規分布の乱数生成（Box-Muller変換）
-   */
-  normalRandom() {
-    let u = 0,
-      v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  }
-
-  /**
-   * パーセンタイルの取得
-   */
-  getPercentile(sortedArray, percentile) {
-    const index = Math.floor(sortedArray.length * percentile);
-    return sortedArray[index];
-  }
-
   /**
    * ストアデータのシリアライズ
    */
@@ -302,7 +295,10 @@ export class AssetStore {
     runInAction(() => {
       this.assets.clear();
       data.forEach((asset) => {
-        this.assets.set(asset.id, asset);
+        this.assets.set(asset.id, {
+          ...asset,
+          yearlyPerformance: this.initializeYearlyPerformance(asset),
+        });
       });
     });
   }
@@ -338,6 +334,9 @@ export class AssetStore {
     return Array.from(this.assets.values()).reduce((total, asset) => {
       const latestPerformance =
         asset.yearlyPerformance[asset.yearlyPerformance.length - 1];
+      if (!latestPerformance) {
+        return total;
+      }
       return (
         total + (latestPerformance.actualEndValue || latestPerformance.endValue)
       );
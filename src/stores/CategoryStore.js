@@ -3,13 +3,14 @@ import { nanoid } from "nanoid";
 
 /**
  * カテゴリ管理ストア
- * 収入・支出・資産のカテゴリを管理
+ * 収入・支出・資産・負債のカテゴリを管理
  */
 export class CategoryStore {
   // カテゴリマップ
   incomeCategories = new Map();
   expenseCategories = new Map();
   assetCategories = new Map();
+  liabilityCategories = new Map();
 
   constructor(rootStore) {
     this.rootStore = rootStore;
@@ -26,6 +27,7 @@ export class CategoryStore {
       { name: "給与収入", description: "定期的な給与収入", color: "#4CAF50" },
       { name: "事業収入", description: "事業活動からの収入", color: "#2196F3" },
       { name: "投資収入", description: "投資からの収入", color: "#9C27B0" },
+      { name: "年金収入", description: "公的年金の受給額", color: "#00BCD4" },
       { name: "その他収入", description: "その他の収入", color: "#607D8B" },
     ];
 
@@ -34,6 +36,11 @@ export class CategoryStore {
       { name: "固定費", description: "定期的な固定支出", color: "#F44336" },
       { name: "変動費", description: "変動する支出", color: "#FF9800" },
       { name: "教育費", description: "教育関連の支出", color: "#009688" },
+      {
+        name: "ローン返済",
+        description: "住宅ローンなどの返済",
+        color: "#673AB7",
+      },
       { name: "その他支出", description: "その他の支出", color: "#795548" },
     ];
 
@@ -45,6 +52,22 @@ export class CategoryStore {
       { name: "その他資産", description: "その他の資産", color: "#9E9E9E" },
     ];
 
+    // 負債カテゴリのデフォルト値
+    const defaultLiabilityCategories = [
+      {
+        name: "自動車ローン",
+        description: "自動車の購入資金の借入",
+        color: "#8BC34A",
+      },
+      { name: "奨学金", description: "奨学金の返済", color: "#03A9F4" },
+      {
+        name: "カードローン",
+        description: "カードローン・キャッシング",
+        color: "#FF5722",
+      },
+      { name: "その他負債", description: "その他の負債", color: "#9E9E9E" },
+    ];
+
     // デフォルトカテゴリの登録
     defaultIncomeCategories.forEach((category) => {
       this.createIncomeCategory(category);
@@ -55,6 +78,9 @@ export class CategoryStore {
     defaultAssetCategories.forEach((category) => {
       this.createAssetCategory(category);
     });
+    defaultLiabilityCategories.forEach((category) => {
+      this.createLiabilityCategory(category);
+    });
   }
 
   /**
@@ -90,6 +116,17 @@ export class CategoryStore {
     return id;
   }
 
+  /**
+   * 負債カテゴリの作成
+   */
+  createLiabilityCategory(data) {
+    const id = nanoid();
+    runInAction(() => {
+      this.liabilityCategories.set(id, { id, ...data });
+    });
+    return id;
+  }
+
   /**
    * 収入カテゴリの更新
    */
@@ -132,6 +169,20 @@ export class CategoryStore {
     });
   }
 
+  /**
+   * 負債カテゴリの更新
+   */
+  updateLiabilityCategory(id, data) {
+    runInAction(() => {
+      if (this.liabilityCategories.has(id)) {
+        this.liabilityCategories.set(id, {
+          ...this.liabilityCategories.get(id),
+          ...data,
+        });
+      }
+    });
+  }
+
   /**
    * 収入カテゴリの削除
    */
@@ -159,6 +210,15 @@ export class CategoryStore {
     });
   }
 
+  /**
+   * 負債カテゴリの削除
+   */
+  deleteLiabilityCategory(id) {
+    runInAction(() => {
+      this.liabilityCategories.delete(id);
+    });
+  }
+
   /**
    * ストアデータのシリアライズ
    */
@@ -167,11 +227,13 @@ export class CategoryStore {
       incomeCategories: Array.from(this.incomeCategories.values()),
       expenseCategories: Array.from(this.expenseCategories.values()),
       assetCategories: Array.from(this.assetCategories.values()),
+      liabilityCategories: Array.from(this.liabilityCategories.values()),
     };
   }
 
   /**
    * ストアデータの復元
+   * 負債カテゴリを含まないデータ（負債の導入前に保存したもの）は、負債カテゴリの現在の値を残す
    */
   hydrate(data) {
     runInAction(() => {
@@ -188,6 +250,12 @@ export class CategoryStore {
       data.assetCategories?.forEach((category) => {
         this.assetCategories.set(category.id, category);
       });
+      if (data.liabilityCategories) {
+        this.liabilityCategories.clear();
+        data.liabilityCategories.forEach((category) => {
+          this.liabilityCategories.set(category.id, category);
+        });
+      }
     });
   }
 
@@ -199,6 +267,7 @@ export class CategoryStore {
       this.incomeCategories.clear();
       this.expenseCategories.clear();
       this.assetCategories.clear();
+      this.liabilityCategories.clear();
       this.initializeDefaultCategories();
     });
   }
@@ -232,4 +301,10 @@ export class CategoryStore {
       a.name.localeCompare(b.name),
     );
   }
+
+  get sortedLiabilityCategories() {
+    return Array.from(this.liabilityCategories.values()).sort((a, b) =>
+      a.name.localeCompare(b.name),
+    );
+  }
 }
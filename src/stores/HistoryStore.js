@@ -0,0 +1,135 @@
+import { makeAutoObservable, reaction, runInAction } from "mobx";
+
+// 保持する履歴の最大件数
+const MAX_HISTORY_DEPTH = 30;
+
+/**
+ * 操作履歴ストア
+ * 各ストアのスナップショットを保持し、元に戻す/やり直しを提供する
+ */
+export class HistoryStore {
+  // 変更前のスナップショット（JSON文字列）
+  past = [];
+  // 元に戻したスナップショット（JSON文字列）
+  future = [];
+  // 元に戻す操作を案内するメッセージ
+  message = null;
+  // 履歴の適用中は変更を記録しない
+  isApplying = false;
+
+  constructor(rootStore) {
+    this.rootStore = rootStore;
+    // 履歴の適用はアクションの外で行い、適用中の変更を記録しないようにする
+    makeAutoObservable(this, {
+      undo: false,
+      redo: false,
+      applySnapshot: false,
+    });
+  }
+
+  /**
+   * 変更の記録を開始
+   * ストアの初期読み込み後に呼び出す
+   */
+  startTracking() {
+    return reaction(
+      () => JSON.stringify(this.rootStore.serializeStores()),
+      (snapshot, previousSnapshot) => {
+        if (this.isApplying) {
+          return;
+        }
+        runInAction(() => {
+          this.past = [...this.past, previousSnapshot].slice(
+            -MAX_HISTORY_DEPTH,
+          );
+          this.future = [];
+        });
+      },
+    );
+  }
+
+  /**
+   * スナップショットを各ストアに適用
+   */
+  applySnapshot(snapshot) {
+    runInAction(() => {
+      this.isApplying = true;
+      this.rootStore.hydrateStores(JSON.parse(snapshot));
+    });
+    runInAction(() => {
+      this.isApplying = false;
+    });
+  }
+
+  /**
+   * 直前の操作を元に戻す
+   */
+  undo() {
+    if (!this.canUndo) {
+      return;
+    }
+    const current = JSON.stringify(this.rootStore.serializeStores());
+    const snapshot = this.past[this.past.length - 1];
+    runInAction(() => {
+      this.past = this.past.slice(0, -1);
+      this.future = [...this.future, current];
+      this.message = null;
+    });
+    this.applySnapshot(snapshot);
+  }
+
+  /**
+   * 元に戻した操作をやり直す
+   */
+  redo() {
+    if (!this.canRedo) {
+      return;
+    }
+    const current = JSON.stringify(this.rootStore.serializeStores());
+    const snapshot = this.future[this.future.length - 1];
+    runInAction(() => {
+      this.future = this.future.slice(0, -1);
+      this.past = [...this.past, current];
+    });
+    this.applySnapshot(snapshot);
+  }
+
+  /**
+   * 元に戻す操作の案内を表示
+   */
+  notify(message) {
+    runInAction(() => {
+      this.message = message;
+    });
+  }
+
+  /**
+   * 元に戻す操作の案内を閉じる
+   */
+  dismiss() {
+    runInAction(() => {
+      this.message = null;
+    });
+  }
+
+  /**
+   * 履歴のクリア
+   */
+  clear() {
+    runInAction(() => {
+      this.past = [];
+      this.future = [];
+      this.message = null;
+    });
+  }
+
+  // 計算済みプロパティ
+
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  get canRedo() {
+    return this.future.length > 0;
+  }
+}
@@ -0,0 +1,139 @@
+import { makeAutoObservable, reaction, runInAction } from "mobx";
+import { nanoid } from "nanoid";
+import { isLiabilityOutstandingInYear } from "../services/calculators/liability";
+
+/**
+ * 負債管理ストア
+ * 自動車ローン・奨学金などの負債を管理する
+ * 負債はライフプランごとに1つの台帳として管理し（lifePlanId で紐付け）、
+ * 各年の残高・返済額は返済予定から計算する
+ */
+export class LiabilityStore {
+  // 負債マップ
+  liabilities = new Map();
+
+  constructor(rootStore) {
+    this.rootStore = rootStore;
+    makeAutoObservable(this);
+  }
+
+  /**
+   * 負債の作成
+   */
+  createLiability(data) {
+    const id = nanoid();
+    runInAction(() => {
+      this.liabilities.set(id, { id, ...data });
+    });
+    return id;
+  }
+
+  /**
+   * 負債の更新
+   */
+  updateLiability(id, data) {
+    runInAction(() => {
+      if (this.liabilities.has(id)) {
+        this.liabilities.set(id, {
+          ...this.liabilities.get(id),
+          ...data,
+        });
+      }
+    });
+  }
+
+  /**
+   * 負債の削除
+   */
+  deleteLiability(id) {
+    runInAction(() => {
+      this.liabilities.delete(id);
+    });
+  }
+
+  /**
+   * ライフプランの負債の取得
+   */
+  getLifePlanLiabilities(lifePlanId) {
+    return this.sortedLiabilities.filter(
+      (liability) => liability.lifePlanId === lifePlanId,
+    );
+  }
+
+  /**
+   * 指定年に返済中の負債の取得
+   */
+  getYearLiabilities(lifePlanId, year) {
+    return this.getLifePlanLiabilities(lifePlanId).filter((liability) =>
+      isLiabilityOutstandingInYear(liability, year),
+    );
+  }
+
+  /**
+   * ライフプランの負債のコピー
+   */
+  copyLifePlanLiabilities(sourceLifePlanId, targetLifePlanId) {
+    this.getLifePlanLiabilities(sourceLifePlanId).forEach((liability) => {
+      const data = { ...liability, lifePlanId: targetLifePlanId };
+      delete data.id;
+      this.createLiability(data);
+    });
+  }
+
+  /**
+   * ライフプランの負債の削除
+   */
+  deleteLifePlanLiabilities(lifePlanId) {
+    runInAction(() => {
+      this.getLifePlanLiabilities(lifePlanId).forEach((liability) => {
+        this.liabilities.delete(liability.id);
+      });
+    });
+  }
+
+  /**
+   * ストアデータのシリアライズ
+   */
+  serialize() {
+    return Array.from(this.liabilities.values());
+  }
+
+  /**
+   * ストアデータの復元
+   */
+  hydrate(data) {
+    runInAction(() => {
+      this.liabilities.clear();
+      data.forEach((liability) => {
+        this.liabilities.set(liability.id, liability);
+      });
+    });
+  }
+
+  /**
+   * ストアのリセット
+   */
+  reset() {
+    runInAction(() => {
+      this.liabilities.clear();
+    });
+  }
+
+  /**
+   * 変更監視コールバックの設定
+   */
+  onChange(callback) {
+    return reaction(
+      () => this.serialize(),
+      () => callback(),
+    );
+  }
+
+  // 計算済みプロパティ
+
+  get sortedLiabilities() {
+    return Array.from(this.liabilities.values()).sort(
+      (a, b) => new Date(b.startDate) - new Date(a.startDate),
+    );
+  }
+}
@@ -1,5 +1,10 @@
-import { makeAutoObservable, runInAction } from "mobx";
+import { makeAutoObservable, runInAction, toJS } from "mobx";
 import { nanoid } from "nanoid";
+import { remapAssetReferences } from "../services/calculators/assetReferences";
+import { getGoalYear } from "../services/calculators/goal";
+import { getPensionItemId } from "../services/calculators/pension";
+import { RECURRING_END_TYPES } from "../services/calculators/recurring";
+import { applyScenario } from "../services/calculators/scenario";
 
 /**
  * ライフプラン管理ストア
@@ -21,6 +26,11 @@ export class LifePlanStore {
     runInAction(() => {
       this.lifePlans.set(id, {
         id,
+        members: [],
+        recurringItems: [],
+        loans: [],
+        scenarios: [],
+        goals: [],
         ...data,
         yearlyFinances: this.generateYearlyFinances(
           data.startYear,
@@ -50,6 +60,8 @@ export class LifePlanStore {
         });
       }
     });
+    // プランの期間に合わせて資産の年次パフォーマンスを再計算
+    this.rootStore.assetStore.recalculateLifePlanAssets(id);
   }
 
   /**
@@ -62,6 +74,8 @@ export class LifePlanStore {
         this.activeLifePlanId = null;
       }
     });
+    this.rootStore.assetStore.deleteLifePlanAssets(id);
+    this.rootStore.liabilityStore.deleteLifePlanLiabilities(id);
   }
 
   /**
@@ -75,6 +89,19 @@ export class LifePlanStore {
         name: `${lifePlan.name} (コピー)`,
         id: undefined,
       });
+      const assetIds = this.rootStore.assetStore.copyLifePlanAssets(id, newId);
+      // 年別データも複製し、シナリオ・イベント・目標が参照する資産をコピー後の資産に付け替える
+      const copied = remapAssetReferences(toJS(lifePlan), assetIds);
+      runInAction(() => {
+        const newLifePlan = this.lifePlans.get(newId);
+        newLifePlan.scenarios = copied.scenarios;
+        newLifePlan.goals = copied.goals;
+        newLifePlan.yearlyFinances = copied.yearlyFinances.map((yf) => ({
+          ...yf,
+          id: nanoid(),
+        }));
+      });
+      this.rootStore.liabilityStore.copyLifePlanLiabilities(id, newId);
       return newId;
     }
     return null;
@@ -92,7 +119,8 @@ export class LifePlanStore {
         events: [],
         incomes: [],
         expenses: [],
-        assets: [],
+        recurringOverrides: {},
+        actuals: {},
       });
     }
     return yearlyFinances;
@@ -135,7 +163,8 @@ export class LifePlanStore {
             events: [],
             incomes: [],
             expenses: [],
-            assets: [],
+            recurringOverrides: {},
+            actuals: {},
           };
         }
       }
@@ -169,15 +198,444 @@ export class LifePlanStore {
             ...expense,
             id: nanoid(),
           }));
-          targetFinance.assets = sourceFinance.assets.map((asset) => ({
-            ...asset,
-            id: nanoid(),
-          }));
+          targetFinance.recurringOverrides = {
+            ...sourceFinance.recurringOverrides,
+          };
         }
       }
     });
   }
 
+  /**
+   * 繰り返し項目の作成
+   */
+  createRecurringItem(lifePlanId, data) {
+    const id = nanoid();
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.recurringItems = [
+          ...(lifePlan.recurringItems || []),
+          { id, ...data },
+        ];
+      }
+    });
+    return id;
+  }
+
+  /**
+   * 繰り返し項目の更新
+   */
+  updateRecurringItem(lifePlanId, itemId, data) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.recurringItems = (lifePlan.recurringItems || []).map((item) =>
+          item.id === itemId ? { ...item, ...data } : item,
+        );
+      }
+    });
+  }
+
+  /**
+   * 繰り返し項目の削除
+   * 各年に保存された上書き内容も合わせて削除する
+   */
+  deleteRecurringItem(lifePlanId, itemId) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.recurringItems = (lifePlan.recurringItems || []).filter(
+          (item) => item.id !== itemId,
+        );
+        lifePlan.yearlyFinances.forEach((yf) => {
+          if (yf.recurringOverrides?.[itemId]) {
+            const overrides = { ...yf.recurringOverrides };
+            delete overrides[itemId];
+            yf.recurringOverrides = overrides;
+          }
+          if (yf.actuals?.[itemId] !== undefined) {
+            const actuals = { ...yf.actuals };
+            delete actuals[itemId];
+            yf.actuals = actuals;
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * 繰り返し項目の年別上書き
+   * data に excluded: true を指定するとその年だけ項目を除外する
+   */
+  setRecurringOverride(lifePlanId, yearlyFinanceId, itemId, data) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      const yearlyFinance = lifePlan?.yearlyFinances.find(
+        (yf) => yf.id === yearlyFinanceId,
+      );
+      if (yearlyFinance) {
+        yearlyFinance.recurringOverrides = {
+          ...yearlyFinance.recurringOverrides,
+          [itemId]: data,
+        };
+      }
+    });
+  }
+
+  /**
+   * 繰り返し項目の年別上書きの解除
+   */
+  clearRecurringOverride(lifePlanId, yearlyFinanceId, itemId) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      const yearlyFinance = lifePlan?.yearlyFinances.find(
+        (yf) => yf.id === yearlyFinanceId,
+      );
+      if (yearlyFinance?.recurringOverrides?.[itemId]) {
+        const overrides = { ...yearlyFinance.recurringOverrides };
+        delete overrides[itemId];
+        yearlyFinance.recurringOverrides = overrides;
+      }
+    });
+  }
+
+  /**
+   * ローンの作成
+   */
+  createLoan(lifePlanId, data) {
+    const id = nanoid();
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.loans = [...(lifePlan.loans || []), { id, ...data }];
+      }
+    });
+    return id;
+  }
+
+  /**
+   * ローンの更新
+   */
+  updateLoan(lifePlanId, loanId, data) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.loans = (lifePlan.loans || []).map((loan) =>
+          loan.id === loanId ? { ...loan, ...data } : loan,
+        );
+      }
+    });
+  }
+
+  /**
+   * ローンの削除
+   * 返済の支出項目に入力した実績額も合わせて削除する
+   */
+  deleteLoan(lifePlanId, loanId) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.loans = (lifePlan.loans || []).filter(
+          (loan) => loan.id !== loanId,
+        );
+        const prefix = `loan-${loanId}-`;
+        lifePlan.yearlyFinances.forEach((yf) => {
+          const keys = Object.keys(yf.actuals || {});
+          if (keys.some((key) => key.startsWith(prefix))) {
+            yf.actuals = Object.fromEntries(
+              Object.entries(yf.actuals).filter(
+                ([key]) => !key.startsWith(prefix),
+              ),
+            );
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * 目標の作成
+   */
+  createGoal(lifePlanId, data) {
+    const id = nanoid();
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.goals = [...(lifePlan.goals || []), { id, ...data }];
+      }
+    });
+    return id;
+  }
+
+  /**
+   * 目標の更新
+   */
+  updateGoal(lifePlanId, goalId, data) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.goals = (lifePlan.goals || []).map((goal) =>
+          goal.id === goalId ? { ...goal, ...data } : goal,
+        );
+      }
+    });
+  }
+
+  /**
+   * 目標の削除
+   */
+  deleteGoal(lifePlanId, goalId) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.goals = (lifePlan.goals || []).filter(
+          (goal) => goal.id !== goalId,
+        );
+      }
+    });
+  }
+
+  /**
+   * シナリオの作成
+   * シナリオにはプランの条件の上書き内容だけを保存する
+   */
+  createScenario(lifePlanId, data) {
+    const id = nanoid();
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.scenarios = [...(lifePlan.scenarios || []), { id, ...data }];
+      }
+    });
+    return id;
+  }
+
+  /**
+   * シナリオの更新
+   */
+  updateScenario(lifePlanId, scenarioId, data) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.scenarios = (lifePlan.scenarios || []).map((scenario) =>
+          scenario.id === scenarioId ? { ...scenario, ...data } : scenario,
+        );
+      }
+    });
+  }
+
+  /**
+   * シナリオの削除
+   */
+  deleteScenario(lifePlanId, scenarioId) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.scenarios = (lifePlan.scenarios || []).filter(
+          (scenario) => scenario.id !== scenarioId,
+        );
+      }
+    });
+  }
+
+  /**
+   * シナリオを新しいライフプランとして保存
+   * 上書き内容を反映したプラン・資産・負債をコピーする（年別データも引き継ぐ）
+   */
+  promoteScenario(lifePlanId, scenarioId) {
+    const lifePlan = this.lifePlans.get(lifePlanId);
+    const scenario = lifePlan?.scenarios?.find((s) => s.id === scenarioId);
+    if (!scenario) {
+      return null;
+    }
+
+    const applied = applyScenario(
+      {
+        lifePlan,
+        assets: this.rootStore.assetStore.getLifePlanAssets(lifePlanId),
+        liabilities:
+          this.rootStore.liabilityStore.getLifePlanLiabilities(lifePlanId),
+      },
+      scenario,
+    );
+    const newId = this.createLifePlan({
+      ...applied.lifePlan,
+      name: `${lifePlan.name} (${scenario.name})`,
+      id: undefined,
+      scenarios: [],
+    });
+    const assetIds = new Map();
+    applied.assets.forEach((asset) => {
+      const data = { ...asset, lifePlanId: newId };
+      delete data.id;
+      assetIds.set(asset.id, this.rootStore.assetStore.createAsset(data));
+    });
+    // 元のプランと年別データを共有しないよう複製し、イベント・目標の関連資産を付け替える
+    runInAction(() => {
+      const newLifePlan = this.lifePlans.get(newId);
+      const remapped = remapAssetReferences(toJS(applied.lifePlan), assetIds);
+      newLifePlan.goals = remapped.goals;
+      newLifePlan.yearlyFinances = remapped.yearlyFinances.map((yf) => ({
+        ...yf,
+        id: nanoid(),
+      }));
+    });
+    this.rootStore.liabilityStore.copyLifePlanLiabilities(lifePlanId, newId);
+    return newId;
+  }
+
+  /**
+   * 収支項目の実績額（年額）の設定
+   * amount に null を指定すると実績額を削除する
+   */
+  setActualAmount(lifePlanId, yearlyFinanceId, itemId, amount) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      const yearlyFinance = lifePlan?.yearlyFinances.find(
+        (yf) => yf.id === yearlyFinanceId,
+      );
+      if (yearlyFinance) {
+        const actuals = { ...yearlyFinance.actuals };
+        if (amount === null || amount === undefined) {
+          delete actuals[itemId];
+        } else {
+          actuals[itemId] = amount;
+        }
+        yearlyFinance.actuals = actuals;
+      }
+    });
+  }
+
+  /**
+   * 実績を基準にする年の設定
+   * 基準年までは実績額で収支を計算し、翌年以降を予測し直す
+   * year に null を指定すると解除する
+   */
+  setBaselineYear(lifePlanId, year) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.baselineYear = year;
+      }
+    });
+  }
+
+  /**
+   * 世帯メンバーの作成
+   */
+  createMember(lifePlanId, data) {
+    const id = nanoid();
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.members = [...(lifePlan.members || []), { id, ...data }];
+      }
+    });
+    return id;
+  }
+
+  /**
+   * 世帯メンバーの更新
+   */
+  updateMember(lifePlanId, memberId, data) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.members = (lifePlan.members || []).map((member) =>
+          member.id === memberId ? { ...member, ...data } : member,
+        );
+      }
+    });
+  }
+
+  /**
+   * 世帯メンバーの削除
+   * メンバーを参照していた項目・ローン・イベントは参照を外し（給与収入とローン控除は本人の扱いになる）、
+   * メンバーの年齢を終了条件にしていた繰り返し項目はプラン終了までに戻す。
+   * メンバーの年齢で指定した目標は、その時点の目標年で指定し直す。
+   * 年金設定はメンバーと一緒に削除されるため、年金収入に入力した実績額も削除する
+   */
+  deleteMember(lifePlanId, memberId) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        const clearMember = (record) =>
+          record.memberId === memberId ? { ...record, memberId: null } : record;
+
+        lifePlan.goals = (lifePlan.goals || []).map((goal) =>
+          goal.memberId === memberId
+            ? {
+                ...goal,
+                targetYear: getGoalYear(goal, lifePlan),
+                memberId: null,
+                targetAge: null,
+              }
+            : goal,
+        );
+        lifePlan.members = (lifePlan.members || []).filter(
+          (member) => member.id !== memberId,
+        );
+        lifePlan.recurringItems = (lifePlan.recurringItems || []).map(
+          (item) => {
+            if (item.memberId !== memberId) {
+              return item;
+            }
+            const endType =
+              item.endType === RECURRING_END_TYPES.MEMBER_AGE
+                ? RECURRING_END_TYPES.LIFETIME
+                : item.endType;
+            return { ...item, memberId: null, endType, endAge: null };
+          },
+        );
+        lifePlan.loans = (lifePlan.loans || []).map(clearMember);
+
+        const pensionItemId = getPensionItemId(memberId);
+        lifePlan.yearlyFinances = lifePlan.yearlyFinances.map((yearData) => {
+          const actuals = { ...yearData.actuals };
+          delete actuals[pensionItemId];
+          return {
+            ...yearData,
+            incomes: yearData.incomes.map(clearMember),
+            expenses: yearData.expenses.map(clearMember),
+            events: (yearData.events || []).map(clearMember),
+            actuals,
+          };
+        });
+      }
+    });
+  }
+
+  /**
+   * モンテカルロシミュレーション設定の更新
+   */
+  updateSimulationSettings(lifePlanId, data) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.simulationSettings = {
+          ...lifePlan.simulationSettings,
+          ...data,
+        };
+      }
+    });
+  }
+
+  /**
+   * 老後の取り崩し設定の更新
+   */
+  updateDecumulationSettings(lifePlanId, data) {
+    runInAction(() => {
+      const lifePlan = this.lifePlans.get(lifePlanId);
+      if (lifePlan) {
+        lifePlan.decumulationSettings = {
+          ...lifePlan.decumulationSettings,
+          ...data,
+        };
+      }
+    });
+  }
+
   /**
    * ストアデータのシリアライズ
    */
@@ -1,8 +1,17 @@
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { makeAutoObservable, reaction } from "mobx";
+import { encodeShareCode } from "../services/exporters/shareCode";
+import { IMPORT_MODES, prepareImport } from "../services/importers/mergeImport";
+import {
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateData,
+} from "../services/migrations";
 import { AssetStore } from "./AssetStore";
 import { CategoryStore } from "./CategoryStore";
 import { GroupStore } from "./GroupStore";
+import { HistoryStore } from "./HistoryStore";
+import { LiabilityStore } from "./LiabilityStore";
 import { LifePlanStore } from "./LifePlanStore";
 
 /**
@@ -15,10 +24,25 @@ export class RootStore {
     this.categoryStore = new CategoryStore(this);
     this.groupStore = new GroupStore(this);
     this.assetStore = new AssetStore(this);
+    this.liabilityStore = new LiabilityStore(this);
+    this.historyStore = new HistoryStore(this);
 
     makeAutoObservable(this);
   }
 
+  /**
+   * 永続化対象のストアデータをまとめて取得
+   */
+  serializeStores() {
+    return {
+      lifePlans: this.lifePlanStore.serialize(),
+      categories: this.categoryStore.serialize(),
+      groups: this.groupStore.serialize(),
+      assets: this.assetStore.serialize(),
+      liabilities: this.liabilityStore.serialize(),
+    };
+  }
+
   /**
    * ストアの初期化
    */
@@ -40,8 +64,13 @@ export class RootStore {
     try {
       const storageData = await AsyncStorage.getItem("appData");
       if (storageData) {
-        const data = JSON.parse(storageData);
+        const storedData = JSON.parse(storageData);
+        const data = migrateData(storedData);
         this.hydrateStores(data);
+        // 移行した場合は最新のスキーマで保存し直す
+        if (getSchemaVersion(storedData) !== CURRENT_SCHEMA_VERSION) {
+          await this.saveToStorage();
+        }
       }
     } catch (error) {
       console.error("データの読み込みに失敗しました:", error);
@@ -55,10 +84,8 @@ export class RootStore {
   async saveToStorage() {
     try {
       const data = {
-        lifePlans: this.lifePlanStore.serialize(),
-        categories: this.categoryStore.serialize(),
-        groups: this.groupStore.serialize(),
-        assets: this.assetStore.serialize(),
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        ...this.serializeStores(),
       };
       await AsyncStorage.setItem("appData", JSON.stringify(data));
     } catch (error) {
@@ -83,6 +110,9 @@ export class RootStore {
     if (data.assets) {
       this.assetStore.hydrate(data.assets);
     }
+    if (data.liabilities) {
+      this.liabilityStore.hydrate(data.liabilities);
+    }
   }
 
   /**
@@ -100,14 +130,12 @@ export class RootStore {
 
     // 各ストアの変更を監視
     reaction(
-      () => ({
-        lifePlans: this.lifePlanStore.serialize(),
-        categories: this.categoryStore.serialize(),
-        groups: this.groupStore.serialize(),
-        assets: this.assetStore.serialize(),
-      }),
+      () => this.serializeStores(),
       () => debouncedSave(),
     );
+
+    // 元に戻す/やり直しのための変更履歴
+    this.historyStore.startTracking();
   }
 
   /**
@@ -116,10 +144,8 @@ export class RootStore {
   async exportData() {
     try {
       const data = {
-        lifePlans: this.lifePlanStore.serialize(),
-        categories: this.categoryStore.serialize(),
-        groups: this.groupStore.serialize(),
-        assets: this.assetStore.serialize(),
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        ...this.serializeStores(),
       };
       return JSON.stringify(data);
     } catch (error) {
@@ -128,15 +154,55 @@ export class RootStore {
     }
   }
 
+  /**
+   * アプリケーションデータを共有コードとしてエクスポート
+   */
+  async exportShareCode() {
+    try {
+      return encodeShareCode(await this.exportData());
+    } catch (error) {
+      console.error("共有コードの作成に失敗しました:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 指定したライフプランのみを共有コードとしてエクスポート
+   */
+  async exportLifePlanShareCode(lifePlanId) {
+    try {
+      const lifePlan = this.lifePlanStore.lifePlans.get(lifePlanId);
+      if (!lifePlan) {
+        throw new Error("ライフプランが見つかりません");
+      }
+      return encodeShareCode(
+        JSON.stringify({
+          schemaVersion: CURRENT_SCHEMA_VERSION,
+          lifePlans: [lifePlan],
+          assets: this.assetStore.getLifePlanAssets(lifePlanId),
+          liabilities: this.liabilityStore.getLifePlanLiabilities(lifePlanId),
+        }),
+      );
+    } catch (error) {
+      console.error("共有コードの作成に失敗しました:", error);
+      throw error;
+    }
+  }
+
   /**
    * アプリケーションデータのインポート
+   * 不正なレコードは取り除き、残りを指定した方法で現在のデータと統合する
+   * @param {string} jsonString - インポートするJSON文字列
+   * @param {object} options - オプション（mode: IMPORT_MODES のいずれか）
+   * @returns {Promise<{rejected: object[]}>} 取り除いたレコードの一覧
    */
-  async importData(jsonString) {
+  async importData(jsonString, { mode = IMPORT_MODES.REPLACE } = {}) {
     try {
-      const data = JSON.parse(jsonString);
+      const currentData = JSON.parse(await this.exportData());
+      const { data, rejected } = prepareImport(jsonString, currentData, mode);
       this.hydrateStores(data);
       await this.saveToStorage();
-      return true;
+      return { rejected };
     } catch (error) {
       console.error("データのインポートに失敗しました:", error);
       throw error;
@@ -153,6 +219,7 @@ export class RootStore {
       this.categoryStore.reset();
       this.groupStore.reset();
       this.assetStore.reset();
+      this.liabilityStore.reset();
       return true;
     } catch (error) {
       console.error("データのリセットに失敗しました:", error);
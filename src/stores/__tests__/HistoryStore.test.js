@@ -0,0 +1,106 @@
+import { makeAutoObservable } from 'mobx';
+import { HistoryStore } from '../HistoryStore';
+
+/**
+ * 値を1つだけ持つストアで RootStore を代用する
+ */
+class FakeRootStore {
+  value = 0;
+
+  constructor() {
+    makeAutoObservable(this, { historyStore: false });
+    this.historyStore = new HistoryStore(this);
+  }
+
+  setValue(value) {
+    this.value = value;
+  }
+
+  serializeStores() {
+    return { value: this.value };
+  }
+
+  hydrateStores(data) {
+    this.value = data.value;
+  }
+}
+
+/**
+ * 変更の記録を開始したストアを作成
+ */
+const createStore = () => {
+  const rootStore = new FakeRootStore();
+  const dispose = rootStore.historyStore.startTracking();
+  return { rootStore, history: rootStore.historyStore, dispose };
+};
+
+describe('HistoryStore', () => {
+  it('変更を元に戻し、やり直す', () => {
+    const { rootStore, history, dispose } = createStore();
+    rootStore.setValue(1);
+    rootStore.setValue(2);
+
+    history.undo();
+    expect(rootStore.value).toBe(1);
+    history.undo();
+    expect(rootStore.value).toBe(0);
+    expect(history.canUndo).toBe(false);
+
+    history.redo();
+    history.redo();
+    expect(rootStore.value).toBe(2);
+    expect(history.canRedo).toBe(false);
+    dispose();
+  });
+
+  it('元に戻した後に変更すると、やり直しの履歴を破棄する', () => {
+    const { rootStore, history, dispose } = createStore();
+    rootStore.setValue(1);
+    rootStore.setValue(2);
+    history.undo();
+    expect(history.canRedo).toBe(true);
+
+    rootStore.setValue(3);
+    expect(history.canRedo).toBe(false);
+    history.redo();
+    expect(rootStore.value).toBe(3);
+    history.undo();
+    expect(rootStore.value).toBe(1);
+    dispose();
+  });
+
+  it('元に戻す/やり直しによる変更は履歴に記録しない', () => {
+    const { rootStore, history, dispose } = createStore();
+    rootStore.setValue(1);
+    history.undo();
+
+    expect(history.past).toHaveLength(0);
+    expect(history.future).toHaveLength(1);
+    dispose();
+  });
+
+  it('保持する履歴は最大30件で、古いものから破棄する', () => {
+    const { rootStore, history, dispose } = createStore();
+    for (let value = 1; value <= 40; value++) {
+      rootStore.setValue(value);
+    }
+    expect(history.past).toHaveLength(30);
+
+    while (history.canUndo) {
+      history.undo();
+    }
+    expect(rootStore.value).toBe(10);
+    dispose();
+  });
+
+  it('履歴をクリアする', () => {
+    const { rootStore, history, dispose } = createStore();
+    rootStore.setValue(1);
+    history.undo();
+    history.clear();
+
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(false);
+    dispose();
+  });
+});
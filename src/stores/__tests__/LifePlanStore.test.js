@@ -0,0 +1,88 @@
+import { ENUMS } from '../../constants';
+import { RECURRING_END_TYPES } from '../../services/calculators/recurring';
+import { LifePlanStore } from '../LifePlanStore';
+
+/**
+ * 本人と配偶者がいて、配偶者を参照するデータを持つライフプランを作成
+ */
+const createStore = () => {
+  const store = new LifePlanStore({});
+  const lifePlanId = store.createLifePlan({
+    name: 'プラン',
+    startYear: 2025,
+    lifespan: 2,
+    members: [
+      { id: 'self', name: '本人', relationship: ENUMS.relationship.SELF, birthDate: '1990-05-01' },
+      {
+        id: 'spouse',
+        name: '配偶者',
+        relationship: ENUMS.relationship.SPOUSE,
+        birthDate: '1992-08-01',
+        pension: { enabled: true },
+      },
+    ],
+    recurringItems: [
+      {
+        id: 'salary',
+        memberId: 'spouse',
+        endType: RECURRING_END_TYPES.MEMBER_AGE,
+        endAge: 60,
+      },
+    ],
+    loans: [
+      { id: 'spouse-loan', memberId: 'spouse' },
+      { id: 'self-loan', memberId: 'self' },
+    ],
+    goals: [
+      { id: 'age-goal', memberId: 'spouse', targetAge: 40 },
+      { id: 'year-goal', targetYear: 2030 },
+    ],
+  });
+  const lifePlan = store.lifePlans.get(lifePlanId);
+  const [firstYear] = lifePlan.yearlyFinances;
+  firstYear.incomes = [
+    { id: 'bonus', memberId: 'spouse' },
+    { id: 'self-bonus', memberId: 'self' },
+  ];
+  firstYear.events = [{ id: 'event', memberId: 'spouse' }];
+  firstYear.actuals = { 'pension-spouse': 800000, bonus: 500000 };
+  return { store, lifePlanId };
+};
+
+describe('LifePlanStore.deleteMember', () => {
+  it('削除したメンバーへの参照を外す', () => {
+    const { store, lifePlanId } = createStore();
+    store.deleteMember(lifePlanId, 'spouse');
+    const lifePlan = store.lifePlans.get(lifePlanId);
+    const [firstYear] = lifePlan.yearlyFinances;
+
+    expect(lifePlan.members.map(member => member.id)).toEqual(['self']);
+    expect(lifePlan.recurringItems[0]).toMatchObject({
+      memberId: null,
+      endType: RECURRING_END_TYPES.LIFETIME,
+      endAge: null,
+    });
+    expect(lifePlan.loans.map(loan => loan.memberId)).toEqual([null, 'self']);
+    expect(firstYear.incomes.map(item => item.memberId)).toEqual([null, 'self']);
+    expect(firstYear.events[0].memberId).toBeNull();
+  });
+
+  it('年齢で指定した目標は、削除前の目標年で指定し直す', () => {
+    const { store, lifePlanId } = createStore();
+    store.deleteMember(lifePlanId, 'spouse');
+    const { goals } = store.lifePlans.get(lifePlanId);
+
+    expect(goals).toEqual([
+      { id: 'age-goal', memberId: null, targetAge: null, targetYear: 2032 },
+      { id: 'year-goal', targetYear: 2030 },
+    ]);
+  });
+
+  it('削除したメンバーの年金収入の実績額を削除する', () => {
+    const { store, lifePlanId } = createStore();
+    store.deleteMember(lifePlanId, 'spouse');
+    const [firstYear] = store.lifePlans.get(lifePlanId).yearlyFinances;
+
+    expect(firstYear.actuals).toEqual({ bonus: 500000 });
+  });
+});
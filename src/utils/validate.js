@@ -192,11 +192,59 @@ export const validateLifePlan = (data) => {
   validateRequired(data.inflationRate, "インフレ率");
   validatePercentage(data.inflationRate, "インフレ率");
 
+  if (data.retirementYear) {
+    validateNumber(data.retirementYear, "退職年", {
+      min: data.startYear,
+      max: data.startYear + data.lifespan,
+    });
+  }
+
   if (data.description) {
     validateLength(data.description, "説明", { maxLength: 1000 });
   }
 };
 
+/**
+ * 資産の積立・取り崩しの設定の妥当性チェック
+ * @param {object} schedule - チェックする設定
+ * @throws {ValidationError}
+ */
+export const validateAssetCashFlowSchedule = (schedule) => {
+  validateEnum(schedule.type, "積立・取り崩しの種類", [
+    "contribution",
+    "withdrawal",
+  ]);
+  validateEnum(schedule.method, "積立・取り崩し額の決め方", [
+    "fixed",
+    "percentage",
+    "deficit",
+  ]);
+
+  if (schedule.method === "deficit" && schedule.type !== "withdrawal") {
+    throw new ValidationError(
+      "不足額の補填は取り崩しでのみ指定できます",
+      "積立・取り崩し額の決め方",
+    );
+  }
+  if (schedule.method === "fixed") {
+    validateAmount(schedule.amount, "積立・取り崩しの金額");
+  }
+  if (schedule.method === "percentage") {
+    validatePercentage(schedule.rate, "積立・取り崩しの割合");
+  }
+  if (schedule.method !== "deficit") {
+    validateEnum(schedule.frequency, "積立・取り崩しの頻度", [
+      "monthly",
+      "yearly",
+    ]);
+  }
+  if (schedule.startYear && schedule.endYear) {
+    validateNumber(schedule.endYear, "積立・取り崩しの終了年", {
+      min: schedule.startYear,
+    });
+  }
+};
+
 /**
  * 資産データの妥当性チェック
  * @param {object} data - チェックするデータ
@@ -217,6 +265,23 @@ export const validateAsset = (data) => {
     validateDate(data.maturityDate, "満期日", { minDate: data.startDate });
   }
 
+  if (data.accountType) {
+    validateEnum(data.accountType, "口座の種類", [
+      "taxable",
+      "nisaTsumitate",
+      "nisaGrowth",
+      "ideco",
+    ]);
+  }
+
+  if (data.monthlyContribution) {
+    validateAmount(data.monthlyContribution, "掛金");
+  }
+
+  if (data.cashFlowSchedule) {
+    data.cashFlowSchedule.forEach(validateAssetCashFlowSchedule);
+  }
+
   if (data.returns) {
     validateRequired(data.returns.capitalGain.annualRate, "年間期待収益率");
     validatePercentage(data.returns.capitalGain.annualRate, "年間期待収益率");
@@ -231,6 +296,10 @@ export const validateAsset = (data) => {
       ["yearly", "monthly", "daily"],
     );
 
+    if (data.returns.capitalGain.volatility !== undefined) {
+      validatePercentage(data.returns.capitalGain.volatility, "価格変動率");
+    }
+
     if (data.returns.incomeGain) {
       validateRequired(data.returns.incomeGain.dividendYield, "配当利回り");
       validatePercentage(data.returns.incomeGain.dividendYield, "配当利回り");
@@ -247,3 +316,182 @@ export const validateAsset = (data) => {
     }
   }
 };
+
+/**
+ * ローンの妥当性チェック
+ * @param {object} data - チェックするデータ
+ * @throws {ValidationError}
+ */
+export const validateLoan = (data) => {
+  validateRequired(data.name, "名称");
+  validateLength(data.name, "名称", { maxLength: 100 });
+
+  validateRequired(data.principal, "借入額");
+  validateNumber(data.principal, "借入額", { min: 1 });
+  if (data.bonusPrincipal) {
+    validateNumber(data.bonusPrincipal, "ボーナス返済分の借入額", {
+      min: 0,
+      max: data.principal,
+    });
+  }
+
+  validateRequired(data.startDate, "借入日");
+  validateDate(data.startDate, "借入日");
+
+  validateRequired(data.termYears, "返済期間");
+  validateNumber(data.termYears, "返済期間", { min: 1, max: 50 });
+
+  validateEnum(data.repaymentMethod, "返済方法", [
+    "equalPayment",
+    "equalPrincipal",
+  ]);
+  validateEnum(data.rateType, "金利タイプ", ["fixed", "variable"]);
+  validatePercentage(data.annualRate, "金利");
+
+  (data.rateChanges || []).forEach((change) => {
+    validateNumber(change.year, "金利の変更年", { min: 1900, max: 2100 });
+    validatePercentage(change.annualRate, "変更後の金利");
+  });
+
+  (data.prepayments || []).forEach((prepayment) => {
+    validateNumber(prepayment.year, "繰上返済の年", { min: 1900, max: 2100 });
+    validateNumber(prepayment.month, "繰上返済の月", { min: 1, max: 12 });
+    validateNumber(prepayment.amount, "繰上返済額", { min: 1 });
+    validateEnum(prepayment.method, "繰上返済の方法", [
+      "shortenTerm",
+      "reducePayment",
+    ]);
+  });
+
+  if (data.deductionLimit !== undefined && data.deductionLimit !== null) {
+    validateAmount(data.deductionLimit, "住宅ローン控除の借入限度額");
+  }
+};
+
+/**
+ * 負債の妥当性チェック
+ * @param {object} data - チェックするデータ
+ * @throws {ValidationError}
+ */
+export const validateLiability = (data) => {
+  validateRequired(data.name, "名称");
+  validateLength(data.name, "名称", { maxLength: 100 });
+
+  validateRequired(data.category, "カテゴリ");
+
+  validateRequired(data.principal, "借入額");
+  validateNumber(data.principal, "借入額", { min: 1 });
+
+  validateRequired(data.startDate, "借入日");
+  validateDate(data.startDate, "借入日");
+
+  validateRequired(data.termYears, "返済期間");
+  validateNumber(data.termYears, "返済期間", { min: 1, max: 50 });
+
+  validateEnum(data.repaymentMethod, "返済方法", [
+    "equalPayment",
+    "equalPrincipal",
+  ]);
+  validatePercentage(data.annualRate, "金利");
+};
+
+/**
+ * シナリオの妥当性チェック
+ * 上書きしない条件は省略（null）できる
+ * @param {object} data - チェックするデータ
+ * @param {object} lifePlan - シナリオを作成するライフプラン
+ * @throws {ValidationError}
+ */
+export const validateScenario = (data, lifePlan) => {
+  validateRequired(data.name, "名称");
+  validateLength(data.name, "名称", { maxLength: 100 });
+
+  const overrides = data.overrides || {};
+  if (
+    overrides.inflationRate !== undefined &&
+    overrides.inflationRate !== null
+  ) {
+    validatePercentage(overrides.inflationRate, "インフレ率");
+  }
+  if (
+    overrides.salaryGrowthRate !== undefined &&
+    overrides.salaryGrowthRate !== null
+  ) {
+    validatePercentage(overrides.salaryGrowthRate, "給与の昇給率");
+  }
+  if (
+    overrides.retirementYear !== undefined &&
+    overrides.retirementYear !== null
+  ) {
+    validateNumber(overrides.retirementYear, "退職年", {
+      min: lifePlan.startYear,
+      max: lifePlan.startYear + lifePlan.lifespan,
+    });
+  }
+  Object.values(overrides.assetRates || {}).forEach((rate) => {
+    if (rate !== null) {
+      validatePercentage(rate, "資産の期待収益率");
+    }
+  });
+};
+
+/**
+ * 目標の妥当性チェック
+ * 目標年は年、またはメンバーの年齢で指定する
+ * @param {object} data - チェックするデータ
+ * @throws {ValidationError}
+ */
+export const validateGoal = (data) => {
+  validateRequired(data.name, "名称");
+  validateLength(data.name, "名称", { maxLength: 100 });
+
+  validateRequired(data.targetAmount, "目標額");
+  validateNumber(data.targetAmount, "目標額", { min: 1 });
+
+  if (data.memberId) {
+    validateRequired(data.targetAge, "目標の年齢");
+    validateNumber(data.targetAge, "目標の年齢", { min: 0, max: 120 });
+  } else {
+    validateRequired(data.targetYear, "目標年");
+    validateNumber(data.targetYear, "目標年", { min: 1900, max: 2100 });
+  }
+
+  validateEnum(data.priority, "優先度", ["high", "medium", "low"]);
+};
+
+/**
+ * 老後の取り崩し設定の妥当性チェック
+ * @param {object} data - チェックするデータ
+ * @throws {ValidationError}
+ */
+export const validateDecumulationSettings = (data) => {
+  validateEnum(data.strategy, "取り崩し戦略", [
+    "none",
+    "deficit",
+    "fixedAmount",
+    "fixedPercentage",
+    "guardrails",
+  ]);
+  if (data.startYear !== undefined && data.startYear !== null) {
+    validateNumber(data.startYear, "取り崩しの開始年", {
+      min: 1900,
+      max: 2100,
+    });
+  }
+  if (data.strategy === "fixedAmount") {
+    validateRequired(data.annualAmount, "取り崩し額");
+    validateAmount(data.annualAmount, "取り崩し額");
+  }
+  if (data.strategy === "fixedPercentage" || data.strategy === "guardrails") {
+    validateRequired(data.withdrawalRate, "取り崩し率");
+    validatePercentage(data.withdrawalRate, "取り崩し率");
+  }
+  if (data.strategy === "guardrails") {
+    validatePercentage(data.guardrailBand, "ガードレールの幅");
+    validatePercentage(data.guardrailAdjustment, "取り崩し額の見直し幅");
+  }
+  validateEnum(data.liquidationOrder, "取り崩す順番", [
+    "taxTreatment",
+    "category",
+  ]);
+};